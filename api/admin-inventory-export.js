@@ -0,0 +1,4 @@
+const { adapt } = require('../lib/http');
+const handler = require('../lib/handlers/admin-inventory-export');
+
+module.exports = adapt(handler);
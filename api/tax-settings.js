@@ -0,0 +1,4 @@
+const { adapt } = require('../lib/http');
+const handler = require('../lib/handlers/tax-settings');
+
+module.exports = adapt(handler);
@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { getAdminUser, createAdminSession, findAdminSession, deleteAdminSession } = require('./db');
+const { adminSessionTtlMs } = require('./config');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_COOKIE = 'admin_session';
+const KEY_LENGTH = 64;
+
+// Role -> what it may do. Viewers can only read; inventory managers can also change stock and restock orders.
+const ROLES = {
+  viewer: ['read'],
+  'inventory-manager': ['read', 'write']
+};
+
+function roleAllows(role, permission) {
+  return (ROLES[role] || []).includes(permission);
+}
+
+// Stored as scrypt$<salt>$<key>, both base64
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(String(password), salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, key] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !key) return false;
+  const expected = Buffer.from(key, 'base64');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Checked against when the username does not exist, so a miss takes as long as a wrong password
+let dummyHash = null;
+
+// Constant-time string comparison; hashing first makes the lengths equal
+function safeEqual(a, b) {
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const idx = part.indexOf('=');
+    if (idx < 0) continue;
+    const name = part.slice(0, idx).trim();
+    if (!name || name in cookies) continue;
+    try {
+      cookies[name] = decodeURIComponent(part.slice(idx + 1).trim());
+    } catch (_) {
+      cookies[name] = part.slice(idx + 1).trim();
+    }
+  }
+  return cookies;
+}
+
+function sessionCookie(req, value, maxAgeSeconds) {
+  const secure = req.protocol === 'https' || req.headers['x-forwarded-proto'] === 'https';
+  return [
+    `${SESSION_COOKIE}=${value}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Strict',
+    `Max-Age=${maxAgeSeconds}`,
+    secure ? 'Secure' : null
+  ].filter(Boolean).join('; ');
+}
+
+// Check a username and password; resolves to the user row, or null
+async function authenticate(username, password) {
+  const user = username ? await getAdminUser(String(username)) : null;
+  if (!user) {
+    dummyHash = dummyHash || hashPassword(crypto.randomBytes(16).toString('hex'));
+    await verifyPassword(password, await dummyHash);
+    return null;
+  }
+  return (await verifyPassword(password, user.password_hash)) ? user : null;
+}
+
+// Start a session for a user; returns { session, cookie } where cookie is the Set-Cookie header value
+async function startSession(req, user) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const csrfToken = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = Date.now() + adminSessionTtlMs;
+  await createAdminSession({ tokenHash: hashToken(token), username: user.username, csrfToken, expiresAt });
+  return {
+    session: { username: user.username, role: user.role, csrfToken, expiresAt },
+    cookie: sessionCookie(req, token, Math.floor(adminSessionTtlMs / 1000))
+  };
+}
+
+// The live session named by the request's cookie, or null
+async function getSession(req) {
+  const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  return token ? findAdminSession(hashToken(token)) : null;
+}
+
+// Ends the request's session; returns the Set-Cookie header value that clears the cookie
+async function endSession(req) {
+  const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (token) await deleteAdminSession(hashToken(token));
+  return sessionCookie(req, '', 0);
+}
+
+module.exports = {
+  ROLES,
+  roleAllows,
+  hashPassword,
+  verifyPassword,
+  safeEqual,
+  hashToken,
+  parseCookies,
+  authenticate,
+  startSession,
+  getSession,
+  endSession
+};
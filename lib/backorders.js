@@ -0,0 +1,84 @@
+// What happens once a price runs out of stock (inventory.stock_policy):
+//   deny       it cannot be bought until it is restocked (the default)
+//   backorder  it goes on selling up to backorderLimit units past zero (no limit when null); stock goes
+//              below zero, and those units ship once it is restocked
+//   preorder   the same, for something not out yet: every unit sold ships around expectedShipDate
+const STOCK_POLICIES = ['deny', 'backorder', 'preorder'];
+
+// Stripe refuses a custom_text message longer than this
+const MAX_CHECKOUT_NOTE = 1200;
+const MAX_EMAIL_LENGTH = 254;
+
+// Units of a price that can still be sold with `stock` on hand (below zero once backorders are owed), under
+// `limit` ({ stockPolicy, backorderLimit } from getInventoryLimits). Infinity for a backorder without a limit.
+function sellableUnits(stock, limit) {
+  if (!limit || !limit.stockPolicy || limit.stockPolicy === 'deny') return Math.max(0, stock);
+  if (limit.backorderLimit == null) return Infinity;
+  return Math.max(0, stock + limit.backorderLimit);
+}
+
+// How many of `quantity` units bought with `stock` on hand will not ship from it: those past zero for a
+// backorder, and all of them for a pre-order
+function backorderedUnits(quantity, stock, limit) {
+  const policy = limit ? limit.stockPolicy : 'deny';
+  if (policy === 'preorder') return quantity;
+  if (policy !== 'backorder') return 0;
+  return Math.max(0, quantity - Math.max(0, stock));
+}
+
+function isDate(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value + 'T00:00:00Z'));
+}
+
+// Check the stock policy fields of a POST /admin/inventory body. Fields left out stay undefined, so
+// adjustInventory() leaves them unchanged. Returns { policy } or { error }.
+function parsePolicyInput(body) {
+  const { stockPolicy, backorderLimit, expectedShipDate } = body || {};
+  if (stockPolicy !== undefined && !STOCK_POLICIES.includes(stockPolicy)) {
+    return { error: `stockPolicy must be one of: ${STOCK_POLICIES.join(', ')}` };
+  }
+  if (backorderLimit != null && !(Number.isInteger(backorderLimit) && backorderLimit > 0)) {
+    return { error: 'backorderLimit must be a positive integer or null' };
+  }
+  if (expectedShipDate != null && !isDate(expectedShipDate)) {
+    return { error: 'expectedShipDate must be a YYYY-MM-DD date or null' };
+  }
+  return { policy: { stockPolicy, backorderLimit, expectedShipDate } };
+}
+
+// The note shown above Checkout's pay button for the lines of a reservation (reserveStock() output) that
+// will not ship straight away, or null when everything is in stock. names maps price ids to display names.
+function checkoutNote(reserved, names) {
+  const notes = reserved.filter(r => r.backordered > 0).map((r) => {
+    const name = names[r.priceId] || r.priceId;
+    if (r.stockPolicy === 'preorder') {
+      return `${name} is a pre-order and ships ${r.expectedShipDate ? `around ${r.expectedShipDate}` : 'when it comes out'}.`;
+    }
+    if (r.backordered < r.quantity) return `${name}: ${r.backordered} of ${r.quantity} on backorder, shipped as soon as they are back in stock.`;
+    return `${name} is on backorder and ships as soon as it is back in stock.`;
+  });
+  if (notes.length === 0) return null;
+  const text = notes.join(' ');
+  return text.length > MAX_CHECKOUT_NOTE ? text.slice(0, MAX_CHECKOUT_NOTE - 3) + '...' : text;
+}
+
+// Validate the body of POST /waitlist: { priceId, email }. Returns { entry } or { error }.
+function parseWaitlistInput(body) {
+  const b = body || {};
+  const priceId = typeof b.priceId === 'string' ? b.priceId.trim() : '';
+  if (!priceId) return { error: 'Provide a priceId' };
+  const email = typeof b.email === 'string' ? b.email.trim().toLowerCase() : '';
+  if (email.length > MAX_EMAIL_LENGTH || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return { error: 'Provide a valid email address' };
+  }
+  return { entry: { priceId, email } };
+}
+
+module.exports = {
+  STOCK_POLICIES,
+  sellableUnits,
+  backorderedUnits,
+  parsePolicyInput,
+  checkoutNote,
+  parseWaitlistInput
+};
@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const {
+  createCart,
+  findCartByToken,
+  getCartById,
+  getCartLines,
+  setCartItem,
+  clearCart,
+  holdCartStock,
+  extendCartHold,
+  findOpenCartCheckout,
+  getInventoryLimits,
+  listCatalog
+} = require('./db');
+const { getCatalog, variantNames, unitAmountIn, shopperCurrency, sameInterval, tracksStock } = require('./catalog');
+const { MAX_LINE_ITEMS } = require('./checkout');
+const { parseCookies, hashToken } = require('./auth');
+const { cartHoldMs, cartTtlMs } = require('./config');
+const { estimateTax } = require('./tax');
+const { sellableUnits, backorderedUnits } = require('./backorders');
+
+const CART_COOKIE = 'cart_token';
+
+// Lax so the cart survives the redirect back from Stripe Checkout
+function cartCookie(req, token) {
+  const secure = req.protocol === 'https' || req.headers['x-forwarded-proto'] === 'https';
+  return [
+    `${CART_COOKIE}=${token}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    `Max-Age=${Math.floor(cartTtlMs / 1000)}`,
+    secure ? 'Secure' : null
+  ].filter(Boolean).join('; ');
+}
+
+// The cart named by the request's cookie, or null
+async function loadCart(req) {
+  const token = parseCookies(req.headers.cookie)[CART_COOKIE];
+  return token ? findCartByToken(hashToken(token)) : null;
+}
+
+// The request's cart, or a new one when it has none (or fresh is set). Resolves to { cart, cookie },
+// where cookie is the Set-Cookie header value for a new cart and null otherwise
+async function openCart(req, { fresh = false } = {}) {
+  const existing = fresh ? null : await loadCart(req);
+  if (existing) return { cart: existing, cookie: null };
+  const token = crypto.randomBytes(32).toString('base64url');
+  const cart = await createCart(crypto.randomUUID(), hashToken(token));
+  return { cart, cookie: cartCookie(req, token) };
+}
+
+// Units of a line this cart can have: stock plus what it already holds and what its stock policy allows
+// past zero, capped by max-per-order. null when nothing limits it, such as a subscription that takes no stock.
+function lineAvailable(line) {
+  const stock = tracksStock(line) ? sellableUnits(line.stock + line.held, line) : Infinity;
+  const available = line.maxPerOrder == null ? stock : Math.min(stock, line.maxPerOrder);
+  return available === Infinity ? null : available;
+}
+
+// A line checked against the current catalog and stock, priced in `currency` when it is sold in it.
+// issues lists what needs the shopper's attention:
+//   unavailable         the price is no longer sold
+//   insufficient_stock  fewer than `quantity` units can be bought (see available, null when there is no limit)
+//   price_changed       the price differs from when the line was last changed (see previousUnitAmount,
+//                       only given while the line is shown in its own currency)
+// backordered is how many units would not ship straight away (all of them for a pre-order, which ships
+// around expectedShipDate)
+function checkLine(line, names, currency) {
+  const available = line.sellable ? lineAvailable(line) : 0;
+  const issues = [];
+  if (!line.sellable) issues.push('unavailable');
+  else if (available != null && line.quantity > available) issues.push('insufficient_stock');
+  const priceChanged = line.sellable && line.addedUnitAmount != null && line.addedUnitAmount !== line.unitAmount;
+  if (priceChanged) issues.push('price_changed');
+  const converted = line.sellable ? unitAmountIn(line, currency) : null;
+  const shownIn = converted == null ? line.currency : currency || line.currency;
+  const unitAmount = converted == null ? line.unitAmount : converted;
+  return {
+    priceId: line.priceId,
+    name: names[line.priceId] || line.name || line.priceId,
+    quantity: line.quantity,
+    currency: shownIn,
+    unitAmount,
+    previousUnitAmount: priceChanged && shownIn === line.currency ? line.addedUnitAmount : null,
+    amountTotal: line.sellable ? unitAmount * line.quantity : null,
+    recurring: line.recurring || null,
+    available,
+    held: Math.min(line.held, line.quantity),
+    backordered: line.sellable && tracksStock(line) ? backorderedUnits(line.quantity, line.stock + line.held, line) : 0,
+    expectedShipDate: line.stockPolicy === 'preorder' ? line.expectedShipDate : null,
+    issues
+  };
+}
+
+// Replace the cart's hold with one on its current lines. Skipped while a checkout from the cart
+// still has its stock reserved, since those units are already set aside for it.
+async function syncHold(cart) {
+  if (cartHoldMs <= 0) return;
+  if (await findOpenCartCheckout(cart.id)) return;
+  const lines = (await getCartLines(cart.id)).filter(l => l.sellable && tracksStock(l));
+  const holdId = `hold-${cart.id}-${crypto.randomUUID()}`;
+  await holdCartStock(cart.id, holdId, lines.map(l => ({ price: l.priceId, quantity: l.quantity })), cartHoldMs);
+}
+
+// Totals and readiness for checkout of one part of the cart, plus `tax` (see estimateTax) when tax is on
+async function cartSection(items, taxCodes, country) {
+  const totals = {};
+  for (const item of items) {
+    if (item.amountTotal != null) totals[item.currency] = (totals[item.currency] || 0) + item.amountTotal;
+  }
+  const section = {
+    items,
+    totals,
+    checkoutReady: items.length > 0
+      && items.every(i => !i.issues.includes('unavailable') && !i.issues.includes('insufficient_stock'))
+      && items.every(i => i.recurring == null || sameInterval(i.recurring, items[0].recurring))
+  };
+  const tax = await estimateTax(items.map(i => ({ currency: i.currency, amountTotal: i.amountTotal, taxCode: taxCodes[i.priceId] })), country);
+  if (tax) section.tax = tax;
+  return section;
+}
+
+// The body every cart endpoint answers with: { items, totals: { [currency]: amount }, holdExpiresAt, checkoutReady,
+// subscriptions: { items, totals, checkoutReady } }. Subscription lines are kept apart from one-time ones since
+// they are checked out separately; their totals are per billing period. Each part has `tax` (see estimateTax)
+// when tax is on, estimated for `country`.
+// With touch, looking at the cart keeps its hold alive, or takes a new one if it has run out.
+// Lines are priced in `currency` where they are sold in it (see cartCurrency).
+async function describeCart(cart, { touch = false, currency = null, country = null } = {}) {
+  let lines = await getCartLines(cart.id);
+  if (touch && cartHoldMs > 0 && lines.length > 0 && !(await extendCartHold(cart.id, cartHoldMs))) {
+    await syncHold(cart);
+    lines = await getCartLines(cart.id);
+  }
+  const { holdExpiresAt } = await getCartById(cart.id);
+  const names = variantNames((await listCatalog()) || []);
+  const items = lines.map(line => checkLine(line, names, currency));
+  const taxCodes = Object.fromEntries(lines.map(l => [l.priceId, l.taxCode]));
+  const body = await cartSection(items.filter(i => i.recurring == null), taxCodes, country);
+  body.holdExpiresAt = holdExpiresAt;
+  body.subscriptions = await cartSection(items.filter(i => i.recurring != null), taxCodes, country);
+  return body;
+}
+
+// The currency to show a cart in, chosen like the /products one. Resolves to { currency } or { error }.
+async function cartCurrency(req) {
+  return shopperCurrency(req, (await listCatalog()) || []);
+}
+
+// Set a line to `quantity` units (0 removes it), or add to it with { add: true }.
+// Resolves to {} or { status, error, available? } when the change is refused.
+async function changeLine(stripe, cart, priceId, quantity, { add = false } = {}) {
+  const price = typeof priceId === 'string' ? priceId.trim() : '';
+  if (!price) return { status: 400, error: 'Provide a price' };
+  if (!Number.isInteger(quantity) || quantity < (add ? 1 : 0)) {
+    return { status: 400, error: add ? 'quantity must be a positive integer' : 'quantity must be a non-negative integer' };
+  }
+  const lines = await getCartLines(cart.id);
+  const line = lines.find(l => l.priceId === price);
+  const next = add && line ? line.quantity + quantity : quantity;
+  if (next === 0) {
+    if (line) {
+      await setCartItem(cart.id, price, 0, null);
+      await syncHold(cart);
+    }
+    return {};
+  }
+  const sellable = (await getCatalog(stripe)).find(p => p.priceId === price);
+  if (!sellable) return { status: 404, error: `Unknown price ${price}` };
+  if (!line && lines.length >= MAX_LINE_ITEMS) return { status: 400, error: `At most ${MAX_LINE_ITEMS} different items per cart` };
+  let available;
+  if (line) {
+    available = lineAvailable(line);
+  } else {
+    const limit = (await getInventoryLimits([price]))[price] || { stock: 0, maxPerOrder: null };
+    available = lineAvailable(Object.assign({}, sellable, limit, { held: 0 }));
+  }
+  // Lowering a quantity is always allowed, even when stock has fallen below it
+  if (available != null && next > available && !(line && next < line.quantity)) {
+    return { status: 409, error: `Only ${available} of ${price} available`, available };
+  }
+  await setCartItem(cart.id, price, next, sellable.unitAmount);
+  await syncHold(cart);
+  return {};
+}
+
+async function emptyCart(cart) {
+  await clearCart(cart.id);
+}
+
+// Line items for a checkout from the cart, plus the units the cart already has set aside
+// (validateLineItems counts them as available). With subscriptions set only the subscription lines
+// are checked out, and otherwise only the one-time ones. Resolves to { items, held } or { error }.
+async function cartCheckoutItems(cart, { subscriptions = false } = {}) {
+  const all = await getCartLines(cart.id);
+  if (all.length === 0) return { error: 'Your cart is empty' };
+  const lines = all.filter(l => (l.recurring != null) === subscriptions);
+  if (lines.length === 0) return { error: subscriptions ? 'Your cart has no subscriptions' : 'Your cart only has subscriptions' };
+  const gone = lines.filter(l => !l.sellable).map(l => l.priceId);
+  if (gone.length > 0) return { error: `No longer available: ${gone.join(', ')}` };
+  return {
+    items: lines.map(l => ({ price: l.priceId, quantity: l.quantity })),
+    held: Object.fromEntries(lines.map(l => [l.priceId, l.held]))
+  };
+}
+
+// A shopper who comes back from Checkout and starts again gets a new session. The old one is expired so
+// it cannot be paid as well; resolves to { error } if it already was.
+async function closePreviousCheckout(stripe, cart) {
+  const sessionId = await findOpenCartCheckout(cart.id);
+  if (!sessionId) return {};
+  try {
+    await stripe.checkout.sessions.expire(sessionId);
+  } catch (err) {
+    const session = await stripe.checkout.sessions.retrieve(sessionId).catch(() => null);
+    if (session && session.status === 'complete') return { error: 'This cart has already been checked out' };
+  }
+  return {};
+}
+
+module.exports = {
+  CART_COOKIE,
+  loadCart,
+  openCart,
+  describeCart,
+  cartCurrency,
+  changeLine,
+  emptyCart,
+  cartCheckoutItems,
+  closePreviousCheckout
+};
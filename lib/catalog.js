@@ -0,0 +1,236 @@
+const { replaceCatalog, listCatalog, getCatalogPrices } = require('./db');
+const { chooseCurrency } = require('./currency');
+
+// Metadata keys the shop reads itself, so they are never taken for variant attributes
+const RESERVED_METADATA = ['weight_grams', 'variant_attributes', 'physical'];
+
+// Catalog row for a Stripe price; `product` is the expanded product object when available
+function catalogRow(price, product = price.product) {
+  const details = product && typeof product === 'object' ? product : null;
+  return {
+    priceId: price.id,
+    productId: details ? details.id : product || null,
+    name: details ? details.name : 'Product',
+    description: details ? details.description || '' : '',
+    currency: price.currency,
+    unitAmount: price.unit_amount,
+    active: Boolean(price.active),
+    productActive: details ? details.active !== false && !details.deleted : true,
+    created: price.created || null,
+    nickname: price.nickname || null,
+    priceMetadata: price.metadata || {},
+    productMetadata: details ? details.metadata || {} : {},
+    images: details ? details.images || [] : [],
+    currencyOptions: currencyOptions(price),
+    taxCode: details ? taxCodeOf(details) : null,
+    recurring: billingInterval(price)
+  };
+}
+
+// { interval, intervalCount } for a subscription price ("every 3 months" is month and 3), null for a one-time one
+function billingInterval(price) {
+  if (!price.recurring) return null;
+  return { interval: price.recurring.interval, intervalCount: price.recurring.interval_count || 1 };
+}
+
+function sameInterval(a, b) {
+  return Boolean(a && b) && a.interval === b.interval && a.intervalCount === b.intervalCount;
+}
+
+// Whether buying a catalog price takes stock. One-time prices always do; a subscription only when
+// metadata.physical is "true" on the price, else on the product, and then again on every renewal.
+function tracksStock(row) {
+  if (!row.recurring) return true;
+  for (const metadata of [row.priceMetadata, row.productMetadata]) {
+    const flag = metadata && metadata.physical;
+    if (flag != null) return String(flag) === 'true';
+  }
+  return false;
+}
+
+// A product's Stripe tax code id (txcd_...), which may come expanded
+function taxCodeOf(product) {
+  const code = product.tax_code;
+  return (code && typeof code === 'object' ? code.id : code) || null;
+}
+
+// Other currencies the price is sold in -> unit amount, from its expanded currency_options
+function currencyOptions(price) {
+  const options = {};
+  for (const [currency, option] of Object.entries(price.currency_options || {})) {
+    if (currency !== price.currency && option && option.unit_amount != null) options[currency] = option.unit_amount;
+  }
+  return options;
+}
+
+// What a catalog price costs in `currency`, or null when it is not sold in that currency
+function unitAmountIn(price, currency) {
+  if (!currency || currency === price.currency) return price.unitAmount;
+  const amount = (price.currencyOptions || {})[currency];
+  return amount == null ? null : amount;
+}
+
+// Every currency a catalog price can be paid in, its own first
+function priceCurrencies(price) {
+  return [price.currency].concat(Object.keys(price.currencyOptions || {}).filter(c => c !== price.currency));
+}
+
+// The currencies catalog rows can be bought in, and the one most of them are priced in by default
+function catalogCurrencies(catalog) {
+  const counts = {};
+  const currencies = new Set();
+  for (const row of catalog) {
+    counts[row.currency] = (counts[row.currency] || 0) + 1;
+    priceCurrencies(row).forEach(c => currencies.add(c));
+  }
+  const fallback = Object.keys(counts).sort((a, b) => counts[b] - counts[a] || (a < b ? -1 : 1))[0] || null;
+  return { currencies: [...currencies].sort(), fallback };
+}
+
+// The currency to show the catalog in for a request: ?currency= when given, else the shopper's
+// Accept-Language. Returns { currency } or { error } for a currency nothing is sold in.
+function shopperCurrency(req, catalog) {
+  const { currencies, fallback } = catalogCurrencies(catalog);
+  return chooseCurrency((req.query || {}).currency, req.headers['accept-language'], { currencies, fallback });
+}
+
+// Names of the attributes that tell a product's variants apart. The product can list them in
+// metadata.variant_attributes ("size,colour"); otherwise every key found in its prices' metadata is one.
+function variantAttributes(productMetadata, prices) {
+  const declared = String((productMetadata || {}).variant_attributes || '').split(',').map(a => a.trim()).filter(Boolean);
+  if (declared.length > 0) return declared;
+  const keys = new Set();
+  for (const p of prices) {
+    Object.keys(p.priceMetadata || {}).filter(k => !RESERVED_METADATA.includes(k)).forEach(k => keys.add(k));
+  }
+  return [...keys].sort();
+}
+
+// Group listCatalog() rows into products with one variant per price. `limits` is getInventoryLimits()
+// output, so each variant carries its own stock. Products keep the catalog's newest-first order;
+// variants are listed oldest first, i.e. in the order they were added in Stripe.
+// Variants are priced in `currency` when they are sold in it and in their own currency otherwise;
+// currencyOptions lists every currency they can be bought in. Subscription variants carry their
+// recurring interval, and those that take no stock have stock null.
+function groupProducts(catalog, limits, currency = null) {
+  const byProduct = new Map();
+  for (const row of catalog) {
+    const key = row.productId || row.priceId;
+    if (!byProduct.has(key)) byProduct.set(key, []);
+    byProduct.get(key).push(row);
+  }
+  return [...byProduct.values()].map((rows) => {
+    const first = rows[0];
+    const attributes = variantAttributes(first.productMetadata, rows);
+    const variants = rows.slice().reverse().map((p) => {
+      const values = {};
+      for (const name of attributes) {
+        if (p.priceMetadata && p.priceMetadata[name] != null) values[name] = String(p.priceMetadata[name]);
+      }
+      const limit = limits[p.priceId];
+      const amount = unitAmountIn(p, currency);
+      return {
+        priceId: p.priceId,
+        label: p.nickname || Object.values(values).join(' / ') || null,
+        attributes: values,
+        currency: amount == null ? p.currency : currency || p.currency,
+        unitAmount: amount == null ? p.unitAmount : amount,
+        currencyOptions: Object.fromEntries(priceCurrencies(p).map(c => [c, unitAmountIn(p, c)])),
+        recurring: p.recurring || null,
+        stock: !tracksStock(p) ? null : limit ? limit.stock : 0,
+        maxPerOrder: limit ? limit.maxPerOrder : null,
+        // What happens once stock runs out (see lib/backorders.js); stock is below zero while backorders are owed
+        stockPolicy: limit && tracksStock(p) ? limit.stockPolicy : 'deny',
+        backorderLimit: limit ? limit.backorderLimit : null,
+        expectedShipDate: limit && limit.stockPolicy === 'preorder' ? limit.expectedShipDate : null
+      };
+    });
+    return {
+      id: first.productId,
+      name: first.name,
+      description: first.description,
+      images: first.images || [],
+      attributes,
+      variants
+    };
+  });
+}
+
+// priceId -> the name a variant is shown under: the product name, followed by the variant label in brackets
+function variantNames(catalog) {
+  const names = {};
+  for (const product of groupProducts(catalog, {})) {
+    for (const v of product.variants) names[v.priceId] = v.label ? `${product.name} (${v.label})` : product.name;
+  }
+  return names;
+}
+
+// Weight of one unit: metadata.weight_grams on the price, else on the product, else 0
+function weightGrams(priceMetadata, productMetadata) {
+  for (const metadata of [priceMetadata, productMetadata]) {
+    const grams = Number(metadata && metadata.weight_grams);
+    if (Number.isFinite(grams) && grams > 0) return grams;
+  }
+  return 0;
+}
+
+// priceId -> { productId, currency, unitAmount, currencyOptions, taxCode, recurring, weightGrams } from the catalog
+// cache or, for prices it does not know yet, Stripe
+async function lookupPrices(stripe, priceIds) {
+  const cached = await getCatalogPrices(priceIds);
+  const prices = {};
+  for (const priceId of priceIds) {
+    const row = cached[priceId] || catalogRow(await stripe.prices.retrieve(priceId, { expand: ['product', 'currency_options'] }));
+    prices[priceId] = {
+      productId: row.productId,
+      currency: row.currency,
+      unitAmount: row.unitAmount,
+      currencyOptions: row.currencyOptions || {},
+      taxCode: row.taxCode || null,
+      recurring: row.recurring || null,
+      weightGrams: weightGrams(row.priceMetadata, row.productMetadata)
+    };
+  }
+  return prices;
+}
+
+let syncInFlight = null;
+
+// Copy every active price (all pages) and its product from Stripe into catalog_prices
+// Concurrent callers share one sync. Resolves to { prices, syncedAt }
+async function syncCatalog(stripe) {
+  if (!syncInFlight) {
+    syncInFlight = (async () => {
+      const prices = await stripe.prices
+        .list({ active: true, limit: 100, expand: ['data.product', 'data.currency_options'] })
+        .autoPagingToArray({ limit: 10000 });
+      const syncedAt = await replaceCatalog(prices.map(p => catalogRow(p)));
+      return { prices: prices.length, syncedAt };
+    })().finally(() => { syncInFlight = null; });
+  }
+  return syncInFlight;
+}
+
+// Sellable prices from the cache. Stripe is only called when the cache has never been filled.
+async function getCatalog(stripe) {
+  const cached = await listCatalog();
+  if (cached) return cached;
+  await syncCatalog(stripe);
+  return listCatalog();
+}
+
+module.exports = {
+  catalogRow,
+  taxCodeOf,
+  sameInterval,
+  tracksStock,
+  groupProducts,
+  variantNames,
+  unitAmountIn,
+  priceCurrencies,
+  catalogCurrencies,
+  shopperCurrency,
+  lookupPrices,
+  syncCatalog,
+  getCatalog
+};
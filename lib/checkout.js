@@ -0,0 +1,94 @@
+const { getInventoryLimits, getCatalogPrices, listCatalog } = require('./db');
+const { lookupPrices, priceCurrencies, sameInterval, tracksStock, variantNames } = require('./catalog');
+const { chooseCurrency, parseAcceptLanguage } = require('./currency');
+const { sellableUnits } = require('./backorders');
+
+// Stripe Checkout accepts at most 100 line items per session
+const MAX_LINE_ITEMS = 100;
+
+// Subscriptions and one-time items go through separate checkouts, and one checkout can only start
+// subscriptions billed at the same interval. `prices` are catalog rows; prices the catalog does not
+// know are taken for one-time ones. Returns { mode } for the Checkout Session, or { error }.
+function checkoutMode(priceIds, prices) {
+  const recurring = priceIds.map(id => (prices[id] && prices[id].recurring) || null);
+  if (recurring.every(r => r == null)) return { mode: 'payment' };
+  if (recurring.some(r => r == null)) return { error: 'Subscriptions are checked out separately from one-time items' };
+  if (!recurring.every(r => sameInterval(r, recurring[0]))) {
+    return { error: 'Subscriptions billed at different intervals are checked out separately' };
+  }
+  return { mode: 'subscription' };
+}
+
+// The 409 answer for items that cannot be supplied ([{ priceId, requested, available }]): { error, shortages }
+// with each shortage named as the shop shows it, e.g. "Not enough stock for T-shirt (S) (1 available)"
+async function shortageError(shortages) {
+  const names = variantNames((await listCatalog()) || []);
+  const named = shortages.map(s => ({ priceId: s.priceId, name: names[s.priceId] || s.priceId, requested: s.requested, available: s.available }));
+  const detail = named.map(s => `${s.name} (${s.available} available)`).join(', ');
+  return { error: `Not enough stock for ${detail}`, shortages: named };
+}
+
+// Check requested line items ([{ price, quantity }]) against inventory, stock policies and per-order caps
+// Returns { items, mode, stocked } with duplicate prices merged, { error } for malformed input or a
+// mix checkoutMode() refuses, or shortageError() ({ error, shortages }) when some
+// item cannot be supplied. stocked is the items that take stock (see tracksStock).
+// held ({ priceId: units }) is stock already set aside for this shopper, e.g. by a cart hold.
+async function validateLineItems(lineItems, { held = {} } = {}) {
+  if (!Array.isArray(lineItems) || lineItems.length === 0) {
+    return { error: 'No line items provided' };
+  }
+  const quantities = new Map();
+  for (const item of lineItems) {
+    const price = item && typeof item.price === 'string' ? item.price.trim() : '';
+    if (!price) return { error: 'Each line item needs a price' };
+    const qty = Number(item.quantity);
+    if (!Number.isInteger(qty) || qty <= 0) {
+      return { error: `Invalid quantity for item ${price}` };
+    }
+    quantities.set(price, (quantities.get(price) || 0) + qty);
+  }
+  if (quantities.size > MAX_LINE_ITEMS) {
+    return { error: `At most ${MAX_LINE_ITEMS} different items per order` };
+  }
+  const prices = await getCatalogPrices([...quantities.keys()]);
+  const { mode, error } = checkoutMode([...quantities.keys()], prices);
+  if (error) return { error };
+  const limits = await getInventoryLimits([...quantities.keys()]);
+  const items = [];
+  const stocked = [];
+  const shortages = [];
+  for (const [price, quantity] of quantities) {
+    const limit = limits[price] || { stock: 0, maxPerOrder: null };
+    const tracked = !prices[price] || tracksStock(prices[price]);
+    const stock = tracked ? sellableUnits(limit.stock + (held[price] || 0), limit) : Infinity;
+    const available = limit.maxPerOrder == null ? stock : Math.min(stock, limit.maxPerOrder);
+    if (quantity > available) shortages.push({ priceId: price, requested: quantity, available });
+    items.push({ price, quantity });
+    if (tracked) stocked.push({ price, quantity });
+  }
+  if (shortages.length > 0) return shortageError(shortages);
+  return { items, mode, stocked };
+}
+
+// The currency to charge checked line items in: `requested` when every item is sold in it, else the
+// shopper's Accept-Language currency if every item is, else the items' own currency.
+// Resolves to { currency, prices } (lookupPrices() output), { currency: null } when the shopper
+// expressed no preference, or { error }.
+async function checkoutCurrency(stripe, items, requested, acceptLanguage) {
+  if (!requested && parseAcceptLanguage(acceptLanguage).length === 0) return { currency: null };
+  const prices = await lookupPrices(stripe, items.map(i => i.price));
+  const base = prices[items[0].price].currency;
+  const currencies = items
+    .map(i => priceCurrencies(prices[i.price]))
+    .reduce((common, offered) => common.filter(c => offered.includes(c)));
+  const { currency, error } = chooseCurrency(requested, acceptLanguage, { currencies, fallback: base });
+  if (error) return { error: `${error} for every item in this order` };
+  return { currency, prices };
+}
+
+module.exports = {
+  MAX_LINE_ITEMS,
+  shortageError,
+  validateLineItems,
+  checkoutCurrency
+};
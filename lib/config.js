@@ -0,0 +1,117 @@
+// Runtime settings read from the environment, with defaults suitable for local development
+
+function intFromEnv(name, fallback) {
+  const raw = process.env[name];
+  if (raw == null || raw === '') return fallback;
+  const n = Number(raw);
+  return Number.isFinite(n) ? Math.floor(n) : fallback;
+}
+
+// Stripe only accepts a Checkout Session expires_at between 30 minutes and 24 hours out.
+// Reservations are held for exactly as long as their session can still be paid.
+const MIN_RESERVATION_TTL_MS = 30 * 60_000;
+const MAX_RESERVATION_TTL_MS = 24 * 60 * 60_000;
+const reservationTtlMs = Math.min(
+  MAX_RESERVATION_TTL_MS,
+  Math.max(MIN_RESERVATION_TTL_MS, intFromEnv('RESERVATION_TTL_MINUTES', 60) * 60_000)
+);
+
+// Requests per minute per client for each rate-limited route; RATE_LIMITS='{"products":120}' overrides entries
+const DEFAULT_RATE_LIMITS = {
+  products: 60,
+  'shipping-countries': 60,
+  'tax-settings': 60,
+  'create-checkout-session': 10,
+  cart: 120,
+  'cart-items': 120,
+  // Connections, not events: browsers reconnect when a stream ends
+  'stream-inventory': 30,
+  // success.html polls this until the webhook has been handled
+  'order-status': 60,
+  // Each request may queue an email later on
+  waitlist: 10,
+  'admin-login': 10,
+  'admin-inventory': 20,
+  'admin-inventory-history': 60,
+  'admin-inventory-export': 10,
+  'admin-inventory-import': 10,
+  // A sync pages through every price in Stripe
+  'admin-catalog-sync': 5,
+  'admin-discounts': 30,
+  'admin-shipping': 30,
+  'admin-tax-rates': 30,
+  'admin-orders': 60,
+  'admin-orders-restock': 20,
+  'admin-subscriptions': 60,
+  'admin-fulfillment': 60,
+  'admin-email-templates': 30,
+  'admin-reports': 30,
+  'admin-reports-export': 10,
+  // Stripe delivers from a handful of addresses
+  webhook: 300
+};
+
+function rateLimitsFromEnv() {
+  const limits = Object.assign({}, DEFAULT_RATE_LIMITS);
+  if (!process.env.RATE_LIMITS) return limits;
+  let overrides;
+  try {
+    overrides = JSON.parse(process.env.RATE_LIMITS);
+  } catch (err) {
+    throw new Error(`RATE_LIMITS is not valid JSON: ${err.message}`);
+  }
+  for (const [route, perMinute] of Object.entries(overrides)) {
+    if (!Number.isInteger(perMinute) || perMinute < 1) {
+      throw new Error(`RATE_LIMITS.${route} must be a positive integer (requests per minute)`);
+    }
+    limits[route] = perMinute;
+  }
+  return limits;
+}
+
+// none: no tax; stripe: Stripe Tax works it out in Checkout; rates: the shop's own rates from /admin/tax-rates
+const TAX_MODES = ['none', 'stripe', 'rates'];
+
+function taxModeFromEnv() {
+  const mode = process.env.TAX_MODE || 'none';
+  if (!TAX_MODES.includes(mode)) throw new Error(`TAX_MODE must be one of ${TAX_MODES.join(', ')}`);
+  return mode;
+}
+
+module.exports = {
+  intFromEnv,
+  reservationTtlMs,
+  // Extra time past the TTL before the sweeper steps in, so checkout.session.expired normally wins
+  reservationSweepGraceMs: intFromEnv('RESERVATION_SWEEP_GRACE_SECONDS', 300) * 1000,
+  reservationSweepIntervalMs: intFromEnv('RESERVATION_SWEEP_INTERVAL_SECONDS', 60) * 1000,
+  cronSecret: process.env.CRON_SECRET || '',
+  // Without CRON_SECRET the cron endpoints refuse every call, except in test and development
+  cronSecretOptional: ['test', 'development'].includes(process.env.NODE_ENV),
+  rateLimits: rateLimitsFromEnv(),
+  // 'postgres' shares limits across instances (needed on Vercel); 'memory' keeps them in this process
+  rateLimitStore: process.env.RATE_LIMIT_STORE || 'postgres',
+  // How often server.js drops idle rate limit buckets (Vercel uses the cron in vercel.json)
+  rateLimitPruneIntervalMs: intFromEnv('RATE_LIMIT_PRUNE_INTERVAL_SECONDS', 3600) * 1000,
+  // How many proxies in front of the app append to X-Forwarded-For; 0 trusts only the socket address
+  trustProxyHops: Math.max(0, intFromEnv('TRUST_PROXY_HOPS', process.env.VERCEL ? 1 : 0)),
+  // Stock set aside while a cart is being edited; 0 turns cart holds off. Never longer than a checkout's reservation.
+  cartHoldMs: Math.min(reservationTtlMs, Math.max(0, intFromEnv('CART_HOLD_MINUTES', 0)) * 60_000),
+  // Carts untouched for this long are deleted, and the cart cookie lasts as long
+  cartTtlMs: Math.max(1, intFromEnv('CART_TTL_DAYS', 30)) * 24 * 60 * 60_000,
+  // Stock streams are ended (and reopened by the browser) after this long; Vercel functions have a time limit
+  stockStreamMaxMs: Math.max(1, intFromEnv('STOCK_STREAM_MAX_SECONDS', process.env.VERCEL ? 25 : 300)) * 1000,
+  taxMode: taxModeFromEnv(),
+  // Whether catalog prices already include tax; new tax rates are created to match
+  taxInclusive: process.env.TAX_INCLUSIVE === 'true',
+  // Admin sessions end this long after login
+  adminSessionTtlMs: Math.max(1, intFromEnv('ADMIN_SESSION_TTL_MINUTES', 480)) * 60_000,
+  // 'smtp' (SMTP_URL), 'file' (appends to MAIL_FILE) or 'console'
+  mailTransport: process.env.MAIL_TRANSPORT || 'console',
+  mailFrom: process.env.MAIL_FROM || 'shop@localhost',
+  smtpUrl: process.env.SMTP_URL || '',
+  mailFile: process.env.MAIL_FILE || 'mail.log',
+  // Who gets new-order and low-stock alerts
+  adminEmails: (process.env.ADMIN_EMAILS || '').split(',').map(s => s.trim()).filter(Boolean),
+  // How often server.js sends queued email (Vercel uses the cron in vercel.json)
+  emailQueueIntervalMs: Math.max(1, intFromEnv('EMAIL_QUEUE_INTERVAL_SECONDS', 30)) * 1000
+};
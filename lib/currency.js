@@ -0,0 +1,75 @@
+// Picking a shopper's currency, and the size of each currency's smallest unit
+
+// Stripe amounts are in the currency's smallest unit: whole units for zero-decimal currencies,
+// thousandths for a few three-decimal ones, hundredths for everything else
+const ZERO_DECIMAL = ['bif', 'clp', 'djf', 'gnf', 'jpy', 'kmf', 'krw', 'mga', 'pyg', 'rwf', 'ugx', 'vnd', 'vuv', 'xaf', 'xof', 'xpf'];
+const THREE_DECIMAL = ['bhd', 'jod', 'kwd', 'omr', 'tnd'];
+
+function minorUnitDigits(currency) {
+  const code = String(currency || '').toLowerCase();
+  if (ZERO_DECIMAL.includes(code)) return 0;
+  if (THREE_DECIMAL.includes(code)) return 3;
+  return 2;
+}
+
+// "12.50 EUR", "1500 JPY": plain text for emails and logs
+function formatAmount(amount, currency) {
+  const digits = minorUnitDigits(currency);
+  return `${((amount || 0) / 10 ** digits).toFixed(digits)} ${String(currency || '').toUpperCase()}`;
+}
+
+const EURO_REGIONS = ['AT', 'BE', 'CY', 'DE', 'EE', 'ES', 'FI', 'FR', 'GR', 'HR', 'IE', 'IT', 'LT', 'LU', 'LV', 'MT', 'NL', 'PT', 'SI', 'SK'];
+const REGION_CURRENCIES = Object.assign(Object.fromEntries(EURO_REGIONS.map(r => [r, 'eur'])), {
+  US: 'usd', GB: 'gbp', CA: 'cad', AU: 'aud', NZ: 'nzd', CH: 'chf', LI: 'chf', SE: 'sek', NO: 'nok', DK: 'dkk',
+  PL: 'pln', CZ: 'czk', HU: 'huf', RO: 'ron', BG: 'bgn', IS: 'isk', JP: 'jpy', KR: 'krw', CN: 'cny', HK: 'hkd',
+  TW: 'twd', SG: 'sgd', IN: 'inr', AE: 'aed', IL: 'ils', TR: 'try', ZA: 'zar', BR: 'brl', MX: 'mxn'
+});
+// Where a bare language tag ("de", "ja") is most likely from
+const LANGUAGE_REGIONS = {
+  en: 'US', de: 'DE', fr: 'FR', es: 'ES', it: 'IT', nl: 'NL', pt: 'PT', fi: 'FI', el: 'GR', et: 'EE', sv: 'SE',
+  nb: 'NO', nn: 'NO', no: 'NO', da: 'DK', pl: 'PL', cs: 'CZ', hu: 'HU', ro: 'RO', bg: 'BG', is: 'IS', ja: 'JP',
+  ko: 'KR', zh: 'CN', he: 'IL', tr: 'TR'
+};
+
+// Language tags from an Accept-Language header, most preferred first; q=0 ones are left out
+function parseAcceptLanguage(header) {
+  return String(header || '')
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(p => /^\s*q=([\d.]+)\s*$/.exec(p)).find(Boolean);
+      return { tag: tag.trim(), q: q ? Number(q[1]) : 1, index };
+    })
+    .filter(l => l.tag && l.tag !== '*' && l.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(l => l.tag);
+}
+
+function currencyForLocale(tag) {
+  const [language, ...rest] = tag.split('-');
+  const region = rest.find(part => /^[A-Za-z]{2}$/.test(part));
+  return REGION_CURRENCIES[region ? region.toUpperCase() : LANGUAGE_REGIONS[language.toLowerCase()]] || null;
+}
+
+// The currency to price things in for a shopper: `requested` (e.g. from a currency selector) when given,
+// else the first Accept-Language locale whose country uses one of `currencies`, else `fallback`.
+// Returns { currency }, or { error } when the requested currency is not one of `currencies`.
+function chooseCurrency(requested, acceptLanguage, { currencies, fallback }) {
+  if (requested) {
+    const code = String(requested).trim().toLowerCase();
+    if (!currencies.includes(code)) return { error: `Prices are not available in ${code.toUpperCase()}` };
+    return { currency: code };
+  }
+  for (const tag of parseAcceptLanguage(acceptLanguage)) {
+    const currency = currencyForLocale(tag);
+    if (currency && currencies.includes(currency)) return { currency };
+  }
+  return { currency: fallback };
+}
+
+module.exports = {
+  minorUnitDigits,
+  formatAmount,
+  parseAcceptLanguage,
+  chooseCurrency
+};
@@ -0,0 +1,57 @@
+const { pool } = require('./pool');
+
+// Admin accounts; password_hash comes from lib/auth.js hashPassword()
+async function saveAdminUser(username, passwordHash, role) {
+  const now = Date.now();
+  await pool.query(
+    `INSERT INTO admin_users (username, password_hash, role, created_at, updated_at) VALUES ($1, $2, $3, $4, $4)
+     ON CONFLICT (username) DO UPDATE SET password_hash = EXCLUDED.password_hash, role = EXCLUDED.role, updated_at = EXCLUDED.updated_at`,
+    [username, passwordHash, role, now]
+  );
+}
+
+async function getAdminUser(username) {
+  const res = await pool.query('SELECT username, password_hash, role FROM admin_users WHERE username = $1', [username]);
+  return res.rows[0] || null;
+}
+
+async function deleteAdminUser(username) {
+  const res = await pool.query('DELETE FROM admin_users WHERE username = $1', [username]);
+  return res.rowCount > 0;
+}
+
+// Sessions are stored by a hash of their cookie token, so the table alone cannot be used to log in
+async function createAdminSession({ tokenHash, username, csrfToken, expiresAt }) {
+  const now = Date.now();
+  // Expired sessions are cleaned up whenever someone logs in
+  await pool.query('DELETE FROM admin_sessions WHERE expires_at <= $1', [now]);
+  await pool.query(
+    'INSERT INTO admin_sessions (token_hash, username, csrf_token, created_at, expires_at) VALUES ($1, $2, $3, $4, $5)',
+    [tokenHash, username, csrfToken, now, expiresAt]
+  );
+}
+
+// Live session joined with its user, or null when missing or expired
+async function findAdminSession(tokenHash) {
+  const res = await pool.query(
+    `SELECT s.username, s.csrf_token, s.expires_at, u.role FROM admin_sessions s
+     JOIN admin_users u ON u.username = s.username
+     WHERE s.token_hash = $1 AND s.expires_at > $2`,
+    [tokenHash, Date.now()]
+  );
+  const row = res.rows[0];
+  return row ? { username: row.username, role: row.role, csrfToken: row.csrf_token, expiresAt: Number(row.expires_at) } : null;
+}
+
+async function deleteAdminSession(tokenHash) {
+  await pool.query('DELETE FROM admin_sessions WHERE token_hash = $1', [tokenHash]);
+}
+
+module.exports = {
+  saveAdminUser,
+  getAdminUser,
+  deleteAdminUser,
+  createAdminSession,
+  findAdminSession,
+  deleteAdminSession
+};
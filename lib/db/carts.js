@@ -0,0 +1,233 @@
+const { pool, withTransaction } = require('./pool');
+const { releaseReservation, reserveStock } = require('./reservations');
+
+// Server-side carts (lib/carts.js). A cart is found by the hash of its cookie token; its id is what
+// goes into Checkout Session metadata. An optional hold is an ordinary reservation (reserveStock)
+// that expires at hold_expires_at; checkout_reservation_id is the reservation of the cart's last checkout.
+
+function cartFromRow(r) {
+  return {
+    id: r.id,
+    holdReservationId: r.hold_reservation_id,
+    holdExpiresAt: r.hold_expires_at == null ? null : Number(r.hold_expires_at),
+    checkoutReservationId: r.checkout_reservation_id,
+    createdAt: Number(r.created_at),
+    updatedAt: Number(r.updated_at)
+  };
+}
+
+async function createCart(id, tokenHash) {
+  const now = Date.now();
+  const res = await pool.query(
+    'INSERT INTO carts (id, token_hash, created_at, updated_at) VALUES ($1, $2, $3, $3) RETURNING *',
+    [id, tokenHash, now]
+  );
+  return cartFromRow(res.rows[0]);
+}
+
+async function findCartByToken(tokenHash) {
+  const res = await pool.query('SELECT * FROM carts WHERE token_hash = $1', [tokenHash]);
+  return res.rows[0] ? cartFromRow(res.rows[0]) : null;
+}
+
+async function getCartById(cartId) {
+  const res = await pool.query('SELECT * FROM carts WHERE id = $1', [cartId]);
+  return res.rows[0] ? cartFromRow(res.rows[0]) : null;
+}
+
+// Cart lines with what is needed to check them: the catalog price, stock and per-order cap, and
+// the units this cart already has set aside (a live hold, or the reservation of a checkout still open)
+async function getCartLines(cartId) {
+  const res = await pool.query(
+    `SELECT ci.price_id, ci.quantity, ci.unit_amount AS added_unit_amount,
+            cp.name, cp.currency, cp.unit_amount, cp.currency_options, cp.tax_code, cp.recurring, cp.price_metadata, cp.product_metadata,
+            COALESCE(cp.active AND cp.product_active, FALSE) AS sellable,
+            COALESCE(i.stock, 0) AS stock, i.max_per_order, COALESCE(i.stock_policy, 'deny') AS stock_policy,
+            i.backorder_limit, i.expected_ship_date,
+            COALESCE((SELECT SUM(r.quantity) FROM reservations r
+                      WHERE r.price_id = ci.price_id AND r.status = 'reserved'
+                        AND ((r.reservation_id = c.hold_reservation_id AND c.hold_expires_at > $2)
+                             OR r.reservation_id = c.checkout_reservation_id)), 0)::int AS held
+     FROM cart_items ci
+     JOIN carts c ON c.id = ci.cart_id
+     LEFT JOIN catalog_prices cp ON cp.price_id = ci.price_id
+     LEFT JOIN inventory i ON i.price_id = ci.price_id
+     WHERE ci.cart_id = $1
+     ORDER BY ci.added_at, ci.price_id`,
+    [cartId, Date.now()]
+  );
+  return res.rows.map(r => ({
+    priceId: r.price_id,
+    quantity: r.quantity,
+    addedUnitAmount: r.added_unit_amount,
+    name: r.name,
+    currency: r.currency,
+    unitAmount: r.unit_amount,
+    currencyOptions: r.currency_options || {},
+    taxCode: r.tax_code,
+    recurring: r.recurring,
+    priceMetadata: r.price_metadata || {},
+    productMetadata: r.product_metadata || {},
+    sellable: r.sellable,
+    stock: Number(r.stock),
+    maxPerOrder: r.max_per_order,
+    stockPolicy: r.stock_policy,
+    backorderLimit: r.backorder_limit,
+    expectedShipDate: r.expected_ship_date,
+    held: r.held
+  }));
+}
+
+// quantity 0 removes the line. unitAmount is the price the shopper saw, to flag later changes.
+async function setCartItem(cartId, priceId, quantity, unitAmount) {
+  await withTransaction(async (client) => {
+    const now = Date.now();
+    if (quantity > 0) {
+      await client.query(
+        `INSERT INTO cart_items (cart_id, price_id, quantity, unit_amount, added_at) VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (cart_id, price_id) DO UPDATE SET quantity = EXCLUDED.quantity, unit_amount = EXCLUDED.unit_amount`,
+        [cartId, priceId, quantity, unitAmount, now]
+      );
+    } else {
+      await client.query('DELETE FROM cart_items WHERE cart_id = $1 AND price_id = $2', [cartId, priceId]);
+    }
+    await client.query('UPDATE carts SET updated_at = $1 WHERE id = $2', [now, cartId]);
+  });
+}
+
+async function releaseCartHoldLocked(client, cartId) {
+  const cart = await client.query('SELECT hold_reservation_id FROM carts WHERE id = $1 FOR UPDATE', [cartId]);
+  if (cart.rowCount === 0) return 0;
+  const holdId = cart.rows[0].hold_reservation_id;
+  await client.query('UPDATE carts SET hold_reservation_id = NULL, hold_expires_at = NULL WHERE id = $1', [cartId]);
+  return holdId ? releaseReservation(holdId, client) : 0;
+}
+
+// Empty a cart and give back its hold; used when the shopper clears it and once its checkout completes.
+// recurring true or false only removes the subscription lines or the one-time ones, which are checked out apart.
+async function clearCart(cartId, client, { recurring = null } = {}) {
+  await withTransaction(async (db) => {
+    await releaseCartHoldLocked(db, cartId);
+    await db.query(
+      `DELETE FROM cart_items ci WHERE ci.cart_id = $1
+         AND ($2::boolean IS NULL OR EXISTS (SELECT 1 FROM catalog_prices cp WHERE cp.price_id = ci.price_id AND cp.recurring IS NOT NULL) = $2)`,
+      [cartId, recurring]
+    );
+    await db.query('UPDATE carts SET updated_at = $1 WHERE id = $2', [Date.now(), cartId]);
+  }, client);
+}
+
+// Replace the cart's hold with one on `items` ([{ price, quantity }]), reserved under holdId until now + holdMs.
+// The hold is soft: each line is held only as far as stock allows. Resolves to { priceId: units held }.
+async function holdCartStock(cartId, holdId, items, holdMs) {
+  return withTransaction(async (client) => {
+    await releaseCartHoldLocked(client, cartId);
+    const priceIds = items.map(i => i.price).sort();
+    // Locked in a fixed order, like imports, so concurrent holds cannot deadlock
+    const stock = await client.query('SELECT price_id, stock FROM inventory WHERE price_id = ANY($1) ORDER BY price_id FOR UPDATE', [priceIds]);
+    const available = Object.fromEntries(stock.rows.map(r => [r.price_id, Number(r.stock)]));
+    const held = {};
+    const holdItems = [];
+    for (const item of items) {
+      // Only stock on hand is held, never backorders
+      const quantity = Math.max(0, Math.min(item.quantity, available[item.price] || 0));
+      if (quantity > 0) holdItems.push({ price: item.price, quantity });
+      held[item.price] = quantity;
+    }
+    if (holdItems.length > 0) {
+      await reserveStock(holdId, holdItems, { actor: 'cart', client });
+      await client.query('UPDATE carts SET hold_reservation_id = $1, hold_expires_at = $2 WHERE id = $3', [holdId, Date.now() + holdMs, cartId]);
+    }
+    return held;
+  });
+}
+
+// Push back the expiry of a hold that is still live; returns false if there was none to extend
+async function extendCartHold(cartId, holdMs) {
+  const now = Date.now();
+  const res = await pool.query(
+    'UPDATE carts SET hold_expires_at = $1 WHERE id = $2 AND hold_reservation_id IS NOT NULL AND hold_expires_at > $3',
+    [now + holdMs, cartId, now]
+  );
+  return res.rowCount > 0;
+}
+
+// Checkout from a cart: in one transaction, give back the cart's hold and the reservation of any
+// earlier checkout from it, then reserve `items` under reservationId. Resolves and throws INSUFFICIENT_STOCK like reserveStock.
+async function reserveCartStock(cartId, reservationId, items) {
+  return withTransaction(async (client) => {
+    await releaseCartHoldLocked(client, cartId);
+    const cart = await client.query('SELECT checkout_reservation_id FROM carts WHERE id = $1', [cartId]);
+    const previous = cart.rows[0] && cart.rows[0].checkout_reservation_id;
+    if (previous) {
+      // Locked first, so a webhook cannot move it to pending_payment or committed before it is released
+      const open = await client.query(
+        `SELECT price_id FROM reservations WHERE reservation_id = $1 AND status = 'reserved' FOR UPDATE`,
+        [previous]
+      );
+      if (open.rowCount > 0) await releaseReservation(previous, client);
+    }
+    const reserved = await reserveStock(reservationId, items, { client });
+    await client.query('UPDATE carts SET checkout_reservation_id = $1 WHERE id = $2', [reservationId, cartId]);
+    return reserved;
+  });
+}
+
+// The Checkout Session of the cart's last checkout, if its stock is still reserved
+async function findOpenCartCheckout(cartId) {
+  const res = await pool.query(
+    `SELECT DISTINCT r.session_id FROM carts c JOIN reservations r ON r.reservation_id = c.checkout_reservation_id
+     WHERE c.id = $1 AND r.status = 'reserved' AND r.session_id IS NOT NULL`,
+    [cartId]
+  );
+  return res.rows[0] ? res.rows[0].session_id : null;
+}
+
+// Give back holds that have run out, and delete carts nobody has touched for idleMs
+// Returns { holds, units, carts }
+async function sweepCarts({ idleMs, limit = 100 }) {
+  const now = Date.now();
+  const expired = await pool.query(
+    'SELECT id FROM carts WHERE hold_expires_at < $1 ORDER BY hold_expires_at LIMIT $2',
+    [now, limit]
+  );
+  let holds = 0;
+  let units = 0;
+  for (const row of expired.rows) {
+    const released = await withTransaction(async (client) => {
+      // The shopper may have extended the hold since it was listed
+      const cart = await client.query('SELECT hold_expires_at FROM carts WHERE id = $1 FOR UPDATE', [row.id]);
+      if (cart.rowCount === 0 || !(Number(cart.rows[0].hold_expires_at) < now)) return null;
+      return releaseCartHoldLocked(client, row.id);
+    });
+    if (released === null) continue;
+    holds += 1;
+    units += released;
+  }
+  // A cart whose checkout is still open is kept, so that its order can clear it
+  const idle = await pool.query(
+    `DELETE FROM carts WHERE id IN (
+       SELECT c.id FROM carts c
+       WHERE c.updated_at < $1 AND c.hold_reservation_id IS NULL
+         AND NOT EXISTS (SELECT 1 FROM reservations r
+                         WHERE r.reservation_id = c.checkout_reservation_id AND r.status IN ('reserved', 'pending_payment'))
+       ORDER BY c.updated_at LIMIT $2
+     )`,
+    [now - idleMs, limit]
+  );
+  return { holds, units, carts: idle.rowCount };
+}
+
+module.exports = {
+  createCart,
+  findCartByToken,
+  getCartById,
+  getCartLines,
+  setCartItem,
+  clearCart,
+  holdCartStock,
+  extendCartHold,
+  reserveCartStock,
+  findOpenCartCheckout,
+  sweepCarts
+};
@@ -0,0 +1,128 @@
+const { pool, withTransaction } = require('./pool');
+
+// Catalog rows are { priceId, productId, name, description, currency, unitAmount, active, productActive, created,
+// nickname, priceMetadata, productMetadata, images, currencyOptions, taxCode, recurring }. currencyOptions maps other currencies the
+// price is sold in to their unit amount, e.g. { eur: 1800 }; recurring is { interval, intervalCount } for subscription prices, else null.
+async function upsertCatalogPrice(row, client = pool) {
+  await client.query(
+    `INSERT INTO catalog_prices (price_id, product_id, name, description, currency, unit_amount, active, product_active, created,
+       nickname, price_metadata, product_metadata, images, currency_options, tax_code, recurring, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+     ON CONFLICT (price_id) DO UPDATE SET
+       product_id = EXCLUDED.product_id,
+       name = EXCLUDED.name,
+       description = EXCLUDED.description,
+       currency = EXCLUDED.currency,
+       unit_amount = EXCLUDED.unit_amount,
+       active = EXCLUDED.active,
+       product_active = EXCLUDED.product_active,
+       created = EXCLUDED.created,
+       nickname = EXCLUDED.nickname,
+       price_metadata = EXCLUDED.price_metadata,
+       product_metadata = EXCLUDED.product_metadata,
+       images = EXCLUDED.images,
+       currency_options = EXCLUDED.currency_options,
+       tax_code = EXCLUDED.tax_code,
+       recurring = EXCLUDED.recurring,
+       updated_at = EXCLUDED.updated_at`,
+    [row.priceId, row.productId, row.name, row.description, row.currency, row.unitAmount,
+      row.active, row.productActive, row.created, row.nickname || null, row.priceMetadata || {},
+      row.productMetadata || {}, row.images || [], row.currencyOptions || {}, row.taxCode || null,
+      row.recurring || null, Date.now()]
+  );
+}
+
+// Full sync: `rows` is every active price in Stripe; anything else in the cache is marked inactive
+async function replaceCatalog(rows) {
+  return withTransaction(async (client) => {
+    const now = Date.now();
+    for (const row of rows) await upsertCatalogPrice(row, client);
+    await client.query(
+      'UPDATE catalog_prices SET active = FALSE, updated_at = $1 WHERE active AND NOT (price_id = ANY($2))',
+      [now, rows.map(r => r.priceId)]
+    );
+    await client.query(
+      `INSERT INTO catalog_state (id, synced_at, price_count) VALUES (1, $1, $2)
+       ON CONFLICT (id) DO UPDATE SET synced_at = EXCLUDED.synced_at, price_count = EXCLUDED.price_count`,
+      [now, rows.length]
+    );
+    return now;
+  });
+}
+
+// product.* events: copy the product's details onto all of its prices (missing details are left as they are;
+// taxCode can be null, so it is only left alone when undefined)
+async function updateCatalogProduct({ productId, name = null, description = null, metadata = null, images = null, taxCode, active }, client = pool) {
+  await client.query(
+    `UPDATE catalog_prices SET name = COALESCE($1, name), description = COALESCE($2, description),
+       product_metadata = COALESCE($3, product_metadata), images = COALESCE($4, images), product_active = $5, updated_at = $6,
+       tax_code = CASE WHEN $8 THEN $9 ELSE tax_code END
+     WHERE product_id = $7`,
+    [name, description, metadata, images, active, Date.now(), productId, taxCode !== undefined, taxCode || null]
+  );
+}
+
+async function deactivateCatalogPrice(priceId, client = pool) {
+  await client.query('UPDATE catalog_prices SET active = FALSE, updated_at = $1 WHERE price_id = $2', [Date.now(), priceId]);
+}
+
+// priceId -> { productId, currency, unitAmount, currencyOptions, taxCode, recurring, priceMetadata, productMetadata } for the
+// given prices, from the catalog cache
+async function getCatalogPrices(priceIds) {
+  if (priceIds.length === 0) return {};
+  const res = await pool.query(
+    `SELECT price_id, product_id, currency, unit_amount, currency_options, tax_code, recurring, price_metadata, product_metadata
+     FROM catalog_prices WHERE price_id = ANY($1)`,
+    [priceIds]
+  );
+  const map = {};
+  for (const r of res.rows) {
+    map[r.price_id] = {
+      productId: r.product_id,
+      currency: r.currency,
+      unitAmount: r.unit_amount,
+      currencyOptions: r.currency_options,
+      taxCode: r.tax_code,
+      recurring: r.recurring,
+      priceMetadata: r.price_metadata,
+      productMetadata: r.product_metadata
+    };
+  }
+  return map;
+}
+
+// Prices that can be sold, newest first (Stripe's list order); null if the catalog was never synced
+async function listCatalog() {
+  const state = await pool.query('SELECT synced_at FROM catalog_state WHERE id = 1');
+  if (state.rowCount === 0) return null;
+  const res = await pool.query(
+    `SELECT price_id, product_id, name, description, currency, unit_amount, currency_options, recurring, nickname, price_metadata,
+            product_metadata, images
+     FROM catalog_prices
+     WHERE active AND product_active AND unit_amount IS NOT NULL
+     ORDER BY created DESC NULLS LAST, price_id`
+  );
+  return res.rows.map(r => ({
+    priceId: r.price_id,
+    productId: r.product_id,
+    name: r.name,
+    description: r.description,
+    currency: r.currency,
+    unitAmount: r.unit_amount,
+    currencyOptions: r.currency_options,
+    recurring: r.recurring,
+    nickname: r.nickname,
+    priceMetadata: r.price_metadata,
+    productMetadata: r.product_metadata,
+    images: r.images
+  }));
+}
+
+module.exports = {
+  upsertCatalogPrice,
+  replaceCatalog,
+  updateCatalogProduct,
+  deactivateCatalogPrice,
+  getCatalogPrices,
+  listCatalog
+};
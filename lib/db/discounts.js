@@ -0,0 +1,69 @@
+const { pool } = require('./pool');
+
+function discountFromRow(r) {
+  return {
+    code: r.code,
+    percentOff: r.percent_off,
+    amountOff: r.amount_off,
+    currency: r.currency,
+    expiresAt: r.expires_at == null ? null : Number(r.expires_at),
+    maxRedemptions: r.max_redemptions,
+    redemptions: r.redemptions,
+    productIds: r.product_ids,
+    active: r.active,
+    stripeCouponId: r.stripe_coupon_id,
+    stripePromotionCodeId: r.stripe_promotion_code_id,
+    createdBy: r.created_by,
+    createdAt: Number(r.created_at)
+  };
+}
+
+// Codes are stored upper-cased; lookups are case-insensitive
+async function createDiscountCode(discount) {
+  const res = await pool.query(
+    `INSERT INTO discount_codes (code, percent_off, amount_off, currency, expires_at, max_redemptions, product_ids,
+       stripe_coupon_id, stripe_promotion_code_id, created_by, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *`,
+    [discount.code.toUpperCase(), discount.percentOff, discount.amountOff, discount.currency, discount.expiresAt,
+      discount.maxRedemptions, discount.productIds, discount.stripeCouponId, discount.stripePromotionCodeId,
+      discount.createdBy, Date.now()]
+  );
+  return discountFromRow(res.rows[0]);
+}
+
+async function getDiscountCode(code) {
+  const res = await pool.query('SELECT * FROM discount_codes WHERE code = $1', [String(code).toUpperCase()]);
+  return res.rows[0] ? discountFromRow(res.rows[0]) : null;
+}
+
+async function listDiscountCodes() {
+  const res = await pool.query('SELECT * FROM discount_codes ORDER BY created_at DESC, code');
+  return res.rows.map(discountFromRow);
+}
+
+async function setDiscountCodeActive(code, active) {
+  const res = await pool.query('UPDATE discount_codes SET active = $1 WHERE code = $2 RETURNING *', [active, String(code).toUpperCase()]);
+  return res.rows[0] ? discountFromRow(res.rows[0]) : null;
+}
+
+// Count one use of a code for a completed session; repeat calls for the same session are ignored.
+// Returns true when this call counted the redemption.
+async function redeemDiscountCode(code, sessionId, amountDiscount, client = pool) {
+  const inserted = await client.query(
+    `INSERT INTO discount_redemptions (session_id, code, amount_discount, redeemed_at)
+     SELECT $1, code, $3, $4 FROM discount_codes WHERE code = $2
+     ON CONFLICT (session_id) DO NOTHING`,
+    [sessionId, String(code).toUpperCase(), amountDiscount, Date.now()]
+  );
+  if (inserted.rowCount === 0) return false;
+  await client.query('UPDATE discount_codes SET redemptions = redemptions + 1 WHERE code = $1', [String(code).toUpperCase()]);
+  return true;
+}
+
+module.exports = {
+  createDiscountCode,
+  getDiscountCode,
+  listDiscountCodes,
+  setDiscountCodeActive,
+  redeemDiscountCode
+};
@@ -0,0 +1,100 @@
+const { pool } = require('./pool');
+
+// Queue an email; it is rendered from its template when sent (lib/notifications.js).
+// A repeated dedupeKey is ignored, so replayed events do not send twice. Returns true if queued.
+async function enqueueEmail({ template, recipient, data, dedupeKey = null }, client = pool) {
+  const now = Date.now();
+  const res = await client.query(
+    `INSERT INTO email_outbox (template, recipient, data, dedupe_key, next_attempt_at, created_at)
+     VALUES ($1, $2, $3, $4, $5, $5) ON CONFLICT (dedupe_key) DO NOTHING`,
+    [template, recipient, data, dedupeKey, now]
+  );
+  return res.rowCount > 0;
+}
+
+function emailFromRow(r) {
+  return {
+    id: Number(r.id),
+    template: r.template,
+    recipient: r.recipient,
+    data: r.data,
+    status: r.status,
+    attempts: r.attempts,
+    nextAttemptAt: Number(r.next_attempt_at),
+    lastError: r.last_error,
+    createdAt: Number(r.created_at),
+    sentAt: r.sent_at == null ? null : Number(r.sent_at)
+  };
+}
+
+// Take up to `limit` due emails and count an attempt on each. They are held for leaseMs, so
+// other instances skip them and a crash mid-send only delays the retry.
+async function claimDueEmails(limit, leaseMs) {
+  const now = Date.now();
+  const res = await pool.query(
+    `UPDATE email_outbox SET attempts = attempts + 1, next_attempt_at = $1
+     WHERE id IN (
+       SELECT id FROM email_outbox WHERE status = 'pending' AND next_attempt_at <= $2
+       ORDER BY next_attempt_at, id LIMIT $3 FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [now + leaseMs, now, limit]
+  );
+  return res.rows.map(emailFromRow).sort((a, b) => a.id - b.id);
+}
+
+async function markEmailSent(id) {
+  await pool.query(`UPDATE email_outbox SET status = 'sent', sent_at = $1, last_error = NULL WHERE id = $2`, [Date.now(), id]);
+}
+
+// retryAt null gives up on the email
+async function markEmailFailed(id, error, retryAt) {
+  await pool.query(
+    'UPDATE email_outbox SET status = $1, last_error = $2, next_attempt_at = COALESCE($3, next_attempt_at) WHERE id = $4',
+    [retryAt == null ? 'failed' : 'pending', error, retryAt, id]
+  );
+}
+
+async function listEmails({ status, limit = 50 } = {}) {
+  const res = await pool.query(
+    'SELECT * FROM email_outbox WHERE ($1::text IS NULL OR status = $1) ORDER BY id DESC LIMIT $2',
+    [status || null, limit]
+  );
+  return res.rows.map(emailFromRow);
+}
+
+// Edited templates; names without a row use the defaults in lib/notifications.js
+async function getEmailTemplates() {
+  const res = await pool.query('SELECT * FROM email_templates');
+  const map = {};
+  for (const r of res.rows) {
+    map[r.name] = { subject: r.subject, body: r.body, updatedBy: r.updated_by, updatedAt: Number(r.updated_at) };
+  }
+  return map;
+}
+
+async function saveEmailTemplate(name, { subject, body }, actor = 'admin') {
+  await pool.query(
+    `INSERT INTO email_templates (name, subject, body, updated_by, updated_at) VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (name) DO UPDATE SET subject = EXCLUDED.subject, body = EXCLUDED.body,
+       updated_by = EXCLUDED.updated_by, updated_at = EXCLUDED.updated_at`,
+    [name, subject, body, actor, Date.now()]
+  );
+}
+
+// Back to the default; returns false if the template had not been edited
+async function deleteEmailTemplate(name) {
+  const res = await pool.query('DELETE FROM email_templates WHERE name = $1', [name]);
+  return res.rowCount > 0;
+}
+
+module.exports = {
+  enqueueEmail,
+  claimDueEmails,
+  markEmailSent,
+  markEmailFailed,
+  listEmails,
+  getEmailTemplates,
+  saveEmailTemplate,
+  deleteEmailTemplate
+};
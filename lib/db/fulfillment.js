@@ -0,0 +1,104 @@
+const { pool, withTransaction } = require('./pool');
+const { getOrderById, orderFromRow, orderItemsFor } = require('./orders');
+
+// Where a paid order's goods are: orders start unfulfilled, and cancelled or delivered is the end of the road
+const FULFILLMENT_TRANSITIONS = {
+  unfulfilled: ['packed', 'cancelled'],
+  packed: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+// Orders whose money is in (some of it, after a partial refund) and that can therefore be packed and sent
+const FULFILLABLE_STATUSES = ['paid', 'partially_refunded'];
+
+function fulfillmentError(code, message, fields = {}) {
+  const err = new Error(message);
+  err.code = code;
+  return Object.assign(err, fields);
+}
+
+// Move an order along FULFILLMENT_TRANSITIONS and/or set its carrier and tracking number, logging the
+// change in fulfillment_events under `actor`. status, carrier and trackingNumber left undefined stay as
+// they are (null clears the carrier or tracking number). When expectedStatus is given the change is
+// refused with FULFILLMENT_CONFLICT unless the order is still in it.
+// Throws ORDER_NOT_FOUND, FULFILLMENT_CONFLICT, INVALID_FULFILLMENT_TRANSITION or ORDER_NOT_PAID.
+// Resolves to { order, changed }
+async function updateFulfillment({ orderId, status, carrier, trackingNumber, expectedStatus, actor }) {
+  return withTransaction(async (client) => {
+    const cur = await client.query(
+      'SELECT status, fulfillment_status, carrier, tracking_number FROM orders WHERE id = $1 FOR UPDATE',
+      [orderId]
+    );
+    if (cur.rowCount === 0) throw fulfillmentError('ORDER_NOT_FOUND', `No order ${orderId}`);
+    const row = cur.rows[0];
+    const from = row.fulfillment_status;
+    if (expectedStatus != null && expectedStatus !== from) {
+      throw fulfillmentError('FULFILLMENT_CONFLICT', `Order ${orderId} is ${from}, expected ${expectedStatus}`, { currentStatus: from });
+    }
+    const to = status === undefined ? from : status;
+    if (to !== from) {
+      if (!FULFILLMENT_TRANSITIONS[from].includes(to)) {
+        throw fulfillmentError('INVALID_FULFILLMENT_TRANSITION', `Order ${orderId} cannot go from ${from} to ${to}`, { currentStatus: from });
+      }
+      if (to !== 'cancelled' && !FULFILLABLE_STATUSES.includes(row.status)) {
+        throw fulfillmentError('ORDER_NOT_PAID', `Order ${orderId} is ${row.status} and cannot be fulfilled`);
+      }
+    }
+    const nextCarrier = carrier === undefined ? row.carrier : carrier;
+    const nextTracking = trackingNumber === undefined ? row.tracking_number : trackingNumber;
+    const changed = to !== from || nextCarrier !== row.carrier || nextTracking !== row.tracking_number;
+    if (changed) {
+      const now = Date.now();
+      await client.query(
+        'UPDATE orders SET fulfillment_status = $1, carrier = $2, tracking_number = $3, fulfillment_updated_at = $4, updated_at = $4 WHERE id = $5',
+        [to, nextCarrier, nextTracking, now, orderId]
+      );
+      await client.query(
+        `INSERT INTO fulfillment_events (order_id, from_status, to_status, carrier, tracking_number, actor, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [orderId, from, to, nextCarrier, nextTracking, actor, now]
+      );
+    }
+    return { order: await getOrderById(orderId, client), changed };
+  });
+}
+
+// An order's fulfillment log, oldest first: [{ id, fromStatus, toStatus, carrier, trackingNumber, actor, createdAt }]
+async function listFulfillmentEvents(orderId) {
+  const res = await pool.query(
+    'SELECT id, from_status, to_status, carrier, tracking_number, actor, created_at FROM fulfillment_events WHERE order_id = $1 ORDER BY id',
+    [orderId]
+  );
+  return res.rows.map(r => ({
+    id: Number(r.id),
+    fromStatus: r.from_status,
+    toStatus: r.to_status,
+    carrier: r.carrier,
+    trackingNumber: r.tracking_number,
+    actor: r.actor,
+    createdAt: Number(r.created_at)
+  }));
+}
+
+// The "to fulfil" queue: paid orders in one of `fulfillmentStatuses`, oldest first so nothing waits
+// forever. Resolves to { orders, total } like listOrders
+async function listFulfillmentQueue({ fulfillmentStatuses = ['unfulfilled', 'packed'], limit = 50, offset = 0 } = {}) {
+  const where = 'WHERE status = ANY($1) AND fulfillment_status = ANY($2)';
+  const params = [FULFILLABLE_STATUSES, fulfillmentStatuses];
+  const count = await pool.query(`SELECT COUNT(*) AS total FROM orders ${where}`, params);
+  const rows = await pool.query(
+    `SELECT * FROM orders ${where} ORDER BY created_at, id LIMIT $3 OFFSET $4`,
+    [...params, limit, offset]
+  );
+  const itemsByOrder = await orderItemsFor(rows.rows.map(r => r.id));
+  const orders = rows.rows.map(r => orderFromRow(r, itemsByOrder[r.id] || []));
+  return { orders, total: Number(count.rows[0].total) || 0 };
+}
+
+module.exports = {
+  FULFILLMENT_TRANSITIONS,
+  updateFulfillment,
+  listFulfillmentEvents,
+  listFulfillmentQueue
+};
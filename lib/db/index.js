@@ -0,0 +1,199 @@
+// Every query the app runs, grouped by area in this directory. Callers require('./db') and use what is
+// exported here; the area modules only share the helpers they need with each other.
+const { pool, withTransaction } = require('./pool');
+const { ensureInit, initSchema } = require('./schema');
+const {
+  getStocksMap,
+  getInventoryLimits,
+  MOVEMENT_REASONS,
+  recordMovement,
+  adjustInventory,
+  upsertInventory,
+  importInventory,
+  listInventory,
+  listInventoryMovements,
+  joinWaitlist,
+  listenForStockChanges
+} = require('./inventory');
+const {
+  reserveStock,
+  releaseReservation,
+  commitReservationBySession,
+  setReservationStatusBySession,
+  setReservationStatusByPaymentIntent,
+  linkReservationToSession,
+  linkReservationsToPaymentIntent,
+  findReservationIdBySession,
+  getReservationStatusesBySession,
+  sweepExpiredReservations
+} = require('./reservations');
+const {
+  createCart,
+  findCartByToken,
+  getCartById,
+  getCartLines,
+  setCartItem,
+  clearCart,
+  holdCartStock,
+  extendCartHold,
+  reserveCartStock,
+  findOpenCartCheckout,
+  sweepCarts
+} = require('./carts');
+const {
+  saveOrder,
+  setOrderStatusBySession,
+  recordOrderRefund,
+  recordOrderDispute,
+  restockOrderItems,
+  listOrders,
+  getOrderBySession,
+  getOrderById
+} = require('./orders');
+const { FULFILLMENT_TRANSITIONS, updateFulfillment, listFulfillmentEvents, listFulfillmentQueue } = require('./fulfillment');
+const { salesByPeriod, unitsSoldByPrice, checkoutOutcomes, stockLevelsBetween } = require('./reports');
+const { saveSubscription, setSubscriptionInvoiceStatus, listSubscriptions, shipSubscriptionRenewal } = require('./subscriptions');
+const { recordWebhookEvent, lockWebhookEvent, markWebhookEventProcessed, markWebhookEventFailed } = require('./webhook-events');
+const { rateLimit, pruneRateLimits } = require('./rate-limits');
+const {
+  upsertCatalogPrice,
+  replaceCatalog,
+  updateCatalogProduct,
+  deactivateCatalogPrice,
+  listCatalog,
+  getCatalogPrices
+} = require('./catalog');
+const {
+  createDiscountCode,
+  getDiscountCode,
+  listDiscountCodes,
+  setDiscountCodeActive,
+  redeemDiscountCode
+} = require('./discounts');
+const {
+  listShippingZones,
+  findShippingZoneByCountry,
+  listShippingCountries,
+  saveShippingZone,
+  deleteShippingZone
+} = require('./shipping');
+const { createTaxRate, getTaxRate, findTaxRate, listTaxRates, listTaxCountries, deleteTaxRate } = require('./tax-rates');
+const {
+  enqueueEmail,
+  claimDueEmails,
+  markEmailSent,
+  markEmailFailed,
+  listEmails,
+  getEmailTemplates,
+  saveEmailTemplate,
+  deleteEmailTemplate
+} = require('./emails');
+const {
+  saveAdminUser,
+  getAdminUser,
+  deleteAdminUser,
+  createAdminSession,
+  findAdminSession,
+  deleteAdminSession
+} = require('./admin');
+
+module.exports = {
+  pool,
+  ensureInit,
+  initSchema,
+  withTransaction,
+  getStocksMap,
+  getInventoryLimits,
+  MOVEMENT_REASONS,
+  recordMovement,
+  adjustInventory,
+  upsertInventory,
+  importInventory,
+  listInventory,
+  listInventoryMovements,
+  joinWaitlist,
+  reserveStock,
+  createCart,
+  findCartByToken,
+  getCartById,
+  getCartLines,
+  setCartItem,
+  clearCart,
+  holdCartStock,
+  extendCartHold,
+  reserveCartStock,
+  findOpenCartCheckout,
+  sweepCarts,
+  listenForStockChanges,
+  releaseReservation,
+  commitReservationBySession,
+  setReservationStatusBySession,
+  setReservationStatusByPaymentIntent,
+  linkReservationToSession,
+  linkReservationsToPaymentIntent,
+  findReservationIdBySession,
+  getReservationStatusesBySession,
+  sweepExpiredReservations,
+  saveOrder,
+  setOrderStatusBySession,
+  recordOrderRefund,
+  recordOrderDispute,
+  restockOrderItems,
+  listOrders,
+  FULFILLMENT_TRANSITIONS,
+  updateFulfillment,
+  listFulfillmentEvents,
+  listFulfillmentQueue,
+  salesByPeriod,
+  unitsSoldByPrice,
+  checkoutOutcomes,
+  stockLevelsBetween,
+  getOrderBySession,
+  getOrderById,
+  saveSubscription,
+  setSubscriptionInvoiceStatus,
+  listSubscriptions,
+  shipSubscriptionRenewal,
+  recordWebhookEvent,
+  lockWebhookEvent,
+  markWebhookEventProcessed,
+  markWebhookEventFailed,
+  rateLimit,
+  pruneRateLimits,
+  upsertCatalogPrice,
+  replaceCatalog,
+  updateCatalogProduct,
+  deactivateCatalogPrice,
+  listCatalog,
+  getCatalogPrices,
+  createDiscountCode,
+  getDiscountCode,
+  listDiscountCodes,
+  setDiscountCodeActive,
+  redeemDiscountCode,
+  listShippingZones,
+  findShippingZoneByCountry,
+  listShippingCountries,
+  saveShippingZone,
+  deleteShippingZone,
+  createTaxRate,
+  getTaxRate,
+  findTaxRate,
+  listTaxRates,
+  listTaxCountries,
+  deleteTaxRate,
+  enqueueEmail,
+  claimDueEmails,
+  markEmailSent,
+  markEmailFailed,
+  listEmails,
+  getEmailTemplates,
+  saveEmailTemplate,
+  deleteEmailTemplate,
+  saveAdminUser,
+  getAdminUser,
+  deleteAdminUser,
+  createAdminSession,
+  findAdminSession,
+  deleteAdminSession
+};
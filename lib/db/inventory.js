@@ -0,0 +1,272 @@
+const { Client } = require('pg');
+const { adminEmails } = require('../config');
+const { pool, connectionOptions, withTransaction } = require('./pool');
+const { enqueueEmail } = require('./emails');
+
+// NOTIFY channel carrying { priceId, stock } for every stock change, sent when its transaction commits
+const STOCK_CHANNEL = 'stock_changes';
+
+async function getStocksMap(priceIds) {
+  if (!priceIds || priceIds.length === 0) return {};
+  const res = await pool.query('SELECT price_id, stock FROM inventory WHERE price_id = ANY($1)', [priceIds]);
+  const map = {};
+  for (const row of res.rows) map[row.price_id] = Number(row.stock) || 0;
+  return map;
+}
+
+// { [priceId]: { stock, maxPerOrder, stockPolicy, backorderLimit, expectedShipDate } }; maxPerOrder is null
+// when the price has no per-order cap. See lib/backorders.js for the stock policies.
+async function getInventoryLimits(priceIds) {
+  if (!priceIds || priceIds.length === 0) return {};
+  const res = await pool.query(
+    'SELECT price_id, stock, max_per_order, stock_policy, backorder_limit, expected_ship_date FROM inventory WHERE price_id = ANY($1)',
+    [priceIds]
+  );
+  const map = {};
+  for (const row of res.rows) {
+    map[row.price_id] = {
+      stock: Number(row.stock) || 0,
+      maxPerOrder: row.max_per_order == null ? null : Number(row.max_per_order),
+      stockPolicy: row.stock_policy,
+      backorderLimit: row.backorder_limit,
+      expectedShipDate: row.expected_ship_date
+    };
+  }
+  return map;
+}
+
+// Why stock changed. 'sale' is recorded with delta 0: the units already left at 'reservation'.
+// 'subscription_renewal' is what each paid renewal of a physical subscription ships.
+const MOVEMENT_REASONS = ['admin_set', 'restock', 'reservation', 'release', 'sale', 'refund', 'subscription_renewal'];
+
+// Append a row to the inventory_movements audit log; rows are never updated or deleted
+async function recordMovement(client, { priceId, delta, stockAfter, reason, actor = 'system', reference = null }) {
+  if (!MOVEMENT_REASONS.includes(reason)) throw new Error(`Unknown inventory movement reason: ${reason}`);
+  await client.query(
+    'INSERT INTO inventory_movements (price_id, delta, stock_after, reason, actor, reference, created_at) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+    [priceId, delta, stockAfter, reason, actor, reference, Date.now()]
+  );
+  if (delta !== 0) {
+    await trackLowStock(client, priceId);
+    if (stockAfter != null) await client.query('SELECT pg_notify($1, $2)', [STOCK_CHANNEL, JSON.stringify({ priceId, stock: Number(stockAfter) })]);
+  }
+}
+
+// Every stock change passes through recordMovement, so this sees each time stock crosses the
+// price's low_stock_threshold. Dropping below it queues one admin_low_stock email per address in
+// ADMIN_EMAILS; climbing back to the threshold re-arms the alert.
+async function trackLowStock(client, priceId) {
+  const res = await client.query(
+    `UPDATE inventory SET low_stock_alerted = (stock < low_stock_threshold)
+     WHERE price_id = $1 AND low_stock_threshold IS NOT NULL AND low_stock_alerted <> (stock < low_stock_threshold)
+     RETURNING stock, low_stock_threshold, low_stock_alerted`,
+    [priceId]
+  );
+  if (res.rowCount === 0 || !res.rows[0].low_stock_alerted) return;
+  const name = await client.query('SELECT name FROM catalog_prices WHERE price_id = $1', [priceId]);
+  const data = {
+    priceId,
+    name: name.rows[0] ? name.rows[0].name : priceId,
+    stock: res.rows[0].stock,
+    threshold: res.rows[0].low_stock_threshold
+  };
+  for (const recipient of adminEmails) {
+    await enqueueEmail({ template: 'admin_low_stock', recipient, data }, client);
+  }
+}
+
+// Units of a price that can still be sold, in SQL: stock on hand, plus what its policy allows past zero.
+// Mirrors sellableUnits() in lib/backorders.js.
+const SELLABLE_SQL = `CASE WHEN i.stock_policy = 'deny' THEN GREATEST(i.stock, 0)
+  WHEN i.backorder_limit IS NULL THEN NULL ELSE GREATEST(i.stock + i.backorder_limit, 0) END`;
+
+// How many of $1 units just taken out of stock will not ship from stock on hand, for the RETURNING clause
+// of the UPDATE that took them (so `stock` is already lowered): all of a pre-order, those past zero for a backorder
+const BACKORDERED_SQL = `CASE stock_policy WHEN 'preorder' THEN $1 WHEN 'backorder' THEN GREATEST($1 - GREATEST(stock + $1, 0), 0) ELSE 0 END`;
+
+// Queue one back_in_stock email per waitlist entry once the price can be bought again. Each
+// entry is notified once; joining again afterwards waits for the next restock.
+async function notifyWaitlist(client, priceId) {
+  const res = await client.query(
+    `UPDATE waitlist w SET notified_at = $2 FROM inventory i
+     WHERE w.price_id = $1 AND w.notified_at IS NULL AND i.price_id = w.price_id AND COALESCE(${SELLABLE_SQL}, 1) > 0
+     RETURNING w.email`,
+    [priceId, Date.now()]
+  );
+  if (res.rowCount === 0) return;
+  const name = await client.query('SELECT name FROM catalog_prices WHERE price_id = $1', [priceId]);
+  const data = { priceId, name: name.rows[0] ? name.rows[0].name : priceId };
+  for (const row of res.rows) {
+    await enqueueEmail({ template: 'back_in_stock', recipient: row.email, data }, client);
+  }
+}
+
+// Add a shopper to a price's waitlist; joining again after being notified waits for the next restock
+async function joinWaitlist(priceId, email) {
+  await pool.query(
+    `INSERT INTO waitlist (price_id, email, created_at) VALUES ($1, $2, $3)
+     ON CONFLICT (price_id, email) DO UPDATE SET notified_at = NULL, created_at = EXCLUDED.created_at
+     WHERE waitlist.notified_at IS NOT NULL`,
+    [priceId, email, Date.now()]
+  );
+}
+
+function stockConflictError(priceId, expected, current) {
+  const err = new Error(`Stock for ${priceId} is ${current}, expected ${expected}`);
+  err.code = 'STOCK_CONFLICT';
+  err.priceId = priceId;
+  err.currentStock = current;
+  return err;
+}
+
+// Change one price's stock and log the movement. Pass either `stock` (absolute, reason admin_set)
+// or `delta` (relative; restock when positive). When expectedStock is given the change is refused
+// with a STOCK_CONFLICT error unless the current stock still matches it.
+// maxPerOrder: positive integer to set the cap, null to clear it, undefined to leave it unchanged
+// lowStockThreshold: the same, for the stock level below which admins get an email
+// stockPolicy, backorderLimit, expectedShipDate: what happens once stock runs out (see lib/backorders.js);
+// undefined leaves them unchanged. Stock already below zero from backorders may be raised, but not lowered,
+// and the price cannot go back to 'deny' until those backorders are restocked.
+// A change that makes the price sellable again emails its waitlist.
+// Returns { previousStock, stock }
+async function adjustInventory({ priceId, stock, delta, expectedStock, maxPerOrder, lowStockThreshold, stockPolicy, backorderLimit, expectedShipDate, actor = 'admin', reason, reference = null }, client) {
+  return withTransaction(async (client) => {
+    await client.query('INSERT INTO inventory (price_id, stock) VALUES ($1, 0) ON CONFLICT (price_id) DO NOTHING', [priceId]);
+    const cur = await client.query('SELECT stock FROM inventory WHERE price_id = $1 FOR UPDATE', [priceId]);
+    const previousStock = Number(cur.rows[0].stock) || 0;
+    if (expectedStock != null && expectedStock !== previousStock) {
+      throw stockConflictError(priceId, expectedStock, previousStock);
+    }
+    const next = stock != null ? Math.floor(stock) : previousStock + Math.trunc(delta || 0);
+    if (next < 0 && next < previousStock) {
+      const err = new Error(`Stock for ${priceId} cannot go below zero (currently ${previousStock})`);
+      err.code = 'NEGATIVE_STOCK';
+      throw err;
+    }
+    if (stockPolicy === 'deny' && next < 0) {
+      const err = new Error(`${priceId} has ${-next} units on backorder; restock them before it stops selling past zero`);
+      err.code = 'NEGATIVE_STOCK';
+      throw err;
+    }
+    if (maxPerOrder === undefined) {
+      await client.query('UPDATE inventory SET stock = $1 WHERE price_id = $2', [next, priceId]);
+    } else {
+      await client.query('UPDATE inventory SET stock = $1, max_per_order = $2 WHERE price_id = $3', [next, maxPerOrder, priceId]);
+    }
+    if (lowStockThreshold !== undefined) {
+      await client.query('UPDATE inventory SET low_stock_threshold = $1 WHERE price_id = $2', [lowStockThreshold, priceId]);
+      // A new threshold may already be crossed
+      await trackLowStock(client, priceId);
+    }
+    const policy = { stock_policy: stockPolicy, backorder_limit: backorderLimit, expected_ship_date: expectedShipDate };
+    for (const [column, value] of Object.entries(policy)) {
+      if (value !== undefined) await client.query(`UPDATE inventory SET ${column} = $1 WHERE price_id = $2`, [value, priceId]);
+    }
+    if (next !== previousStock) {
+      const change = next - previousStock;
+      await recordMovement(client, {
+        priceId,
+        delta: change,
+        stockAfter: next,
+        reason: reason || (stock == null && change > 0 ? 'restock' : 'admin_set'),
+        actor,
+        reference
+      });
+    }
+    if (next > previousStock || stockPolicy !== undefined || backorderLimit !== undefined) await notifyWaitlist(client, priceId);
+    return { previousStock, stock: next };
+  }, client);
+}
+
+// Set stock for many prices at once ([{ priceId, stock }]); all rows apply or none do.
+// Returns [{ priceId, previousStock, stock }] in the order given
+async function importInventory(rows, actor = 'admin') {
+  return withTransaction(async (client) => {
+    const results = [];
+    // Lock in a fixed order so two imports cannot deadlock each other
+    for (const row of [...rows].sort((a, b) => (a.priceId < b.priceId ? -1 : a.priceId > b.priceId ? 1 : 0))) {
+      const result = await adjustInventory({ priceId: row.priceId, stock: row.stock, actor, reference: 'import' }, client);
+      results.push(Object.assign({ priceId: row.priceId }, result));
+    }
+    const byId = Object.fromEntries(results.map(r => [r.priceId, r]));
+    return rows.map(r => byId[r.priceId]);
+  });
+}
+
+async function upsertInventory(priceId, stock, maxPerOrder, actor = 'admin') {
+  await adjustInventory({ priceId, stock, maxPerOrder, actor });
+}
+
+// LISTEN for stock changes on a connection of its own, since LISTEN ties it up. onChange gets
+// { priceId, stock } once each change commits; onError gets connection errors, after which no more
+// changes arrive. Resolves to { close }.
+async function listenForStockChanges(onChange, onError) {
+  const client = new Client(connectionOptions);
+  client.on('notification', (msg) => {
+    if (msg.channel === STOCK_CHANNEL) onChange(JSON.parse(msg.payload));
+  });
+  client.on('error', onError);
+  try {
+    await client.connect();
+    await client.query(`LISTEN ${STOCK_CHANNEL}`);
+  } catch (err) {
+    await client.end().catch(() => {});
+    throw err;
+  }
+  return { close: () => client.end().catch(() => {}) };
+}
+
+// Every inventory row, for the admin page: [{ priceId, stock, maxPerOrder, lowStockThreshold, stockPolicy,
+// backorderLimit, expectedShipDate, waitlist }], where waitlist counts the shoppers still waiting
+async function listInventory() {
+  const res = await pool.query(
+    `SELECT i.price_id, i.stock, i.max_per_order, i.low_stock_threshold, i.stock_policy, i.backorder_limit, i.expected_ship_date,
+            (SELECT COUNT(*) FROM waitlist w WHERE w.price_id = i.price_id AND w.notified_at IS NULL)::int AS waitlist
+     FROM inventory i ORDER BY i.price_id`
+  );
+  return res.rows.map(r => ({
+    priceId: r.price_id,
+    stock: r.stock,
+    maxPerOrder: r.max_per_order,
+    lowStockThreshold: r.low_stock_threshold,
+    stockPolicy: r.stock_policy,
+    backorderLimit: r.backorder_limit,
+    expectedShipDate: r.expected_ship_date,
+    waitlist: r.waitlist
+  }));
+}
+
+// Newest first; pass beforeId (the last id seen) to page back through older movements
+async function listInventoryMovements(priceId, { limit = 50, beforeId = null } = {}) {
+  const res = await pool.query(
+    `SELECT id, price_id, delta, stock_after, reason, actor, reference, created_at FROM inventory_movements
+     WHERE price_id = $1 AND ($2::bigint IS NULL OR id < $2) ORDER BY id DESC LIMIT $3`,
+    [priceId, beforeId, limit]
+  );
+  return res.rows.map(r => ({
+    id: Number(r.id),
+    priceId: r.price_id,
+    delta: r.delta,
+    stockAfter: r.stock_after,
+    reason: r.reason,
+    actor: r.actor,
+    reference: r.reference,
+    createdAt: Number(r.created_at)
+  }));
+}
+
+module.exports = {
+  getStocksMap,
+  getInventoryLimits,
+  MOVEMENT_REASONS,
+  recordMovement,
+  SELLABLE_SQL,
+  BACKORDERED_SQL,
+  joinWaitlist,
+  adjustInventory,
+  importInventory,
+  upsertInventory,
+  listenForStockChanges,
+  listInventory,
+  listInventoryMovements
+};
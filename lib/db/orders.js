@@ -0,0 +1,264 @@
+const { pool, withTransaction } = require('./pool');
+const { recordMovement } = require('./inventory');
+
+// Insert or refresh the order for a Checkout Session and its line items (restock counts are kept)
+// order: { sessionId, reservationId, paymentIntentId, customerEmail, customerName, currency, amountSubtotal, amountTotal, paymentStatus, status }
+// items: [{ lineItemId, priceId, productId, description, quantity, currency, amountSubtotal, amountTotal }]
+async function saveOrder(order, items, client) {
+  return withTransaction(async (db) => {
+    const now = Date.now();
+    const saved = await db.query(
+      `INSERT INTO orders (session_id, reservation_id, payment_intent_id, customer_email, customer_name, currency, amount_subtotal, amount_total, payment_status, status, created_at, updated_at, discount_code, amount_discount,
+         shipping_name, shipping_address, shipping_rate_name, stripe_shipping_rate_id, amount_shipping, amount_tax, subscription_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
+       ON CONFLICT (session_id) DO UPDATE SET
+         reservation_id = EXCLUDED.reservation_id,
+         payment_intent_id = EXCLUDED.payment_intent_id,
+         customer_email = EXCLUDED.customer_email,
+         customer_name = EXCLUDED.customer_name,
+         currency = EXCLUDED.currency,
+         amount_subtotal = EXCLUDED.amount_subtotal,
+         amount_total = EXCLUDED.amount_total,
+         payment_status = EXCLUDED.payment_status,
+         status = EXCLUDED.status,
+         updated_at = EXCLUDED.updated_at,
+         discount_code = EXCLUDED.discount_code,
+         amount_discount = EXCLUDED.amount_discount,
+         shipping_name = EXCLUDED.shipping_name,
+         shipping_address = EXCLUDED.shipping_address,
+         shipping_rate_name = EXCLUDED.shipping_rate_name,
+         stripe_shipping_rate_id = EXCLUDED.stripe_shipping_rate_id,
+         amount_shipping = EXCLUDED.amount_shipping,
+         amount_tax = EXCLUDED.amount_tax,
+         subscription_id = EXCLUDED.subscription_id
+       RETURNING id`,
+      [order.sessionId, order.reservationId, order.paymentIntentId, order.customerEmail, order.customerName,
+        order.currency, order.amountSubtotal, order.amountTotal, order.paymentStatus, order.status, now,
+        order.discountCode || null, order.amountDiscount || 0, order.shippingName || null, order.shippingAddress || null,
+        order.shippingRateName || null, order.stripeShippingRateId || null, order.amountShipping || 0, order.amountTax || 0,
+        order.subscriptionId || null]
+    );
+    const orderId = Number(saved.rows[0].id);
+    await db.query('DELETE FROM order_items WHERE order_id = $1 AND NOT (line_item_id = ANY($2))', [orderId, items.map(i => i.lineItemId)]);
+    for (const item of items) {
+      await db.query(
+        `INSERT INTO order_items (order_id, line_item_id, price_id, product_id, description, quantity, currency, amount_subtotal, amount_total)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         ON CONFLICT (order_id, line_item_id) DO UPDATE SET
+           price_id = EXCLUDED.price_id,
+           product_id = EXCLUDED.product_id,
+           description = EXCLUDED.description,
+           quantity = EXCLUDED.quantity,
+           currency = EXCLUDED.currency,
+           amount_subtotal = EXCLUDED.amount_subtotal,
+           amount_total = EXCLUDED.amount_total`,
+        [orderId, item.lineItemId, item.priceId, item.productId, item.description, item.quantity,
+          item.currency, item.amountSubtotal, item.amountTotal]
+      );
+    }
+    if (order.reservationId) {
+      // Units the checkout sold on backorder or pre-order, so whoever packs the order knows to wait for them
+      await db.query(
+        `UPDATE order_items oi SET backordered = LEAST(r.backordered, oi.quantity) FROM reservations r
+         WHERE oi.order_id = $1 AND r.reservation_id = $2 AND r.price_id = oi.price_id`,
+        [orderId, order.reservationId]
+      );
+    }
+    return orderId;
+  }, client);
+}
+
+async function setOrderStatusBySession(sessionId, status, client = pool) {
+  await client.query('UPDATE orders SET status = $1, updated_at = $2 WHERE session_id = $3', [status, Date.now(), sessionId]);
+}
+
+// charge.refunded: amountRefunded is the charge's running total, so partial refunds add up.
+// A disputed order keeps that status, whichever event arrives first.
+async function recordOrderRefund(paymentIntentId, amountRefunded, status, client = pool) {
+  const res = await client.query(
+    `UPDATE orders SET amount_refunded = $1, status = CASE WHEN status = 'disputed' THEN status ELSE $2 END, updated_at = $3
+     WHERE payment_intent_id = $4 RETURNING id`,
+    [amountRefunded, status, Date.now(), paymentIntentId]
+  );
+  return res.rows[0] ? Number(res.rows[0].id) : null;
+}
+
+async function recordOrderDispute(paymentIntentId, disputeStatus, client = pool) {
+  const res = await client.query(
+    'UPDATE orders SET dispute_status = $1, status = $2, updated_at = $3 WHERE payment_intent_id = $4 RETURNING id',
+    [disputeStatus, 'disputed', Date.now(), paymentIntentId]
+  );
+  return res.rows[0] ? Number(res.rows[0].id) : null;
+}
+
+function restockError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// Put refunded units back into stock: items [{ priceId, quantity }] from a refunded order.
+// Each unit can be restocked once. After a partial refund, the units restocked so far
+// (valued at their line's price) must be covered by the amount refunded.
+// Returns [{ priceId, quantity, stock }]
+async function restockOrderItems(orderId, items, actor = 'admin') {
+  return withTransaction(async (client) => {
+    const order = await client.query('SELECT id, amount_total, amount_refunded FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+    if (order.rowCount === 0) throw restockError('ORDER_NOT_FOUND', `No order ${orderId}`);
+    const refunded = Number(order.rows[0].amount_refunded);
+    if (!(refunded > 0)) {
+      throw restockError('ORDER_NOT_REFUNDED', `Order ${orderId} has no refund to restock`);
+    }
+    const fullyRefunded = refunded >= Number(order.rows[0].amount_total);
+    const before = await client.query(
+      'SELECT COALESCE(SUM(restocked_quantity * amount_total::numeric / quantity), 0) AS value FROM order_items WHERE order_id = $1 AND quantity > 0',
+      [orderId]
+    );
+    let restockedValue = Number(before.rows[0].value);
+    const restocked = [];
+    for (const item of items) {
+      const lines = await client.query(
+        'SELECT line_item_id, quantity, restocked_quantity, amount_total FROM order_items WHERE order_id = $1 AND price_id = $2 ORDER BY line_item_id FOR UPDATE',
+        [orderId, item.priceId]
+      );
+      const restockable = lines.rows.reduce((sum, l) => sum + l.quantity - l.restocked_quantity, 0);
+      if (item.quantity > restockable) {
+        throw restockError('RESTOCK_TOO_MANY', `Only ${restockable} of ${item.priceId} can be restocked for order ${orderId}`);
+      }
+      let remaining = item.quantity;
+      const takes = [];
+      for (const line of lines.rows) {
+        const take = Math.min(remaining, line.quantity - line.restocked_quantity);
+        if (take <= 0) continue;
+        takes.push([line, take]);
+        restockedValue += take * Number(line.amount_total) / line.quantity;
+        remaining -= take;
+      }
+      if (!fullyRefunded && Math.round(restockedValue) > refunded) {
+        throw restockError('RESTOCK_TOO_MANY', `The ${refunded} refunded on order ${orderId} does not cover restocking ${item.quantity} more of ${item.priceId}`);
+      }
+      for (const [line, take] of takes) {
+        await client.query(
+          'UPDATE order_items SET restocked_quantity = restocked_quantity + $1 WHERE order_id = $2 AND line_item_id = $3',
+          [take, orderId, line.line_item_id]
+        );
+      }
+      const updated = await client.query(
+        `INSERT INTO inventory (price_id, stock) VALUES ($1, $2)
+         ON CONFLICT (price_id) DO UPDATE SET stock = inventory.stock + EXCLUDED.stock RETURNING stock`,
+        [item.priceId, item.quantity]
+      );
+      const stock = updated.rows[0].stock;
+      await recordMovement(client, { priceId: item.priceId, delta: item.quantity, stockAfter: stock, reason: 'refund', actor, reference: `order:${orderId}` });
+      restocked.push({ priceId: item.priceId, quantity: item.quantity, stock });
+    }
+    return restocked;
+  });
+}
+
+// order id -> its line items
+async function orderItemsFor(orderIds, client = pool) {
+  const itemsByOrder = {};
+  if (orderIds.length === 0) return itemsByOrder;
+  const items = await client.query('SELECT * FROM order_items WHERE order_id = ANY($1) ORDER BY line_item_id', [orderIds]);
+  for (const item of items.rows) {
+    (itemsByOrder[item.order_id] = itemsByOrder[item.order_id] || []).push({
+      priceId: item.price_id,
+      productId: item.product_id,
+      description: item.description,
+      quantity: item.quantity,
+      currency: item.currency,
+      amountSubtotal: item.amount_subtotal,
+      amountTotal: item.amount_total,
+      restockedQuantity: item.restocked_quantity,
+      backordered: item.backordered
+    });
+  }
+  return itemsByOrder;
+}
+
+function orderFromRow(r, items) {
+  return {
+    id: Number(r.id),
+    sessionId: r.session_id,
+    paymentIntentId: r.payment_intent_id,
+    customerEmail: r.customer_email,
+    customerName: r.customer_name,
+    currency: r.currency,
+    amountSubtotal: r.amount_subtotal,
+    amountTotal: r.amount_total,
+    discountCode: r.discount_code,
+    amountDiscount: r.amount_discount,
+    shippingName: r.shipping_name,
+    shippingAddress: r.shipping_address,
+    shippingRateName: r.shipping_rate_name,
+    amountShipping: r.amount_shipping,
+    amountTax: r.amount_tax,
+    subscriptionId: r.subscription_id,
+    amountRefunded: r.amount_refunded,
+    disputeStatus: r.dispute_status,
+    paymentStatus: r.payment_status,
+    status: r.status,
+    fulfillmentStatus: r.fulfillment_status,
+    carrier: r.carrier,
+    trackingNumber: r.tracking_number,
+    fulfillmentUpdatedAt: r.fulfillment_updated_at == null ? null : Number(r.fulfillment_updated_at),
+    createdAt: Number(r.created_at),
+    items
+  };
+}
+
+async function getOrderWhere(column, value, client) {
+  const res = await client.query(`SELECT * FROM orders WHERE ${column} = $1`, [value]);
+  if (res.rowCount === 0) return null;
+  const itemsByOrder = await orderItemsFor([res.rows[0].id], client);
+  return orderFromRow(res.rows[0], itemsByOrder[res.rows[0].id] || []);
+}
+
+async function getOrderBySession(sessionId, client = pool) {
+  return getOrderWhere('session_id', sessionId, client);
+}
+
+async function getOrderById(orderId, client = pool) {
+  return getOrderWhere('id', orderId, client);
+}
+
+// listOrders({ fromMs, toMs, status, limit, offset }) -> { orders, total }, newest first, each with its items
+async function listOrders({ fromMs, toMs, status, limit = 50, offset = 0 } = {}) {
+  const where = [];
+  const params = [];
+  if (fromMs != null) {
+    params.push(fromMs);
+    where.push(`created_at >= $${params.length}`);
+  }
+  if (toMs != null) {
+    params.push(toMs);
+    where.push(`created_at < $${params.length}`);
+  }
+  if (status) {
+    params.push(status);
+    where.push(`status = $${params.length}`);
+  }
+  const whereSql = where.length ? 'WHERE ' + where.join(' AND ') : '';
+  const count = await pool.query(`SELECT COUNT(*) AS total FROM orders ${whereSql}`, params);
+  const rows = await pool.query(
+    `SELECT * FROM orders ${whereSql} ORDER BY created_at DESC, id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+  const itemsByOrder = await orderItemsFor(rows.rows.map(r => r.id));
+  const orders = rows.rows.map(r => orderFromRow(r, itemsByOrder[r.id] || []));
+  return { orders, total: Number(count.rows[0].total) || 0 };
+}
+
+module.exports = {
+  saveOrder,
+  setOrderStatusBySession,
+  recordOrderRefund,
+  recordOrderDispute,
+  restockOrderItems,
+  orderItemsFor,
+  orderFromRow,
+  getOrderBySession,
+  getOrderById,
+  listOrders
+};
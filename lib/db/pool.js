@@ -0,0 +1,31 @@
+const { Pool } = require('pg');
+
+const connectionOptions = {
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.DATABASE_SSL === 'true' ? { rejectUnauthorized: false } : undefined
+};
+const pool = new Pool(connectionOptions);
+
+// Run fn(client) inside a transaction. When the caller passes its own client the work joins
+// that transaction instead, so several steps can be committed or rolled back together.
+async function withTransaction(fn, client) {
+  if (client) return fn(client);
+  const own = await pool.connect();
+  try {
+    await own.query('BEGIN');
+    const result = await fn(own);
+    await own.query('COMMIT');
+    return result;
+  } catch (e) {
+    await own.query('ROLLBACK');
+    throw e;
+  } finally {
+    own.release();
+  }
+}
+
+module.exports = {
+  pool,
+  connectionOptions,
+  withTransaction
+};
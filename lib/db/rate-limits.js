@@ -0,0 +1,52 @@
+const { pool } = require('./pool');
+
+// Token bucket rate limiter kept in Postgres, shared by every server instance (see lib/rate-limit.js)
+// rateLimit({ key: string, capacity: number, refillTokens: number, refillIntervalMs: number })
+// Returns { allowed, tokens, resetMs } where resetMs is the time until the next refill
+async function rateLimit({ key, capacity, refillTokens, refillIntervalMs }) {
+  const now = Date.now();
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // A new key starts with a full bucket; two first requests at once both land on the same row
+    await client.query(
+      'INSERT INTO rate_limits (key, tokens, last_refill_ms) VALUES ($1, $2, $3) ON CONFLICT (key) DO NOTHING',
+      [key, capacity, now]
+    );
+    const cur = await client.query('SELECT tokens, last_refill_ms FROM rate_limits WHERE key = $1 FOR UPDATE', [key]);
+    let tokens = Number(cur.rows[0].tokens) || 0;
+    let lastRefill = Number(cur.rows[0].last_refill_ms) || now;
+    const elapsed = Math.max(0, now - lastRefill);
+    if (elapsed >= refillIntervalMs) {
+      const increments = Math.floor(elapsed / refillIntervalMs);
+      tokens = Math.min(capacity, tokens + increments * refillTokens);
+      lastRefill = lastRefill + increments * refillIntervalMs;
+      await client.query('UPDATE rate_limits SET tokens = $1, last_refill_ms = $2 WHERE key = $3', [tokens, lastRefill, key]);
+    }
+    const resetMs = Math.max(0, lastRefill + refillIntervalMs - now);
+    if (tokens <= 0) {
+      await client.query('COMMIT');
+      return { allowed: false, tokens: 0, resetMs };
+    }
+    tokens -= 1;
+    await client.query('UPDATE rate_limits SET tokens = $1 WHERE key = $2', [tokens, key]);
+    await client.query('COMMIT');
+    return { allowed: true, tokens, resetMs };
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// A bucket untouched for longer than its refill interval is full again, so its row can go
+async function pruneRateLimits(olderThanMs) {
+  const res = await pool.query('DELETE FROM rate_limits WHERE last_refill_ms < $1', [Date.now() - olderThanMs]);
+  return res.rowCount;
+}
+
+module.exports = {
+  rateLimit,
+  pruneRateLimits
+};
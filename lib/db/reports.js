@@ -0,0 +1,81 @@
+const { pool } = require('./pool');
+
+// Orders that count as sales in reports: paid at some point, whatever happened after
+const SALE_STATUSES = ['paid', 'partially_refunded', 'refunded', 'disputed'];
+
+// Sales per UTC day or ISO week (interval 'day' or 'week') of orders created in [fromMs, toMs):
+// [{ period: 'YYYY-MM-DD', currency, orders, gross, refunded }]. Periods without sales are left out.
+async function salesByPeriod({ fromMs, toMs, interval }) {
+  const res = await pool.query(
+    `SELECT to_char(date_trunc($3::text, to_timestamp(created_at / 1000.0) AT TIME ZONE 'UTC'), 'YYYY-MM-DD') AS period,
+            currency, COUNT(*) AS orders, COALESCE(SUM(amount_total), 0) AS gross, SUM(amount_refunded) AS refunded
+     FROM orders WHERE created_at >= $1 AND created_at < $2 AND status = ANY($4)
+     GROUP BY 1, 2 ORDER BY 1, 2`,
+    [fromMs, toMs, interval, SALE_STATUSES]
+  );
+  return res.rows.map(r => ({
+    period: r.period,
+    currency: r.currency,
+    orders: Number(r.orders),
+    gross: Number(r.gross),
+    refunded: Number(r.refunded)
+  }));
+}
+
+// Units and line revenue per price and currency for sales created in [fromMs, toMs), most units first:
+// [{ priceId, description, currency, orders, units, restocked, revenue }]
+async function unitsSoldByPrice({ fromMs, toMs }) {
+  const res = await pool.query(
+    `SELECT i.price_id, MAX(i.description) AS description, i.currency, COUNT(DISTINCT o.id) AS orders,
+            SUM(i.quantity) AS units, SUM(i.restocked_quantity) AS restocked, COALESCE(SUM(i.amount_total), 0) AS revenue
+     FROM order_items i JOIN orders o ON o.id = i.order_id
+     WHERE o.created_at >= $1 AND o.created_at < $2 AND o.status = ANY($3)
+     GROUP BY i.price_id, i.currency ORDER BY units DESC, i.price_id, i.currency`,
+    [fromMs, toMs, SALE_STATUSES]
+  );
+  return res.rows.map(r => ({
+    priceId: r.price_id,
+    description: r.description,
+    currency: r.currency,
+    orders: Number(r.orders),
+    units: Number(r.units),
+    restocked: Number(r.restocked),
+    revenue: Number(r.revenue)
+  }));
+}
+
+// Checkout sessions created in [fromMs, toMs), counted by the status of their reservation:
+// { [status]: sessions }. Cart holds have no session and are not counted.
+async function checkoutOutcomes({ fromMs, toMs }) {
+  const res = await pool.query(
+    `SELECT status, COUNT(DISTINCT reservation_id) AS sessions FROM reservations
+     WHERE session_id IS NOT NULL AND created_at >= $1 AND created_at < $2 GROUP BY status`,
+    [fromMs, toMs]
+  );
+  return Object.fromEntries(res.rows.map(r => [r.status, Number(r.sessions)]));
+}
+
+// Stock of every price at fromMs and at toMs, worked back from current stock through the movement log:
+// { [priceId]: { opening, closing } }
+async function stockLevelsBetween({ fromMs, toMs }) {
+  const res = await pool.query(
+    `SELECT i.price_id, i.stock,
+            COALESCE(SUM(m.delta) FILTER (WHERE m.created_at >= $1), 0) AS since_from,
+            COALESCE(SUM(m.delta) FILTER (WHERE m.created_at >= $2), 0) AS since_to
+     FROM inventory i LEFT JOIN inventory_movements m ON m.price_id = i.price_id AND m.created_at >= $1
+     GROUP BY i.price_id, i.stock ORDER BY i.price_id`,
+    [fromMs, toMs]
+  );
+  const levels = {};
+  for (const r of res.rows) {
+    levels[r.price_id] = { opening: r.stock - Number(r.since_from), closing: r.stock - Number(r.since_to) };
+  }
+  return levels;
+}
+
+module.exports = {
+  salesByPeriod,
+  unitsSoldByPrice,
+  checkoutOutcomes,
+  stockLevelsBetween
+};
@@ -0,0 +1,198 @@
+const { reservationTtlMs, reservationSweepGraceMs } = require('../config');
+const { pool, withTransaction } = require('./pool');
+const { SELLABLE_SQL, BACKORDERED_SQL, recordMovement } = require('./inventory');
+
+// Reservation status -> statuses it may move to. A committed sale is never released.
+// pending_payment: the session completed but a delayed payment method has not settled yet
+const RESERVATION_TRANSITIONS = {
+  reserved: ['pending_payment', 'committed', 'released'],
+  pending_payment: ['committed', 'released'],
+  committed: ['partially_refunded', 'refunded', 'disputed'],
+  partially_refunded: ['partially_refunded', 'refunded', 'disputed'],
+  // A dispute stays on record: refunds made during one only add to amount_refunded
+  disputed: [],
+  refunded: [],
+  released: []
+};
+
+function statusesAllowedToBecome(status) {
+  return Object.keys(RESERVATION_TRANSITIONS).filter(from => RESERVATION_TRANSITIONS[from].includes(status));
+}
+
+function insufficientStockError(priceId, requested, available) {
+  const err = new Error(`Insufficient stock for item ${priceId}: ${available} available`);
+  err.code = 'INSUFFICIENT_STOCK';
+  err.priceId = priceId;
+  err.requested = requested;
+  err.available = available;
+  return err;
+}
+
+// actor is who the inventory history shows taking the stock; client joins a caller's transaction.
+// Prices on backorder or pre-order sell past zero as far as their policy allows; the units that will not
+// ship from stock on hand (all of them for a pre-order) are recorded as backordered.
+// Resolves to [{ priceId, quantity, backordered, stockPolicy, expectedShipDate }] in the order given
+async function reserveStock(reservationId, items, { actor = 'checkout', client } = {}) {
+  return withTransaction(async (client) => {
+    const now = Date.now();
+    const reserved = [];
+    for (const item of items) {
+      const qty = Number(item.quantity) || 0;
+      if (qty <= 0) throw new Error('Invalid quantity');
+      const updated = await client.query(
+        `UPDATE inventory SET stock = stock - $1
+         WHERE price_id = $2 AND (stock >= $1 OR (stock_policy <> 'deny' AND (backorder_limit IS NULL OR stock - $1 >= -backorder_limit)))
+         RETURNING stock, stock_policy, expected_ship_date,
+           ${BACKORDERED_SQL} AS backordered`,
+        [qty, item.price]
+      );
+      if (updated.rowCount === 0) {
+        const current = await client.query(`SELECT ${SELLABLE_SQL} AS available FROM inventory i WHERE i.price_id = $1`, [item.price]);
+        throw insufficientStockError(item.price, qty, current.rows[0] ? Number(current.rows[0].available) : 0);
+      }
+      const row = updated.rows[0];
+      await client.query(
+        'INSERT INTO reservations (reservation_id, session_id, price_id, quantity, status, created_at, backordered) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+        [reservationId, null, item.price, qty, 'reserved', now, row.backordered]
+      );
+      reserved.push({
+        priceId: item.price,
+        quantity: qty,
+        backordered: row.backordered,
+        stockPolicy: row.stock_policy,
+        expectedShipDate: row.stock_policy === 'preorder' ? row.expected_ship_date : null
+      });
+      await recordMovement(client, {
+        priceId: item.price,
+        delta: -qty,
+        stockAfter: updated.rows[0].stock,
+        reason: 'reservation',
+        actor,
+        reference: reservationId
+      });
+    }
+    return reserved;
+  }, client);
+}
+
+// Returns the number of units put back into inventory
+async function releaseReservation(reservationId, client) {
+  return withTransaction(async (db) => {
+    const res = await db.query(
+      'SELECT price_id, quantity FROM reservations WHERE reservation_id = $1 AND status = ANY($2) FOR UPDATE',
+      [reservationId, statusesAllowedToBecome('released')]
+    );
+    let units = 0;
+    for (const row of res.rows) {
+      const updated = await db.query('UPDATE inventory SET stock = stock + $1 WHERE price_id = $2 RETURNING stock', [row.quantity, row.price_id]);
+      await recordMovement(db, {
+        priceId: row.price_id,
+        delta: row.quantity,
+        stockAfter: updated.rows[0] ? updated.rows[0].stock : null,
+        reason: 'release',
+        reference: reservationId
+      });
+      units += Number(row.quantity) || 0;
+    }
+    await db.query(
+      'UPDATE reservations SET status = $1 WHERE reservation_id = $2 AND status = ANY($3)',
+      ['released', reservationId, statusesAllowedToBecome('released')]
+    );
+    return units;
+  }, client);
+}
+
+// Returns the number of reservation rows committed
+async function commitReservationBySession(sessionId, client) {
+  return withTransaction(async (db) => {
+    const res = await db.query(
+      'UPDATE reservations SET status = $1 WHERE session_id = $2 AND status = ANY($3) RETURNING price_id',
+      ['committed', sessionId, statusesAllowedToBecome('committed')]
+    );
+    for (const row of res.rows) {
+      const cur = await db.query('SELECT stock FROM inventory WHERE price_id = $1', [row.price_id]);
+      await recordMovement(db, {
+        priceId: row.price_id,
+        delta: 0,
+        stockAfter: cur.rows[0] ? cur.rows[0].stock : null,
+        reason: 'sale',
+        reference: sessionId
+      });
+    }
+    return res.rowCount;
+  }, client);
+}
+
+// Move a session's reservation rows to `status` where RESERVATION_TRANSITIONS allows it; returns rows moved
+async function setReservationStatusBySession(sessionId, status, client = pool) {
+  const res = await client.query(
+    'UPDATE reservations SET status = $1 WHERE session_id = $2 AND status = ANY($3)',
+    [status, sessionId, statusesAllowedToBecome(status)]
+  );
+  return res.rowCount;
+}
+
+// Same as above for the reservations paid by a payment intent (refunds and disputes)
+async function setReservationStatusByPaymentIntent(paymentIntentId, status, client = pool) {
+  const res = await client.query(
+    'UPDATE reservations SET status = $1 WHERE payment_intent_id = $2 AND status = ANY($3)',
+    [status, paymentIntentId, statusesAllowedToBecome(status)]
+  );
+  return res.rowCount;
+}
+
+async function linkReservationToSession(sessionId, reservationId, client = pool) {
+  await client.query('UPDATE reservations SET session_id = $1 WHERE reservation_id = $2', [sessionId, reservationId]);
+}
+
+async function linkReservationsToPaymentIntent(sessionId, paymentIntentId, client = pool) {
+  await client.query('UPDATE reservations SET payment_intent_id = $1 WHERE session_id = $2', [paymentIntentId, sessionId]);
+}
+
+// Reservation behind a session that is still holding stock (status in `statuses`)
+async function findReservationIdBySession(sessionId, statuses = ['reserved'], client = pool) {
+  const row = await client.query('SELECT reservation_id FROM reservations WHERE session_id = $1 AND status = ANY($2) LIMIT 1', [sessionId, statuses]);
+  return row.rows[0] ? row.rows[0].reservation_id : null;
+}
+
+// Distinct statuses of the reservation rows behind a session
+async function getReservationStatusesBySession(sessionId, client = pool) {
+  const res = await client.query('SELECT DISTINCT status FROM reservations WHERE session_id = $1', [sessionId]);
+  return res.rows.map(r => r.status);
+}
+
+// Release reservations still 'reserved' past their TTL (webhook never arrived, or session creation failed)
+// Cart holds are left to sweepCarts(): they live until hold_expires_at, which extendCartHold() pushes back
+// Returns { reservations, units } reclaimed
+async function sweepExpiredReservations({ olderThanMs = reservationTtlMs + reservationSweepGraceMs, limit = 100 } = {}) {
+  const cutoff = Date.now() - olderThanMs;
+  const res = await pool.query(
+    `SELECT reservation_id FROM reservations r WHERE status = $1 AND created_at < $2
+       AND NOT EXISTS (SELECT 1 FROM carts c WHERE c.hold_reservation_id = r.reservation_id)
+     GROUP BY reservation_id ORDER BY MIN(created_at) LIMIT $3`,
+    ['reserved', cutoff, limit]
+  );
+  let reservations = 0;
+  let units = 0;
+  for (const row of res.rows) {
+    const released = await releaseReservation(row.reservation_id);
+    if (released > 0) {
+      reservations += 1;
+      units += released;
+    }
+  }
+  return { reservations, units };
+}
+
+module.exports = {
+  reserveStock,
+  releaseReservation,
+  commitReservationBySession,
+  setReservationStatusBySession,
+  setReservationStatusByPaymentIntent,
+  linkReservationToSession,
+  linkReservationsToPaymentIntent,
+  findReservationIdBySession,
+  getReservationStatusesBySession,
+  sweepExpiredReservations
+};
@@ -0,0 +1,294 @@
+const { pool } = require('./pool');
+
+async function initSchema() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS inventory (
+      price_id TEXT PRIMARY KEY,
+      stock INTEGER NOT NULL
+    );
+    ALTER TABLE inventory ADD COLUMN IF NOT EXISTS max_per_order INTEGER CHECK (max_per_order > 0);
+    ALTER TABLE inventory ADD COLUMN IF NOT EXISTS low_stock_threshold INTEGER CHECK (low_stock_threshold > 0);
+    ALTER TABLE inventory ADD COLUMN IF NOT EXISTS low_stock_alerted BOOLEAN NOT NULL DEFAULT FALSE;
+    ALTER TABLE inventory ADD COLUMN IF NOT EXISTS stock_policy TEXT NOT NULL DEFAULT 'deny';
+    ALTER TABLE inventory ADD COLUMN IF NOT EXISTS backorder_limit INTEGER CHECK (backorder_limit > 0);
+    ALTER TABLE inventory ADD COLUMN IF NOT EXISTS expected_ship_date TEXT;
+    DO $$ BEGIN
+      IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conrelid = 'inventory'::regclass AND conname = 'inventory_stock_policy_check') THEN
+        ALTER TABLE inventory ADD CONSTRAINT inventory_stock_policy_check CHECK (stock_policy IN ('deny', 'backorder', 'preorder'));
+      END IF;
+      IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conrelid = 'inventory'::regclass AND conname = 'inventory_stock_allowed_check') THEN
+        ALTER TABLE inventory ADD CONSTRAINT inventory_stock_allowed_check CHECK (stock >= 0 OR stock_policy <> 'deny');
+      END IF;
+    END $$;
+    ALTER TABLE inventory DROP CONSTRAINT IF EXISTS inventory_stock_check;
+    CREATE TABLE IF NOT EXISTS waitlist (
+      id BIGSERIAL PRIMARY KEY,
+      price_id TEXT NOT NULL,
+      email TEXT NOT NULL,
+      created_at BIGINT NOT NULL,
+      notified_at BIGINT,
+      UNIQUE (price_id, email)
+    );
+    CREATE INDEX IF NOT EXISTS waitlist_waiting_idx ON waitlist (price_id) WHERE notified_at IS NULL;
+    CREATE TABLE IF NOT EXISTS inventory_movements (
+      id BIGSERIAL PRIMARY KEY,
+      price_id TEXT NOT NULL,
+      delta INTEGER NOT NULL,
+      stock_after INTEGER,
+      reason TEXT NOT NULL,
+      actor TEXT NOT NULL,
+      reference TEXT,
+      created_at BIGINT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS inventory_movements_price_idx ON inventory_movements (price_id, id);
+    CREATE TABLE IF NOT EXISTS reservations (
+      reservation_id TEXT NOT NULL,
+      session_id TEXT,
+      price_id TEXT NOT NULL,
+      quantity INTEGER NOT NULL,
+      status TEXT NOT NULL,
+      created_at BIGINT NOT NULL,
+      PRIMARY KEY (reservation_id, price_id)
+    );
+    CREATE INDEX IF NOT EXISTS reservations_status_created_idx ON reservations (status, created_at);
+    ALTER TABLE reservations ADD COLUMN IF NOT EXISTS payment_intent_id TEXT;
+    ALTER TABLE reservations ADD COLUMN IF NOT EXISTS backordered INTEGER NOT NULL DEFAULT 0;
+    CREATE INDEX IF NOT EXISTS reservations_session_idx ON reservations (session_id);
+    CREATE INDEX IF NOT EXISTS reservations_payment_intent_idx ON reservations (payment_intent_id);
+    CREATE TABLE IF NOT EXISTS orders (
+      id BIGSERIAL PRIMARY KEY,
+      session_id TEXT NOT NULL UNIQUE,
+      reservation_id TEXT,
+      payment_intent_id TEXT,
+      customer_email TEXT,
+      customer_name TEXT,
+      currency TEXT,
+      amount_subtotal INTEGER,
+      amount_total INTEGER,
+      payment_status TEXT,
+      status TEXT NOT NULL,
+      created_at BIGINT NOT NULL,
+      updated_at BIGINT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS orders_created_idx ON orders (created_at);
+    ALTER TABLE orders ADD COLUMN IF NOT EXISTS amount_refunded INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE orders ADD COLUMN IF NOT EXISTS dispute_status TEXT;
+    CREATE INDEX IF NOT EXISTS orders_payment_intent_idx ON orders (payment_intent_id);
+    ALTER TABLE orders ADD COLUMN IF NOT EXISTS discount_code TEXT;
+    ALTER TABLE orders ADD COLUMN IF NOT EXISTS amount_discount INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_name TEXT;
+    ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_address JSONB;
+    ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_rate_name TEXT;
+    ALTER TABLE orders ADD COLUMN IF NOT EXISTS stripe_shipping_rate_id TEXT;
+    ALTER TABLE orders ADD COLUMN IF NOT EXISTS amount_shipping INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE orders ADD COLUMN IF NOT EXISTS amount_tax INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE orders ADD COLUMN IF NOT EXISTS fulfillment_status TEXT NOT NULL DEFAULT 'unfulfilled';
+    ALTER TABLE orders ADD COLUMN IF NOT EXISTS subscription_id TEXT;
+    ALTER TABLE orders ADD COLUMN IF NOT EXISTS carrier TEXT;
+    ALTER TABLE orders ADD COLUMN IF NOT EXISTS tracking_number TEXT;
+    ALTER TABLE orders ADD COLUMN IF NOT EXISTS fulfillment_updated_at BIGINT;
+    CREATE INDEX IF NOT EXISTS orders_fulfillment_idx ON orders (fulfillment_status, created_at);
+    CREATE INDEX IF NOT EXISTS orders_subscription_idx ON orders (subscription_id);
+    CREATE TABLE IF NOT EXISTS order_items (
+      order_id BIGINT NOT NULL REFERENCES orders (id) ON DELETE CASCADE,
+      line_item_id TEXT NOT NULL,
+      price_id TEXT,
+      product_id TEXT,
+      description TEXT,
+      quantity INTEGER NOT NULL,
+      currency TEXT,
+      amount_subtotal INTEGER,
+      amount_total INTEGER,
+      PRIMARY KEY (order_id, line_item_id)
+    );
+    ALTER TABLE order_items ADD COLUMN IF NOT EXISTS restocked_quantity INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE order_items ADD COLUMN IF NOT EXISTS backordered INTEGER NOT NULL DEFAULT 0;
+    CREATE TABLE IF NOT EXISTS fulfillment_events (
+      id BIGSERIAL PRIMARY KEY,
+      order_id BIGINT NOT NULL REFERENCES orders (id) ON DELETE CASCADE,
+      from_status TEXT NOT NULL,
+      to_status TEXT NOT NULL,
+      carrier TEXT,
+      tracking_number TEXT,
+      actor TEXT NOT NULL,
+      created_at BIGINT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS fulfillment_events_order_idx ON fulfillment_events (order_id, id);
+    CREATE TABLE IF NOT EXISTS webhook_events (
+      event_id TEXT PRIMARY KEY,
+      type TEXT NOT NULL,
+      received_at BIGINT NOT NULL,
+      processed_at BIGINT,
+      result TEXT,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      last_error TEXT
+    );
+    CREATE TABLE IF NOT EXISTS rate_limits (
+      key TEXT PRIMARY KEY,
+      tokens INTEGER NOT NULL,
+      last_refill_ms BIGINT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS admin_users (
+      username TEXT PRIMARY KEY,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL,
+      created_at BIGINT NOT NULL,
+      updated_at BIGINT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS admin_sessions (
+      token_hash TEXT PRIMARY KEY,
+      username TEXT NOT NULL REFERENCES admin_users (username) ON DELETE CASCADE,
+      csrf_token TEXT NOT NULL,
+      created_at BIGINT NOT NULL,
+      expires_at BIGINT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS admin_sessions_expires_at_idx ON admin_sessions (expires_at);
+    CREATE TABLE IF NOT EXISTS catalog_prices (
+      price_id TEXT PRIMARY KEY,
+      product_id TEXT,
+      name TEXT,
+      description TEXT,
+      currency TEXT NOT NULL,
+      unit_amount INTEGER,
+      active BOOLEAN NOT NULL,
+      product_active BOOLEAN NOT NULL DEFAULT TRUE,
+      created BIGINT,
+      updated_at BIGINT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS catalog_prices_product_id_idx ON catalog_prices (product_id);
+    ALTER TABLE catalog_prices ADD COLUMN IF NOT EXISTS nickname TEXT;
+    ALTER TABLE catalog_prices ADD COLUMN IF NOT EXISTS price_metadata JSONB NOT NULL DEFAULT '{}';
+    ALTER TABLE catalog_prices ADD COLUMN IF NOT EXISTS product_metadata JSONB NOT NULL DEFAULT '{}';
+    ALTER TABLE catalog_prices ADD COLUMN IF NOT EXISTS images TEXT[] NOT NULL DEFAULT '{}';
+    ALTER TABLE catalog_prices ADD COLUMN IF NOT EXISTS currency_options JSONB NOT NULL DEFAULT '{}';
+    ALTER TABLE catalog_prices ADD COLUMN IF NOT EXISTS tax_code TEXT;
+    ALTER TABLE catalog_prices ADD COLUMN IF NOT EXISTS recurring JSONB;
+    CREATE TABLE IF NOT EXISTS discount_codes (
+      code TEXT PRIMARY KEY,
+      percent_off INTEGER CHECK (percent_off BETWEEN 1 AND 100),
+      amount_off INTEGER CHECK (amount_off > 0),
+      currency TEXT,
+      expires_at BIGINT,
+      max_redemptions INTEGER CHECK (max_redemptions > 0),
+      redemptions INTEGER NOT NULL DEFAULT 0,
+      product_ids TEXT[],
+      active BOOLEAN NOT NULL DEFAULT TRUE,
+      stripe_coupon_id TEXT NOT NULL,
+      stripe_promotion_code_id TEXT NOT NULL,
+      created_by TEXT,
+      created_at BIGINT NOT NULL,
+      CHECK ((percent_off IS NULL) <> (amount_off IS NULL))
+    );
+    CREATE TABLE IF NOT EXISTS discount_redemptions (
+      session_id TEXT PRIMARY KEY,
+      code TEXT NOT NULL REFERENCES discount_codes (code),
+      amount_discount INTEGER,
+      redeemed_at BIGINT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS shipping_zones (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL,
+      countries TEXT[] NOT NULL,
+      updated_by TEXT,
+      updated_at BIGINT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS shipping_rates (
+      id SERIAL PRIMARY KEY,
+      zone_id INTEGER NOT NULL REFERENCES shipping_zones (id) ON DELETE CASCADE,
+      position INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      type TEXT NOT NULL CHECK (type IN ('flat', 'weight', 'free')),
+      currency TEXT NOT NULL,
+      amount INTEGER NOT NULL DEFAULT 0 CHECK (amount >= 0),
+      amount_per_kg INTEGER CHECK (amount_per_kg >= 0),
+      free_over INTEGER CHECK (free_over >= 0)
+    );
+    CREATE TABLE IF NOT EXISTS tax_rates (
+      id SERIAL PRIMARY KEY,
+      country TEXT NOT NULL,
+      tax_code TEXT,
+      display_name TEXT NOT NULL,
+      percentage NUMERIC(7, 4) NOT NULL CHECK (percentage > 0 AND percentage <= 100),
+      inclusive BOOLEAN NOT NULL,
+      stripe_tax_rate_id TEXT NOT NULL,
+      created_by TEXT,
+      created_at BIGINT NOT NULL
+    );
+    CREATE UNIQUE INDEX IF NOT EXISTS tax_rates_country_code_idx ON tax_rates (country, COALESCE(tax_code, ''));
+    CREATE TABLE IF NOT EXISTS subscriptions (
+      id TEXT PRIMARY KEY,
+      customer_id TEXT,
+      status TEXT NOT NULL,
+      items JSONB NOT NULL DEFAULT '[]',
+      current_period_end BIGINT,
+      cancel_at_period_end BOOLEAN NOT NULL DEFAULT FALSE,
+      canceled_at BIGINT,
+      latest_invoice_status TEXT,
+      stripe_updated_at BIGINT NOT NULL,
+      created_at BIGINT NOT NULL,
+      updated_at BIGINT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS subscriptions_status_idx ON subscriptions (status);
+    CREATE TABLE IF NOT EXISTS carts (
+      id TEXT PRIMARY KEY,
+      token_hash TEXT NOT NULL UNIQUE,
+      hold_reservation_id TEXT,
+      hold_expires_at BIGINT,
+      checkout_reservation_id TEXT,
+      created_at BIGINT NOT NULL,
+      updated_at BIGINT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS carts_hold_expires_idx ON carts (hold_expires_at);
+    CREATE INDEX IF NOT EXISTS carts_updated_idx ON carts (updated_at);
+    CREATE TABLE IF NOT EXISTS cart_items (
+      cart_id TEXT NOT NULL REFERENCES carts(id) ON DELETE CASCADE,
+      price_id TEXT NOT NULL,
+      quantity INTEGER NOT NULL CHECK (quantity > 0),
+      unit_amount INTEGER,
+      added_at BIGINT NOT NULL,
+      PRIMARY KEY (cart_id, price_id)
+    );
+    CREATE TABLE IF NOT EXISTS email_templates (
+      name TEXT PRIMARY KEY,
+      subject TEXT NOT NULL,
+      body TEXT NOT NULL,
+      updated_by TEXT,
+      updated_at BIGINT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS email_outbox (
+      id BIGSERIAL PRIMARY KEY,
+      template TEXT NOT NULL,
+      recipient TEXT NOT NULL,
+      data JSONB NOT NULL,
+      dedupe_key TEXT UNIQUE,
+      status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at BIGINT NOT NULL,
+      last_error TEXT,
+      created_at BIGINT NOT NULL,
+      sent_at BIGINT
+    );
+    CREATE INDEX IF NOT EXISTS email_outbox_due_idx ON email_outbox (status, next_attempt_at);
+    CREATE TABLE IF NOT EXISTS catalog_state (
+      id INTEGER PRIMARY KEY CHECK (id = 1),
+      synced_at BIGINT NOT NULL,
+      price_count INTEGER NOT NULL
+    );
+  `);
+}
+
+let schemaReadyPromise = null;
+async function ensureInit() {
+  if (!schemaReadyPromise) {
+    schemaReadyPromise = initSchema().catch((err) => {
+      schemaReadyPromise = null;
+      throw err;
+    });
+  }
+  return schemaReadyPromise;
+}
+
+module.exports = {
+  initSchema,
+  ensureInit
+};
@@ -0,0 +1,108 @@
+const { pool, withTransaction } = require('./pool');
+
+function shippingRateFromRow(r) {
+  return {
+    id: r.id,
+    name: r.name,
+    type: r.type,
+    currency: r.currency,
+    amount: r.amount,
+    amountPerKg: r.amount_per_kg,
+    freeOver: r.free_over
+  };
+}
+
+async function shippingZonesWhere(whereSql, params, client = pool) {
+  const zones = await client.query(`SELECT * FROM shipping_zones ${whereSql} ORDER BY name, id`, params);
+  if (zones.rowCount === 0) return [];
+  const rates = await client.query(
+    'SELECT * FROM shipping_rates WHERE zone_id = ANY($1) ORDER BY position, id',
+    [zones.rows.map(z => z.id)]
+  );
+  return zones.rows.map(z => ({
+    id: z.id,
+    name: z.name,
+    countries: z.countries,
+    updatedBy: z.updated_by,
+    updatedAt: Number(z.updated_at),
+    rates: rates.rows.filter(r => r.zone_id === z.id).map(shippingRateFromRow)
+  }));
+}
+
+async function listShippingZones() {
+  return shippingZonesWhere('', []);
+}
+
+// The zone that ships to `country` (ISO code), with its rates, or null
+async function findShippingZoneByCountry(country) {
+  const zones = await shippingZonesWhere('WHERE $1 = ANY(countries)', [country]);
+  return zones[0] || null;
+}
+
+// Every country some zone ships to, sorted
+async function listShippingCountries() {
+  const res = await pool.query('SELECT DISTINCT unnest(countries) AS country FROM shipping_zones ORDER BY country');
+  return res.rows.map(r => r.country);
+}
+
+function shippingError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// Create (no id) or replace a zone and all of its rates. A country can only be in one zone:
+// throws SHIPPING_COUNTRY_TAKEN if another zone has it, ZONE_NOT_FOUND if `id` is unknown.
+async function saveShippingZone({ id = null, name, countries, rates }, actor = 'admin') {
+  return withTransaction(async (client) => {
+    // Saves are rare; serialising them keeps the one-zone-per-country check race free
+    await client.query('LOCK TABLE shipping_zones IN SHARE ROW EXCLUSIVE MODE');
+    const taken = await client.query(
+      'SELECT name, countries FROM shipping_zones WHERE countries && $1 AND id IS DISTINCT FROM $2',
+      [countries, id]
+    );
+    if (taken.rowCount > 0) {
+      const clash = countries.filter(c => taken.rows[0].countries.includes(c));
+      throw shippingError('SHIPPING_COUNTRY_TAKEN', `${clash.join(', ')} already in zone ${taken.rows[0].name}`);
+    }
+    const now = Date.now();
+    let zoneId = id;
+    if (id == null) {
+      const inserted = await client.query(
+        'INSERT INTO shipping_zones (name, countries, updated_by, updated_at) VALUES ($1, $2, $3, $4) RETURNING id',
+        [name, countries, actor, now]
+      );
+      zoneId = inserted.rows[0].id;
+    } else {
+      const updated = await client.query(
+        'UPDATE shipping_zones SET name = $1, countries = $2, updated_by = $3, updated_at = $4 WHERE id = $5',
+        [name, countries, actor, now, id]
+      );
+      if (updated.rowCount === 0) throw shippingError('ZONE_NOT_FOUND', `No shipping zone ${id}`);
+      await client.query('DELETE FROM shipping_rates WHERE zone_id = $1', [id]);
+    }
+    for (const [position, rate] of rates.entries()) {
+      await client.query(
+        `INSERT INTO shipping_rates (zone_id, position, name, type, currency, amount, amount_per_kg, free_over)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [zoneId, position, rate.name, rate.type, rate.currency, rate.amount, rate.amountPerKg, rate.freeOver]
+      );
+    }
+    const [zone] = await shippingZonesWhere('WHERE id = $1', [zoneId], client);
+    return zone;
+  });
+}
+
+// Returns false if there was no such zone
+async function deleteShippingZone(id) {
+  const res = await pool.query('DELETE FROM shipping_zones WHERE id = $1', [id]);
+  return res.rowCount > 0;
+}
+
+module.exports = {
+  listShippingZones,
+  findShippingZoneByCountry,
+  listShippingCountries,
+  saveShippingZone,
+  deleteShippingZone
+};
@@ -0,0 +1,112 @@
+const { pool, withTransaction } = require('./pool');
+const { SELLABLE_SQL, BACKORDERED_SQL, recordMovement } = require('./inventory');
+
+// Subscriptions mirror Stripe's, kept up to date by customer.subscription.* and invoice.* events.
+// sub: { id, customerId, status, items: [{ priceId, quantity }], currentPeriodEnd, cancelAtPeriodEnd, canceledAt, stripeUpdatedAt }
+// stripeUpdatedAt is when Stripe sent the state, so an older event arriving late does not overwrite a newer one.
+// Resolves to false when it was older.
+async function saveSubscription(sub, client = pool) {
+  const now = Date.now();
+  const res = await client.query(
+    `INSERT INTO subscriptions (id, customer_id, status, items, current_period_end, cancel_at_period_end, canceled_at, stripe_updated_at, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $9)
+     ON CONFLICT (id) DO UPDATE SET
+       customer_id = EXCLUDED.customer_id,
+       status = EXCLUDED.status,
+       items = EXCLUDED.items,
+       current_period_end = EXCLUDED.current_period_end,
+       cancel_at_period_end = EXCLUDED.cancel_at_period_end,
+       canceled_at = EXCLUDED.canceled_at,
+       stripe_updated_at = EXCLUDED.stripe_updated_at,
+       updated_at = EXCLUDED.updated_at
+     WHERE subscriptions.stripe_updated_at <= EXCLUDED.stripe_updated_at`,
+    [sub.id, sub.customerId, sub.status, JSON.stringify(sub.items || []), sub.currentPeriodEnd, Boolean(sub.cancelAtPeriodEnd),
+      sub.canceledAt, sub.stripeUpdatedAt, now]
+  );
+  return res.rowCount > 0;
+}
+
+// 'paid' or 'payment_failed' for the subscription's latest invoice; returns false for an unknown subscription
+async function setSubscriptionInvoiceStatus(subscriptionId, status, client = pool) {
+  const res = await client.query(
+    'UPDATE subscriptions SET latest_invoice_status = $1, updated_at = $2 WHERE id = $3',
+    [status, Date.now(), subscriptionId]
+  );
+  return res.rowCount > 0;
+}
+
+function subscriptionFromRow(r) {
+  return {
+    id: r.id,
+    customerId: r.customer_id,
+    customerEmail: r.customer_email || null,
+    status: r.status,
+    items: r.items,
+    currentPeriodEnd: r.current_period_end == null ? null : Number(r.current_period_end),
+    cancelAtPeriodEnd: r.cancel_at_period_end,
+    canceledAt: r.canceled_at == null ? null : Number(r.canceled_at),
+    latestInvoiceStatus: r.latest_invoice_status,
+    createdAt: Number(r.created_at),
+    updatedAt: Number(r.updated_at)
+  };
+}
+
+// listSubscriptions({ status, limit, offset }) -> { subscriptions, total }, newest first, with the
+// email of the order that started each one
+async function listSubscriptions({ status = null, limit = 50, offset = 0 } = {}) {
+  const res = await pool.query(
+    `SELECT s.*, o.customer_email, COUNT(*) OVER () AS total FROM subscriptions s
+     LEFT JOIN LATERAL (SELECT customer_email FROM orders WHERE subscription_id = s.id ORDER BY id LIMIT 1) o ON TRUE
+     WHERE $1::text IS NULL OR s.status = $1
+     ORDER BY s.created_at DESC, s.id LIMIT $2 OFFSET $3`,
+    [status, limit, offset]
+  );
+  return {
+    subscriptions: res.rows.map(subscriptionFromRow),
+    total: res.rows[0] ? Number(res.rows[0].total) : 0
+  };
+}
+
+// Take the units a paid renewal ships ([{ priceId, quantity }]) out of stock, once per invoice. Each price's
+// stock policy applies as at checkout: backorders and pre-orders go past zero as far as they may, and are
+// counted as backordered. A renewal that finds too little takes what can be sold.
+// Returns [{ priceId, quantity, shipped, backordered, stock }], empty when the invoice was already handled
+async function shipSubscriptionRenewal(invoiceId, items, client) {
+  return withTransaction(async (db) => {
+    const reference = `invoice:${invoiceId}`;
+    const seen = await db.query(
+      `SELECT 1 FROM inventory_movements WHERE reason = 'subscription_renewal' AND reference = $1 LIMIT 1`,
+      [reference]
+    );
+    if (seen.rowCount > 0) return [];
+    const shipped = [];
+    // Locked in a fixed order, like imports, so concurrent renewals cannot deadlock
+    for (const item of [...items].sort((a, b) => (a.priceId < b.priceId ? -1 : a.priceId > b.priceId ? 1 : 0))) {
+      await db.query('INSERT INTO inventory (price_id, stock) VALUES ($1, 0) ON CONFLICT (price_id) DO NOTHING', [item.priceId]);
+      const cur = await db.query(`SELECT i.stock, ${SELLABLE_SQL} AS available FROM inventory i WHERE i.price_id = $1 FOR UPDATE`, [item.priceId]);
+      let stock = Number(cur.rows[0].stock);
+      // null: a backorder or pre-order without a limit
+      const available = cur.rows[0].available == null ? item.quantity : Number(cur.rows[0].available);
+      const take = Math.min(available, item.quantity);
+      let backordered = 0;
+      if (take > 0) {
+        const updated = await db.query(
+          `UPDATE inventory SET stock = stock - $1 WHERE price_id = $2 RETURNING stock, ${BACKORDERED_SQL} AS backordered`,
+          [take, item.priceId]
+        );
+        stock = Number(updated.rows[0].stock);
+        backordered = Number(updated.rows[0].backordered);
+        await recordMovement(db, { priceId: item.priceId, delta: -take, stockAfter: stock, reason: 'subscription_renewal', reference });
+      }
+      shipped.push({ priceId: item.priceId, quantity: item.quantity, shipped: take, backordered, stock });
+    }
+    return shipped;
+  }, client);
+}
+
+module.exports = {
+  saveSubscription,
+  setSubscriptionInvoiceStatus,
+  listSubscriptions,
+  shipSubscriptionRenewal
+};
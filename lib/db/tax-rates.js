@@ -0,0 +1,67 @@
+const { pool } = require('./pool');
+
+function taxRateFromRow(r) {
+  return {
+    id: r.id,
+    country: r.country,
+    taxCode: r.tax_code,
+    displayName: r.display_name,
+    percentage: Number(r.percentage),
+    inclusive: r.inclusive,
+    stripeTaxRateId: r.stripe_tax_rate_id,
+    createdBy: r.created_by,
+    createdAt: Number(r.created_at)
+  };
+}
+
+// A country has at most one rate per tax code, plus one (taxCode null) for everything else
+async function createTaxRate(rate) {
+  const res = await pool.query(
+    `INSERT INTO tax_rates (country, tax_code, display_name, percentage, inclusive, stripe_tax_rate_id, created_by, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+    [rate.country, rate.taxCode, rate.displayName, rate.percentage, rate.inclusive, rate.stripeTaxRateId, rate.createdBy, Date.now()]
+  );
+  return taxRateFromRow(res.rows[0]);
+}
+
+async function getTaxRate(id) {
+  const res = await pool.query('SELECT * FROM tax_rates WHERE id = $1', [id]);
+  return res.rows[0] ? taxRateFromRow(res.rows[0]) : null;
+}
+
+async function findTaxRate(country, taxCode) {
+  const res = await pool.query(
+    'SELECT * FROM tax_rates WHERE country = $1 AND tax_code IS NOT DISTINCT FROM $2',
+    [country, taxCode]
+  );
+  return res.rows[0] ? taxRateFromRow(res.rows[0]) : null;
+}
+
+// All rates, or only those for `country`
+async function listTaxRates(country = null) {
+  const res = await pool.query(
+    `SELECT * FROM tax_rates WHERE $1::text IS NULL OR country = $1
+     ORDER BY country, tax_code NULLS FIRST, id`,
+    [country]
+  );
+  return res.rows.map(taxRateFromRow);
+}
+
+async function listTaxCountries() {
+  const res = await pool.query('SELECT DISTINCT country FROM tax_rates ORDER BY country');
+  return res.rows.map(r => r.country);
+}
+
+async function deleteTaxRate(id) {
+  const res = await pool.query('DELETE FROM tax_rates WHERE id = $1', [id]);
+  return res.rowCount > 0;
+}
+
+module.exports = {
+  createTaxRate,
+  getTaxRate,
+  findTaxRate,
+  listTaxRates,
+  listTaxCountries,
+  deleteTaxRate
+};
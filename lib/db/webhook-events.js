@@ -0,0 +1,38 @@
+const { pool } = require('./pool');
+
+// Record that a webhook event arrived; returns the ledger row (processed_at is set once handled)
+async function recordWebhookEvent(event) {
+  await pool.query(
+    'INSERT INTO webhook_events (event_id, type, received_at) VALUES ($1, $2, $3) ON CONFLICT (event_id) DO NOTHING',
+    [event.id, event.type, Date.now()]
+  );
+  const res = await pool.query('SELECT * FROM webhook_events WHERE event_id = $1', [event.id]);
+  return res.rows[0];
+}
+
+// Lock the ledger row for the rest of the caller's transaction so concurrent deliveries queue up
+async function lockWebhookEvent(eventId, client) {
+  const res = await client.query('SELECT * FROM webhook_events WHERE event_id = $1 FOR UPDATE', [eventId]);
+  return res.rows[0] || null;
+}
+
+async function markWebhookEventProcessed(eventId, result, client = pool) {
+  await client.query(
+    'UPDATE webhook_events SET processed_at = $1, result = $2, attempts = attempts + 1, last_error = NULL WHERE event_id = $3',
+    [Date.now(), result, eventId]
+  );
+}
+
+async function markWebhookEventFailed(eventId, message) {
+  await pool.query(
+    'UPDATE webhook_events SET attempts = attempts + 1, last_error = $1 WHERE event_id = $2',
+    [message, eventId]
+  );
+}
+
+module.exports = {
+  recordWebhookEvent,
+  lockWebhookEvent,
+  markWebhookEventProcessed,
+  markWebhookEventFailed
+};
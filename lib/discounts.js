@@ -0,0 +1,129 @@
+const { createDiscountCode, getDiscountCode, setDiscountCodeActive } = require('./db');
+const { lookupPrices } = require('./catalog');
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,40}$/;
+
+function parseExpiry(value) {
+  if (value == null || value === '') return { value: null };
+  const ms = typeof value === 'number' ? value : Date.parse(String(value));
+  if (!Number.isFinite(ms)) return { error: 'Invalid expiresAt' };
+  if (ms <= Date.now()) return { error: 'expiresAt must be in the future' };
+  return { value: ms };
+}
+
+// Validate the body of POST /admin/discounts
+// { code, percentOff | (amountOff, currency), expiresAt?, maxRedemptions?, productIds? }
+// Returns { discount } or { error }
+function parseDiscountInput(body) {
+  const b = body || {};
+  const code = typeof b.code === 'string' ? b.code.trim().toUpperCase() : '';
+  if (!CODE_PATTERN.test(code)) return { error: 'code must be 3-40 letters, digits, - or _' };
+  const hasPercent = b.percentOff != null;
+  const hasAmount = b.amountOff != null;
+  if (hasPercent === hasAmount) return { error: 'Provide either percentOff or amountOff' };
+  if (hasPercent && !(Number.isInteger(b.percentOff) && b.percentOff >= 1 && b.percentOff <= 100)) {
+    return { error: 'percentOff must be a whole number from 1 to 100' };
+  }
+  if (hasAmount && !(Number.isInteger(b.amountOff) && b.amountOff > 0)) {
+    return { error: 'amountOff must be a positive integer in the smallest currency unit' };
+  }
+  const currency = typeof b.currency === 'string' ? b.currency.trim().toLowerCase() : '';
+  if (hasAmount && !/^[a-z]{3}$/.test(currency)) return { error: 'amountOff needs a three-letter currency' };
+  const expiry = parseExpiry(b.expiresAt);
+  if (expiry.error) return { error: expiry.error };
+  if (b.maxRedemptions != null && !(Number.isInteger(b.maxRedemptions) && b.maxRedemptions > 0)) {
+    return { error: 'maxRedemptions must be a positive integer' };
+  }
+  let productIds = null;
+  if (b.productIds != null) {
+    if (!Array.isArray(b.productIds) || b.productIds.some(id => typeof id !== 'string' || !id.trim())) {
+      return { error: 'productIds must be a list of Stripe product ids' };
+    }
+    productIds = [...new Set(b.productIds.map(id => id.trim()))];
+    if (productIds.length === 0) productIds = null;
+  }
+  return {
+    discount: {
+      code,
+      percentOff: hasPercent ? b.percentOff : null,
+      amountOff: hasAmount ? b.amountOff : null,
+      currency: hasAmount ? currency : null,
+      expiresAt: expiry.value,
+      maxRedemptions: b.maxRedemptions == null ? null : b.maxRedemptions,
+      productIds
+    }
+  };
+}
+
+function discountError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// Create the Stripe coupon and promotion code for a parsed discount, then store it locally.
+// Throws DISCOUNT_EXISTS if the code is taken.
+async function createDiscount(stripe, discount, actor) {
+  if (await getDiscountCode(discount.code)) {
+    throw discountError('DISCOUNT_EXISTS', `Discount code ${discount.code} already exists`);
+  }
+  const expiresAt = discount.expiresAt == null ? undefined : Math.floor(discount.expiresAt / 1000);
+  const maxRedemptions = discount.maxRedemptions == null ? undefined : discount.maxRedemptions;
+  const coupon = await stripe.coupons.create({
+    name: discount.code,
+    duration: 'once',
+    percent_off: discount.percentOff == null ? undefined : discount.percentOff,
+    amount_off: discount.amountOff == null ? undefined : discount.amountOff,
+    currency: discount.currency || undefined,
+    redeem_by: expiresAt,
+    max_redemptions: maxRedemptions,
+    applies_to: discount.productIds ? { products: discount.productIds } : undefined
+  });
+  const promotionCode = await stripe.promotionCodes.create({
+    coupon: coupon.id,
+    code: discount.code,
+    expires_at: expiresAt,
+    max_redemptions: maxRedemptions
+  });
+  return createDiscountCode(Object.assign({}, discount, {
+    stripeCouponId: coupon.id,
+    stripePromotionCodeId: promotionCode.id,
+    createdBy: actor
+  }));
+}
+
+// Turn a code on or off here and in Stripe; resolves to the updated discount or null if unknown
+async function setDiscountActive(stripe, code, active) {
+  const discount = await getDiscountCode(code);
+  if (!discount) return null;
+  await stripe.promotionCodes.update(discount.stripePromotionCodeId, { active });
+  return setDiscountCodeActive(discount.code, active);
+}
+
+// Check a shopper's code against the cart ([{ price, quantity }]) before any stock is reserved.
+// `currency` is the one the order is charged in, by default the items' own. Returns { discount } or { error }
+async function checkDiscountCode(stripe, code, items, currency = null) {
+  const discount = await getDiscountCode(String(code).trim());
+  if (!discount || !discount.active) return { error: 'Unknown discount code' };
+  if (discount.expiresAt != null && discount.expiresAt <= Date.now()) return { error: 'This discount code has expired' };
+  if (discount.maxRedemptions != null && discount.redemptions >= discount.maxRedemptions) {
+    return { error: 'This discount code has been used up' };
+  }
+  if (!discount.productIds && !discount.currency) return { discount };
+  const prices = await lookupPrices(stripe, items.map(i => i.price));
+  if (discount.productIds) {
+    const eligible = items.some(i => discount.productIds.includes(prices[i.price].productId));
+    if (!eligible) return { error: 'This discount code does not apply to anything in your cart' };
+  }
+  if (discount.currency && items.some(i => (currency || prices[i.price].currency) !== discount.currency)) {
+    return { error: `This discount code only applies to ${discount.currency.toUpperCase()} prices` };
+  }
+  return { discount };
+}
+
+module.exports = {
+  parseDiscountInput,
+  createDiscount,
+  setDiscountActive,
+  checkDiscountCode
+};
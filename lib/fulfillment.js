@@ -0,0 +1,69 @@
+const { FULFILLMENT_TRANSITIONS } = require('./db');
+
+const STATUSES = Object.keys(FULFILLMENT_TRANSITIONS);
+// States an order waits in before it leaves the warehouse
+const QUEUE_STATUSES = ['unfulfilled', 'packed'];
+const MAX_PAGE_SIZE = 200;
+const MAX_FIELD_LENGTH = 100;
+
+// carrier and trackingNumber: a string sets it, null or "" clears it, absent leaves it
+function optionalText(body, name) {
+  if (!(name in body)) return { value: undefined };
+  const value = body[name];
+  if (value == null) return { value: null };
+  if (typeof value !== 'string') return { error: `${name} must be a string` };
+  const text = value.trim();
+  if (text.length > MAX_FIELD_LENGTH) return { error: `${name} can be at most ${MAX_FIELD_LENGTH} characters` };
+  return { value: text || null };
+}
+
+// Validate the body of POST /admin/fulfillment: { orderId, status?, carrier?, trackingNumber?, expectedStatus? }
+// Returns { change } for updateFulfillment() (without the actor) or { error }
+function parseFulfillmentInput(body) {
+  const b = body || {};
+  if (!Number.isInteger(b.orderId) || b.orderId <= 0) return { error: 'orderId must be a positive integer' };
+  for (const name of ['status', 'expectedStatus']) {
+    if (b[name] != null && !STATUSES.includes(b[name])) return { error: `${name} must be one of: ${STATUSES.join(', ')}` };
+  }
+  const carrier = optionalText(b, 'carrier');
+  if (carrier.error) return { error: carrier.error };
+  const trackingNumber = optionalText(b, 'trackingNumber');
+  if (trackingNumber.error) return { error: trackingNumber.error };
+  if (b.status == null && carrier.value === undefined && trackingNumber.value === undefined) {
+    return { error: 'Provide a status, carrier or trackingNumber' };
+  }
+  return {
+    change: {
+      orderId: b.orderId,
+      status: b.status == null ? undefined : b.status,
+      carrier: carrier.value,
+      trackingNumber: trackingNumber.value,
+      expectedStatus: b.expectedStatus == null ? null : b.expectedStatus
+    }
+  };
+}
+
+// Turn GET /admin/fulfillment query params (status, limit, offset) into listFulfillmentQueue() options
+// Returns { error } when a parameter is invalid
+function parseQueueQuery(query) {
+  const q = query || {};
+  const options = { fulfillmentStatuses: QUEUE_STATUSES };
+  if (q.status) {
+    if (!QUEUE_STATUSES.includes(String(q.status))) return { error: `status must be one of: ${QUEUE_STATUSES.join(', ')}` };
+    options.fulfillmentStatuses = [String(q.status)];
+  }
+  const limit = q.limit == null ? 50 : Number(q.limit);
+  const offset = q.offset == null ? 0 : Number(q.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+  }
+  if (!Number.isInteger(offset) || offset < 0) return { error: 'offset must be a non-negative integer' };
+  options.limit = limit;
+  options.offset = offset;
+  return { options };
+}
+
+module.exports = {
+  parseFulfillmentInput,
+  parseQueueQuery
+};
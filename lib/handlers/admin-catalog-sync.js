@@ -0,0 +1,20 @@
+const { ensureInit } = require('../db');
+const { syncCatalog } = require('../catalog');
+const { requireAdmin, methodNotAllowed } = require('./guards');
+const { withRateLimit } = require('../rate-limit');
+
+// POST /admin/catalog/sync: reload the product catalog cache from Stripe; responds { prices, syncedAt }
+module.exports = withRateLimit('admin-catalog-sync', async function adminCatalogSync(req, { stripe }) {
+  const denied = methodNotAllowed(req, 'POST');
+  if (denied) return denied;
+  await ensureInit();
+  const auth = await requireAdmin(req, 'write');
+  if (auth.denied) return auth.denied;
+  try {
+    const result = await syncCatalog(stripe);
+    return { status: 200, body: result };
+  } catch (err) {
+    console.error(err);
+    return { status: 502, body: 'Failed to sync catalog from Stripe' };
+  }
+});
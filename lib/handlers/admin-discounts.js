@@ -0,0 +1,45 @@
+const { ensureInit, listDiscountCodes } = require('../db');
+const { parseDiscountInput, createDiscount, setDiscountActive } = require('../discounts');
+const { requireAdmin, methodNotAllowed } = require('./guards');
+const { withRateLimit } = require('../rate-limit');
+
+// /admin/discounts
+//   GET    all discount codes, newest first
+//   POST   { code, percentOff | (amountOff, currency), expiresAt?, maxRedemptions?, productIds? } creates a
+//          code here and as a Stripe coupon + promotion code
+//   PATCH  { code, active } turns a code off or back on
+module.exports = withRateLimit('admin-discounts', async function adminDiscounts(req, { stripe }) {
+  const denied = methodNotAllowed(req, 'GET', 'POST', 'PATCH');
+  if (denied) return denied;
+  await ensureInit();
+  const auth = await requireAdmin(req, req.method === 'GET' ? 'read' : 'write');
+  if (auth.denied) return auth.denied;
+
+  if (req.method === 'GET') {
+    return { status: 200, body: { discounts: await listDiscountCodes() } };
+  }
+  if (req.method === 'PATCH') {
+    const { code, active } = req.body || {};
+    if (typeof code !== 'string' || typeof active !== 'boolean') {
+      return { status: 400, body: 'Provide code and active (true or false)' };
+    }
+    try {
+      const discount = await setDiscountActive(stripe, code, active);
+      if (!discount) return { status: 404, body: `No discount code ${code}` };
+      return { status: 200, body: discount };
+    } catch (err) {
+      console.error(err);
+      return { status: 502, body: 'Failed to update the code in Stripe' };
+    }
+  }
+  const { discount, error } = parseDiscountInput(req.body);
+  if (error) return { status: 400, body: error };
+  try {
+    const created = await createDiscount(stripe, discount, auth.session.username);
+    return { status: 201, body: created };
+  } catch (err) {
+    if (err.code === 'DISCOUNT_EXISTS') return { status: 409, body: err.message };
+    console.error(err);
+    return { status: 502, body: 'Failed to create the code in Stripe: ' + err.message };
+  }
+});
@@ -0,0 +1,45 @@
+const { ensureInit, getEmailTemplates, saveEmailTemplate, deleteEmailTemplate } = require('../db');
+const { DEFAULT_TEMPLATES } = require('../notifications');
+const { requireAdmin, methodNotAllowed } = require('./guards');
+const { withRateLimit } = require('../rate-limit');
+
+// /admin/email-templates
+//   GET     every template in effect, with customized: true where it was edited
+//   PUT     { name, subject, body } edits a template; {{placeholders}} are filled when sending
+//   DELETE  ?name= goes back to the default
+module.exports = withRateLimit('admin-email-templates', async function adminEmailTemplates(req) {
+  const denied = methodNotAllowed(req, 'GET', 'PUT', 'DELETE');
+  if (denied) return denied;
+  await ensureInit();
+  const auth = await requireAdmin(req, req.method === 'GET' ? 'read' : 'write');
+  if (auth.denied) return auth.denied;
+
+  if (req.method === 'GET') {
+    const saved = await getEmailTemplates();
+    const templates = Object.keys(DEFAULT_TEMPLATES).map(name => Object.assign(
+      { name, customized: Boolean(saved[name]), updatedBy: null, updatedAt: null },
+      DEFAULT_TEMPLATES[name],
+      saved[name]
+    ));
+    return { status: 200, body: { templates } };
+  }
+  const name = req.method === 'DELETE' ? (req.query || {}).name : (req.body || {}).name;
+  if (!Object.prototype.hasOwnProperty.call(DEFAULT_TEMPLATES, name)) {
+    return { status: 404, body: `No email template ${name}` };
+  }
+  if (req.method === 'DELETE') {
+    await deleteEmailTemplate(name);
+    return { status: 200, body: { reset: name } };
+  }
+  const { subject, body } = req.body;
+  if (typeof subject !== 'string' || !subject.trim() || typeof body !== 'string' || !body.trim()) {
+    return { status: 400, body: 'Provide a subject and body' };
+  }
+  try {
+    await saveEmailTemplate(name, { subject: subject.trim(), body }, auth.session.username);
+    return { status: 200, body: { name, subject: subject.trim(), body, customized: true } };
+  } catch (err) {
+    console.error(err);
+    return { status: 500, body: 'Failed to save email template' };
+  }
+});
@@ -0,0 +1,48 @@
+const { ensureInit, updateFulfillment, listFulfillmentEvents, listFulfillmentQueue, getOrderById } = require('../db');
+const { parseFulfillmentInput, parseQueueQuery } = require('../fulfillment');
+const { requireAdmin, methodNotAllowed } = require('./guards');
+const { withRateLimit } = require('../rate-limit');
+
+// /admin/fulfillment: picking, packing and shipping paid orders
+//   GET   the "to fulfil" queue, oldest first (?status=unfulfilled|packed, limit, offset)
+//   GET   ?orderId= one order and its fulfillment log
+//   POST  { orderId, status?, carrier?, trackingNumber?, expectedStatus? } moves an order along
+//         unfulfilled -> packed -> shipped -> delivered (or to cancelled before it ships) and/or sets its
+//         carrier and tracking number; answers 409 when the move is not allowed or expectedStatus is stale
+module.exports = withRateLimit('admin-fulfillment', async function adminFulfillment(req) {
+  const denied = methodNotAllowed(req, 'GET', 'POST');
+  if (denied) return denied;
+  await ensureInit();
+  const auth = await requireAdmin(req, req.method === 'GET' ? 'read' : 'write');
+  if (auth.denied) return auth.denied;
+
+  if (req.method === 'GET' && req.query && req.query.orderId != null) {
+    const orderId = Number(req.query.orderId);
+    if (!Number.isInteger(orderId) || orderId <= 0) return { status: 400, body: 'orderId must be a positive integer' };
+    const order = await getOrderById(orderId);
+    if (!order) return { status: 404, body: `No order ${orderId}` };
+    return { status: 200, body: { order, events: await listFulfillmentEvents(orderId) } };
+  }
+
+  if (req.method === 'GET') {
+    const { options, error } = parseQueueQuery(req.query);
+    if (error) return { status: 400, body: error };
+    const { orders, total } = await listFulfillmentQueue(options);
+    return { status: 200, body: { orders, total, limit: options.limit, offset: options.offset } };
+  }
+
+  const { change, error } = parseFulfillmentInput(req.body);
+  if (error) return { status: 400, body: error };
+  try {
+    const { order, changed } = await updateFulfillment(Object.assign({ actor: auth.session.username }, change));
+    return { status: 200, body: { order, changed } };
+  } catch (err) {
+    if (err.code === 'ORDER_NOT_FOUND') return { status: 404, body: err.message };
+    if (err.code === 'FULFILLMENT_CONFLICT' || err.code === 'INVALID_FULFILLMENT_TRANSITION') {
+      return { status: 409, body: { error: err.message, currentStatus: err.currentStatus } };
+    }
+    if (err.code === 'ORDER_NOT_PAID') return { status: 409, body: { error: err.message } };
+    console.error(err);
+    return { status: 500, body: 'Failed to update fulfillment' };
+  }
+});
@@ -0,0 +1,30 @@
+const { ensureInit } = require('../db');
+const { exportInventoryCsv } = require('../inventory-csv');
+const { requireAdmin, methodNotAllowed } = require('./guards');
+const { withRateLimit } = require('../rate-limit');
+
+// GET /admin/inventory/export: CSV of price_id, product_name and stock for every sellable price.
+// The file can be edited and sent back to POST /admin/inventory/import.
+module.exports = withRateLimit('admin-inventory-export', async function adminInventoryExport(req, { stripe }) {
+  const denied = methodNotAllowed(req, 'GET');
+  if (denied) return denied;
+  await ensureInit();
+  const auth = await requireAdmin(req, 'read');
+  if (auth.denied) return auth.denied;
+  try {
+    const csv = await exportInventoryCsv(stripe);
+    const date = new Date().toISOString().slice(0, 10);
+    return {
+      status: 200,
+      body: csv,
+      headers: {
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="inventory-${date}.csv"`,
+        'Cache-Control': 'no-store'
+      }
+    };
+  } catch (err) {
+    console.error(err);
+    return { status: 500, body: 'Failed to export inventory' };
+  }
+});
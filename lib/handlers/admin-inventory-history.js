@@ -0,0 +1,29 @@
+const { ensureInit, listInventoryMovements } = require('../db');
+const { requireAdmin, methodNotAllowed } = require('./guards');
+const { withRateLimit } = require('../rate-limit');
+
+const MAX_LIMIT = 200;
+
+// GET /admin/inventory/history?priceId=&limit=&before= : stock movements for one price, newest first
+module.exports = withRateLimit('admin-inventory-history', async function adminInventoryHistory(req) {
+  const denied = methodNotAllowed(req, 'GET');
+  if (denied) return denied;
+  await ensureInit();
+  const auth = await requireAdmin(req, 'read');
+  if (auth.denied) return auth.denied;
+  const { priceId } = req.query;
+  if (!priceId) return { status: 400, body: 'Provide priceId' };
+  const limit = req.query.limit == null ? 50 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { status: 400, body: `limit must be between 1 and ${MAX_LIMIT}` };
+  }
+  const beforeId = req.query.before == null ? null : Number(req.query.before);
+  if (beforeId !== null && !Number.isInteger(beforeId)) return { status: 400, body: 'before must be a movement id' };
+  try {
+    const movements = await listInventoryMovements(String(priceId), { limit, beforeId });
+    return { status: 200, body: { movements } };
+  } catch (err) {
+    console.error(err);
+    return { status: 500, body: 'Failed to load inventory history' };
+  }
+});
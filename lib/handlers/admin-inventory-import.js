@@ -0,0 +1,48 @@
+const { ensureInit, importInventory } = require('../db');
+const { rowsFromCsv, rowsFromJson, planImport } = require('../inventory-csv');
+const { requireAdmin, methodNotAllowed } = require('./guards');
+const { withRateLimit } = require('../rate-limit');
+
+function parseBody(req) {
+  const text = (req.rawBody || Buffer.alloc(0)).toString('utf8');
+  if (/json/i.test(req.headers['content-type'] || '')) {
+    try {
+      return rowsFromJson(JSON.parse(text));
+    } catch (err) {
+      return { error: `Invalid JSON: ${err.message}` };
+    }
+  }
+  try {
+    return rowsFromCsv(text);
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+// POST /admin/inventory/import[?dryRun=true]: set stock for many prices at once
+// Body: CSV with price_id and stock columns (as from /admin/inventory/export), or JSON { rows: [{ priceId, stock }] }
+// Every row is checked first; any bad row answers 400 { errors } and nothing changes. A dry run answers
+// { dryRun: true, changes, unchanged } without writing; otherwise all changes apply in one transaction.
+// Needs the raw request body (adapt(handler, { rawBody: true }))
+module.exports = withRateLimit('admin-inventory-import', async function adminInventoryImport(req, { stripe }) {
+  const denied = methodNotAllowed(req, 'POST');
+  if (denied) return denied;
+  await ensureInit();
+  const auth = await requireAdmin(req, 'write');
+  if (auth.denied) return auth.denied;
+  const { rows, error } = parseBody(req);
+  if (error) return { status: 400, body: { errors: [{ line: null, priceId: null, error }] } };
+  const dryRun = ['1', 'true'].includes(String((req.query || {}).dryRun));
+  try {
+    const plan = await planImport(stripe, rows);
+    if (plan.errors) return { status: 400, body: { errors: plan.errors } };
+    if (dryRun) return { status: 200, body: { dryRun: true, changes: plan.changes, unchanged: plan.unchanged } };
+    const applied = await importInventory(plan.changes.map(c => ({ priceId: c.priceId, stock: c.to })), auth.session.username);
+    // Report what stock actually was, in case it moved since the rows were checked
+    const changes = plan.changes.map((c, i) => Object.assign({}, c, { from: applied[i].previousStock }));
+    return { status: 200, body: { dryRun: false, changes, unchanged: plan.unchanged } };
+  } catch (err) {
+    console.error(err);
+    return { status: 500, body: 'Failed to import inventory' };
+  }
+});
@@ -0,0 +1,77 @@
+const { ensureInit, adjustInventory, listInventory } = require('../db');
+const { parsePolicyInput } = require('../backorders');
+const { requireAdmin, methodNotAllowed } = require('./guards');
+const { withRateLimit } = require('../rate-limit');
+
+function isNonNegativeInteger(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+function isLimit(value) {
+  return value === undefined || value === null || (Number.isInteger(value) && value > 0);
+}
+
+// GET /admin/inventory: every price's stock, maxPerOrder, lowStockThreshold, stock policy and waitlist size
+// POST /admin/inventory
+//   { priceId, stock }              set stock to an absolute value
+//   { priceId, adjust: +N | -N }    add to or take from the current stock
+//   { priceId }                     change only the settings below
+// Optional: expectedStock (refuse with 409 if stock has changed since it was read), maxPerOrder,
+// lowStockThreshold (email ADMIN_EMAILS when stock drops below it), stockPolicy, backorderLimit and
+// expectedShipDate (see lib/backorders.js). A restock emails the price's waitlist.
+module.exports = withRateLimit('admin-inventory', async function adminInventory(req) {
+  const denied = methodNotAllowed(req, 'GET', 'POST');
+  if (denied) return denied;
+  await ensureInit();
+  const auth = await requireAdmin(req, req.method === 'GET' ? 'read' : 'write');
+  if (auth.denied) return auth.denied;
+  if (req.method === 'GET') {
+    return { status: 200, body: { inventory: await listInventory() } };
+  }
+  const { priceId, stock, adjust, expectedStock, maxPerOrder, lowStockThreshold } = req.body || {};
+  const hasStock = stock !== undefined;
+  const hasAdjust = adjust !== undefined;
+  const { policy, error } = parsePolicyInput(req.body);
+  if (error) return { status: 400, body: error };
+  const hasSettings = [maxPerOrder, lowStockThreshold, ...Object.values(policy)].some(v => v !== undefined);
+  if (!priceId || (hasStock && hasAdjust) || (!hasStock && !hasAdjust && !hasSettings)) {
+    return { status: 400, body: 'Provide priceId and either stock or adjust' };
+  }
+  if (hasStock && (typeof stock !== 'number' || stock < 0)) {
+    return { status: 400, body: 'Provide priceId and non-negative numeric stock' };
+  }
+  if (hasAdjust && !(Number.isInteger(adjust) && adjust !== 0)) {
+    return { status: 400, body: 'adjust must be a non-zero integer' };
+  }
+  if (expectedStock !== undefined && expectedStock !== null && !isNonNegativeInteger(expectedStock)) {
+    return { status: 400, body: 'expectedStock must be a non-negative integer' };
+  }
+  if (!isLimit(maxPerOrder)) {
+    return { status: 400, body: 'maxPerOrder must be a positive integer or null' };
+  }
+  if (!isLimit(lowStockThreshold)) {
+    return { status: 400, body: 'lowStockThreshold must be a positive integer or null' };
+  }
+  try {
+    const result = await adjustInventory({
+      priceId,
+      stock: hasStock ? stock : undefined,
+      delta: hasAdjust ? adjust : undefined,
+      expectedStock,
+      maxPerOrder,
+      lowStockThreshold,
+      stockPolicy: policy.stockPolicy,
+      backorderLimit: policy.backorderLimit,
+      expectedShipDate: policy.expectedShipDate,
+      actor: auth.session.username
+    });
+    return { status: 200, body: { ok: true, stock: result.stock, previousStock: result.previousStock } };
+  } catch (err) {
+    if (err.code === 'STOCK_CONFLICT') {
+      return { status: 409, body: { error: err.message, currentStock: err.currentStock } };
+    }
+    if (err.code === 'NEGATIVE_STOCK') return { status: 400, body: err.message };
+    console.error(err);
+    return { status: 500, body: 'Failed to set inventory' };
+  }
+});
@@ -0,0 +1,44 @@
+const { ensureInit, restockOrderItems } = require('../db');
+const { requireAdmin, methodNotAllowed } = require('./guards');
+const { withRateLimit } = require('../rate-limit');
+
+// POST /admin/orders/restock { orderId, items: [{ priceId, quantity }] }
+// Puts units from a refunded order back into inventory; each unit can only be restocked once
+module.exports = withRateLimit('admin-orders-restock', async function adminOrdersRestock(req) {
+  const denied = methodNotAllowed(req, 'POST');
+  if (denied) return denied;
+  await ensureInit();
+  const auth = await requireAdmin(req, 'write');
+  if (auth.denied) return auth.denied;
+  const { orderId, items } = req.body || {};
+  if (!Number.isInteger(orderId) || orderId <= 0) {
+    return { status: 400, body: 'orderId must be a positive integer' };
+  }
+  if (!Array.isArray(items) || items.length === 0) {
+    return { status: 400, body: 'Provide items to restock' };
+  }
+  const quantities = new Map();
+  for (const item of items) {
+    const priceId = item && typeof item.priceId === 'string' ? item.priceId.trim() : '';
+    if (!priceId) return { status: 400, body: 'Each item needs a priceId' };
+    if (!(Number.isInteger(item.quantity) && item.quantity > 0)) {
+      return { status: 400, body: `Invalid quantity for item ${priceId}` };
+    }
+    quantities.set(priceId, (quantities.get(priceId) || 0) + item.quantity);
+  }
+  try {
+    const restocked = await restockOrderItems(
+      orderId,
+      [...quantities].map(([priceId, quantity]) => ({ priceId, quantity })),
+      auth.session.username
+    );
+    return { status: 200, body: { ok: true, restocked } };
+  } catch (err) {
+    if (err.code === 'ORDER_NOT_FOUND') return { status: 404, body: err.message };
+    if (err.code === 'ORDER_NOT_REFUNDED' || err.code === 'RESTOCK_TOO_MANY') {
+      return { status: 409, body: err.message };
+    }
+    console.error(err);
+    return { status: 500, body: 'Failed to restock order' };
+  }
+});
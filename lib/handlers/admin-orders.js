@@ -0,0 +1,22 @@
+const { ensureInit, listOrders } = require('../db');
+const { parseOrderQuery } = require('../orders');
+const { requireAdmin, methodNotAllowed } = require('./guards');
+const { withRateLimit } = require('../rate-limit');
+
+// GET /admin/orders: paginated order history, filterable by date range and status
+module.exports = withRateLimit('admin-orders', async function adminOrders(req) {
+  const denied = methodNotAllowed(req, 'GET');
+  if (denied) return denied;
+  await ensureInit();
+  const auth = await requireAdmin(req, 'read');
+  if (auth.denied) return auth.denied;
+  const { options, error } = parseOrderQuery(req.query);
+  if (error) return { status: 400, body: error };
+  try {
+    const { orders, total } = await listOrders(options);
+    return { status: 200, body: { orders, total, limit: options.limit, offset: options.offset } };
+  } catch (err) {
+    console.error(err);
+    return { status: 500, body: 'Failed to load orders' };
+  }
+});
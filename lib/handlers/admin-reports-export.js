@@ -0,0 +1,33 @@
+const { ensureInit } = require('../db');
+const { REPORTS, parseReportQuery, reportCsv } = require('../reports');
+const { requireAdmin, methodNotAllowed } = require('./guards');
+const { withRateLimit } = require('../rate-limit');
+
+// GET /admin/reports/export?report=revenue|units|conversion|turnover plus the /admin/reports filters: one report as CSV
+module.exports = withRateLimit('admin-reports-export', async function adminReportsExport(req) {
+  const denied = methodNotAllowed(req, 'GET');
+  if (denied) return denied;
+  await ensureInit();
+  const auth = await requireAdmin(req, 'read');
+  if (auth.denied) return auth.denied;
+  const name = String((req.query || {}).report || '');
+  if (!REPORTS.includes(name)) return { status: 400, body: `report must be one of: ${REPORTS.join(', ')}` };
+  const { options, error } = parseReportQuery(req.query);
+  if (error) return { status: 400, body: error };
+  try {
+    const csv = await reportCsv(name, options);
+    const day = ms => new Date(ms).toISOString().slice(0, 10);
+    return {
+      status: 200,
+      body: csv,
+      headers: {
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${name}-${day(options.fromMs)}-to-${day(options.toMs - 1)}.csv"`,
+        'Cache-Control': 'no-store'
+      }
+    };
+  } catch (err) {
+    console.error(err);
+    return { status: 500, body: 'Failed to export report' };
+  }
+});
@@ -0,0 +1,22 @@
+const { ensureInit } = require('../db');
+const { parseReportQuery, buildReport } = require('../reports');
+const { requireAdmin, methodNotAllowed } = require('./guards');
+const { withRateLimit } = require('../rate-limit');
+
+// GET /admin/reports?from=YYYY-MM-DD&to=YYYY-MM-DD&interval=day|week: revenue, units sold, checkout
+// conversion and stock turnover for the range (the last 30 days by default)
+module.exports = withRateLimit('admin-reports', async function adminReports(req) {
+  const denied = methodNotAllowed(req, 'GET');
+  if (denied) return denied;
+  await ensureInit();
+  const auth = await requireAdmin(req, 'read');
+  if (auth.denied) return auth.denied;
+  const { options, error } = parseReportQuery(req.query);
+  if (error) return { status: 400, body: error };
+  try {
+    return { status: 200, body: await buildReport(options), headers: { 'Cache-Control': 'no-store' } };
+  } catch (err) {
+    console.error(err);
+    return { status: 500, body: 'Failed to build reports' };
+  }
+});
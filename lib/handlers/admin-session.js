@@ -0,0 +1,46 @@
+const { ensureInit } = require('../db');
+const { authenticate, startSession, getSession, endSession } = require('../auth');
+const { requireAdmin, methodNotAllowed } = require('./guards');
+const { withRateLimit } = require('../rate-limit');
+
+function sessionBody(session) {
+  return { username: session.username, role: session.role, csrfToken: session.csrfToken, expiresAt: session.expiresAt };
+}
+
+// /admin/session
+//   GET     the current session { username, role, csrfToken, expiresAt }, or 401
+//   POST    log in with { username, password }; sets the session cookie
+//   DELETE  log out (needs x-csrf-token)
+module.exports = async function adminSession(req) {
+  const denied = methodNotAllowed(req, 'GET', 'POST', 'DELETE');
+  if (denied) return denied;
+  await ensureInit();
+  if (req.method === 'GET') {
+    const session = await getSession(req);
+    if (!session) return { status: 401, body: 'Login required' };
+    return { status: 200, body: sessionBody(session) };
+  }
+  if (req.method === 'DELETE') {
+    const auth = await requireAdmin(req, 'read');
+    if (auth.denied) return auth.denied;
+    return { status: 200, body: { ok: true }, headers: { 'Set-Cookie': await endSession(req) } };
+  }
+  return login(req);
+};
+
+// Only login attempts count against the admin-login limit
+const login = withRateLimit('admin-login', async function login(req) {
+  const { username, password } = req.body || {};
+  if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+    return { status: 400, body: 'Provide username and password' };
+  }
+  try {
+    const user = await authenticate(username, password);
+    if (!user) return { status: 401, body: 'Invalid username or password' };
+    const { session, cookie } = await startSession(req, user);
+    return { status: 200, body: sessionBody(session), headers: { 'Set-Cookie': cookie } };
+  } catch (err) {
+    console.error(err);
+    return { status: 500, body: 'Failed to log in' };
+  }
+});
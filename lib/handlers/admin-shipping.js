@@ -0,0 +1,47 @@
+const { ensureInit, listShippingZones, saveShippingZone, deleteShippingZone } = require('../db');
+const { parseZoneInput } = require('../shipping');
+const { requireAdmin, methodNotAllowed } = require('./guards');
+const { withRateLimit } = require('../rate-limit');
+
+function zoneId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// /admin/shipping
+//   GET     all shipping zones with their rates
+//   POST    { name, countries, rates } creates a zone
+//   PUT     { id, name, countries, rates } replaces a zone and all of its rates
+//   DELETE  ?id= removes a zone
+module.exports = withRateLimit('admin-shipping', async function adminShipping(req) {
+  const denied = methodNotAllowed(req, 'GET', 'POST', 'PUT', 'DELETE');
+  if (denied) return denied;
+  await ensureInit();
+  const auth = await requireAdmin(req, req.method === 'GET' ? 'read' : 'write');
+  if (auth.denied) return auth.denied;
+
+  if (req.method === 'GET') {
+    return { status: 200, body: { zones: await listShippingZones() } };
+  }
+  if (req.method === 'DELETE') {
+    const id = zoneId((req.query || {}).id);
+    if (!id) return { status: 400, body: 'Provide the zone id' };
+    if (!(await deleteShippingZone(id))) return { status: 404, body: `No shipping zone ${id}` };
+    return { status: 200, body: { deleted: id } };
+  }
+  const { zone, error } = parseZoneInput(req.body);
+  if (error) return { status: 400, body: error };
+  if (req.method === 'PUT') {
+    zone.id = zoneId((req.body || {}).id);
+    if (!zone.id) return { status: 400, body: 'Provide the zone id' };
+  }
+  try {
+    const saved = await saveShippingZone(zone, auth.session.username);
+    return { status: req.method === 'POST' ? 201 : 200, body: saved };
+  } catch (err) {
+    if (err.code === 'ZONE_NOT_FOUND') return { status: 404, body: err.message };
+    if (err.code === 'SHIPPING_COUNTRY_TAKEN') return { status: 409, body: err.message };
+    console.error(err);
+    return { status: 500, body: 'Failed to save shipping zone' };
+  }
+});
@@ -0,0 +1,22 @@
+const { ensureInit, listSubscriptions } = require('../db');
+const { parseSubscriptionQuery } = require('../subscriptions');
+const { requireAdmin, methodNotAllowed } = require('./guards');
+const { withRateLimit } = require('../rate-limit');
+
+// GET /admin/subscriptions: paginated subscriptions as the webhook last saw them, filterable by status
+module.exports = withRateLimit('admin-subscriptions', async function adminSubscriptions(req) {
+  const denied = methodNotAllowed(req, 'GET');
+  if (denied) return denied;
+  await ensureInit();
+  const auth = await requireAdmin(req, 'read');
+  if (auth.denied) return auth.denied;
+  const { options, error } = parseSubscriptionQuery(req.query);
+  if (error) return { status: 400, body: error };
+  try {
+    const { subscriptions, total } = await listSubscriptions(options);
+    return { status: 200, body: { subscriptions, total, limit: options.limit, offset: options.offset } };
+  } catch (err) {
+    console.error(err);
+    return { status: 500, body: 'Failed to load subscriptions' };
+  }
+});
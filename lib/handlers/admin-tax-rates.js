@@ -0,0 +1,45 @@
+const { ensureInit, listTaxRates } = require('../db');
+const { parseTaxRateInput, createTaxRate, removeTaxRate } = require('../tax');
+const { taxMode, taxInclusive } = require('../config');
+const { requireAdmin, methodNotAllowed } = require('./guards');
+const { withRateLimit } = require('../rate-limit');
+
+// /admin/tax-rates, the shop's own rates used when TAX_MODE=rates
+//   GET     { mode, inclusive, rates } all rates by country
+//   POST    { country, taxCode?, displayName, percentage } creates a rate here and in Stripe; without
+//           taxCode it covers every product that has no rate of its own in that country
+//   DELETE  ?id= removes a rate and archives it in Stripe
+// Stripe rates cannot change percentage, so a new rate replaces an old one.
+module.exports = withRateLimit('admin-tax-rates', async function adminTaxRates(req, { stripe }) {
+  const denied = methodNotAllowed(req, 'GET', 'POST', 'DELETE');
+  if (denied) return denied;
+  await ensureInit();
+  const auth = await requireAdmin(req, req.method === 'GET' ? 'read' : 'write');
+  if (auth.denied) return auth.denied;
+
+  if (req.method === 'GET') {
+    return { status: 200, body: { mode: taxMode, inclusive: taxInclusive, rates: await listTaxRates() } };
+  }
+  if (req.method === 'DELETE') {
+    const id = Number((req.query || {}).id);
+    if (!Number.isInteger(id) || id <= 0) return { status: 400, body: 'Provide the rate id' };
+    try {
+      const removed = await removeTaxRate(stripe, id);
+      if (!removed) return { status: 404, body: `No tax rate ${id}` };
+      return { status: 200, body: { deleted: id } };
+    } catch (err) {
+      console.error(err);
+      return { status: 502, body: 'Failed to archive the rate in Stripe' };
+    }
+  }
+  const { rate, error } = parseTaxRateInput(req.body);
+  if (error) return { status: 400, body: error };
+  try {
+    const created = await createTaxRate(stripe, rate, auth.session.username);
+    return { status: 201, body: created };
+  } catch (err) {
+    if (err.code === 'TAX_RATE_EXISTS') return { status: 409, body: err.message };
+    console.error(err);
+    return { status: 502, body: 'Failed to create the rate in Stripe: ' + err.message };
+  }
+});
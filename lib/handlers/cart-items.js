@@ -0,0 +1,41 @@
+const { ensureInit } = require('../db');
+const { loadCart, openCart, describeCart, cartCurrency, changeLine } = require('../carts');
+const { parseCountry } = require('../tax');
+const { methodNotAllowed } = require('./guards');
+const { withRateLimit } = require('../rate-limit');
+
+// /cart/items, on the cart named by the cart_token cookie (one is started if there is none)
+//   POST    { price, quantity? } adds units (default 1) to a line
+//   PUT     { price, quantity } sets a line's quantity; 0 removes it
+//   DELETE  ?price= removes a line
+// Each answers with the whole cart like GET /cart, in the same currency. More than can be bought is refused with
+// 409 { error, available, cart }; lowering a quantity is always allowed.
+module.exports = withRateLimit('cart-items', async function cartItems(req, { stripe }) {
+  const denied = methodNotAllowed(req, 'POST', 'PUT', 'DELETE');
+  if (denied) return denied;
+  await ensureInit();
+  const headers = { 'Cache-Control': 'no-store' };
+  const { currency, error } = await cartCurrency(req);
+  if (error) return { status: 400, body: error };
+  const view = { currency, country: parseCountry((req.query || {}).country) };
+
+  if (req.method === 'DELETE') {
+    const existing = await loadCart(req);
+    const price = (req.query || {}).price;
+    if (!price) return { status: 400, body: 'Provide the price to remove' };
+    if (!existing) return { status: 404, body: 'No cart' };
+    await changeLine(stripe, existing, String(price), 0);
+    return { status: 200, body: await describeCart(existing, view), headers };
+  }
+
+  const { price, quantity } = req.body || {};
+  const { cart, cookie } = await openCart(req);
+  if (cookie) headers['Set-Cookie'] = cookie;
+  const add = req.method === 'POST';
+  const result = await changeLine(stripe, cart, price, quantity === undefined && add ? 1 : quantity, { add });
+  if (result.status === 409) {
+    return { status: 409, body: { error: result.error, available: result.available, cart: await describeCart(cart, view) }, headers };
+  }
+  if (result.error) return { status: result.status, body: result.error, headers };
+  return { status: 200, body: await describeCart(cart, view), headers };
+});
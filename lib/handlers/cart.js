@@ -0,0 +1,48 @@
+const { ensureInit } = require('../db');
+const { loadCart, openCart, describeCart, cartCurrency, changeLine, emptyCart } = require('../carts');
+const { parseCountry } = require('../tax');
+const { methodNotAllowed } = require('./guards');
+const { withRateLimit } = require('../rate-limit');
+
+const EMPTY_CART = {
+  items: [],
+  totals: {},
+  holdExpiresAt: null,
+  checkoutReady: false,
+  subscriptions: { items: [], totals: {}, checkoutReady: false }
+};
+
+// /cart, identified by the cart_token cookie; prices are shown in ?currency= (or the Accept-Language one) as for /products,
+// and with tax on, ?country= picks the country tax is estimated for
+//   GET     the cart, each line rechecked against current prices and stock (an empty cart if there is none)
+//   POST    { items?: [{ price, quantity }] } starts a new cart, e.g. from one kept in the browser;
+//           lines that cannot be added are listed in `rejected`
+//   DELETE  empties the cart and gives back any stock it holds
+module.exports = withRateLimit('cart', async function cart(req, { stripe }) {
+  const denied = methodNotAllowed(req, 'GET', 'POST', 'DELETE');
+  if (denied) return denied;
+  await ensureInit();
+  const headers = { 'Cache-Control': 'no-store' };
+  const { currency, error } = await cartCurrency(req);
+  if (error) return { status: 400, body: error };
+  const view = { currency, country: parseCountry((req.query || {}).country) };
+
+  if (req.method === 'POST') {
+    const items = (req.body || {}).items || [];
+    if (!Array.isArray(items)) return { status: 400, body: 'items must be a list of { price, quantity }' };
+    const { cart: created, cookie } = await openCart(req, { fresh: true });
+    headers['Set-Cookie'] = cookie;
+    const rejected = [];
+    for (const item of items) {
+      const quantity = item && item.quantity !== undefined ? Number(item.quantity) : 1;
+      const { error } = await changeLine(stripe, created, item && item.price, quantity, { add: true });
+      if (error) rejected.push({ priceId: (item && item.price) || null, error });
+    }
+    return { status: 201, body: Object.assign(await describeCart(created, view), { rejected }), headers };
+  }
+
+  const existing = await loadCart(req);
+  if (!existing) return { status: 200, body: EMPTY_CART, headers };
+  if (req.method === 'DELETE') await emptyCart(existing);
+  return { status: 200, body: await describeCart(existing, Object.assign({ touch: req.method === 'GET' }, view)), headers };
+});
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const { ensureInit, reserveStock, reserveCartStock, releaseReservation, linkReservationToSession, listCatalog } = require('../db');
+const { reservationTtlMs, taxInclusive } = require('../config');
+const { validateLineItems, shortageError, checkoutCurrency } = require('../checkout');
+const { checkDiscountCode } = require('../discounts');
+const { quoteShipping } = require('../shipping');
+const { parseCountry, checkoutTax } = require('../tax');
+const { loadCart, cartCheckoutItems, closePreviousCheckout } = require('../carts');
+const { variantNames } = require('../catalog');
+const { checkoutNote } = require('../backorders');
+const { methodNotAllowed } = require('./guards');
+const { withRateLimit } = require('../rate-limit');
+
+// Where Checkout sends the shopper back to; PUBLIC_APP_URL wins over the request's own host
+function appBaseUrl(req) {
+  if (process.env.PUBLIC_APP_URL) return process.env.PUBLIC_APP_URL.replace(/\/+$/, '');
+  const proto = req.headers['x-forwarded-proto'] || req.protocol || 'https';
+  return `${proto}://${req.headers.host}`;
+}
+
+// POST /create-checkout-session { line_items: [{ price, quantity }], discount_code?, shipping_country?, currency? } -> { url }
+// The session is charged in `currency` (or the shopper's Accept-Language currency) when every item is sold in it.
+// Tax follows TAX_MODE (lib/tax.js); the shop's own rates are those of shipping_country.
+// With { cart: true } instead of line_items, checks out the server-side cart (lib/carts.js); stock the
+// cart holds moves straight into the checkout's reservation, and the cart is emptied once the order completes.
+// Recurring prices start a subscription (mode 'subscription') and cannot be mixed with one-time items, so
+// { cart: true, subscriptions: true } checks out the cart's subscriptions and { cart: true } the rest.
+// Units sold on backorder or pre-order are spelled out above Checkout's pay button.
+module.exports = withRateLimit('create-checkout-session', async function createCheckoutSession(req, { stripe }) {
+  const denied = methodNotAllowed(req, 'POST');
+  if (denied) return denied;
+  await ensureInit();
+
+  const { line_items, discount_code, shipping_country, currency: requestedCurrency } = req.body || {};
+  let lineItems = line_items;
+  let cart = null;
+  let held = {};
+  if ((req.body || {}).cart === true) {
+    cart = await loadCart(req);
+    if (!cart) return { status: 400, body: 'Your cart is empty' };
+    const fromCart = await cartCheckoutItems(cart, { subscriptions: req.body.subscriptions === true });
+    if (fromCart.error) return { status: 409, body: { error: fromCart.error, shortages: [] } };
+    lineItems = fromCart.items;
+    held = fromCart.held;
+  }
+
+  // Real Stripe Price IDs from the client, checked against stock and per-order caps
+  const checked = await validateLineItems(lineItems, { held });
+  if (checked.shortages) return { status: 409, body: { error: checked.error, shortages: checked.shortages } };
+  if (checked.error) return { status: 400, body: checked.error };
+  const mappedItems = checked.items;
+  // Subscriptions to a service take no stock and need no shipping
+  const { stocked } = checked;
+
+  let charged;
+  try {
+    charged = await checkoutCurrency(stripe, mappedItems, requestedCurrency, req.headers['accept-language']);
+  } catch (err) {
+    // A price Stripe does not know
+    return { status: 400, body: err.message };
+  }
+  if (charged.error) return { status: 400, body: charged.error };
+  const { currency } = charged;
+
+  // A code that cannot be used is reported (422) before any stock is held
+  let discount = null;
+  if (typeof discount_code === 'string' && discount_code.trim()) {
+    const result = await checkDiscountCode(stripe, discount_code, mappedItems, currency);
+    if (result.error) return { status: 422, body: result.error };
+    discount = result.discount;
+  }
+
+  // Once shipping zones exist every order ships: Checkout only accepts an address in the chosen
+  // country and offers that zone's rates, priced for this cart
+  const { shipping, error: shippingError } = stocked.length > 0
+    ? await quoteShipping(stripe, shipping_country, stocked, currency)
+    : { shipping: null };
+  if (shippingError) return { status: 400, body: shippingError };
+
+  const { tax, error: taxError } = await checkoutTax(stripe, mappedItems, parseCountry(shipping_country));
+  if (taxError) return { status: 400, body: taxError };
+
+  if (cart) {
+    const closed = await closePreviousCheckout(stripe, cart);
+    if (closed.error) return { status: 409, body: { error: closed.error, shortages: [] } };
+  }
+
+  // Reserve stock atomically before creating the session
+  const reservationId = (crypto.randomUUID ? crypto.randomUUID() : Math.random().toString(36).slice(2)) + '-' + Date.now();
+  let reserved;
+  try {
+    if (cart) reserved = await reserveCartStock(cart.id, reservationId, stocked);
+    else reserved = await reserveStock(reservationId, stocked);
+  } catch (e) {
+    // Stock changed between the check above and the reservation
+    if (e.code !== 'INSUFFICIENT_STOCK') throw e;
+    return { status: 409, body: await shortageError([{ priceId: e.priceId, requested: e.requested, available: e.available }]) };
+  }
+
+  let session;
+  try {
+    const baseUrl = appBaseUrl(req);
+    const params = {
+      mode: checked.mode,
+      line_items: tax && tax.lineRates
+        ? mappedItems.map(i => (tax.lineRates[i.price] ? Object.assign({}, i, { tax_rates: [tax.lineRates[i.price]] }) : i))
+        : mappedItems,
+      // Stripe fills in the session id, so success.html can show the order
+      success_url: `${baseUrl}/success.html?session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: `${baseUrl}/cancel.html`,
+      expires_at: Math.floor((Date.now() + reservationTtlMs) / 1000),
+      metadata: { reservation_id: reservationId }
+    };
+    // Prices are charged in their own currency unless another of their currency_options is asked for
+    if (currency && currency !== charged.prices[mappedItems[0].price].currency) params.currency = currency;
+    if (cart) params.metadata.cart_id = cart.id;
+    const note = reserved.some(r => r.backordered > 0) ? checkoutNote(reserved, variantNames((await listCatalog()) || [])) : null;
+    if (note) params.custom_text = { submit: { message: note } };
+    if (discount) {
+      params.discounts = [{ promotion_code: discount.stripePromotionCodeId }];
+      params.metadata.discount_code = discount.code;
+    }
+    if (shipping) {
+      params.shipping_address_collection = { allowed_countries: [shipping.country] };
+      params.shipping_options = shipping.options;
+    }
+    // The shop's own rates are those of the country the shopper picked, so the address must be in it; otherwise
+    // claiming an untaxed country would be enough to skip tax (shipping zones already lock it when they apply)
+    if (tax && tax.country && !params.shipping_address_collection) {
+      params.shipping_address_collection = { allowed_countries: [tax.country] };
+    }
+    if (tax && tax.automatic) {
+      params.automatic_tax = { enabled: true };
+      // Stripe Tax needs to know whether shipping amounts include tax, as it does for prices
+      const taxBehavior = taxInclusive ? 'inclusive' : 'exclusive';
+      if (params.shipping_options) {
+        params.shipping_options = params.shipping_options.map(o => ({
+          shipping_rate_data: Object.assign({}, o.shipping_rate_data, { tax_behavior: taxBehavior })
+        }));
+      }
+    }
+    session = await stripe.checkout.sessions.create(params);
+  } catch (err) {
+    console.error(err);
+    // Give the stock back straight away if the session could not be created
+    try { await releaseReservation(reservationId); } catch (_) {}
+    return { status: 400, body: err.message };
+  }
+
+  await linkReservationToSession(session.id, reservationId);
+  return { status: 200, body: { url: session.url } };
+});
@@ -0,0 +1,36 @@
+const config = require('../config');
+const { getSession, roleAllows, safeEqual } = require('../auth');
+
+// Admin endpoints need a logged-in session (cookie) whose role has `permission` ('read' or 'write').
+// Anything but GET/HEAD must also carry the session's CSRF token in x-csrf-token.
+// Resolves to { session } or { denied } with a 401/403 response.
+async function requireAdmin(req, permission) {
+  const session = await getSession(req);
+  if (!session) return { denied: { status: 401, body: 'Login required' } };
+  if (!roleAllows(session.role, permission)) return { denied: { status: 403, body: 'Forbidden' } };
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    const token = req.headers['x-csrf-token'];
+    if (!token || !safeEqual(token, session.csrfToken)) {
+      return { denied: { status: 403, body: 'Invalid CSRF token' } };
+    }
+  }
+  return { session };
+}
+
+// Cron endpoints: Vercel Cron sends `Authorization: Bearer <CRON_SECRET>`. They fail closed, with a 503,
+// when CRON_SECRET is not set outside test and development. Returns the response to send, or null.
+function cronDenied(req) {
+  if (!config.cronSecret) return config.cronSecretOptional ? null : { status: 503, body: 'CRON_SECRET is not set' };
+  if (!safeEqual(req.headers.authorization || '', `Bearer ${config.cronSecret}`)) return { status: 401, body: 'Unauthorized' };
+  return null;
+}
+
+function methodNotAllowed(req, ...methods) {
+  return methods.includes(req.method) ? null : { status: 405, body: 'Method Not Allowed' };
+}
+
+module.exports = {
+  requireAdmin,
+  cronDenied,
+  methodNotAllowed
+};
@@ -0,0 +1,51 @@
+const { ensureInit, getOrderBySession } = require('../db');
+const { methodNotAllowed } = require('./guards');
+const { withRateLimit } = require('../rate-limit');
+
+const SESSION_ID_PATTERN = /^cs_[A-Za-z0-9_]{1,250}$/;
+
+// What the shopper may see about their own order; no address or email, as the session id is all it takes
+function publicOrder(order) {
+  return {
+    status: order.status,
+    paymentStatus: order.paymentStatus,
+    fulfillmentStatus: order.fulfillmentStatus,
+    carrier: order.carrier,
+    trackingNumber: order.trackingNumber,
+    currency: order.currency,
+    amountSubtotal: order.amountSubtotal,
+    amountDiscount: order.amountDiscount,
+    amountShipping: order.amountShipping,
+    amountTax: order.amountTax,
+    amountTotal: order.amountTotal,
+    shippingRateName: order.shippingRateName,
+    items: order.items.map(i => ({ description: i.description, quantity: i.quantity, currency: i.currency, amountTotal: i.amountTotal, backordered: i.backordered }))
+  };
+}
+
+// GET /order-status?session_id=cs_... for success.html
+//   { state: 'complete', order }  the webhook has stored the order
+//   { state: 'processing' }       paid in Checkout, webhook not handled yet; poll again
+//   { state: 'open' | 'expired' } the session was never paid
+module.exports = withRateLimit('order-status', async function orderStatus(req, { stripe }) {
+  const denied = methodNotAllowed(req, 'GET');
+  if (denied) return denied;
+  const sessionId = String((req.query || {}).session_id || '');
+  if (!SESSION_ID_PATTERN.test(sessionId)) return { status: 400, body: 'Provide a valid session_id' };
+  await ensureInit();
+  const headers = { 'Cache-Control': 'no-store' };
+  const order = await getOrderBySession(sessionId);
+  if (order) return { status: 200, body: { state: 'complete', order: publicOrder(order) }, headers };
+
+  // Not stored yet: ask Stripe whether this is a real session and whether it was paid
+  let session;
+  try {
+    session = await stripe.checkout.sessions.retrieve(sessionId);
+  } catch (err) {
+    if (err.statusCode === 404) return { status: 404, body: 'Unknown checkout session' };
+    console.error(err);
+    return { status: 502, body: 'Failed to look up the checkout session' };
+  }
+  const state = session.status === 'complete' ? 'processing' : session.status;
+  return { status: 200, body: { state, order: null }, headers };
+});
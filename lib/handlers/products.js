@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+const { ensureInit, getInventoryLimits } = require('../db');
+const { getCatalog, groupProducts, catalogCurrencies, shopperCurrency } = require('../catalog');
+const { methodNotAllowed } = require('./guards');
+const { withRateLimit } = require('../rate-limit');
+
+// If-None-Match may list several tags, weak or strong
+function matchesEtag(header, etag) {
+  return String(header || '').split(',').some(tag => tag.trim() === '*' || tag.trim().replace(/^W\//, '') === etag);
+}
+
+// GET /products: active products, each with its prices as variants and their stock, served from the catalog cache.
+// Prices are in ?currency= when given, else in the currency of the shopper's Accept-Language locale, for every
+// variant sold in it; `currencies` lists all the currencies the shop sells in.
+module.exports = withRateLimit('products', async function products(req, { stripe }) {
+  const denied = methodNotAllowed(req, 'GET');
+  if (denied) return denied;
+  await ensureInit();
+  let catalog;
+  try {
+    catalog = await getCatalog(stripe);
+  } catch (err) {
+    // Only reachable before the first successful sync
+    console.error(err);
+    return { status: 503, body: 'Catalog is not available yet' };
+  }
+  const { currency, error } = shopperCurrency(req, catalog);
+  if (error) return { status: 400, body: error };
+  try {
+    const limits = await getInventoryLimits(catalog.map(p => p.priceId));
+    const body = { currency, currencies: catalogCurrencies(catalog).currencies, products: groupProducts(catalog, limits, currency) };
+    const etag = '"' + crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64url') + '"';
+    // Stock is in the body, so caches must check back every time; the ETag keeps that to a 304
+    const headers = { ETag: etag, 'Cache-Control': 'private, no-cache', Vary: 'Accept-Language' };
+    if (matchesEtag(req.headers['if-none-match'], etag)) return { status: 304, headers };
+    return { status: 200, body, headers };
+  } catch (err) {
+    console.error(err);
+    return { status: 500, body: 'Failed to load products' };
+  }
+});
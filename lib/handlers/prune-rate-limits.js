@@ -0,0 +1,17 @@
+const { pruneRateLimitBuckets } = require('../rate-limit');
+const { cronDenied, methodNotAllowed } = require('./guards');
+
+// GET|POST /api/prune-rate-limits: cron entry point for dropping idle rate limit buckets
+module.exports = async function pruneRateLimits(req) {
+  const denied = methodNotAllowed(req, 'GET', 'POST');
+  if (denied) return denied;
+  const unauthorized = cronDenied(req);
+  if (unauthorized) return unauthorized;
+  try {
+    const pruned = await pruneRateLimitBuckets();
+    return { status: 200, body: { pruned } };
+  } catch (err) {
+    console.error(err);
+    return { status: 500, body: 'Failed to prune rate limits' };
+  }
+};
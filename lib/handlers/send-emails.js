@@ -0,0 +1,18 @@
+const { ensureInit } = require('../db');
+const { sendQueuedEmails } = require('../notifications');
+const { cronDenied, methodNotAllowed } = require('./guards');
+
+// GET|POST /api/send-emails: cron entry point for sending queued email
+module.exports = async function sendEmails(req) {
+  const denied = methodNotAllowed(req, 'GET', 'POST');
+  if (denied) return denied;
+  const unauthorized = cronDenied(req);
+  if (unauthorized) return unauthorized;
+  await ensureInit();
+  try {
+    return { status: 200, body: await sendQueuedEmails() };
+  } catch (err) {
+    console.error(err);
+    return { status: 500, body: 'Failed to send emails' };
+  }
+};
@@ -0,0 +1,12 @@
+const { ensureInit, listShippingCountries } = require('../db');
+const { methodNotAllowed } = require('./guards');
+const { withRateLimit } = require('../rate-limit');
+
+// GET /shipping/countries: countries the shop ships to, for the storefront's country picker.
+// An empty list means shipping is not set up and checkout asks for no address.
+module.exports = withRateLimit('shipping-countries', async function shippingCountries(req) {
+  const denied = methodNotAllowed(req, 'GET');
+  if (denied) return denied;
+  await ensureInit();
+  return { status: 200, body: { countries: await listShippingCountries() } };
+});
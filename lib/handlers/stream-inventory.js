@@ -0,0 +1,63 @@
+const { ensureInit, listInventory } = require('../db');
+const { subscribeToStock } = require('../stock-stream');
+const { methodNotAllowed } = require('./guards');
+const { withRateLimit } = require('../rate-limit');
+const { stockStreamMaxMs } = require('../config');
+
+// Comment lines keep proxies from closing a quiet stream
+const HEARTBEAT_MS = 20_000;
+// How long browsers wait before reconnecting after the stream ends
+const RETRY_MS = 2000;
+
+// GET /stream/inventory, server-sent events for index.html and admin.html:
+//   snapshot  { stock: { [priceId]: stock } }  every price's stock, sent first on each connection
+//   stock     { priceId, stock }               after each committed change
+// The stream ends after STOCK_STREAM_MAX_SECONDS and the browser reconnects for a new snapshot.
+module.exports = withRateLimit('stream-inventory', async function streamInventory(req) {
+  const denied = methodNotAllowed(req, 'GET');
+  if (denied) return denied;
+  await ensureInit();
+  return {
+    status: 200,
+    headers: {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-store',
+      // Stops nginx-style proxies from buffering events
+      'X-Accel-Buffering': 'no'
+    },
+    stream(write, end) {
+      const send = (event, data) => write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      let stopped = false;
+      const stop = () => {
+        if (stopped) return;
+        stopped = true;
+        clearInterval(heartbeat);
+        clearTimeout(expiry);
+        subscription.unsubscribe();
+      };
+      // Expiry, a lost listener and a failed snapshot can each end the stream; only the first does
+      const finish = () => {
+        if (stopped) return;
+        stop();
+        end();
+      };
+      const heartbeat = setInterval(() => write(': ping\n\n'), HEARTBEAT_MS);
+      const expiry = setTimeout(finish, stockStreamMaxMs);
+      heartbeat.unref();
+      expiry.unref();
+      write(`retry: ${RETRY_MS}\n\n`);
+      // The snapshot is read once LISTEN is in place, so no change falls between the two
+      const subscription = subscribeToStock(change => send('stock', change), finish);
+      subscription.listening
+        .then(() => listInventory())
+        .then((rows) => {
+          if (!stopped) send('snapshot', { stock: Object.fromEntries(rows.map(r => [r.priceId, r.stock])) });
+        }, (err) => {
+          // A lost listener has already ended the stream and logged why
+          if (!stopped) console.error(err);
+          finish();
+        });
+      return stop;
+    }
+  };
+});
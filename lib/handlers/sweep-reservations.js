@@ -0,0 +1,21 @@
+const { ensureInit, sweepExpiredReservations, sweepCarts } = require('../db');
+const { cartTtlMs } = require('../config');
+const { cronDenied, methodNotAllowed } = require('./guards');
+
+// GET|POST /api/sweep-reservations: cron entry point for releasing stale reservations and cart holds,
+// and deleting abandoned carts
+module.exports = async function sweepReservations(req) {
+  const denied = methodNotAllowed(req, 'GET', 'POST');
+  if (denied) return denied;
+  const unauthorized = cronDenied(req);
+  if (unauthorized) return unauthorized;
+  await ensureInit();
+  try {
+    const result = await sweepExpiredReservations();
+    const carts = await sweepCarts({ idleMs: cartTtlMs });
+    return { status: 200, body: Object.assign(result, { cartHolds: carts.holds, cartHoldUnits: carts.units, carts: carts.carts }) };
+  } catch (err) {
+    console.error(err);
+    return { status: 500, body: 'Failed to sweep reservations' };
+  }
+};
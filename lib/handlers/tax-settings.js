@@ -0,0 +1,15 @@
+const { ensureInit, listTaxCountries } = require('../db');
+const { taxMode, taxInclusive } = require('../config');
+const { methodNotAllowed } = require('./guards');
+const { withRateLimit } = require('../rate-limit');
+
+// GET /tax/settings, for the storefront: { mode, inclusive, countries }
+// mode is none, stripe (worked out in Checkout) or rates; countries are those the shop has rates for.
+// inclusive says whether catalog prices already include tax.
+module.exports = withRateLimit('tax-settings', async function taxSettings(req) {
+  const denied = methodNotAllowed(req, 'GET');
+  if (denied) return denied;
+  await ensureInit();
+  const countries = taxMode === 'rates' ? await listTaxCountries() : [];
+  return { status: 200, body: { mode: taxMode, inclusive: taxInclusive, countries } };
+});
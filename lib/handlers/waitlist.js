@@ -0,0 +1,29 @@
+const { ensureInit, getInventoryLimits, joinWaitlist } = require('../db');
+const { getCatalog, tracksStock } = require('../catalog');
+const { parseWaitlistInput, sellableUnits } = require('../backorders');
+const { methodNotAllowed } = require('./guards');
+const { withRateLimit } = require('../rate-limit');
+
+// POST /waitlist { priceId, email }: email me when this sold-out price can be bought again.
+// Answers { ok: true } whether or not the address was already waiting, so the list cannot be probed;
+// 409 when the price is not sold out. The email goes out when an admin restocks it (see adjustInventory).
+module.exports = withRateLimit('waitlist', async function waitlist(req, { stripe }) {
+  const denied = methodNotAllowed(req, 'POST');
+  if (denied) return denied;
+  await ensureInit();
+  const { entry, error } = parseWaitlistInput(req.body);
+  if (error) return { status: 400, body: error };
+  const price = (await getCatalog(stripe)).find(p => p.priceId === entry.priceId);
+  if (!price) return { status: 404, body: `Unknown price ${entry.priceId}` };
+  const limit = (await getInventoryLimits([entry.priceId]))[entry.priceId] || { stock: 0 };
+  if (!tracksStock(price) || sellableUnits(limit.stock, limit) > 0) {
+    return { status: 409, body: `${entry.priceId} is not sold out` };
+  }
+  try {
+    await joinWaitlist(entry.priceId, entry.email);
+    return { status: 200, body: { ok: true } };
+  } catch (err) {
+    console.error(err);
+    return { status: 500, body: 'Failed to join the waitlist' };
+  }
+});
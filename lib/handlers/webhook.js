@@ -0,0 +1,27 @@
+const { ensureInit } = require('../db');
+const { processStripeEvent } = require('../webhooks');
+const { methodNotAllowed } = require('./guards');
+const { withRateLimit } = require('../rate-limit');
+
+// POST /webhook: Stripe events, signature-checked when STRIPE_WEBHOOK_SECRET is set
+// Needs the raw request body (adapt(webhook, { rawBody: true }))
+module.exports = withRateLimit('webhook', async function webhook(req, { stripe }) {
+  const denied = methodNotAllowed(req, 'POST');
+  if (denied) return denied;
+  await ensureInit();
+  const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET || '';
+  try {
+    let event;
+    if (endpointSecret) {
+      const signature = req.headers['stripe-signature'];
+      event = stripe.webhooks.constructEvent(req.rawBody, signature, endpointSecret);
+    } else {
+      event = JSON.parse(req.rawBody.toString());
+    }
+    const { duplicate } = await processStripeEvent(stripe, event);
+    return { status: 200, body: { received: true, duplicate } };
+  } catch (err) {
+    console.error(err);
+    return { status: 400, body: `Webhook error: ${err.message}` };
+  }
+});
@@ -0,0 +1,68 @@
+const getRawBody = require('raw-body');
+const { getStripe } = require('./stripe');
+const { trustProxyHops } = require('./config');
+
+// Handlers in lib/handlers are plain async functions:
+//   handler(request, { stripe }) -> { status, body, headers? }
+// request is { method, headers, query, body, rawBody, ip, protocol }. A string body is sent as text,
+// anything else as JSON. adapt() turns a handler into an (req, res) function that works both as an
+// Express route and as a Vercel function, since both expose Node's req plus res.status/send/json.
+// A handler may return { status, headers, stream } instead of a body to keep the response open:
+// stream(write, end) starts sending, write(text) sends a chunk and end() finishes the response. It
+// returns a function that is called once the response is closed, from either side.
+
+// Each trusted proxy appends the address it got the request from to X-Forwarded-For, so the client is
+// the entry just before the trusted ones. Anything further left could have been sent by the client itself.
+function clientIp(req, hops = trustProxyHops) {
+  const socketIp = (req.socket && req.socket.remoteAddress) || 'unknown';
+  if (hops <= 0) return socketIp;
+  const forwarded = (req.headers['x-forwarded-for'] || '').toString().split(',').map(ip => ip.trim()).filter(Boolean);
+  const chain = forwarded.concat(socketIp);
+  return chain[Math.max(0, chain.length - 1 - hops)];
+}
+
+async function toRequest(req, { rawBody = false } = {}) {
+  return {
+    method: req.method,
+    headers: req.headers,
+    query: req.query || {},
+    // The raw stream is read only when asked for, so the JSON body parser must not have consumed it
+    body: rawBody ? undefined : req.body,
+    rawBody: rawBody ? await getRawBody(req) : undefined,
+    ip: clientIp(req),
+    protocol: req.protocol
+  };
+}
+
+function sendResponse(res, out) {
+  for (const [name, value] of Object.entries(out.headers || {})) res.setHeader(name, value);
+  if (typeof out.stream === 'function') {
+    res.status(out.status);
+    res.flushHeaders();
+    const stop = out.stream(chunk => res.write(chunk), () => res.end());
+    res.on('close', stop);
+    return;
+  }
+  if (typeof out.body === 'string' || out.body === undefined) {
+    return res.status(out.status).send(out.body || '');
+  }
+  return res.status(out.status).json(out.body);
+}
+
+// options.rawBody: hand the handler the unparsed body (needed for Stripe signature checks)
+function adapt(handler, options = {}) {
+  return async (req, res) => {
+    try {
+      const out = await handler(await toRequest(req, options), { stripe: getStripe() });
+      sendResponse(res, out);
+    } catch (err) {
+      console.error(err);
+      res.status(500).send('Internal Server Error');
+    }
+  };
+}
+
+module.exports = {
+  adapt,
+  clientIp
+};
@@ -0,0 +1,139 @@
+const { getInventoryLimits } = require('./db');
+const { getCatalog, variantNames } = require('./catalog');
+
+const EXPORT_COLUMNS = ['price_id', 'product_name', 'stock'];
+const MAX_IMPORT_ROWS = 5000;
+
+// Quote fields that need it (RFC 4180); a leading =, +, - or @ is prefixed with ' so
+// spreadsheets do not run a product name as a formula
+function csvField(value) {
+  let text = value == null ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+  return [columns, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// RFC 4180 records: [{ line, fields }], where line is where the record starts. Blank lines are skipped.
+// Throws on an unterminated quote.
+function parseCsv(text) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let start = 1;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+  const endRecord = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0].trim() !== '') records.push({ line: start, fields });
+    fields = [];
+    field = '';
+  };
+  for (; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        if (c === '\n') line++;
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      fields.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      start = line;
+    } else {
+      field += c;
+    }
+  }
+  if (quoted) throw new Error(`Unterminated quoted field starting on line ${start}`);
+  endRecord();
+  return records;
+}
+
+// Every sellable price with the name shown on the admin page, for export and for checking imports
+async function inventoryRows(stripe) {
+  const catalog = await getCatalog(stripe);
+  const limits = await getInventoryLimits(catalog.map(p => p.priceId));
+  const names = variantNames(catalog);
+  const rows = catalog.map(p => ({ priceId: p.priceId, name: names[p.priceId], stock: limits[p.priceId] ? limits[p.priceId].stock : 0 }));
+  return rows.sort((a, b) => a.name.localeCompare(b.name) || (a.priceId < b.priceId ? -1 : 1));
+}
+
+async function exportInventoryCsv(stripe) {
+  const rows = await inventoryRows(stripe);
+  return toCsv(EXPORT_COLUMNS, rows.map(r => [r.priceId, r.name, r.stock]));
+}
+
+// CSV needs a header with price_id and stock; other columns (such as product_name from an export) are ignored
+function rowsFromCsv(text) {
+  const records = parseCsv(text);
+  if (records.length === 0) return { error: 'The file is empty' };
+  const header = records[0].fields.map(h => h.trim().toLowerCase());
+  const priceCol = header.indexOf('price_id');
+  const stockCol = header.indexOf('stock');
+  if (priceCol === -1 || stockCol === -1) return { error: 'The header row needs price_id and stock columns' };
+  return {
+    rows: records.slice(1).map(r => ({ line: r.line, priceId: r.fields[priceCol], stock: r.fields[stockCol] }))
+  };
+}
+
+// JSON is { rows: [{ priceId, stock }] }; row numbers start at 1
+function rowsFromJson(body) {
+  if (!body || !Array.isArray(body.rows)) return { error: 'Provide rows: [{ priceId, stock }]' };
+  return { rows: body.rows.map((r, i) => Object.assign({ line: i + 1 }, r)) };
+}
+
+// Check parsed rows against the catalog and current stock. Resolves to
+//   { errors: [{ line, priceId, error }] } if any row is bad, or
+//   { changes: [{ priceId, name, from, to }], unchanged } listing only the rows that change stock
+async function planImport(stripe, rows) {
+  if (rows.length === 0) return { errors: [{ line: null, priceId: null, error: 'No rows to import' }] };
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return { errors: [{ line: null, priceId: null, error: `At most ${MAX_IMPORT_ROWS} rows per import` }] };
+  }
+  const known = Object.fromEntries((await inventoryRows(stripe)).map(r => [r.priceId, r]));
+  const errors = [];
+  const seen = new Set();
+  const changes = [];
+  let unchanged = 0;
+  for (const row of rows) {
+    const priceId = typeof row.priceId === 'string' ? row.priceId.trim() : '';
+    const raw = typeof row.stock === 'string' ? row.stock.trim() : row.stock;
+    const stock = raw === '' || raw == null ? NaN : Number(raw);
+    const fail = (error) => errors.push({ line: row.line, priceId: priceId || null, error });
+    if (!priceId) fail('Missing price_id');
+    else if (!known[priceId]) fail(`Unknown price ${priceId}`);
+    else if (seen.has(priceId)) fail(`${priceId} is listed more than once`);
+    // Stock below zero (backorders owed) can be left as exported, but not set
+    else if (!Number.isInteger(stock) || (stock < 0 && stock !== known[priceId].stock)) fail('stock must be a non-negative whole number');
+    else {
+      seen.add(priceId);
+      if (known[priceId].stock === stock) unchanged += 1;
+      else changes.push({ priceId, name: known[priceId].name, from: known[priceId].stock, to: stock });
+    }
+  }
+  if (errors.length > 0) return { errors };
+  return { changes, unchanged };
+}
+
+module.exports = {
+  toCsv,
+  parseCsv,
+  exportInventoryCsv,
+  rowsFromCsv,
+  rowsFromJson,
+  planImport
+};
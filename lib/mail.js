@@ -0,0 +1,69 @@
+const fs = require('fs');
+const { mailTransport, mailFrom, smtpUrl, mailFile } = require('./config');
+
+// A transport is { send({ from, to, subject, text }) }; it resolves once the message is
+// handed off and throws to have the queue retry it later
+
+function createConsoleTransport() {
+  return {
+    async send(message) {
+      console.log(`--- mail to ${message.to}: ${message.subject}\n${message.text}\n---`);
+    }
+  };
+}
+
+// One JSON object per line, so tests and local setups can read what would have been sent
+function createFileTransport(file = mailFile) {
+  return {
+    async send(message) {
+      await fs.promises.appendFile(file, JSON.stringify(Object.assign({ sentAt: new Date().toISOString() }, message)) + '\n');
+    }
+  };
+}
+
+function createSmtpTransport(url = smtpUrl) {
+  if (!url) throw new Error('MAIL_TRANSPORT=smtp needs SMTP_URL');
+  // Only loaded when SMTP is in use
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport(url);
+  return {
+    async send(message) {
+      await transporter.sendMail(message);
+    }
+  };
+}
+
+const TRANSPORTS = {
+  console: createConsoleTransport,
+  file: createFileTransport,
+  smtp: createSmtpTransport
+};
+
+let transport = null;
+
+function getTransport() {
+  if (!transport) {
+    const create = TRANSPORTS[mailTransport];
+    if (!create) throw new Error(`Unknown MAIL_TRANSPORT: ${mailTransport}`);
+    transport = create();
+  }
+  return transport;
+}
+
+// Swap the transport (tests, or a provider not listed above)
+function setTransport(next) {
+  transport = next;
+}
+
+async function sendMail({ to, subject, text }) {
+  await getTransport().send({ from: mailFrom, to, subject, text });
+}
+
+module.exports = {
+  createConsoleTransport,
+  createFileTransport,
+  createSmtpTransport,
+  getTransport,
+  setTransport,
+  sendMail
+};
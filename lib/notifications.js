@@ -0,0 +1,161 @@
+const {
+  getOrderById,
+  enqueueEmail,
+  claimDueEmails,
+  markEmailSent,
+  markEmailFailed,
+  getEmailTemplates
+} = require('./db');
+const { adminEmails } = require('./config');
+const { sendMail } = require('./mail');
+const { formatAmount } = require('./currency');
+
+// Attempts before an email is marked failed; the wait doubles each time from one minute
+const MAX_EMAIL_ATTEMPTS = 6;
+const RETRY_BASE_MS = 60_000;
+// Long enough for one send to finish or time out before another instance may pick it up
+const SEND_LEASE_MS = 5 * 60_000;
+
+// {{name}} placeholders are filled from templateVars(); admins can override any of these
+// through /admin/email-templates
+const DEFAULT_TEMPLATES = {
+  order_confirmation: {
+    subject: 'Your order #{{orderId}}',
+    body: 'Hi {{customerName}},\n\nThanks for your order. We have received your payment.\n\n{{items}}\n\n{{totals}}\n{{shippingTo}}\nWe will let you know when it ships.'
+  },
+  order_refunded: {
+    subject: 'Refund for order #{{orderId}}',
+    body: 'Hi {{customerName}},\n\nWe have refunded {{amountRefunded}} for order #{{orderId}} ({{refundKind}} refund). It can take a few days to show on your statement.'
+  },
+  admin_order_received: {
+    subject: 'New order #{{orderId}}: {{total}}',
+    body: 'Order #{{orderId}} from {{customerName}} <{{customerEmail}}>\n\n{{items}}\n\n{{totals}}\n{{shippingTo}}'
+  },
+  admin_low_stock: {
+    subject: 'Low stock: {{name}}',
+    body: '{{name}} ({{priceId}}) is down to {{stock}} in stock, below the alert threshold of {{threshold}}.'
+  },
+  // Sent to each address on a price's waitlist once it can be bought again
+  back_in_stock: {
+    subject: '{{name}} is back in stock',
+    body: 'Good news: {{name}} is back in stock, and you asked us to let you know.\n\nStock may be limited, so it can sell out again.'
+  }
+};
+
+// The order fields the templates use, copied when the email is queued
+function orderData(order) {
+  return {
+    orderId: order.id,
+    customerName: order.customerName,
+    customerEmail: order.customerEmail,
+    currency: order.currency,
+    amountSubtotal: order.amountSubtotal,
+    amountDiscount: order.amountDiscount,
+    amountShipping: order.amountShipping,
+    amountTax: order.amountTax,
+    amountTotal: order.amountTotal,
+    amountRefunded: order.amountRefunded,
+    refunded: order.amountRefunded > 0 && order.amountRefunded >= order.amountTotal,
+    shippingName: order.shippingName,
+    shippingAddress: order.shippingAddress,
+    items: order.items.map(i => ({ description: i.description, quantity: i.quantity, amountTotal: i.amountTotal }))
+  };
+}
+
+// Placeholder values for a queued email's data; order emails get ready-made text blocks
+function templateVars(data) {
+  const vars = Object.assign({}, data);
+  if (Array.isArray(data.items)) {
+    vars.customerName = data.customerName || 'there';
+    vars.items = data.items.map(i => `${i.quantity} x ${i.description}  ${formatAmount(i.amountTotal, data.currency)}`).join('\n');
+    vars.total = formatAmount(data.amountTotal, data.currency);
+    const totals = [];
+    if (data.amountDiscount) totals.push(`Discount: -${formatAmount(data.amountDiscount, data.currency)}`);
+    if (data.amountShipping) totals.push(`Shipping: ${formatAmount(data.amountShipping, data.currency)}`);
+    if (data.amountTax) totals.push(`Tax: ${formatAmount(data.amountTax, data.currency)}`);
+    totals.push(`Total: ${vars.total}`);
+    vars.totals = totals.join('\n');
+    const a = data.shippingAddress;
+    vars.shippingTo = a
+      ? `\nShipping to:\n${[data.shippingName, a.line1, a.line2, [a.postal_code, a.city].filter(Boolean).join(' '), a.state, a.country].filter(Boolean).join('\n')}\n`
+      : '';
+    vars.amountRefunded = formatAmount(data.amountRefunded, data.currency);
+    vars.refundKind = data.refunded ? 'full' : 'partial';
+  }
+  return vars;
+}
+
+// Unknown placeholders render empty rather than leaking {{...}} into a customer's inbox
+function render(text, vars) {
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => (vars[key] == null ? '' : String(vars[key])));
+}
+
+// Templates in effect: the defaults with any saved edits on top
+async function loadTemplates() {
+  return Object.assign({}, DEFAULT_TEMPLATES, await getEmailTemplates());
+}
+
+// Queue the customer confirmation and admin alerts for a paid order, inside the webhook's transaction.
+// Dedupe keys make a replayed or repeated event (completed, then async_payment_succeeded) send once.
+async function queueOrderEmails(orderId, client) {
+  const order = await getOrderById(orderId, client);
+  if (!order) return;
+  const data = orderData(order);
+  if (order.customerEmail) {
+    await enqueueEmail({ template: 'order_confirmation', recipient: order.customerEmail, data, dedupeKey: `order_confirmation:${order.sessionId}` }, client);
+  }
+  for (const recipient of adminEmails) {
+    await enqueueEmail({ template: 'admin_order_received', recipient, data, dedupeKey: `admin_order_received:${order.sessionId}:${recipient}` }, client);
+  }
+}
+
+// One email per refunded total, so a second partial refund sends another
+async function queueRefundEmail(orderId, client) {
+  const order = await getOrderById(orderId, client);
+  if (!order || !order.customerEmail) return;
+  await enqueueEmail({
+    template: 'order_refunded',
+    recipient: order.customerEmail,
+    data: orderData(order),
+    dedupeKey: `order_refunded:${order.id}:${order.amountRefunded}`
+  }, client);
+}
+
+function retryDelayMs(attempts) {
+  return RETRY_BASE_MS * 2 ** (attempts - 1);
+}
+
+// Send up to `limit` due emails. Failures are retried with backoff until MAX_EMAIL_ATTEMPTS.
+// Resolves to { sent, failed }
+async function sendQueuedEmails({ limit = 50 } = {}) {
+  const emails = await claimDueEmails(limit, SEND_LEASE_MS);
+  if (emails.length === 0) return { sent: 0, failed: 0 };
+  const templates = await loadTemplates();
+  let sent = 0;
+  let failed = 0;
+  for (const email of emails) {
+    try {
+      const template = templates[email.template];
+      if (!template) throw new Error(`Unknown email template: ${email.template}`);
+      const vars = templateVars(email.data);
+      await sendMail({ to: email.recipient, subject: render(template.subject, vars), text: render(template.body, vars) });
+      await markEmailSent(email.id);
+      sent += 1;
+    } catch (err) {
+      failed += 1;
+      const retryAt = email.attempts < MAX_EMAIL_ATTEMPTS ? Date.now() + retryDelayMs(email.attempts) : null;
+      console.error(`Email ${email.id} (${email.template} to ${email.recipient}) failed`, err.message);
+      await markEmailFailed(email.id, err.message, retryAt);
+    }
+  }
+  return { sent, failed };
+}
+
+module.exports = {
+  DEFAULT_TEMPLATES,
+  render,
+  loadTemplates,
+  queueOrderEmails,
+  queueRefundEmail,
+  sendQueuedEmails
+};
@@ -0,0 +1,110 @@
+const { saveOrder } = require('./db');
+
+const DAY_MS = 24 * 60 * 60_000;
+const MAX_PAGE_SIZE = 200;
+
+// Delayed payment methods complete the session before the money arrives
+function statusForSession(session) {
+  return session.payment_status === 'unpaid' ? 'pending' : 'paid';
+}
+
+function idOf(value) {
+  return value && typeof value === 'object' ? value.id : value || null;
+}
+
+async function fetchSessionLineItems(stripe, sessionId) {
+  return stripe.checkout.sessions
+    .listLineItems(sessionId, { limit: 100 })
+    .autoPagingToArray({ limit: 10000 });
+}
+
+// The session only names the chosen shipping rate by id; its display name is on the rate itself
+async function fetchShippingRate(stripe, session) {
+  const rateId = session.shipping_cost ? idOf(session.shipping_cost.shipping_rate) : null;
+  return rateId ? stripe.shippingRates.retrieve(rateId) : null;
+}
+
+// Store the order and its line items for a completed Checkout Session, given the
+// lineItems (fetchSessionLineItems) and shippingRate (fetchShippingRate) prefetched for it
+async function saveOrderFromSession(session, { lineItems, shippingRate = null }, client) {
+  const details = session.customer_details || {};
+  const metadata = session.metadata || {};
+  // Newer API versions moved shipping_details under collected_information
+  const shipping = (session.collected_information && session.collected_information.shipping_details) || session.shipping_details || null;
+  return saveOrder(
+    {
+      sessionId: session.id,
+      reservationId: metadata.reservation_id || null,
+      paymentIntentId: idOf(session.payment_intent),
+      customerEmail: details.email || session.customer_email || null,
+      customerName: details.name || null,
+      currency: session.currency,
+      amountSubtotal: session.amount_subtotal,
+      amountTotal: session.amount_total,
+      paymentStatus: session.payment_status,
+      status: statusForSession(session),
+      discountCode: metadata.discount_code || null,
+      amountDiscount: (session.total_details && session.total_details.amount_discount) || 0,
+      shippingName: shipping ? shipping.name || null : null,
+      shippingAddress: shipping ? shipping.address || null : null,
+      shippingRateName: shippingRate ? shippingRate.display_name : null,
+      stripeShippingRateId: session.shipping_cost ? idOf(session.shipping_cost.shipping_rate) : null,
+      amountShipping: (session.shipping_cost && session.shipping_cost.amount_total) || 0,
+      amountTax: (session.total_details && session.total_details.amount_tax) || 0,
+      subscriptionId: idOf(session.subscription)
+    },
+    lineItems.map(li => ({
+      lineItemId: li.id,
+      priceId: idOf(li.price),
+      productId: li.price ? idOf(li.price.product) : null,
+      description: li.description,
+      quantity: li.quantity,
+      currency: li.currency,
+      amountSubtotal: li.amount_subtotal,
+      amountTotal: li.amount_total
+    })),
+    client
+  );
+}
+
+// YYYY-MM-DD is read as a whole UTC day; anything else Date.parse understands is taken as-is
+function parseDate(value, endOfDay) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const start = Date.parse(value + 'T00:00:00Z');
+    return Number.isNaN(start) ? NaN : start + (endOfDay ? DAY_MS : 0);
+  }
+  return Date.parse(value);
+}
+
+// Turn /admin/orders query params (from, to, status, limit, offset) into listOrders() options
+// Returns { error } when a parameter is invalid
+function parseOrderQuery(query) {
+  const q = query || {};
+  const options = {};
+  if (q.from) {
+    options.fromMs = parseDate(String(q.from), false);
+    if (Number.isNaN(options.fromMs)) return { error: 'Invalid from date' };
+  }
+  if (q.to) {
+    options.toMs = parseDate(String(q.to), true);
+    if (Number.isNaN(options.toMs)) return { error: 'Invalid to date' };
+  }
+  if (q.status) options.status = String(q.status);
+  const limit = q.limit == null ? 50 : Number(q.limit);
+  const offset = q.offset == null ? 0 : Number(q.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+  }
+  if (!Number.isInteger(offset) || offset < 0) return { error: 'offset must be a non-negative integer' };
+  options.limit = limit;
+  options.offset = offset;
+  return { options };
+}
+
+module.exports = {
+  fetchSessionLineItems,
+  fetchShippingRate,
+  saveOrderFromSession,
+  parseDate,
+  parseOrderQuery
+};
@@ -0,0 +1,127 @@
+const { ensureInit, rateLimit, pruneRateLimits } = require('./db');
+const config = require('./config');
+
+const WINDOW_MS = 60_000;
+// Buckets idle this long are dropped by prune()
+const STALE_AFTER_MS = 60 * 60_000;
+
+// Stores implement consume(key, { capacity, refillTokens, refillIntervalMs }) -> { allowed, tokens, resetMs }
+// and prune(olderThanMs) -> number of buckets dropped.
+
+// Per-process buckets: no database round trip, but each server instance counts separately
+function createMemoryStore() {
+  const buckets = new Map();
+  return {
+    async consume(key, { capacity, refillTokens, refillIntervalMs }) {
+      const now = Date.now();
+      let bucket = buckets.get(key);
+      if (!bucket) {
+        bucket = { tokens: capacity, lastRefill: now };
+        buckets.set(key, bucket);
+      }
+      const increments = Math.floor(Math.max(0, now - bucket.lastRefill) / refillIntervalMs);
+      if (increments > 0) {
+        bucket.tokens = Math.min(capacity, bucket.tokens + increments * refillTokens);
+        bucket.lastRefill += increments * refillIntervalMs;
+      }
+      const resetMs = Math.max(0, bucket.lastRefill + refillIntervalMs - now);
+      if (bucket.tokens <= 0) return { allowed: false, tokens: 0, resetMs };
+      bucket.tokens -= 1;
+      return { allowed: true, tokens: bucket.tokens, resetMs };
+    },
+    async prune(olderThanMs) {
+      const cutoff = Date.now() - olderThanMs;
+      let dropped = 0;
+      for (const [key, bucket] of buckets) {
+        if (bucket.lastRefill < cutoff) {
+          buckets.delete(key);
+          dropped += 1;
+        }
+      }
+      return dropped;
+    }
+  };
+}
+
+// The rate_limits table, locked per key, so limits hold across instances
+function createPostgresStore() {
+  return {
+    async consume(key, options) {
+      await ensureInit();
+      return rateLimit(Object.assign({ key }, options));
+    },
+    async prune(olderThanMs) {
+      await ensureInit();
+      return pruneRateLimits(olderThanMs);
+    }
+  };
+}
+
+const STORES = {
+  memory: createMemoryStore,
+  postgres: createPostgresStore
+};
+
+let store = null;
+
+function getStore() {
+  if (!store) {
+    const create = STORES[config.rateLimitStore];
+    if (!create) throw new Error(`Unknown RATE_LIMIT_STORE '${config.rateLimitStore}' (use ${Object.keys(STORES).join(' or ')})`);
+    store = create();
+  }
+  return store;
+}
+
+// Swap the backing store, e.g. setStore(createMemoryStore()) in tests
+function setStore(next) {
+  store = next;
+}
+
+// Count one request from this client against `route`'s limit in config.rateLimits.
+// Resolves to { limited, headers }: limited is a 429 response or null, headers go on the response either way.
+async function checkRateLimit(req, route) {
+  const perMinute = config.rateLimits[route];
+  if (!perMinute) throw new Error(`No rate limit configured for ${route}`);
+  const result = await getStore().consume(`${route}:${req.ip}`, {
+    capacity: perMinute,
+    refillTokens: perMinute,
+    refillIntervalMs: WINDOW_MS
+  });
+  const resetSeconds = Math.ceil(result.resetMs / 1000);
+  const headers = {
+    'RateLimit-Policy': `${perMinute};w=${WINDOW_MS / 1000}`,
+    'RateLimit-Limit': String(perMinute),
+    'RateLimit-Remaining': String(result.tokens),
+    'RateLimit-Reset': String(resetSeconds)
+  };
+  if (result.allowed) return { limited: null, headers };
+  return {
+    limited: { status: 429, body: 'Too Many Requests', headers: Object.assign({ 'Retry-After': String(resetSeconds) }, headers) },
+    headers
+  };
+}
+
+// Wrap a handler so each call is counted against `route`; the RateLimit-* headers are added to its response
+function withRateLimit(route, handler) {
+  return async function rateLimited(req, context) {
+    const { limited, headers } = await checkRateLimit(req, route);
+    if (limited) return limited;
+    const out = await handler(req, context);
+    return Object.assign({}, out, { headers: Object.assign({}, headers, out.headers) });
+  };
+}
+
+// Drop idle buckets so the rate_limits table (or memory) does not grow without bound
+async function pruneRateLimitBuckets(olderThanMs = STALE_AFTER_MS) {
+  return getStore().prune(olderThanMs);
+}
+
+module.exports = {
+  createMemoryStore,
+  createPostgresStore,
+  setStore,
+  checkRateLimit,
+  withRateLimit,
+  pruneRateLimitBuckets
+};
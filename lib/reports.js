@@ -0,0 +1,142 @@
+const { salesByPeriod, unitsSoldByPrice, checkoutOutcomes, stockLevelsBetween, listCatalog } = require('./db');
+const { variantNames } = require('./catalog');
+const { parseDate } = require('./orders');
+const { toCsv } = require('./inventory-csv');
+
+const DAY_MS = 24 * 60 * 60_000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const INTERVALS = ['day', 'week'];
+const REPORTS = ['revenue', 'units', 'conversion', 'turnover'];
+
+// Reservation statuses of sessions that were paid for (or are waiting on a delayed payment)
+const COMPLETED_STATUSES = ['committed', 'partially_refunded', 'refunded', 'disputed'];
+
+// Turn /admin/reports query params (from, to, interval) into buildReport() options; the range defaults
+// to the last 30 days. Returns { error } when a parameter is invalid.
+function parseReportQuery(query, now = Date.now()) {
+  const q = query || {};
+  const toMs = q.to ? parseDate(String(q.to), true) : now;
+  if (Number.isNaN(toMs)) return { error: 'Invalid to date' };
+  const fromMs = q.from ? parseDate(String(q.from), false) : toMs - DEFAULT_RANGE_DAYS * DAY_MS;
+  if (Number.isNaN(fromMs)) return { error: 'Invalid from date' };
+  if (fromMs >= toMs) return { error: 'from must be before to' };
+  if (toMs - fromMs > MAX_RANGE_DAYS * DAY_MS) return { error: `The range can be at most ${MAX_RANGE_DAYS} days` };
+  const interval = q.interval ? String(q.interval) : 'day';
+  if (!INTERVALS.includes(interval)) return { error: `interval must be one of: ${INTERVALS.join(', ')}` };
+  return { options: { fromMs, toMs, interval } };
+}
+
+const ratio = (a, b) => (b > 0 ? Math.round((a / b) * 100) / 100 : null);
+
+// Every report for orders and checkouts created in [fromMs, toMs). Amounts are in the smallest
+// currency unit and never added across currencies.
+//   revenue     [{ period, currency, orders, gross, refunded, net }] per day or ISO week (UTC)
+//   totals      [{ currency, orders, gross, refunded, net, averageOrderValue }]
+//   units       [{ priceId, name, currency, orders, units, restocked, revenue }]
+//   conversion  { sessions, completed, awaitingPayment, open, released, conversionRate }
+//   turnover    [{ priceId, name, unitsSold, openingStock, closingStock, averageStock, turnover }]
+async function buildReport({ fromMs, toMs, interval }) {
+  const [sales, sold, outcomes, levels, catalog] = await Promise.all([
+    salesByPeriod({ fromMs, toMs, interval }),
+    unitsSoldByPrice({ fromMs, toMs }),
+    checkoutOutcomes({ fromMs, toMs }),
+    stockLevelsBetween({ fromMs, toMs }),
+    listCatalog()
+  ]);
+  const names = variantNames(catalog || []);
+  const nameOf = (priceId, fallback) => names[priceId] || fallback || priceId;
+
+  const revenue = sales.map(r => Object.assign({}, r, { net: r.gross - r.refunded }));
+  const byCurrency = {};
+  for (const r of revenue) {
+    const t = byCurrency[r.currency] = byCurrency[r.currency] || { currency: r.currency, orders: 0, gross: 0, refunded: 0, net: 0 };
+    t.orders += r.orders;
+    t.gross += r.gross;
+    t.refunded += r.refunded;
+    t.net += r.net;
+  }
+  const totals = Object.values(byCurrency)
+    .sort((a, b) => (a.currency < b.currency ? -1 : 1))
+    .map(t => Object.assign(t, { averageOrderValue: Math.round(t.gross / t.orders) }));
+
+  const units = sold.map(r => ({
+    priceId: r.priceId,
+    name: nameOf(r.priceId, r.description),
+    currency: r.currency,
+    orders: r.orders,
+    units: r.units,
+    restocked: r.restocked,
+    revenue: r.revenue
+  }));
+
+  const count = statuses => statuses.reduce((sum, s) => sum + (outcomes[s] || 0), 0);
+  const sessions = count(Object.keys(outcomes));
+  const completed = count(COMPLETED_STATUSES);
+  const conversion = {
+    sessions,
+    completed,
+    awaitingPayment: count(['pending_payment']),
+    open: count(['reserved']),
+    released: count(['released']),
+    conversionRate: ratio(completed, sessions)
+  };
+
+  // Turnover is units sold over the average of opening and closing stock; null when there was none
+  const unitsByPrice = {};
+  for (const r of sold) if (r.priceId) unitsByPrice[r.priceId] = (unitsByPrice[r.priceId] || 0) + r.units;
+  const priceIds = [...new Set(Object.keys(levels).concat(Object.keys(unitsByPrice)))].sort();
+  const turnover = priceIds.map((priceId) => {
+    const level = levels[priceId] || { opening: 0, closing: 0 };
+    const averageStock = (level.opening + level.closing) / 2;
+    const unitsSold = unitsByPrice[priceId] || 0;
+    return {
+      priceId,
+      name: nameOf(priceId, (sold.find(r => r.priceId === priceId) || {}).description),
+      unitsSold,
+      openingStock: level.opening,
+      closingStock: level.closing,
+      averageStock,
+      turnover: ratio(unitsSold, averageStock)
+    };
+  });
+
+  return {
+    from: new Date(fromMs).toISOString(),
+    to: new Date(toMs).toISOString(),
+    interval,
+    revenue,
+    totals,
+    units,
+    conversion,
+    turnover
+  };
+}
+
+// One of the reports above as CSV. Resolves to null for an unknown report name.
+async function reportCsv(name, options) {
+  if (!REPORTS.includes(name)) return null;
+  const report = await buildReport(options);
+  if (name === 'revenue') {
+    return toCsv(['period', 'currency', 'orders', 'gross', 'refunded', 'net'],
+      report.revenue.map(r => [r.period, r.currency, r.orders, r.gross, r.refunded, r.net]));
+  }
+  if (name === 'units') {
+    return toCsv(['price_id', 'name', 'currency', 'orders', 'units', 'restocked', 'revenue'],
+      report.units.map(r => [r.priceId, r.name, r.currency, r.orders, r.units, r.restocked, r.revenue]));
+  }
+  if (name === 'conversion') {
+    const c = report.conversion;
+    return toCsv(['sessions', 'completed', 'awaiting_payment', 'open', 'released', 'conversion_rate'],
+      [[c.sessions, c.completed, c.awaitingPayment, c.open, c.released, c.conversionRate]]);
+  }
+  return toCsv(['price_id', 'name', 'units_sold', 'opening_stock', 'closing_stock', 'average_stock', 'turnover'],
+    report.turnover.map(r => [r.priceId, r.name, r.unitsSold, r.openingStock, r.closingStock, r.averageStock, r.turnover]));
+}
+
+module.exports = {
+  REPORTS,
+  parseReportQuery,
+  buildReport,
+  reportCsv
+};
@@ -0,0 +1,114 @@
+const { findShippingZoneByCountry, listShippingCountries } = require('./db');
+const { lookupPrices, unitAmountIn } = require('./catalog');
+
+const RATE_TYPES = ['flat', 'weight', 'free'];
+// Stripe Checkout offers at most 5 shipping options per session
+const MAX_RATES_PER_ZONE = 5;
+const COUNTRY_PATTERN = /^[A-Z]{2}$/;
+
+function isAmount(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+// flat:   { name, type, currency, amount }
+// weight: { name, type, currency, amount?, amountPerKg } - amount plus amountPerKg for every started kilogram
+// free:   { name, type, currency, freeOver } - only offered when the cart subtotal reaches freeOver
+function parseRate(raw, index) {
+  const r = raw || {};
+  const label = `rates[${index}]`;
+  const name = typeof r.name === 'string' ? r.name.trim() : '';
+  if (!name) return { error: `${label} needs a name` };
+  if (!RATE_TYPES.includes(r.type)) return { error: `${label}.type must be one of ${RATE_TYPES.join(', ')}` };
+  const currency = typeof r.currency === 'string' ? r.currency.trim().toLowerCase() : '';
+  if (!/^[a-z]{3}$/.test(currency)) return { error: `${label} needs a three-letter currency` };
+  const rate = { name, type: r.type, currency, amount: 0, amountPerKg: null, freeOver: null };
+  if (r.type === 'free') {
+    if (!isAmount(r.freeOver)) return { error: `${label}.freeOver must be a non-negative integer in the smallest currency unit` };
+    rate.freeOver = r.freeOver;
+    return { rate };
+  }
+  const amount = r.amount == null && r.type === 'weight' ? 0 : r.amount;
+  if (!isAmount(amount)) return { error: `${label}.amount must be a non-negative integer in the smallest currency unit` };
+  rate.amount = amount;
+  if (r.type === 'weight') {
+    if (!isAmount(r.amountPerKg)) return { error: `${label}.amountPerKg must be a non-negative integer` };
+    rate.amountPerKg = r.amountPerKg;
+  }
+  return { rate };
+}
+
+// Validate the body of POST/PUT /admin/shipping: { id?, name, countries: ['DE', ...], rates: [...] }
+// Returns { zone } or { error }
+function parseZoneInput(body) {
+  const b = body || {};
+  const name = typeof b.name === 'string' ? b.name.trim() : '';
+  if (!name) return { error: 'name is required' };
+  if (!Array.isArray(b.countries) || b.countries.length === 0) {
+    return { error: 'countries must list two-letter country codes' };
+  }
+  const countries = [...new Set(b.countries.map(c => String(c).trim().toUpperCase()))];
+  const invalid = countries.filter(c => !COUNTRY_PATTERN.test(c));
+  if (invalid.length > 0) return { error: `Invalid country code ${invalid.join(', ')}` };
+  if (!Array.isArray(b.rates) || b.rates.length === 0 || b.rates.length > MAX_RATES_PER_ZONE) {
+    return { error: `rates must list 1 to ${MAX_RATES_PER_ZONE} shipping rates` };
+  }
+  const rates = [];
+  for (const [i, raw] of b.rates.entries()) {
+    const { rate, error } = parseRate(raw, i);
+    if (error) return { error };
+    rates.push(rate);
+  }
+  return { zone: { name, countries: countries.sort(), rates } };
+}
+
+// What a rate charges for a cart, or null when it is not on offer for it
+function rateAmount(rate, { subtotal, weightGrams }) {
+  if (rate.type === 'free') return subtotal >= rate.freeOver ? 0 : null;
+  if (rate.type === 'weight') return rate.amount + rate.amountPerKg * Math.ceil(weightGrams / 1000);
+  return rate.amount;
+}
+
+// Shipping for a cart ([{ price, quantity }]) going to `country`. Resolves to
+//   { shipping: null } when no zones are set up, so nothing is shipped,
+//   { shipping: { country, options } } with `options` ready for the Checkout Session's shipping_options,
+//   or { error } if the shop does not ship there or no rate fits the cart.
+// Only rates in `currency` (by default the items' own) are offered. Subtotals are taken before discounts,
+// weights from metadata.weight_grams.
+async function quoteShipping(stripe, country, items, currency = null) {
+  const code = typeof country === 'string' ? country.trim().toUpperCase() : '';
+  const zone = COUNTRY_PATTERN.test(code) ? await findShippingZoneByCountry(code) : null;
+  if (!zone) {
+    if ((await listShippingCountries()).length === 0) return { shipping: null };
+    return { error: code ? `We do not ship to ${code}` : 'Choose a shipping country' };
+  }
+  const prices = await lookupPrices(stripe, items.map(i => i.price));
+  const charged = currency || prices[items[0].price].currency;
+  let subtotal = 0;
+  let weightGrams = 0;
+  for (const item of items) {
+    subtotal += (unitAmountIn(prices[item.price], charged) || 0) * item.quantity;
+    weightGrams += prices[item.price].weightGrams * item.quantity;
+  }
+  const options = [];
+  for (const rate of zone.rates) {
+    if (rate.currency !== charged) continue;
+    const amount = rateAmount(rate, { subtotal, weightGrams });
+    if (amount == null) continue;
+    options.push({
+      shipping_rate_data: {
+        type: 'fixed_amount',
+        display_name: rate.name,
+        fixed_amount: { amount, currency: charged },
+        metadata: { shipping_zone_id: String(zone.id), shipping_rate_id: String(rate.id) }
+      }
+    });
+  }
+  if (options.length === 0) return { error: `No shipping rate to ${code} fits this order` };
+  return { shipping: { country: code, options } };
+}
+
+module.exports = {
+  parseZoneInput,
+  rateAmount,
+  quoteShipping
+};
@@ -0,0 +1,48 @@
+const { listenForStockChanges } = require('./db');
+
+// One LISTEN connection per process, shared by every open stock stream and closed when the last one ends
+const subscribers = new Set();
+let listening = null;
+
+function closeListener() {
+  const current = listening;
+  listening = null;
+  if (current) current.then(connection => connection.close(), () => {});
+}
+
+// Changes may have been missed once the connection is lost, so every subscriber is ended instead of
+// carrying on; browsers reconnect and start again from a fresh snapshot
+function fail(current, err) {
+  if (listening !== current) return;
+  console.error('Stock change listener failed', err);
+  closeListener();
+  const ended = [...subscribers];
+  subscribers.clear();
+  for (const subscriber of ended) subscriber.onEnd();
+}
+
+// onChange({ priceId, stock }) is called after each committed stock change, and onEnd() if changes can
+// no longer be delivered. Returns { listening, unsubscribe }: changes committed after `listening`
+// resolves are certain to arrive, and it rejects if the connection cannot be made.
+function subscribeToStock(onChange, onEnd) {
+  const subscriber = { onChange, onEnd };
+  subscribers.add(subscriber);
+  if (!listening) {
+    const current = listenForStockChanges(
+      (change) => { for (const s of subscribers) s.onChange(change); },
+      (err) => fail(current, err)
+    );
+    listening = current;
+    current.catch(err => fail(current, err));
+  }
+  return {
+    listening: listening.then(() => {}),
+    unsubscribe() {
+      if (subscribers.delete(subscriber) && subscribers.size === 0) closeListener();
+    }
+  };
+}
+
+module.exports = {
+  subscribeToStock
+};
@@ -0,0 +1,22 @@
+const Stripe = require('stripe');
+
+let client = null;
+
+// STRIPE_API_BASE points the client at another API host, e.g. the fake server in test/fake-stripe.js
+function clientOptions() {
+  const base = process.env.STRIPE_API_BASE;
+  if (!base) return {};
+  const url = new URL(base);
+  const protocol = url.protocol.replace(':', '');
+  return { host: url.hostname, port: url.port || (protocol === 'http' ? 80 : 443), protocol };
+}
+
+// Shared Stripe client, created on first use so STRIPE_SECRET_KEY is read after dotenv has loaded
+function getStripe() {
+  if (!client) client = new Stripe(process.env.STRIPE_SECRET_KEY, clientOptions());
+  return client;
+}
+
+module.exports = {
+  getStripe
+};
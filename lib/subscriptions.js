@@ -0,0 +1,113 @@
+const { getCatalogPrices, saveSubscription, setSubscriptionInvoiceStatus, shipSubscriptionRenewal } = require('./db');
+const { tracksStock } = require('./catalog');
+
+const MAX_PAGE_SIZE = 200;
+// Stripe's subscription statuses
+const STATUSES = ['incomplete', 'incomplete_expired', 'trialing', 'active', 'past_due', 'canceled', 'unpaid', 'paused'];
+
+function idOf(value) {
+  return value && typeof value === 'object' ? value.id : value || null;
+}
+
+const toMs = seconds => (seconds == null ? null : seconds * 1000);
+
+// A Stripe subscription as saveSubscription() stores it; `sentAt` is the event's created time in seconds
+function subscriptionFromStripe(sub, sentAt) {
+  const items = (sub.items && sub.items.data) || [];
+  // Newer API versions keep the billing period on each item instead
+  const periodEnd = sub.current_period_end != null ? sub.current_period_end : items.length > 0 ? items[0].current_period_end : null;
+  return {
+    id: sub.id,
+    customerId: idOf(sub.customer),
+    status: sub.status,
+    items: items.map(i => ({ priceId: idOf(i.price), quantity: i.quantity || 1 })),
+    currentPeriodEnd: toMs(periodEnd),
+    cancelAtPeriodEnd: Boolean(sub.cancel_at_period_end),
+    canceledAt: toMs(sub.canceled_at),
+    stripeUpdatedAt: toMs(sentAt)
+  };
+}
+
+// The subscription an invoice bills, if any; newer API versions moved it under parent
+function invoiceSubscriptionId(invoice) {
+  if (invoice.subscription) return idOf(invoice.subscription);
+  const details = invoice.parent && invoice.parent.subscription_details;
+  return details ? idOf(details.subscription) : null;
+}
+
+// [{ priceId, quantity }] billed by an invoice, leaving out proration adjustments
+function invoicePriceLines(invoice) {
+  const lines = [];
+  for (const line of (invoice.lines && invoice.lines.data) || []) {
+    if (line.proration) continue;
+    const details = line.pricing && line.pricing.price_details;
+    const priceId = line.price ? idOf(line.price) : details ? idOf(details.price) : null;
+    if (priceId) lines.push({ priceId, quantity: line.quantity || 1 });
+  }
+  return lines;
+}
+
+// customer.subscription.* events; resolves to the ledger result
+async function recordSubscriptionEvent(event, client) {
+  const saved = await saveSubscription(subscriptionFromStripe(event.data.object, event.created), client);
+  return saved ? 'subscription_saved' : 'subscription_stale';
+}
+
+// invoice.paid: the first invoice is paid through Checkout, whose reservation already took the stock.
+// Each renewal ships again, so it takes the units of the subscription's physical prices (tracksStock).
+async function recordInvoicePaid(invoice, client) {
+  const subscriptionId = invoiceSubscriptionId(invoice);
+  if (!subscriptionId) return 'not_subscription';
+  await setSubscriptionInvoiceStatus(subscriptionId, 'paid', client);
+  if (invoice.billing_reason !== 'subscription_cycle') return 'invoice_paid';
+  const lines = invoicePriceLines(invoice);
+  const prices = await getCatalogPrices(lines.map(l => l.priceId));
+  const physical = lines.filter(l => prices[l.priceId] && tracksStock(prices[l.priceId]));
+  if (physical.length === 0) return 'invoice_paid';
+  const shipped = await shipSubscriptionRenewal(invoice.id, physical, client);
+  const short = shipped.filter(s => s.shipped < s.quantity);
+  if (short.length > 0) {
+    // Paid for units that are not on the shelf; needs a human to look at it
+    const detail = short.map(s => `${s.priceId} (${s.shipped} of ${s.quantity})`).join(', ');
+    console.warn(`Renewal invoice ${invoice.id} of ${subscriptionId} is short of stock: ${detail}`);
+    return 'renewal_short';
+  }
+  return 'renewal_shipped';
+}
+
+// invoice.payment_failed: Stripe retries and moves the subscription to past_due itself
+async function recordInvoiceFailed(invoice, client) {
+  const subscriptionId = invoiceSubscriptionId(invoice);
+  if (!subscriptionId) return 'not_subscription';
+  const known = await setSubscriptionInvoiceStatus(subscriptionId, 'payment_failed', client);
+  return known ? 'payment_failed' : 'no_subscription';
+}
+
+// Turn /admin/subscriptions query params (status, limit, offset) into listSubscriptions() options
+// Returns { error } when a parameter is invalid
+function parseSubscriptionQuery(query) {
+  const q = query || {};
+  const options = {};
+  if (q.status) {
+    if (!STATUSES.includes(String(q.status))) return { error: `status must be one of: ${STATUSES.join(', ')}` };
+    options.status = String(q.status);
+  }
+  const limit = q.limit == null ? 50 : Number(q.limit);
+  const offset = q.offset == null ? 0 : Number(q.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+  }
+  if (!Number.isInteger(offset) || offset < 0) return { error: 'offset must be a non-negative integer' };
+  options.limit = limit;
+  options.offset = offset;
+  return { options };
+}
+
+module.exports = {
+  subscriptionFromStripe,
+  invoiceSubscriptionId,
+  recordSubscriptionEvent,
+  recordInvoicePaid,
+  recordInvoiceFailed,
+  parseSubscriptionQuery
+};
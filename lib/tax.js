@@ -0,0 +1,132 @@
+const config = require('./config');
+const { createTaxRate: insertTaxRate, getTaxRate, findTaxRate, listTaxRates, deleteTaxRate } = require('./db');
+const { lookupPrices } = require('./catalog');
+
+const COUNTRY_PATTERN = /^[A-Z]{2}$/;
+// Stripe product tax codes look like txcd_99999999
+const TAX_CODE_PATTERN = /^txcd_\d{8}$/;
+
+// A two-letter country code from a request, or null
+function parseCountry(value) {
+  const code = typeof value === 'string' ? value.trim().toUpperCase() : '';
+  return COUNTRY_PATTERN.test(code) ? code : null;
+}
+
+// Validate the body of POST /admin/tax-rates: { country, taxCode?, displayName, percentage }
+// Returns { rate } or { error }
+function parseTaxRateInput(body) {
+  const b = body || {};
+  const country = parseCountry(b.country);
+  if (!country) return { error: 'country must be a two-letter country code' };
+  const taxCode = typeof b.taxCode === 'string' && b.taxCode.trim() ? b.taxCode.trim() : null;
+  if (taxCode && !TAX_CODE_PATTERN.test(taxCode)) return { error: 'taxCode must be a Stripe tax code such as txcd_99999999' };
+  const displayName = typeof b.displayName === 'string' ? b.displayName.trim() : '';
+  if (!displayName) return { error: 'displayName is required, e.g. VAT' };
+  const percentage = b.percentage;
+  if (typeof percentage !== 'number' || !(percentage > 0 && percentage <= 100) || Number(percentage.toFixed(4)) !== percentage) {
+    return { error: 'percentage must be more than 0 and at most 100, with up to 4 decimals' };
+  }
+  return { rate: { country, taxCode, displayName, percentage } };
+}
+
+function taxError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// Create the Stripe tax rate for a parsed rate, then store it locally. Rates include tax or not
+// as TAX_INCLUSIVE says when they are created. Throws TAX_RATE_EXISTS if the country already
+// has a rate for that tax code.
+async function createTaxRate(stripe, rate, actor) {
+  if (await findTaxRate(rate.country, rate.taxCode)) {
+    const what = rate.taxCode ? `tax code ${rate.taxCode}` : 'everything else';
+    throw taxError('TAX_RATE_EXISTS', `${rate.country} already has a rate for ${what}`);
+  }
+  const stripeRate = await stripe.taxRates.create({
+    display_name: rate.displayName,
+    percentage: rate.percentage,
+    inclusive: config.taxInclusive,
+    country: rate.country,
+    metadata: rate.taxCode ? { tax_code: rate.taxCode } : {}
+  });
+  return insertTaxRate(Object.assign({}, rate, {
+    inclusive: config.taxInclusive,
+    stripeTaxRateId: stripeRate.id,
+    createdBy: actor
+  }));
+}
+
+// Stripe tax rates cannot be deleted, so the Stripe one is archived. Resolves to the removed rate or null.
+async function removeTaxRate(stripe, id) {
+  const rate = await getTaxRate(id);
+  if (!rate) return null;
+  await stripe.taxRates.update(rate.stripeTaxRateId, { active: false });
+  await deleteTaxRate(id);
+  return rate;
+}
+
+// The rate for a product: the one for its tax code, else the country's rate for everything else
+function rateFor(rates, taxCode) {
+  return rates.find(r => taxCode && r.taxCode === taxCode) || rates.find(r => r.taxCode == null) || null;
+}
+
+// Tax on `amount` at `rate`, in the same unit; an inclusive rate's tax is already part of the amount
+function taxOn(amount, rate) {
+  if (rate.inclusive) return Math.round(amount - amount / (1 + rate.percentage / 100));
+  return Math.round((amount * rate.percentage) / 100);
+}
+
+// Estimated tax for cart lines ([{ currency, amountTotal, taxCode }]) going to `country`.
+// Resolves to { mode, inclusive, country, amounts, estimatedTotals } where amounts and
+// estimatedTotals are { [currency]: amount }, or null when the tax is only known at checkout
+// (Stripe Tax, or no country yet). Resolves to null when tax is off.
+async function estimateTax(lines, country) {
+  if (config.taxMode === 'none') return null;
+  const estimate = { mode: config.taxMode, inclusive: config.taxInclusive, country, amounts: null, estimatedTotals: null };
+  if (config.taxMode !== 'rates' || !country) return estimate;
+  const rates = await listTaxRates(country);
+  estimate.amounts = {};
+  estimate.estimatedTotals = {};
+  for (const line of lines) {
+    if (line.amountTotal == null) continue;
+    const rate = rateFor(rates, line.taxCode);
+    const tax = rate ? taxOn(line.amountTotal, rate) : 0;
+    const added = rate && !rate.inclusive ? tax : 0;
+    estimate.amounts[line.currency] = (estimate.amounts[line.currency] || 0) + tax;
+    estimate.estimatedTotals[line.currency] = (estimate.estimatedTotals[line.currency] || 0) + line.amountTotal + added;
+  }
+  return estimate;
+}
+
+// How a Checkout Session for `items` ([{ price, quantity }]) going to `country` is taxed. Resolves to
+//   { tax: null } when tax is off,
+//   { tax: { automatic: true } } for Stripe Tax,
+//   { tax: { lineRates: { [priceId]: stripeTaxRateId }, country } } with the shop's own rates (items without one are
+//   not taxed; country is the one they are for, null when the shop has no rates and none was chosen),
+//   or { error } when the shop's rates need a country and none was chosen.
+async function checkoutTax(stripe, items, country) {
+  if (config.taxMode === 'none') return { tax: null };
+  if (config.taxMode === 'stripe') return { tax: { automatic: true } };
+  if (!country) {
+    return (await listTaxRates()).length > 0 ? { error: 'Choose a country so tax can be worked out' } : { tax: { lineRates: {}, country: null } };
+  }
+  const rates = await listTaxRates(country);
+  const prices = rates.length > 0 ? await lookupPrices(stripe, items.map(i => i.price)) : {};
+  const lineRates = {};
+  for (const item of items) {
+    const rate = rates.length > 0 ? rateFor(rates, prices[item.price].taxCode) : null;
+    if (rate) lineRates[item.price] = rate.stripeTaxRateId;
+  }
+  return { tax: { lineRates, country } };
+}
+
+module.exports = {
+  parseCountry,
+  parseTaxRateInput,
+  createTaxRate,
+  removeTaxRate,
+  taxOn,
+  estimateTax,
+  checkoutTax
+};
@@ -0,0 +1,193 @@
+const {
+  withTransaction,
+  commitReservationBySession,
+  releaseReservation,
+  linkReservationToSession,
+  linkReservationsToPaymentIntent,
+  setReservationStatusBySession,
+  setReservationStatusByPaymentIntent,
+  findReservationIdBySession,
+  getReservationStatusesBySession,
+  setOrderStatusBySession,
+  recordOrderRefund,
+  recordOrderDispute,
+  upsertCatalogPrice,
+  updateCatalogProduct,
+  deactivateCatalogPrice,
+  redeemDiscountCode,
+  clearCart,
+  recordWebhookEvent,
+  lockWebhookEvent,
+  markWebhookEventProcessed,
+  markWebhookEventFailed
+} = require('./db');
+const { fetchSessionLineItems, fetchShippingRate, saveOrderFromSession } = require('./orders');
+const { catalogRow, taxCodeOf } = require('./catalog');
+const { queueOrderEmails, queueRefundEmail } = require('./notifications');
+const { recordSubscriptionEvent, recordInvoicePaid, recordInvoiceFailed } = require('./subscriptions');
+
+// Stripe calls needed by an event are made before its transaction opens, so no
+// database locks are held while waiting on the network
+async function prefetch(stripe, event) {
+  if (event.type === 'checkout.session.completed' || event.type === 'checkout.session.async_payment_succeeded') {
+    const session = event.data.object;
+    return {
+      lineItems: await fetchSessionLineItems(stripe, session.id),
+      shippingRate: await fetchShippingRate(stripe, session)
+    };
+  }
+  if (event.type === 'price.created' || event.type === 'price.updated') {
+    // Price events carry only the product id; fetching also gets the latest state if events arrive out of order
+    return { price: await stripe.prices.retrieve(event.data.object.id, { expand: ['product', 'currency_options'] }) };
+  }
+  return {};
+}
+
+function idOf(value) {
+  return value && typeof value === 'object' ? value.id : value || null;
+}
+
+// Apply one event's changes on the given transaction client; returns a short result for the ledger
+async function applyEvent(client, event, prefetched) {
+  switch (event.type) {
+    case 'checkout.session.completed': {
+      const session = event.data.object;
+      const sessionId = session.id;
+      const reservationId = session.metadata && session.metadata.reservation_id;
+      if (reservationId) {
+        await linkReservationToSession(sessionId, reservationId, client);
+      }
+      const paymentIntentId = idOf(session.payment_intent);
+      if (paymentIntentId) {
+        await linkReservationsToPaymentIntent(sessionId, paymentIntentId, client);
+      }
+      const orderId = await saveOrderFromSession(session, prefetched, client);
+      // Delayed payments are confirmed on async_payment_succeeded instead
+      if (session.payment_status !== 'unpaid') await queueOrderEmails(orderId, client);
+      const discountCode = session.metadata && session.metadata.discount_code;
+      if (discountCode) {
+        const amountDiscount = session.total_details ? session.total_details.amount_discount : null;
+        await redeemDiscountCode(discountCode, sessionId, amountDiscount, client);
+      }
+      // That part of the cart has become an order; subscriptions and one-time items are checked out apart
+      if (session.metadata && session.metadata.cart_id) {
+        await clearCart(session.metadata.cart_id, client, { recurring: session.mode === 'subscription' });
+      }
+      if (session.payment_status === 'unpaid') {
+        // Delayed payment method: keep the stock held until async_payment_succeeded/failed
+        const pending = await setReservationStatusBySession(sessionId, 'pending_payment', client);
+        if (pending > 0) return 'pending_payment';
+      } else {
+        const committed = await commitReservationBySession(sessionId, client);
+        if (committed > 0) return 'committed';
+      }
+      const statuses = await getReservationStatusesBySession(sessionId, client);
+      if (statuses.includes('released')) {
+        // Paid for stock that was already handed back; needs a human to look at it
+        console.warn(`Checkout session ${sessionId} completed after its reservation was released`);
+        return 'completed_after_release';
+      }
+      return 'no_reservation';
+    }
+    case 'checkout.session.async_payment_succeeded': {
+      const session = event.data.object;
+      const committed = await commitReservationBySession(session.id, client);
+      const orderId = await saveOrderFromSession(session, prefetched, client);
+      await queueOrderEmails(orderId, client);
+      return committed > 0 ? 'committed' : 'no_reservation';
+    }
+    case 'checkout.session.expired': {
+      const sessionId = event.data.object.id;
+      const reservationId = await findReservationIdBySession(sessionId, ['reserved'], client);
+      if (!reservationId) return 'no_reservation';
+      await releaseReservation(reservationId, client);
+      return 'released';
+    }
+    case 'checkout.session.async_payment_failed': {
+      const sessionId = event.data.object.id;
+      const reservationId = await findReservationIdBySession(sessionId, ['reserved', 'pending_payment'], client);
+      if (reservationId) await releaseReservation(reservationId, client);
+      await setOrderStatusBySession(sessionId, 'payment_failed', client);
+      return reservationId ? 'released' : 'no_reservation';
+    }
+    case 'charge.refunded': {
+      // Stock is not returned here: an admin decides what goes back on the shelf (POST /admin/orders/restock)
+      const charge = event.data.object;
+      const paymentIntentId = idOf(charge.payment_intent);
+      if (!paymentIntentId) return 'no_payment_intent';
+      const status = charge.refunded ? 'refunded' : 'partially_refunded';
+      await setReservationStatusByPaymentIntent(paymentIntentId, status, client);
+      const orderId = await recordOrderRefund(paymentIntentId, charge.amount_refunded || 0, status, client);
+      if (!orderId) return 'no_order';
+      await queueRefundEmail(orderId, client);
+      return status;
+    }
+    case 'charge.dispute.created': {
+      const dispute = event.data.object;
+      const paymentIntentId = idOf(dispute.payment_intent);
+      if (!paymentIntentId) return 'no_payment_intent';
+      await setReservationStatusByPaymentIntent(paymentIntentId, 'disputed', client);
+      const orderId = await recordOrderDispute(paymentIntentId, dispute.status || null, client);
+      return orderId ? 'disputed' : 'no_order';
+    }
+    case 'customer.subscription.created':
+    case 'customer.subscription.updated':
+    case 'customer.subscription.deleted':
+      return recordSubscriptionEvent(event, client);
+    case 'invoice.paid':
+      return recordInvoicePaid(event.data.object, client);
+    case 'invoice.payment_failed':
+      return recordInvoiceFailed(event.data.object, client);
+    case 'price.created':
+    case 'price.updated':
+      await upsertCatalogPrice(catalogRow(prefetched.price), client);
+      return 'catalog_updated';
+    case 'price.deleted':
+      await deactivateCatalogPrice(event.data.object.id, client);
+      return 'catalog_updated';
+    case 'product.created':
+    case 'product.updated': {
+      const product = event.data.object;
+      await updateCatalogProduct({
+        productId: product.id,
+        name: product.name,
+        description: product.description || '',
+        metadata: product.metadata || {},
+        images: product.images || [],
+        taxCode: taxCodeOf(product),
+        active: product.active !== false
+      }, client);
+      return 'catalog_updated';
+    }
+    case 'product.deleted':
+      await updateCatalogProduct({ productId: event.data.object.id, active: false }, client);
+      return 'catalog_updated';
+    default:
+      return 'ignored';
+  }
+}
+
+// Handle a verified Stripe event at most once, keyed on event.id in the webhook_events ledger
+// Resolves to { duplicate, result }; throws if handling failed, so the caller can ask Stripe to retry
+async function processStripeEvent(stripe, event) {
+  const seen = await recordWebhookEvent(event);
+  if (seen.processed_at) return { duplicate: true, result: seen.result };
+  try {
+    const prefetched = await prefetch(stripe, event);
+    return await withTransaction(async (client) => {
+      const locked = await lockWebhookEvent(event.id, client);
+      // Another delivery of the same event finished while this one waited for the lock
+      if (locked.processed_at) return { duplicate: true, result: locked.result };
+      const result = await applyEvent(client, event, prefetched);
+      await markWebhookEventProcessed(event.id, result, client);
+      return { duplicate: false, result };
+    });
+  } catch (err) {
+    try { await markWebhookEventFailed(event.id, err.message); } catch (_) {}
+    throw err;
+  }
+}
+
+module.exports = {
+  processStripeEvent
+};
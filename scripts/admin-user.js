@@ -0,0 +1,51 @@
+// Manage admin accounts from the command line:
+//   npm run admin-user -- add <username> <viewer|inventory-manager>   (password from ADMIN_PASSWORD or prompted)
+//   npm run admin-user -- remove <username>
+// Adding an existing username replaces its password and role.
+require('dotenv').config();
+const readline = require('readline');
+const db = require('../lib/db');
+const { ROLES, hashPassword } = require('../lib/auth');
+
+const MIN_PASSWORD_LENGTH = 12;
+
+function usage() {
+  console.error('Usage: npm run admin-user -- add <username> <role> | remove <username>');
+  console.error(`Roles: ${Object.keys(ROLES).join(', ')}`);
+  process.exit(1);
+}
+
+function promptPassword() {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  return new Promise(resolve => rl.question('Password: ', (answer) => {
+    rl.close();
+    resolve(answer);
+  }));
+}
+
+async function main() {
+  const [command, username, role] = process.argv.slice(2);
+  if (!username) usage();
+  await db.ensureInit();
+  if (command === 'add') {
+    if (!ROLES[role]) usage();
+    const password = process.env.ADMIN_PASSWORD || await promptPassword();
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    await db.saveAdminUser(username, await hashPassword(password), role);
+    console.log(`Saved ${username} (${role})`);
+  } else if (command === 'remove') {
+    const removed = await db.deleteAdminUser(username);
+    console.log(removed ? `Removed ${username}` : `No user ${username}`);
+  } else {
+    usage();
+  }
+}
+
+main()
+  .catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.pool.end());
@@ -2,295 +2,127 @@ require('dotenv').config();
 const express = require('express');
 const path = require('path');
 const bodyParser = require('body-parser');
-const { Pool } = require('pg');
-const crypto = require('crypto');
-
-// Replace with your Stripe secret key (Test key for testing)
-// Keep this out of client-side code.
-const STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY;
+const { ensureInit, sweepExpiredReservations, sweepCarts } = require('./lib/db');
+const { reservationSweepIntervalMs, rateLimitPruneIntervalMs, emailQueueIntervalMs, cartTtlMs } = require('./lib/config');
+const { adapt } = require('./lib/http');
+const { pruneRateLimitBuckets } = require('./lib/rate-limit');
+const { sendQueuedEmails } = require('./lib/notifications');
+const products = require('./lib/handlers/products');
+const shippingCountries = require('./lib/handlers/shipping-countries');
+const taxSettings = require('./lib/handlers/tax-settings');
+const cart = require('./lib/handlers/cart');
+const cartItems = require('./lib/handlers/cart-items');
+const createCheckoutSession = require('./lib/handlers/create-checkout-session');
+const orderStatus = require('./lib/handlers/order-status');
+const waitlist = require('./lib/handlers/waitlist');
+const streamInventory = require('./lib/handlers/stream-inventory');
+const adminSession = require('./lib/handlers/admin-session');
+const adminInventory = require('./lib/handlers/admin-inventory');
+const adminInventoryHistory = require('./lib/handlers/admin-inventory-history');
+const adminInventoryExport = require('./lib/handlers/admin-inventory-export');
+const adminInventoryImport = require('./lib/handlers/admin-inventory-import');
+const adminCatalogSync = require('./lib/handlers/admin-catalog-sync');
+const adminDiscounts = require('./lib/handlers/admin-discounts');
+const adminShipping = require('./lib/handlers/admin-shipping');
+const adminTaxRates = require('./lib/handlers/admin-tax-rates');
+const adminOrders = require('./lib/handlers/admin-orders');
+const adminOrdersRestock = require('./lib/handlers/admin-orders-restock');
+const adminSubscriptions = require('./lib/handlers/admin-subscriptions');
+const adminFulfillment = require('./lib/handlers/admin-fulfillment');
+const adminEmailTemplates = require('./lib/handlers/admin-email-templates');
+const adminReports = require('./lib/handlers/admin-reports');
+const adminReportsExport = require('./lib/handlers/admin-reports-export');
+const webhook = require('./lib/handlers/webhook');
+
+// Stripe keys come from .env; keep the secret key out of client-side code.
 const STRIPE_PUBLISHABLE_KEY = process.env.STRIPE_PUBLISHABLE_KEY;
 
-const stripe = require('stripe')(STRIPE_SECRET_KEY);
-
 const app = express();
-// Use JSON body parser for all routes EXCEPT the Stripe webhook (which needs raw body)
+// Routes whose handlers read the raw body: the Stripe webhook (signature) and CSV imports
+const RAW_BODY_PATHS = ['/webhook', '/admin/inventory/import'];
+
+// Use JSON body parser for all other routes
 app.use((req, res, next) => {
-  if (req.originalUrl === '/webhook') return next();
+  if (RAW_BODY_PATHS.includes(req.path)) return next();
   return bodyParser.json()(req, res, next);
 });
 
-// Postgres setup for inventory and reservations
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.DATABASE_SSL === 'true' ? { rejectUnauthorized: false } : undefined
-});
-
-async function initSchema() {
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS inventory (
-      price_id TEXT PRIMARY KEY,
-      stock INTEGER NOT NULL CHECK (stock >= 0)
-    );
-    CREATE TABLE IF NOT EXISTS reservations (
-      reservation_id TEXT NOT NULL,
-      session_id TEXT,
-      price_id TEXT NOT NULL,
-      quantity INTEGER NOT NULL,
-      status TEXT NOT NULL,
-      created_at BIGINT NOT NULL,
-      PRIMARY KEY (reservation_id, price_id)
-    );
-  `);
-}
-
-async function getStocksMap(priceIds) {
-  if (!priceIds || priceIds.length === 0) return {};
-  const res = await pool.query('SELECT price_id, stock FROM inventory WHERE price_id = ANY($1)', [priceIds]);
-  const map = {};
-  for (const row of res.rows) map[row.price_id] = Number(row.stock) || 0;
-  return map;
-}
-
-async function upsertInventory(priceId, stock) {
-  await pool.query(
-    'INSERT INTO inventory (price_id, stock) VALUES ($1, $2) ON CONFLICT (price_id) DO UPDATE SET stock = EXCLUDED.stock',
-    [priceId, Math.floor(stock)]
-  );
-}
-
-async function reserveStock(reservationId, items) {
-  const client = await pool.connect();
-  try {
-    await client.query('BEGIN');
-    const now = Date.now();
-    for (const item of items) {
-      const qty = Number(item.quantity) || 0;
-      if (qty <= 0) throw new Error('Invalid quantity');
-      const updated = await client.query(
-        'UPDATE inventory SET stock = stock - $1 WHERE price_id = $2 AND stock >= $1',
-        [qty, item.price]
-      );
-      if (updated.rowCount === 0) {
-        throw new Error('Insufficient stock for item ' + item.price);
-      }
-      await client.query(
-        'INSERT INTO reservations (reservation_id, session_id, price_id, quantity, status, created_at) VALUES ($1, $2, $3, $4, $5, $6)',
-        [reservationId, null, item.price, qty, 'reserved', now]
-      );
-    }
-    await client.query('COMMIT');
-  } catch (e) {
-    await client.query('ROLLBACK');
-    throw e;
-  } finally {
-    client.release();
-  }
-}
-
-async function releaseReservation(reservationId) {
-  const client = await pool.connect();
-  try {
-    await client.query('BEGIN');
-    const res = await client.query(
-      'SELECT price_id, quantity FROM reservations WHERE reservation_id = $1 AND status = $2',
-      [reservationId, 'reserved']
-    );
-    for (const row of res.rows) {
-      await client.query('UPDATE inventory SET stock = stock + $1 WHERE price_id = $2', [row.quantity, row.price_id]);
-    }
-    await client.query(
-      'UPDATE reservations SET status = $1 WHERE reservation_id = $2 AND status = $3',
-      ['released', reservationId, 'reserved']
-    );
-    await client.query('COMMIT');
-  } catch (e) {
-    await client.query('ROLLBACK');
-    throw e;
-  } finally {
-    client.release();
-  }
-}
-
-async function commitReservationBySession(sessionId) {
-  await pool.query('UPDATE reservations SET status = $1 WHERE session_id = $2 AND status = $3', ['committed', sessionId, 'reserved']);
-}
-
-async function linkReservationToSession(sessionId, reservationId) {
-  await pool.query('UPDATE reservations SET session_id = $1 WHERE reservation_id = $2', [sessionId, reservationId]);
-}
-
-async function findReservedReservationIdBySession(sessionId) {
-  const row = await pool.query('SELECT reservation_id FROM reservations WHERE session_id = $1 AND status = $2 LIMIT 1', [sessionId, 'reserved']);
-  return row.rows[0] ? row.rows[0].reservation_id : null;
-}
-
-// Basic Auth middleware for admin.html
-const ADMIN_USER = process.env.ADMIN_USER || '';
-const ADMIN_PASS = process.env.ADMIN_PASS || '';
-function basicAuth(req, res, next) {
-  if (!ADMIN_USER || !ADMIN_PASS) return next(); // not configured
-  const hdr = req.headers.authorization || '';
-  if (!hdr.startsWith('Basic ')) return res.status(401).set('WWW-Authenticate', 'Basic realm="admin"').end('Auth required');
-  const decoded = Buffer.from(hdr.slice(6), 'base64').toString('utf8');
-  const idx = decoded.indexOf(':');
-  const user = decoded.slice(0, idx);
-  const pass = decoded.slice(idx + 1);
-  if (user === ADMIN_USER && pass === ADMIN_PASS) return next();
-  return res.status(401).set('WWW-Authenticate', 'Basic realm="admin"').end('Invalid credentials');
-}
-
-app.get('/admin.html', basicAuth, (req, res, next) => {
-  res.sendFile(path.join(__dirname, 'admin.html'));
-});
-
 app.use(express.static(path.join(__dirname)));
 
-// List active products with their default prices for the frontend
-app.get('/products', async (req, res) => {
-  try {
-    const prices = await stripe.prices.list({ active: true, expand: ['data.product'] });
-    const filtered = prices.data.filter(p => p.active && p.product && p.unit_amount != null);
-    const priceIds = filtered.map(p => p.id);
-    const stocks = await getStocksMap(priceIds);
-    const items = filtered.map(p => ({
-      id: p.product.id,
-      name: typeof p.product === 'object' ? p.product.name : 'Product',
-      description: typeof p.product === 'object' ? p.product.description : '',
-      priceId: p.id,
-      currency: p.currency,
-      unitAmount: p.unit_amount,
-      stock: stocks[p.id] || 0
-    }));
-    res.json({ products: items });
-  } catch (err) {
-    console.error(err);
-    res.status(500).send('Failed to load products');
-  }
-});
-
-// Simple admin endpoint to set inventory counts
-app.post('/admin/inventory', async (req, res) => {
+// Same handlers as the Vercel functions in api/ (see lib/handlers)
+app.all('/products', adapt(products));
+app.all('/shipping/countries', adapt(shippingCountries));
+app.all('/tax/settings', adapt(taxSettings));
+app.all('/cart', adapt(cart));
+app.all('/cart/items', adapt(cartItems));
+app.all('/create-checkout-session', adapt(createCheckoutSession));
+app.all('/order-status', adapt(orderStatus));
+app.all('/waitlist', adapt(waitlist));
+app.all('/stream/inventory', adapt(streamInventory));
+app.all('/admin/session', adapt(adminSession));
+app.all('/admin/inventory', adapt(adminInventory));
+app.all('/admin/inventory/history', adapt(adminInventoryHistory));
+app.all('/admin/inventory/export', adapt(adminInventoryExport));
+app.all('/admin/inventory/import', adapt(adminInventoryImport, { rawBody: true }));
+app.all('/admin/catalog/sync', adapt(adminCatalogSync));
+app.all('/admin/discounts', adapt(adminDiscounts));
+app.all('/admin/shipping', adapt(adminShipping));
+app.all('/admin/tax-rates', adapt(adminTaxRates));
+app.all('/admin/orders', adapt(adminOrders));
+app.all('/admin/orders/restock', adapt(adminOrdersRestock));
+app.all('/admin/subscriptions', adapt(adminSubscriptions));
+app.all('/admin/fulfillment', adapt(adminFulfillment));
+app.all('/admin/email-templates', adapt(adminEmailTemplates));
+app.all('/admin/reports', adapt(adminReports));
+app.all('/admin/reports/export', adapt(adminReportsExport));
+app.all('/webhook', adapt(webhook, { rawBody: true }));
+
+// Periodically reclaim stock from reservations whose webhook never arrived, and from expired cart holds
+async function sweepReservations() {
   try {
-    const adminKey = process.env.ADMIN_KEY;
-    if (adminKey && req.headers['x-admin-key'] !== adminKey) {
-      return res.status(403).send('Forbidden');
-    }
-    const { priceId, stock } = req.body || {};
-    if (!priceId || typeof stock !== 'number' || stock < 0) {
-      return res.status(400).send('Provide priceId and non-negative numeric stock');
+    const { reservations, units } = await sweepExpiredReservations();
+    if (reservations > 0) {
+      console.log(`Released ${reservations} stale reservation(s), reclaimed ${units} unit(s)`);
     }
-    await upsertInventory(priceId, stock);
-    res.json({ ok: true });
+    const carts = await sweepCarts({ idleMs: cartTtlMs });
+    if (carts.holds > 0) console.log(`Released ${carts.holds} expired cart hold(s), reclaimed ${carts.units} unit(s)`);
   } catch (err) {
-    console.error(err);
-    res.status(500).send('Failed to set inventory');
+    console.error('Reservation sweep failed', err);
   }
-});
+}
 
-app.post('/create-checkout-session', async (req, res) => {
+async function pruneRateLimits() {
   try {
-    const { line_items } = req.body;
-    if (!Array.isArray(line_items) || line_items.length === 0) {
-      return res.status(400).send('No line items provided');
-    }
-
-    const mappedItems = line_items.map(item => {
-      const stripePrice = item.price; // Use real Stripe Price ID from client
-      const qty = Math.min(1, Math.max(0, Number(item.quantity) || 0));
-      if (qty <= 0) {
-        throw new Error('Invalid quantity');
-      }
-      return { price: stripePrice, quantity: qty };
-    });
-
-    // Reserve stock atomically before creating the session
-    const reservationId = (crypto.randomUUID ? crypto.randomUUID() : Math.random().toString(36).slice(2)) + '-' + Date.now();
-    try {
-      await reserveStock(reservationId, mappedItems);
-    } catch (e) {
-      return res.status(400).send(e.message || 'Insufficient stock');
-    }
-
-    const session = await stripe.checkout.sessions.create({
-      mode: 'payment',
-      line_items: mappedItems,
-      success_url: `${req.protocol}://${req.get('host')}/success.html`,
-      cancel_url: `${req.protocol}://${req.get('host')}/cancel.html`,
-      metadata: { reservation_id: reservationId }
-    });
-
-    // Link reservation rows to this session
-    await linkReservationToSession(session.id, reservationId);
-
-    return res.json({ url: session.url });
+    await pruneRateLimitBuckets();
   } catch (err) {
-    console.error(err);
-    // Attempt to release reservation if we created one earlier in this request
-    // Note: We keep reservationId in closure above; if session creation failed, release it
-    try { if (reservationId) await releaseReservation(reservationId); } catch (_) {}
-    return res.status(400).send(err.message);
+    console.error('Rate limit prune failed', err);
   }
-});
+}
 
-// Webhook to commit or release reservations based on Checkout status
-// Stripe webhook with signature verification
-const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET || '';
-app.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
-  let event;
+async function sendEmails() {
   try {
-    if (endpointSecret) {
-      const signature = req.headers['stripe-signature'];
-      event = stripe.webhooks.constructEvent(req.body, signature, endpointSecret);
-    } else {
-      event = JSON.parse(req.body.toString());
-    }
-    switch (event.type) {
-      case 'checkout.session.completed': {
-        const session = event.data.object;
-        const sessionId = session.id;
-        const reservationId = session.metadata && session.metadata.reservation_id;
-        if (reservationId) {
-          await linkReservationToSession(sessionId, reservationId);
-        }
-        await commitReservationBySession(sessionId);
-        break;
-      }
-      case 'checkout.session.expired': {
-        const session = event.data.object;
-        const sessionId = session.id;
-        const reservationId = await findReservedReservationIdBySession(sessionId);
-        if (reservationId) await releaseReservation(reservationId);
-        break;
-      }
-      case 'checkout.session.async_payment_failed': {
-        const session = event.data.object;
-        const sessionId = session.id;
-        const reservationId = await findReservedReservationIdBySession(sessionId);
-        if (reservationId) await releaseReservation(reservationId);
-        break;
-      }
-      default:
-        // ignore
-        break;
-    }
-    res.json({ received: true });
+    await sendQueuedEmails();
   } catch (err) {
-    console.error(err);
-    res.status(400).send(`Webhook error: ${err.message}`);
+    console.error('Sending queued email failed', err);
   }
-});
+}
 
-const port = process.env.PORT || 4242;
-initSchema()
-  .then(() => {
-    app.listen(port, () => {
-      console.log(`Server running at http://localhost:${port}`);
-      console.log('Publishable key (for reference):', STRIPE_PUBLISHABLE_KEY);
+if (require.main === module) {
+  const port = process.env.PORT || 4242;
+  ensureInit()
+    .then(() => {
+      app.listen(port, () => {
+        console.log(`Server running at http://localhost:${port}`);
+        console.log('Publishable key (for reference):', STRIPE_PUBLISHABLE_KEY);
+      });
+      setInterval(sweepReservations, reservationSweepIntervalMs).unref();
+      setInterval(pruneRateLimits, rateLimitPruneIntervalMs).unref();
+      setInterval(sendEmails, emailQueueIntervalMs).unref();
+    })
+    .catch((err) => {
+      console.error('Failed to initialize database schema', err);
+      process.exit(1);
     });
-  })
-  .catch((err) => {
-    console.error('Failed to initialize database schema', err);
-    process.exit(1);
-  });
-
+}
 
+module.exports = app;
@@ -0,0 +1,82 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, skipWithoutDb, resetDb, makeRequest, adminLogin, getStock } = require('./helpers');
+const { hashPassword } = require('../lib/auth');
+const adminSession = require('../lib/handlers/admin-session');
+const adminInventory = require('../lib/handlers/admin-inventory');
+const adminOrders = require('../lib/handlers/admin-orders');
+
+function cookieFrom(res) {
+  return res.headers['Set-Cookie'].split(';')[0];
+}
+
+describe('admin sessions', { skip: skipWithoutDb }, () => {
+  beforeEach(async () => {
+    await resetDb();
+    await db.saveAdminUser('kim', await hashPassword('a long enough password'), 'inventory-manager');
+  });
+  after(() => db.pool.end());
+
+  const login = (body) => adminSession(makeRequest({ method: 'POST', body }));
+
+  it('logs in with the right password and sets an HttpOnly session cookie', async () => {
+    const res = await login({ username: 'kim', password: 'a long enough password' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.username, 'kim');
+    assert.equal(res.body.role, 'inventory-manager');
+    assert.ok(res.body.csrfToken);
+    assert.match(res.headers['Set-Cookie'], /^admin_session=[^;]+; Path=\/; HttpOnly; SameSite=Strict; Max-Age=\d+$/);
+
+    const current = await adminSession(makeRequest({ headers: { cookie: cookieFrom(res) } }));
+    assert.equal(current.status, 200);
+    assert.equal(current.body.csrfToken, res.body.csrfToken);
+  });
+
+  it('refuses wrong passwords and unknown users alike', async () => {
+    assert.equal((await login({ username: 'kim', password: 'wrong password here' })).status, 401);
+    assert.equal((await login({ username: 'nobody', password: 'a long enough password' })).status, 401);
+    assert.equal((await login({ username: 'kim' })).status, 400);
+  });
+
+  it('stores only a hash of the session token', async () => {
+    const res = await login({ username: 'kim', password: 'a long enough password' });
+    const token = cookieFrom(res).split('=')[1];
+    const rows = await db.pool.query('SELECT token_hash FROM admin_sessions');
+    assert.equal(rows.rowCount, 1);
+    assert.notEqual(rows.rows[0].token_hash, token);
+  });
+
+  it('ignores expired sessions', async () => {
+    const headers = await adminLogin('viewer', 'vic');
+    await db.pool.query('UPDATE admin_sessions SET expires_at = $1', [Date.now() - 1]);
+    assert.equal((await adminOrders(makeRequest({ headers }))).status, 401);
+  });
+
+  it('logs out, which needs the CSRF token', async () => {
+    const headers = await adminLogin();
+    const withoutToken = await adminSession(makeRequest({ method: 'DELETE', headers: { cookie: headers.cookie } }));
+    assert.equal(withoutToken.status, 403);
+    const res = await adminSession(makeRequest({ method: 'DELETE', headers }));
+    assert.equal(res.status, 200);
+    assert.match(res.headers['Set-Cookie'], /Max-Age=0/);
+    assert.equal((await adminSession(makeRequest({ headers }))).status, 401);
+  });
+
+  it('lets viewers read but not write', async () => {
+    const headers = await adminLogin('viewer', 'vic');
+    assert.equal((await adminOrders(makeRequest({ headers }))).status, 200);
+    const res = await adminInventory(makeRequest({ method: 'POST', headers, body: { priceId: 'price_a', stock: 3 } }));
+    assert.equal(res.status, 403);
+    assert.equal(await getStock('price_a'), undefined);
+  });
+
+  it('requires the CSRF token on writes', async () => {
+    const headers = await adminLogin();
+    const body = { priceId: 'price_a', stock: 3 };
+    const missing = await adminInventory(makeRequest({ method: 'POST', headers: { cookie: headers.cookie }, body }));
+    assert.equal(missing.status, 403);
+    const wrong = await adminInventory(makeRequest({ method: 'POST', headers: { cookie: headers.cookie, 'x-csrf-token': 'nope' }, body }));
+    assert.equal(wrong.status, 403);
+    assert.equal((await adminInventory(makeRequest({ method: 'POST', headers, body }))).status, 200);
+  });
+});
@@ -0,0 +1,132 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, skipWithoutDb, resetDb, makeRequest, adminLogin, getStock } = require('./helpers');
+const adminInventory = require('../lib/handlers/admin-inventory');
+const adminOrders = require('../lib/handlers/admin-orders');
+const adminInventoryHistory = require('../lib/handlers/admin-inventory-history');
+const adminOrdersRestock = require('../lib/handlers/admin-orders-restock');
+
+function saveOrder(sessionId, status) {
+  return db.saveOrder(
+    { sessionId, currency: 'usd', amountSubtotal: 1000, amountTotal: 1000, paymentStatus: 'paid', status },
+    [{ lineItemId: `li_${sessionId}`, priceId: 'price_a', description: 'Shirt', quantity: 1, currency: 'usd', amountSubtotal: 1000, amountTotal: 1000 }]
+  );
+}
+
+describe('admin endpoints', { skip: skipWithoutDb }, () => {
+  let adminHeaders;
+
+  beforeEach(async () => {
+    await resetDb();
+    adminHeaders = await adminLogin('inventory-manager', 'alex');
+  });
+  after(() => db.pool.end());
+
+  it('sets stock and per-order cap with the admin key', async () => {
+    const res = await adminInventory(makeRequest({ method: 'POST', headers: adminHeaders, body: { priceId: 'price_a', stock: 7, maxPerOrder: 2 } }));
+    assert.equal(res.status, 200);
+    assert.equal(await getStock('price_a'), 7);
+    assert.deepEqual(await db.getInventoryLimits(['price_a']), {
+      price_a: { stock: 7, maxPerOrder: 2, stockPolicy: 'deny', backorderLimit: null, expectedShipDate: null }
+    });
+  });
+
+  it('refuses inventory writes without a session', async () => {
+    const res = await adminInventory(makeRequest({ method: 'POST', body: { priceId: 'price_a', stock: 7 } }));
+    assert.equal(res.status, 401);
+    assert.equal(await getStock('price_a'), undefined);
+  });
+
+  it('validates inventory input', async () => {
+    const bad = [
+      { priceId: 'price_a', stock: -1 },
+      { stock: 1 },
+      { priceId: 'price_a', stock: 1, maxPerOrder: 0 },
+      { priceId: 'price_a', stock: 1, adjust: 1 },
+      { priceId: 'price_a', adjust: 1.5 },
+      { priceId: 'price_a', adjust: 1, expectedStock: -1 }
+    ];
+    for (const body of bad) {
+      const res = await adminInventory(makeRequest({ method: 'POST', headers: adminHeaders, body }));
+      assert.equal(res.status, 400);
+    }
+  });
+
+  it('applies relative adjustments and logs who made each change', async () => {
+    await adminInventory(makeRequest({ method: 'POST', headers: adminHeaders, body: { priceId: 'price_a', stock: 5 } }));
+    const res = await adminInventory(makeRequest({ method: 'POST', headers: adminHeaders, body: { priceId: 'price_a', adjust: 3 } }));
+    assert.deepEqual(res.body, { ok: true, stock: 8, previousStock: 5 });
+    await adminInventory(makeRequest({ method: 'POST', headers: adminHeaders, body: { priceId: 'price_a', adjust: -2 } }));
+    assert.equal(await getStock('price_a'), 6);
+
+    const history = await adminInventoryHistory(makeRequest({ headers: adminHeaders, query: { priceId: 'price_a' } }));
+    assert.equal(history.status, 200);
+    assert.deepEqual(history.body.movements.map(m => [m.delta, m.stockAfter, m.reason, m.actor]), [
+      [-2, 6, 'admin_set', 'alex'],
+      [3, 8, 'restock', 'alex'],
+      [5, 5, 'admin_set', 'alex']
+    ]);
+  });
+
+  it('refuses a change when stock no longer matches expectedStock', async () => {
+    await db.upsertInventory('price_a', 5);
+    const res = await adminInventory(makeRequest({ method: 'POST', headers: adminHeaders, body: { priceId: 'price_a', stock: 9, expectedStock: 4 } }));
+    assert.equal(res.status, 409);
+    assert.equal(res.body.currentStock, 5);
+    assert.equal(await getStock('price_a'), 5);
+    const ok = await adminInventory(makeRequest({ method: 'POST', headers: adminHeaders, body: { priceId: 'price_a', adjust: 1, expectedStock: 5 } }));
+    assert.equal(ok.status, 200);
+  });
+
+  it('refuses adjustments that would make stock negative', async () => {
+    await db.upsertInventory('price_a', 1);
+    const res = await adminInventory(makeRequest({ method: 'POST', headers: adminHeaders, body: { priceId: 'price_a', adjust: -2 } }));
+    assert.equal(res.status, 400);
+    assert.equal(await getStock('price_a'), 1);
+  });
+
+  it('lists orders filtered by status with pagination', async () => {
+    await saveOrder('cs_1', 'paid');
+    await saveOrder('cs_2', 'pending');
+    await saveOrder('cs_3', 'paid');
+    const res = await adminOrders(makeRequest({ headers: adminHeaders, query: { status: 'paid', limit: '1', offset: '1' } }));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.total, 2);
+    assert.deepEqual(res.body.orders.map(o => o.sessionId), ['cs_1']);
+    assert.equal(res.body.orders[0].items[0].description, 'Shirt');
+  });
+
+  it('rejects bad order filters', async () => {
+    const res = await adminOrders(makeRequest({ headers: adminHeaders, query: { from: 'yesterday' } }));
+    assert.equal(res.status, 400);
+  });
+
+  it('only restocks refunded orders, and validates the request', async () => {
+    const orderId = await saveOrder('cs_1', 'paid');
+    const restock = (body, headers = adminHeaders) => adminOrdersRestock(makeRequest({ method: 'POST', headers, body }));
+    assert.equal((await restock({ orderId, items: [{ priceId: 'price_a', quantity: 1 }] }, {})).status, 401);
+    assert.equal((await restock({ orderId, items: [] })).status, 400);
+    assert.equal((await restock({ orderId, items: [{ priceId: 'price_a', quantity: 0 }] })).status, 400);
+    assert.equal((await restock({ orderId: 999, items: [{ priceId: 'price_a', quantity: 1 }] })).status, 404);
+    assert.equal((await restock({ orderId, items: [{ priceId: 'price_a', quantity: 1 }] })).status, 409);
+    assert.equal(await getStock('price_a'), undefined);
+  });
+
+  it('restocks no more after a partial refund than the refund covers', async () => {
+    const orderId = await db.saveOrder(
+      { sessionId: 'cs_1', currency: 'usd', amountSubtotal: 3000, amountTotal: 3000, paymentStatus: 'paid', status: 'partially_refunded' },
+      [{ lineItemId: 'li_1', priceId: 'price_a', description: 'Shirt', quantity: 3, currency: 'usd', amountSubtotal: 3000, amountTotal: 3000 }]
+    );
+    const restock = (quantity) => adminOrdersRestock(makeRequest({ method: 'POST', headers: adminHeaders, body: { orderId, items: [{ priceId: 'price_a', quantity }] } }));
+
+    await db.pool.query('UPDATE orders SET amount_refunded = 1 WHERE id = $1', [orderId]);
+    assert.equal((await restock(1)).status, 409);
+    assert.equal(await getStock('price_a'), undefined);
+
+    await db.pool.query('UPDATE orders SET amount_refunded = 1000 WHERE id = $1', [orderId]);
+    assert.equal((await restock(2)).status, 409);
+    assert.equal((await restock(1)).status, 200);
+    assert.equal((await restock(1)).status, 409);
+    assert.equal(await getStock('price_a'), 1);
+  });
+});
@@ -0,0 +1,190 @@
+const { describe, it, beforeEach, afterEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, skipWithoutDb, resetDb, makeRequest, createStripeMock, price, signedEvent, adminLogin, getStock } = require('./helpers');
+const { catalogRow } = require('../lib/catalog');
+const { sellableUnits, backorderedUnits, parsePolicyInput, checkoutNote } = require('../lib/backorders');
+const products = require('../lib/handlers/products');
+const cartItems = require('../lib/handlers/cart-items');
+const createCheckoutSession = require('../lib/handlers/create-checkout-session');
+const webhook = require('../lib/handlers/webhook');
+const adminInventory = require('../lib/handlers/admin-inventory');
+const waitlist = require('../lib/handlers/waitlist');
+
+const SECRET = 'whsec_test';
+
+const PRICES = [
+  price('price_mug', { name: 'Mug' }),
+  price('price_game', { name: 'Game', unitAmount: 6000 }),
+  price('price_cup', { name: 'Cup' })
+];
+
+describe('stock policies', () => {
+  it('work out what can still be sold and what ships late', () => {
+    assert.equal(sellableUnits(3, { stockPolicy: 'deny' }), 3);
+    assert.equal(sellableUnits(-2, { stockPolicy: 'deny' }), 0);
+    assert.equal(sellableUnits(-2, { stockPolicy: 'backorder', backorderLimit: 5 }), 3);
+    assert.equal(sellableUnits(0, { stockPolicy: 'preorder', backorderLimit: null }), Infinity);
+    assert.equal(backorderedUnits(3, 1, { stockPolicy: 'backorder' }), 2);
+    assert.equal(backorderedUnits(3, -1, { stockPolicy: 'backorder' }), 3);
+    assert.equal(backorderedUnits(3, 5, { stockPolicy: 'preorder' }), 3);
+    assert.equal(backorderedUnits(3, 0, { stockPolicy: 'deny' }), 0);
+
+    assert.deepEqual(parsePolicyInput({ stockPolicy: 'preorder', expectedShipDate: '2026-12-01' }).policy, {
+      stockPolicy: 'preorder', backorderLimit: undefined, expectedShipDate: '2026-12-01'
+    });
+    assert.equal(parsePolicyInput({ stockPolicy: 'later' }).error, 'stockPolicy must be one of: deny, backorder, preorder');
+    assert.equal(parsePolicyInput({ backorderLimit: 0 }).error, 'backorderLimit must be a positive integer or null');
+    assert.equal(parsePolicyInput({ expectedShipDate: '2026-13-01' }).error, 'expectedShipDate must be a YYYY-MM-DD date or null');
+
+    assert.equal(checkoutNote([
+      { priceId: 'price_mug', quantity: 3, backordered: 2, stockPolicy: 'backorder', expectedShipDate: null },
+      { priceId: 'price_cup', quantity: 1, backordered: 0, stockPolicy: 'deny', expectedShipDate: null },
+      { priceId: 'price_game', quantity: 1, backordered: 1, stockPolicy: 'preorder', expectedShipDate: '2026-12-01' }
+    ], { price_mug: 'Mug' }), 'Mug: 2 of 3 on backorder, shipped as soon as they are back in stock. price_game is a pre-order and ships around 2026-12-01.');
+    assert.equal(checkoutNote([{ priceId: 'price_cup', quantity: 1, backordered: 0, stockPolicy: 'deny' }], {}), null);
+  });
+});
+
+describe('backorders and waitlist', { skip: skipWithoutDb }, () => {
+  let stripe;
+  let headers;
+
+  beforeEach(async () => {
+    await resetDb();
+    process.env.STRIPE_WEBHOOK_SECRET = SECRET;
+    stripe = createStripeMock({
+      prices: PRICES,
+      lineItems: {
+        cs_test_1: [
+          { id: 'li_1', price: { id: 'price_mug', product: 'prod_price_mug' }, description: 'Mug', quantity: 3, currency: 'usd', amount_subtotal: 3000, amount_total: 3000 },
+          { id: 'li_2', price: { id: 'price_game', product: 'prod_price_game' }, description: 'Game', quantity: 1, currency: 'usd', amount_subtotal: 6000, amount_total: 6000 }
+        ]
+      }
+    });
+    await db.replaceCatalog(PRICES.map(p => catalogRow(p)));
+    headers = await adminLogin('inventory-manager', 'ian');
+    await db.upsertInventory('price_mug', 1);
+    await db.upsertInventory('price_cup', 0);
+    await setInventory({ priceId: 'price_mug', stockPolicy: 'backorder', backorderLimit: 2 });
+    await setInventory({ priceId: 'price_game', stockPolicy: 'preorder', expectedShipDate: '2026-12-01' });
+  });
+  afterEach(() => { delete process.env.STRIPE_WEBHOOK_SECRET; });
+  after(() => db.pool.end());
+
+  async function setInventory(body) {
+    const res = await adminInventory(makeRequest({ method: 'POST', headers, body }));
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    return res;
+  }
+  const join = body => waitlist(makeRequest({ method: 'POST', body }), { stripe });
+  const backInStock = async () => (await db.listEmails()).filter(e => e.template === 'back_in_stock').map(e => e.recipient).sort();
+
+  it('sells past zero up to the backorder limit and records the backordered units', async () => {
+    const reserved = await db.reserveStock('res_1', [{ price: 'price_mug', quantity: 2 }, { price: 'price_game', quantity: 1 }]);
+    assert.deepEqual(reserved, [
+      { priceId: 'price_mug', quantity: 2, backordered: 1, stockPolicy: 'backorder', expectedShipDate: null },
+      { priceId: 'price_game', quantity: 1, backordered: 1, stockPolicy: 'preorder', expectedShipDate: '2026-12-01' }
+    ]);
+    assert.equal(await getStock('price_mug'), -1);
+
+    await assert.rejects(db.reserveStock('res_2', [{ price: 'price_mug', quantity: 2 }]), { code: 'INSUFFICIENT_STOCK', available: 1 });
+    await assert.rejects(db.reserveStock('res_3', [{ price: 'price_cup', quantity: 1 }]), { code: 'INSUFFICIENT_STOCK', available: 0 });
+    await db.releaseReservation('res_1');
+    assert.equal(await getStock('price_mug'), 1);
+  });
+
+  it('keeps the stock guard for prices that do not sell past zero', async () => {
+    await db.reserveStock('res_1', [{ price: 'price_mug', quantity: 3 }]);
+    const res = await adminInventory(makeRequest({ method: 'POST', headers, body: { priceId: 'price_mug', stockPolicy: 'deny' } }));
+    assert.equal(res.status, 400);
+    assert.match(res.body, /2 units on backorder/);
+    await setInventory({ priceId: 'price_mug', adjust: 2, stockPolicy: 'deny' });
+    assert.equal(await getStock('price_mug'), 0);
+
+    await assert.rejects(db.pool.query("UPDATE inventory SET stock = -1 WHERE price_id = 'price_cup'"), { code: '23514' });
+    await assert.rejects(db.pool.query("UPDATE inventory SET stock_policy = 'later' WHERE price_id = 'price_cup'"), { code: '23514' });
+  });
+
+  it('adds each stock constraint on upgrade, even when the other one is already there', async () => {
+    const constraints = async () => (await db.pool.query(
+      "SELECT conname FROM pg_constraint WHERE conrelid = 'inventory'::regclass AND conname LIKE 'inventory_stock%check' ORDER BY conname"
+    )).rows.map(r => r.conname);
+    await db.pool.query('ALTER TABLE inventory DROP CONSTRAINT inventory_stock_allowed_check');
+    assert.deepEqual(await constraints(), ['inventory_stock_policy_check']);
+    // What ensureInit() runs on every start
+    await db.initSchema();
+    await db.initSchema();
+    assert.deepEqual(await constraints(), ['inventory_stock_allowed_check', 'inventory_stock_policy_check']);
+    await assert.rejects(db.pool.query("UPDATE inventory SET stock = -1 WHERE price_id = 'price_cup'"), { code: '23514' });
+  });
+
+  it('shows policies to shoppers and counts backordered units in the cart', async () => {
+    const variants = Object.fromEntries((await products(makeRequest(), { stripe })).body.products
+      .map(p => p.variants[0]).map(v => [v.priceId, [v.stock, v.stockPolicy, v.backorderLimit, v.expectedShipDate]]));
+    assert.deepEqual(variants, {
+      price_mug: [1, 'backorder', 2, null],
+      price_game: [0, 'preorder', null, '2026-12-01'],
+      price_cup: [0, 'deny', null, null]
+    });
+
+    const first = await cartItems(makeRequest({ method: 'POST', body: { price: 'price_mug', quantity: 2 } }), { stripe });
+    const cookie = first.headers['Set-Cookie'].split(';')[0];
+    const cart = (await cartItems(makeRequest({ method: 'POST', headers: { cookie }, body: { price: 'price_game' } }), { stripe })).body;
+    assert.deepEqual(cart.items.map(i => [i.priceId, i.available, i.backordered, i.expectedShipDate]), [
+      ['price_mug', 3, 1, null],
+      ['price_game', null, 1, '2026-12-01']
+    ]);
+    assert.equal(cart.checkoutReady, true);
+    const tooMany = await cartItems(makeRequest({ method: 'PUT', headers: { cookie }, body: { price: 'price_mug', quantity: 4 } }), { stripe });
+    assert.equal(tooMany.status, 409);
+  });
+
+  it('labels backordered lines on the session and carries them onto the order', async () => {
+    const res = await createCheckoutSession(makeRequest({ method: 'POST', body: { line_items: [{ price: 'price_mug', quantity: 3 }, { price: 'price_game', quantity: 1 }] } }), { stripe });
+    assert.equal(res.status, 200);
+    const params = stripe.calls.sessionsCreate[0];
+    assert.equal(params.custom_text.submit.message,
+      'Mug: 2 of 3 on backorder, shipped as soon as they are back in stock. Game is a pre-order and ships around 2026-12-01.');
+    assert.equal(await getStock('price_mug'), -2);
+    assert.equal((await createCheckoutSession(makeRequest({ method: 'POST', body: { line_items: [{ price: 'price_mug', quantity: 1 }] } }), { stripe })).status, 409);
+
+    await webhook(makeRequest(Object.assign({ method: 'POST' }, signedEvent(stripe, {
+      id: 'evt_done',
+      type: 'checkout.session.completed',
+      data: { object: { object: 'checkout.session', id: 'cs_test_1', metadata: params.metadata, payment_status: 'paid', currency: 'usd', amount_subtotal: 9000, amount_total: 9000 } }
+    }, SECRET))), { stripe });
+    const order = await db.getOrderBySession('cs_test_1');
+    assert.deepEqual(order.items.map(i => [i.priceId, i.quantity, i.backordered]), [['price_mug', 3, 2], ['price_game', 1, 1]]);
+
+    // In-stock orders get no note
+    await db.upsertInventory('price_cup', 5);
+    await createCheckoutSession(makeRequest({ method: 'POST', body: { line_items: [{ price: 'price_cup', quantity: 1 }] } }), { stripe });
+    assert.equal(stripe.calls.sessionsCreate[1].custom_text, undefined);
+  });
+
+  it('takes waitlist sign-ups for sold-out prices and emails them once on restock', async () => {
+    assert.deepEqual((await join({ priceId: 'price_cup', email: ' Ann@Example.com ' })).body, { ok: true });
+    assert.equal((await join({ priceId: 'price_cup', email: 'ann@example.com' })).status, 200);
+    assert.equal((await join({ priceId: 'price_cup', email: 'bob@example.com' })).status, 200);
+    assert.equal((await join({ priceId: 'price_mug', email: 'ann@example.com' })).status, 409);
+    assert.equal((await join({ priceId: 'price_cup', email: 'not-an-email' })).status, 400);
+    assert.equal((await join({ priceId: 'price_gone', email: 'ann@example.com' })).status, 404);
+
+    const viewer = await adminLogin('viewer', 'vic');
+    const listed = (await adminInventory(makeRequest({ headers: viewer }))).body.inventory.find(i => i.priceId === 'price_cup');
+    assert.equal(listed.waitlist, 2);
+
+    await setInventory({ priceId: 'price_cup', adjust: 3 });
+    assert.deepEqual(await backInStock(), ['ann@example.com', 'bob@example.com']);
+    const [email] = await db.listEmails();
+    assert.deepEqual(email.data, { priceId: 'price_cup', name: 'Cup' });
+    await setInventory({ priceId: 'price_cup', adjust: 1 });
+    assert.equal((await backInStock()).length, 2);
+
+    // Sold out again: a second sign-up waits for the next restock
+    await setInventory({ priceId: 'price_cup', stock: 0 });
+    assert.equal((await join({ priceId: 'price_cup', email: 'ann@example.com' })).status, 200);
+    await setInventory({ priceId: 'price_cup', stock: 2 });
+    assert.deepEqual(await backInStock(), ['ann@example.com', 'ann@example.com', 'bob@example.com']);
+  });
+});
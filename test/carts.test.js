@@ -0,0 +1,279 @@
+// Read by lib/config.js on load
+process.env.CART_HOLD_MINUTES = '10';
+
+const { describe, it, beforeEach, afterEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, skipWithoutDb, resetDb, makeRequest, createStripeMock, signedEvent, getStock, getReservations } = require('./helpers');
+const cartHandler = require('../lib/handlers/cart');
+const cartItems = require('../lib/handlers/cart-items');
+const createCheckoutSession = require('../lib/handlers/create-checkout-session');
+const webhook = require('../lib/handlers/webhook');
+
+const SECRET = 'whsec_test';
+
+function catalogRow(priceId, { name = 'Mug', productId = `prod_${priceId}`, nickname = null, unitAmount = 1000, active = true } = {}) {
+  return { priceId, productId, name, description: '', currency: 'usd', unitAmount, nickname, active, productActive: true, created: null };
+}
+
+const CATALOG = [
+  catalogRow('price_mug'),
+  catalogRow('price_tee_s', { name: 'T-shirt', productId: 'prod_tee', nickname: 'S', unitAmount: 2000 })
+];
+
+describe('server-side carts', { skip: skipWithoutDb }, () => {
+  let stripe;
+  let cookie;
+
+  beforeEach(async () => {
+    await resetDb();
+    process.env.STRIPE_WEBHOOK_SECRET = SECRET;
+    stripe = createStripeMock();
+    await db.replaceCatalog(CATALOG);
+    await db.upsertInventory('price_mug', 5);
+    await db.upsertInventory('price_tee_s', 3, 2);
+    cookie = null;
+  });
+  afterEach(() => { delete process.env.STRIPE_WEBHOOK_SECRET; });
+  after(() => db.pool.end());
+
+  // Sends the cart cookie once one was issued, like a browser would
+  async function call(handler, method, { body, query } = {}) {
+    const res = await handler(makeRequest({ method, headers: cookie ? { cookie } : {}, body, query }), { stripe });
+    if (res.headers && res.headers['Set-Cookie']) cookie = res.headers['Set-Cookie'].split(';')[0];
+    return res;
+  }
+  const add = (price, quantity) => call(cartItems, 'POST', { body: { price, quantity } });
+  const set = (price, quantity) => call(cartItems, 'PUT', { body: { price, quantity } });
+  const view = () => call(cartHandler, 'GET');
+  const lines = (res) => res.body.items.map(i => [i.priceId, i.name, i.quantity, i.available, i.held, i.issues]);
+
+  it('starts a cart on the first add and keeps it behind an HttpOnly cookie', async () => {
+    assert.deepEqual((await view()).body, {
+      items: [],
+      totals: {},
+      holdExpiresAt: null,
+      checkoutReady: false,
+      subscriptions: { items: [], totals: {}, checkoutReady: false }
+    });
+    assert.equal(cookie, null);
+
+    const res = await add('price_mug');
+    assert.equal(res.status, 200);
+    assert.match(res.headers['Set-Cookie'], /^cart_token=[\w-]+; Path=\/; HttpOnly; SameSite=Lax; Max-Age=2592000$/);
+    await add('price_mug', 2);
+    await add('price_tee_s');
+    const cart = await view();
+    assert.equal(cart.headers['Cache-Control'], 'no-store');
+    assert.deepEqual(lines(cart), [
+      ['price_mug', 'Mug', 3, 5, 3, []],
+      ['price_tee_s', 'T-shirt (S)', 1, 2, 1, []]
+    ]);
+    assert.deepEqual(cart.body.totals, { usd: 5000 });
+    assert.equal(cart.body.checkoutReady, true);
+
+    // Another browser has its own cart
+    const other = await cartHandler(makeRequest(), { stripe });
+    assert.deepEqual(other.body.items, []);
+  });
+
+  it('refuses unknown prices and more than can be bought', async () => {
+    assert.equal((await add('price_nope')).status, 404);
+    assert.equal((await add('price_mug', 0)).status, 400);
+    const capped = await add('price_tee_s', 3);
+    assert.equal(capped.status, 409);
+    assert.equal(capped.body.available, 2);
+    assert.deepEqual(capped.body.cart.items, []);
+    await add('price_tee_s', 2);
+    assert.equal((await add('price_tee_s')).status, 409);
+  });
+
+  it('updates and removes lines', async () => {
+    await add('price_mug', 2);
+    await add('price_tee_s');
+    assert.deepEqual(lines(await set('price_mug', 4)).map(l => l[2]), [4, 1]);
+    assert.equal((await set('price_mug', 6)).status, 409);
+    assert.deepEqual(lines(await set('price_mug', 0)).map(l => l[0]), ['price_tee_s']);
+    const removed = await call(cartItems, 'DELETE', { query: { price: 'price_tee_s' } });
+    assert.deepEqual(removed.body.items, []);
+    assert.equal(await getStock('price_tee_s'), 3);
+  });
+
+  it('rechecks lines against current prices, catalog and stock', async () => {
+    await add('price_mug', 2);
+    await add('price_tee_s', 2);
+    await db.upsertCatalogPrice(catalogRow('price_mug', { unitAmount: 1200 }));
+    await db.upsertCatalogPrice(catalogRow('price_tee_s', { name: 'T-shirt', productId: 'prod_tee', nickname: 'S', active: false }));
+    const cart = await view();
+    assert.deepEqual(lines(cart), [
+      ['price_mug', 'Mug', 2, 5, 2, ['price_changed']],
+      ['price_tee_s', 'T-shirt', 2, 0, 2, ['unavailable']]
+    ]);
+    assert.equal(cart.body.items[0].previousUnitAmount, 1000);
+    assert.deepEqual(cart.body.totals, { usd: 2400 });
+    assert.equal(cart.body.checkoutReady, false);
+
+    // Changing the line takes the new price
+    assert.deepEqual((await set('price_mug', 1)).body.items[0].issues, []);
+  });
+
+  it('shows lines in the requested currency where they are sold in it', async () => {
+    await db.upsertCatalogPrice(Object.assign(catalogRow('price_mug'), { currencyOptions: { eur: 900 } }));
+    await add('price_mug', 2);
+    await add('price_tee_s');
+    const cart = await call(cartHandler, 'GET', { query: { currency: 'eur' } });
+    assert.deepEqual(cart.body.items.map(i => [i.priceId, i.currency, i.unitAmount, i.amountTotal]), [
+      ['price_mug', 'eur', 900, 1800],
+      ['price_tee_s', 'usd', 2000, 2000]
+    ]);
+    assert.deepEqual(cart.body.totals, { eur: 1800, usd: 2000 });
+    assert.equal((await call(cartHandler, 'GET', { query: { currency: 'gbp' } })).status, 400);
+  });
+
+  it('flags lines that stock no longer covers, without lowering them', async () => {
+    await add('price_mug', 2);
+    // The hold keeps the line good when the rest of the stock goes
+    await db.upsertInventory('price_mug', 0);
+    assert.deepEqual(lines(await view()), [['price_mug', 'Mug', 2, 2, 2, []]]);
+
+    await db.pool.query('UPDATE carts SET hold_expires_at = $1', [Date.now() - 1]);
+    await db.sweepCarts({ idleMs: 60_000 });
+    await db.upsertInventory('price_mug', 1);
+    const cart = await view();
+    assert.deepEqual(lines(cart), [['price_mug', 'Mug', 2, 1, 1, ['insufficient_stock']]]);
+    assert.equal(cart.body.checkoutReady, false);
+    assert.deepEqual(lines(await set('price_mug', 1)), [['price_mug', 'Mug', 1, 1, 1, []]]);
+  });
+
+  it('holds stock while the cart is edited and gives it back when the hold runs out', async () => {
+    await add('price_mug', 2);
+    assert.equal(await getStock('price_mug'), 3);
+    const movement = (await db.listInventoryMovements('price_mug'))[0];
+    assert.deepEqual([movement.reason, movement.delta, movement.actor], ['reservation', -2, 'cart']);
+    assert.ok((await view()).body.holdExpiresAt > Date.now() + 9 * 60_000);
+
+    await set('price_mug', 3);
+    assert.equal(await getStock('price_mug'), 2);
+
+    await db.pool.query('UPDATE carts SET hold_expires_at = $1', [Date.now() - 1]);
+    assert.deepEqual(await db.sweepCarts({ idleMs: 60_000 }), { holds: 1, units: 3, carts: 0 });
+    assert.equal(await getStock('price_mug'), 5);
+    // Coming back takes a new hold
+    assert.equal((await view()).body.items[0].held, 3);
+    assert.equal(await getStock('price_mug'), 2);
+
+    await call(cartHandler, 'DELETE');
+    assert.equal(await getStock('price_mug'), 5);
+    await db.pool.query('UPDATE carts SET updated_at = 0');
+    assert.deepEqual(await db.sweepCarts({ idleMs: 60_000 }), { holds: 0, units: 0, carts: 1 });
+  });
+
+  it('keeps a hold that was extended past the reservation TTL away from the reservation sweeper', async () => {
+    await add('price_mug', 2);
+    await db.pool.query('UPDATE reservations SET created_at = created_at - 2 * 3600000');
+    assert.ok((await view()).body.holdExpiresAt > Date.now() + 9 * 60_000);
+
+    assert.deepEqual(await db.sweepExpiredReservations(), { reservations: 0, units: 0 });
+    assert.equal(await getStock('price_mug'), 3);
+    assert.equal((await view()).body.items[0].held, 2);
+
+    await db.pool.query('UPDATE carts SET hold_expires_at = $1', [Date.now() - 1]);
+    assert.deepEqual(await db.sweepCarts({ idleMs: 60_000 }), { holds: 1, units: 2, carts: 0 });
+    assert.equal(await getStock('price_mug'), 5);
+  });
+
+  it('leaves a hold that is extended while the sweeper waits for the cart', async () => {
+    await add('price_mug', 2);
+    await db.pool.query('UPDATE carts SET hold_expires_at = $1', [Date.now() - 1]);
+    const shopper = await db.pool.connect();
+    try {
+      await shopper.query('BEGIN');
+      await shopper.query('SELECT id FROM carts FOR UPDATE');
+      const sweep = db.sweepCarts({ idleMs: 60_000 });
+      for (let i = 0; i < 200; i++) {
+        const waiting = await db.pool.query(`SELECT count(*)::int AS n FROM pg_stat_activity WHERE wait_event_type = 'Lock'`);
+        if (waiting.rows[0].n > 0) break;
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      await shopper.query('UPDATE carts SET hold_expires_at = $1', [Date.now() + 600_000]);
+      await shopper.query('COMMIT');
+      assert.deepEqual(await sweep, { holds: 0, units: 0, carts: 0 });
+    } finally {
+      shopper.release();
+    }
+    assert.equal(await getStock('price_mug'), 3);
+    assert.equal((await view()).body.items[0].held, 2);
+  });
+
+  it('keeps an idle cart while its checkout is still open', async () => {
+    await add('price_mug', 2);
+    assert.equal((await call(createCheckoutSession, 'POST', { body: { cart: true } })).status, 200);
+    await db.pool.query('UPDATE carts SET updated_at = 0');
+    assert.deepEqual(await db.sweepCarts({ idleMs: 60_000 }), { holds: 0, units: 0, carts: 0 });
+    await db.pool.query(`UPDATE reservations SET status = 'pending_payment' WHERE session_id = 'cs_test_1'`);
+    assert.deepEqual(await db.sweepCarts({ idleMs: 60_000 }), { holds: 0, units: 0, carts: 0 });
+
+    await db.pool.query(`UPDATE reservations SET status = 'released' WHERE session_id = 'cs_test_1'`);
+    assert.deepEqual(await db.sweepCarts({ idleMs: 60_000 }), { holds: 0, units: 0, carts: 1 });
+  });
+
+  it('checks out the cart, moving held stock into the reservation, and empties it once paid', async () => {
+    await db.upsertInventory('price_tee_s', 2, 2);
+    await add('price_tee_s', 2);
+    assert.equal(await getStock('price_tee_s'), 0);
+
+    const res = await call(createCheckoutSession, 'POST', { body: { cart: true } });
+    assert.equal(res.status, 200);
+    const params = stripe.calls.sessionsCreate[0];
+    assert.deepEqual(params.line_items, [{ price: 'price_tee_s', quantity: 2 }]);
+    assert.ok(params.metadata.cart_id);
+    assert.equal(await getStock('price_tee_s'), 0);
+    const reservations = await getReservations();
+    assert.deepEqual(reservations.map(r => [r.session_id, r.quantity, r.status]).sort(), [[null, 2, 'released'], ['cs_test_1', 2, 'reserved']]);
+
+    const event = {
+      id: 'evt_cart',
+      object: 'event',
+      type: 'checkout.session.completed',
+      data: { object: { object: 'checkout.session', id: 'cs_test_1', metadata: params.metadata, payment_status: 'paid', currency: 'usd', amount_subtotal: 4000, amount_total: 4000 } }
+    };
+    await webhook(makeRequest(Object.assign({ method: 'POST' }, signedEvent(stripe, event, SECRET))), { stripe });
+    assert.deepEqual((await view()).body.items, []);
+  });
+
+  it('expires the previous session when the shopper checks out the cart again', async () => {
+    await add('price_mug', 2);
+    assert.equal((await call(createCheckoutSession, 'POST', { body: { cart: true } })).status, 200);
+    // Back from Checkout without paying: the open checkout's units still count as the cart's own
+    assert.deepEqual(lines(await view()), [['price_mug', 'Mug', 2, 5, 2, []]]);
+    assert.equal(await getStock('price_mug'), 3);
+
+    assert.equal((await call(createCheckoutSession, 'POST', { body: { cart: true } })).status, 200);
+    assert.equal(stripe.sessions.cs_test_1.status, 'expired');
+    assert.equal(await getStock('price_mug'), 3);
+
+    stripe.sessions.cs_test_2.status = 'complete';
+    const again = await call(createCheckoutSession, 'POST', { body: { cart: true } });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.error, 'This cart has already been checked out');
+  });
+
+  it('refuses a cart checkout with nothing to buy', async () => {
+    assert.equal((await call(createCheckoutSession, 'POST', { body: { cart: true } })).status, 400);
+    await add('price_mug');
+    await db.upsertCatalogPrice(catalogRow('price_mug', { active: false }));
+    const res = await call(createCheckoutSession, 'POST', { body: { cart: true } });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.error, 'No longer available: price_mug');
+    assert.equal(stripe.calls.sessionsCreate.length, 0);
+  });
+
+  it('starts a cart from lines kept in the browser', async () => {
+    const res = await call(cartHandler, 'POST', { body: { items: [{ price: 'price_mug', quantity: 2 }, { price: 'price_gone', quantity: 1 }, { price: 'price_tee_s', quantity: 9 }] } });
+    assert.equal(res.status, 201);
+    assert.deepEqual(lines(res), [['price_mug', 'Mug', 2, 5, 2, []]]);
+    assert.deepEqual(res.body.rejected, [
+      { priceId: 'price_gone', error: 'Unknown price price_gone' },
+      { priceId: 'price_tee_s', error: 'Only 2 of price_tee_s available' }
+    ]);
+  });
+});
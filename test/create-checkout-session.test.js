@@ -0,0 +1,93 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, skipWithoutDb, resetDb, makeRequest, createStripeMock, price, getStock, getReservations } = require('./helpers');
+const { catalogRow } = require('../lib/catalog');
+const createCheckoutSession = require('../lib/handlers/create-checkout-session');
+
+function checkout(lineItems, stripe) {
+  return createCheckoutSession(makeRequest({ method: 'POST', body: { line_items: lineItems } }), { stripe });
+}
+
+describe('POST /create-checkout-session', { skip: skipWithoutDb }, () => {
+  beforeEach(resetDb);
+  after(() => db.pool.end());
+
+  it('reserves stock and creates a session for the requested quantities', async () => {
+    await db.upsertInventory('price_a', 5);
+    const stripe = createStripeMock();
+    const res = await checkout([{ price: 'price_a', quantity: 2 }, { price: 'price_a', quantity: 1 }], stripe);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.url, 'https://checkout.stripe.test/cs_test_1');
+    const params = stripe.calls.sessionsCreate[0];
+    assert.deepEqual(params.line_items, [{ price: 'price_a', quantity: 3 }]);
+    assert.equal(params.success_url, 'http://shop.test/success.html?session_id={CHECKOUT_SESSION_ID}');
+    assert.equal(await getStock('price_a'), 2);
+    const rows = await getReservations();
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].session_id, 'cs_test_1');
+    assert.equal(rows[0].status, 'reserved');
+    assert.equal(rows[0].reservation_id, params.metadata.reservation_id);
+  });
+
+  it('reports which item is short and how many are available', async () => {
+    await db.replaceCatalog([price('price_a', { name: 'Mug' }), price('price_b', { name: 'T-shirt', nickname: 'S' })].map(p => catalogRow(p)));
+    await db.upsertInventory('price_a', 1);
+    await db.upsertInventory('price_b', 10, 3);
+    const stripe = createStripeMock();
+    const res = await checkout([{ price: 'price_a', quantity: 2 }, { price: 'price_b', quantity: 4 }], stripe);
+    assert.equal(res.status, 409);
+    assert.equal(res.body.error, 'Not enough stock for Mug (1 available), T-shirt (S) (3 available)');
+    assert.deepEqual(res.body.shortages, [
+      { priceId: 'price_a', name: 'Mug', requested: 2, available: 1 },
+      { priceId: 'price_b', name: 'T-shirt (S)', requested: 4, available: 3 }
+    ]);
+    assert.equal(stripe.calls.sessionsCreate.length, 0);
+    assert.equal(await getStock('price_a'), 1);
+  });
+
+  it('rejects malformed line items', async () => {
+    const stripe = createStripeMock();
+    assert.equal((await checkout([], stripe)).status, 400);
+    assert.equal((await checkout([{ price: 'price_a', quantity: 1.5 }], stripe)).status, 400);
+    assert.equal((await checkout([{ quantity: 1 }], stripe)).status, 400);
+  });
+
+  it('charges in the shopper\'s currency when every item is sold in it', async () => {
+    for (const id of ['price_a', 'price_b', 'price_c']) await db.upsertInventory(id, 5);
+    const stripe = createStripeMock({
+      prices: [
+        price('price_a', { unitAmount: 2000, currencyOptions: { eur: 1800 } }),
+        price('price_b', { unitAmount: 500, currencyOptions: { eur: 450 } }),
+        price('price_c', { unitAmount: 700 })
+      ]
+    });
+    const request = (lineItems, { currency, language } = {}) => createCheckoutSession(makeRequest({
+      method: 'POST',
+      headers: language ? { 'accept-language': language } : {},
+      body: { line_items: lineItems, currency }
+    }), { stripe });
+    const both = [{ price: 'price_a', quantity: 1 }, { price: 'price_b', quantity: 1 }];
+    const withUsdOnly = [{ price: 'price_a', quantity: 1 }, { price: 'price_c', quantity: 1 }];
+
+    assert.equal((await request(both, { currency: 'EUR' })).status, 200);
+    assert.equal((await request(both, { language: 'fr-FR' })).status, 200);
+    // price_c is only sold in dollars, so the whole order is
+    assert.equal((await request(withUsdOnly, { language: 'fr-FR' })).status, 200);
+    assert.deepEqual(stripe.calls.sessionsCreate.map(p => p.currency), ['eur', 'eur', undefined]);
+
+    const refused = await request(withUsdOnly, { currency: 'eur' });
+    assert.equal(refused.status, 400);
+    assert.equal(refused.body, 'Prices are not available in EUR for every item in this order');
+    assert.equal(await getStock('price_c'), 4);
+  });
+
+  it('releases the reservation when Stripe cannot create the session', async () => {
+    await db.upsertInventory('price_a', 3);
+    const stripe = createStripeMock();
+    stripe.failSessionCreate = new Error('No such price');
+    const res = await checkout([{ price: 'price_a', quantity: 2 }], stripe);
+    assert.equal(res.status, 400);
+    assert.equal(await getStock('price_a'), 3);
+    assert.deepEqual((await getReservations()).map(r => r.status), ['released']);
+  });
+});
@@ -0,0 +1,28 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { minorUnitDigits, formatAmount, parseAcceptLanguage, chooseCurrency } = require('../lib/currency');
+
+describe('currency', () => {
+  it('orders Accept-Language tags by preference', () => {
+    assert.deepEqual(parseAcceptLanguage('fr-CH, fr;q=0.9, en;q=0.8, de;q=0.7, *;q=0.5'), ['fr-CH', 'fr', 'en', 'de']);
+    assert.deepEqual(parseAcceptLanguage('en;q=0.5, ja, de;q=0'), ['ja', 'en']);
+    assert.deepEqual(parseAcceptLanguage(undefined), []);
+  });
+
+  it('picks the requested currency, else the first locale the shop sells in', () => {
+    const shop = { currencies: ['chf', 'eur', 'usd'], fallback: 'usd' };
+    assert.deepEqual(chooseCurrency('EUR', 'de-CH', shop), { currency: 'eur' });
+    assert.deepEqual(chooseCurrency(null, 'de-CH, de;q=0.9', shop), { currency: 'chf' });
+    // en-GB pays in pounds, which the shop does not take; bare "de" means Germany
+    assert.deepEqual(chooseCurrency(null, 'en-GB, de;q=0.8', shop), { currency: 'eur' });
+    assert.deepEqual(chooseCurrency(null, 'ja', shop), { currency: 'usd' });
+    assert.deepEqual(chooseCurrency('gbp', 'de', shop), { error: 'Prices are not available in GBP' });
+  });
+
+  it('formats amounts with each currency\'s number of decimals', () => {
+    assert.deepEqual(['usd', 'jpy', 'kwd'].map(minorUnitDigits), [2, 0, 3]);
+    assert.equal(formatAmount(1250, 'eur'), '12.50 EUR');
+    assert.equal(formatAmount(1500, 'jpy'), '1500 JPY');
+    assert.equal(formatAmount(12345, 'bhd'), '12.345 BHD');
+  });
+});
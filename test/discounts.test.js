@@ -0,0 +1,144 @@
+const { describe, it, beforeEach, afterEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, skipWithoutDb, resetDb, makeRequest, createStripeMock, signedEvent, adminLogin, getStock, getReservations } = require('./helpers');
+const adminDiscounts = require('../lib/handlers/admin-discounts');
+const createCheckoutSession = require('../lib/handlers/create-checkout-session');
+const webhook = require('../lib/handlers/webhook');
+
+const SECRET = 'whsec_test';
+
+function catalogRow(priceId, productId, currency = 'usd') {
+  return { priceId, productId, name: priceId, description: '', currency, unitAmount: 1000, active: true, productActive: true, created: null };
+}
+
+describe('discount codes', { skip: skipWithoutDb }, () => {
+  let stripe;
+  let headers;
+
+  beforeEach(async () => {
+    await resetDb();
+    stripe = createStripeMock();
+    headers = await adminLogin();
+    await db.replaceCatalog([catalogRow('price_a', 'prod_a'), catalogRow('price_b', 'prod_b'), catalogRow('price_eur', 'prod_eur', 'eur')]);
+    await db.upsertInventory('price_a', 5);
+    await db.upsertInventory('price_b', 5);
+    await db.upsertInventory('price_eur', 5);
+    process.env.STRIPE_WEBHOOK_SECRET = SECRET;
+  });
+  afterEach(() => { delete process.env.STRIPE_WEBHOOK_SECRET; });
+  after(() => db.pool.end());
+
+  const create = (body, as = headers) => adminDiscounts(makeRequest({ method: 'POST', headers: as, body }), { stripe });
+  const checkout = (lineItems, code) => createCheckoutSession(
+    makeRequest({ method: 'POST', body: { line_items: lineItems, discount_code: code } }),
+    { stripe }
+  );
+
+  it('creates a code as a Stripe coupon and promotion code', async () => {
+    const expiresAt = Date.now() + 86400000;
+    const res = await create({ code: 'spring10', percentOff: 10, expiresAt, maxRedemptions: 50, productIds: ['prod_a'] });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.code, 'SPRING10');
+    assert.equal(res.body.createdBy, 'inventory-manager');
+    assert.deepEqual(stripe.calls.couponsCreate[0], {
+      name: 'SPRING10',
+      duration: 'once',
+      percent_off: 10,
+      amount_off: undefined,
+      currency: undefined,
+      redeem_by: Math.floor(expiresAt / 1000),
+      max_redemptions: 50,
+      applies_to: { products: ['prod_a'] }
+    });
+    assert.equal(stripe.calls.promotionCodesCreate[0].coupon, 'coupon_1');
+    assert.equal(stripe.calls.promotionCodesCreate[0].code, 'SPRING10');
+
+    const list = await adminDiscounts(makeRequest({ headers }), { stripe });
+    assert.deepEqual(list.body.discounts.map(d => [d.code, d.stripePromotionCodeId]), [['SPRING10', 'promo_1']]);
+  });
+
+  it('validates new codes and refuses duplicates and viewers', async () => {
+    const bad = [
+      { code: 'x', percentOff: 10 },
+      { code: 'BOTH', percentOff: 10, amountOff: 500, currency: 'usd' },
+      { code: 'NONE' },
+      { code: 'BIG', percentOff: 101 },
+      { code: 'NOCUR', amountOff: 500 },
+      { code: 'PAST', percentOff: 10, expiresAt: Date.now() - 1000 },
+      { code: 'USES', percentOff: 10, maxRedemptions: 0 }
+    ];
+    for (const body of bad) assert.equal((await create(body)).status, 400, JSON.stringify(body));
+    assert.equal((await create({ code: 'FIVER', amountOff: 500, currency: 'USD' })).status, 201);
+    assert.equal((await create({ code: 'fiver', percentOff: 5 })).status, 409);
+    assert.equal((await create({ code: 'OTHER', percentOff: 5 }, await adminLogin('viewer', 'vic'))).status, 403);
+  });
+
+  it('applies a valid code to the Stripe session', async () => {
+    await create({ code: 'TENOFF', percentOff: 10 });
+    const res = await checkout([{ price: 'price_a', quantity: 1 }], ' tenoff ');
+    assert.equal(res.status, 200);
+    const params = stripe.calls.sessionsCreate[0];
+    assert.deepEqual(params.discounts, [{ promotion_code: 'promo_1' }]);
+    assert.equal(params.metadata.discount_code, 'TENOFF');
+  });
+
+  it('rejects codes that cannot be used before reserving stock', async () => {
+    await create({ code: 'AONLY', percentOff: 10, productIds: ['prod_a'] });
+    await create({ code: 'ONCE', percentOff: 10, maxRedemptions: 1 });
+    await create({ code: 'USD5', amountOff: 500, currency: 'usd' });
+    await create({ code: 'OFF', percentOff: 10 });
+    await db.pool.query('UPDATE discount_codes SET redemptions = 1 WHERE code = $1', ['ONCE']);
+    const patched = await adminDiscounts(makeRequest({ method: 'PATCH', headers, body: { code: 'off', active: false } }), { stripe });
+    assert.equal(patched.status, 200);
+    assert.deepEqual(stripe.calls.promotionCodesUpdate, [['promo_4', { active: false }]]);
+
+    const cases = [
+      [[{ price: 'price_b', quantity: 1 }], 'NOPE'],
+      [[{ price: 'price_b', quantity: 1 }], 'AONLY'],
+      [[{ price: 'price_a', quantity: 1 }], 'ONCE'],
+      [[{ price: 'price_eur', quantity: 1 }], 'USD5'],
+      [[{ price: 'price_a', quantity: 1 }], 'OFF']
+    ];
+    for (const [items, code] of cases) {
+      const res = await checkout(items, code);
+      assert.equal(res.status, 422, code);
+    }
+    await db.pool.query('UPDATE discount_codes SET expires_at = $1 WHERE code = $2', [Date.now() - 1, 'AONLY']);
+    assert.equal((await checkout([{ price: 'price_a', quantity: 1 }], 'AONLY')).status, 422);
+
+    assert.equal(stripe.calls.sessionsCreate.length, 0);
+    assert.deepEqual(await getReservations(), []);
+    assert.equal(await getStock('price_a'), 5);
+  });
+
+  it('counts a redemption once when the session completes', async () => {
+    await create({ code: 'TENOFF', percentOff: 10 });
+    await checkout([{ price: 'price_a', quantity: 2 }], 'TENOFF');
+    const params = stripe.calls.sessionsCreate[0];
+    const event = {
+      id: 'evt_completed',
+      object: 'event',
+      type: 'checkout.session.completed',
+      data: {
+        object: {
+          object: 'checkout.session',
+          id: 'cs_test_1',
+          metadata: params.metadata,
+          payment_status: 'paid',
+          currency: 'usd',
+          amount_subtotal: 2000,
+          amount_total: 1800,
+          total_details: { amount_discount: 200 }
+        }
+      }
+    };
+    const deliver = (e) => webhook(makeRequest(Object.assign({ method: 'POST' }, signedEvent(stripe, e, SECRET))), { stripe });
+    assert.equal((await deliver(event)).status, 200);
+    await deliver(Object.assign({}, event, { id: 'evt_completed_again' }));
+    const [discount] = (await adminDiscounts(makeRequest({ headers }), { stripe })).body.discounts;
+    assert.equal(discount.redemptions, 1);
+    const { orders } = await db.listOrders();
+    assert.equal(orders[0].discountCode, 'TENOFF');
+    assert.equal(orders[0].amountDiscount, 200);
+  });
+});
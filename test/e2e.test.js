@@ -0,0 +1,267 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, skipWithoutDb, resetDb, adminLogin, getStock, getReservations } = require('./helpers');
+const { startFakeStripe, fakePrice } = require('./fake-stripe');
+
+const WEBHOOK_SECRET = 'whsec_e2e';
+
+// Drives the real Express app against the fake Stripe server over HTTP:
+// /products -> /create-checkout-session -> signed webhook -> inventory and reservations
+describe('checkout end to end', { skip: skipWithoutDb }, () => {
+  let fake;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    fake = await startFakeStripe({
+      prices: [fakePrice('price_shirt', { name: 'Shirt', unitAmount: 2500 }), fakePrice('price_mug', { name: 'Mug', unitAmount: 1200 })],
+      webhookSecret: WEBHOOK_SECRET
+    });
+    process.env.STRIPE_API_BASE = fake.url;
+    process.env.STRIPE_SECRET_KEY = 'sk_test_e2e';
+    process.env.STRIPE_WEBHOOK_SECRET = WEBHOOK_SECRET;
+    const app = require('../server');
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    fake.webhookUrl = `${baseUrl}/webhook`;
+  });
+
+  beforeEach(async () => {
+    await resetDb();
+    await db.upsertInventory('price_shirt', 5);
+    await db.upsertInventory('price_mug', 2);
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await fake.close();
+    await db.pool.end();
+  });
+
+  async function checkout(lineItems, extra = {}) {
+    const res = await fetch(`${baseUrl}/create-checkout-session`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(Object.assign({ line_items: lineItems }, extra))
+    });
+    assert.equal(res.status, 200, await res.clone().text());
+    const { url } = await res.json();
+    const session = fake.lastSession();
+    assert.equal(url, session.url);
+    return session;
+  }
+
+  it('lists the fake catalogue with stock', async () => {
+    const res = await fetch(`${baseUrl}/products`);
+    const { products } = await res.json();
+    assert.deepEqual(products.map(p => [p.variants[0].priceId, p.name, p.variants[0].stock]), [['price_shirt', 'Shirt', 5], ['price_mug', 'Mug', 2]]);
+  });
+
+  it('caches every page of prices and refreshes on price webhooks', async () => {
+    const extra = Array.from({ length: 120 }, (_, i) => fakePrice(`price_extra_${String(i).padStart(3, '0')}`));
+    fake.prices.push(...extra);
+    try {
+      const headers = await adminLogin();
+      const sync = await fetch(`${baseUrl}/admin/catalog/sync`, { method: 'POST', headers });
+      assert.equal(sync.status, 200);
+      assert.equal((await sync.json()).prices, 122);
+      const { products } = await (await fetch(`${baseUrl}/products`)).json();
+      assert.equal(products.length, 122);
+
+      fake.prices[0].unit_amount = 2700;
+      await fake.sendEvent('price.updated', Object.assign({}, fake.prices[0], { product: fake.prices[0].product.id }));
+      const after = await (await fetch(`${baseUrl}/products`)).json();
+      assert.equal(after.products.find(p => p.id === 'prod_price_shirt').variants[0].unitAmount, 2700);
+    } finally {
+      fake.prices.splice(2);
+      fake.prices[0].unit_amount = 2500;
+    }
+  });
+
+  it('reserves on checkout and commits on checkout.session.completed', async () => {
+    const session = await checkout([{ price: 'price_shirt', quantity: 2 }, { price: 'price_mug', quantity: 1 }]);
+    assert.equal(await getStock('price_shirt'), 3);
+    assert.deepEqual((await getReservations()).map(r => [r.price_id, r.status, r.session_id]), [
+      ['price_mug', 'reserved', session.id],
+      ['price_shirt', 'reserved', session.id]
+    ]);
+
+    const delivery = await fake.complete(session.id);
+    assert.equal(delivery.status, 200);
+    assert.deepEqual((await getReservations()).map(r => r.status), ['committed', 'committed']);
+    assert.equal(await getStock('price_shirt'), 3);
+    assert.equal(await getStock('price_mug'), 1);
+    const { orders } = await db.listOrders();
+    assert.equal(orders[0].amountTotal, 2 * 2500 + 1200);
+    assert.equal(orders[0].items.length, 2);
+  });
+
+  it('applies a discount code and counts its use', async () => {
+    const headers = Object.assign({ 'Content-Type': 'application/json' }, await adminLogin());
+    const created = await fetch(`${baseUrl}/admin/discounts`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ code: 'MUGS50', percentOff: 50, productIds: ['prod_price_mug'] })
+    });
+    assert.equal(created.status, 201, await created.clone().text());
+    const res = await fetch(`${baseUrl}/create-checkout-session`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ line_items: [{ price: 'price_shirt', quantity: 1 }, { price: 'price_mug', quantity: 2 }], discount_code: 'mugs50' })
+    });
+    assert.equal(res.status, 200);
+    const session = fake.lastSession();
+    assert.equal(session.amount_total, 2500 + 1200);
+    await fake.complete(session.id);
+    const { orders } = await db.listOrders();
+    assert.equal(orders[0].amountDiscount, 1200);
+    assert.equal((await db.getDiscountCode('MUGS50')).redemptions, 1);
+  });
+
+  it('offers the shipping zone\'s rates and stores the address and rate', async () => {
+    const headers = Object.assign({ 'Content-Type': 'application/json' }, await adminLogin());
+    const zone = await fetch(`${baseUrl}/admin/shipping`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ name: 'Domestic', countries: ['US'], rates: [{ name: 'Ground', type: 'flat', currency: 'usd', amount: 700 }] })
+    });
+    assert.equal(zone.status, 201, await zone.clone().text());
+    const session = await checkout([{ price: 'price_mug', quantity: 1 }], { shipping_country: 'US' });
+    assert.deepEqual(session.shipping_address_collection, { allowed_countries: ['US'] });
+    await fake.complete(session.id);
+    const { orders } = await db.listOrders();
+    assert.equal(orders[0].shippingRateName, 'Ground');
+    assert.equal(orders[0].amountShipping, 700);
+    assert.equal(orders[0].amountTotal, 1200 + 700);
+    assert.equal(orders[0].shippingAddress.country, 'US');
+  });
+
+  it('ignores a replayed completed event', async () => {
+    const session = await checkout([{ price: 'price_shirt', quantity: 1 }]);
+    await fake.complete(session.id);
+    const replay = await fake.replay(fake.events[fake.events.length - 1].id);
+    assert.equal(replay.status, 200);
+    assert.equal(replay.body.duplicate, true);
+    assert.equal(await getStock('price_shirt'), 4);
+  });
+
+  it('releases the stock when the session expires', async () => {
+    const session = await checkout([{ price: 'price_mug', quantity: 2 }]);
+    assert.equal(await getStock('price_mug'), 0);
+    await fake.expire(session.id);
+    assert.deepEqual((await getReservations()).map(r => r.status), ['released']);
+    assert.equal(await getStock('price_mug'), 2);
+  });
+
+  it('holds the stock for a delayed payment and releases it when the payment fails', async () => {
+    const session = await checkout([{ price: 'price_shirt', quantity: 3 }]);
+    await fake.complete(session.id, { paymentStatus: 'unpaid' });
+    assert.deepEqual((await getReservations()).map(r => r.status), ['pending_payment']);
+    assert.equal((await db.listOrders()).orders[0].status, 'pending');
+    assert.equal(await getStock('price_shirt'), 2);
+    await fake.failAsyncPayment(session.id);
+    assert.deepEqual((await getReservations()).map(r => r.status), ['released']);
+    assert.equal(await getStock('price_shirt'), 5);
+    const { orders } = await db.listOrders();
+    assert.equal(orders[0].status, 'payment_failed');
+  });
+
+  it('commits a delayed payment when it succeeds', async () => {
+    const session = await checkout([{ price: 'price_shirt', quantity: 3 }]);
+    await fake.complete(session.id, { paymentStatus: 'unpaid' });
+    const delivery = await fake.succeedAsyncPayment(session.id);
+    assert.equal(delivery.status, 200);
+    assert.deepEqual((await getReservations()).map(r => r.status), ['committed']);
+    assert.equal(await getStock('price_shirt'), 2);
+    const { orders } = await db.listOrders();
+    assert.equal(orders[0].status, 'paid');
+    assert.equal(orders[0].paymentStatus, 'paid');
+  });
+
+  it('records refunds and restocks only what an admin puts back', async () => {
+    const session = await checkout([{ price: 'price_shirt', quantity: 2 }, { price: 'price_mug', quantity: 1 }]);
+    await fake.complete(session.id);
+    const reservations = await db.pool.query('SELECT DISTINCT payment_intent_id FROM reservations');
+    assert.deepEqual(reservations.rows.map(r => r.payment_intent_id), [session.payment_intent]);
+
+    await fake.refund(session.id, { amount: 2500 });
+    assert.deepEqual((await getReservations()).map(r => r.status), ['partially_refunded', 'partially_refunded']);
+    let { orders } = await db.listOrders();
+    assert.equal(orders[0].status, 'partially_refunded');
+    assert.equal(orders[0].amountRefunded, 2500);
+    assert.equal(await getStock('price_shirt'), 3);
+
+    const adminHeaders = await adminLogin('inventory-manager', 'sam');
+    const restock = (items) => fetch(`${baseUrl}/admin/orders/restock`, {
+      method: 'POST',
+      headers: Object.assign({ 'Content-Type': 'application/json' }, adminHeaders),
+      body: JSON.stringify({ orderId: orders[0].id, items })
+    });
+    const res = await restock([{ priceId: 'price_shirt', quantity: 1 }]);
+    assert.equal(res.status, 200);
+    assert.deepEqual((await res.json()).restocked, [{ priceId: 'price_shirt', quantity: 1, stock: 4 }]);
+    assert.equal((await restock([{ priceId: 'price_shirt', quantity: 2 }])).status, 409);
+
+    await fake.refund(session.id);
+    assert.deepEqual((await getReservations()).map(r => r.status), ['refunded', 'refunded']);
+    ({ orders } = await db.listOrders());
+    assert.equal(orders[0].status, 'refunded');
+    assert.equal(orders[0].amountRefunded, 2 * 2500 + 1200);
+    assert.equal((await restock([{ priceId: 'price_shirt', quantity: 1 }, { priceId: 'price_mug', quantity: 1 }])).status, 200);
+    assert.equal(await getStock('price_shirt'), 5);
+    assert.equal(await getStock('price_mug'), 2);
+    const history = await db.listInventoryMovements('price_shirt');
+    assert.deepEqual(history.slice(0, 2).map(m => [m.reason, m.delta, m.actor, m.reference]), [
+      ['refund', 1, 'sam', `order:${orders[0].id}`],
+      ['refund', 1, 'sam', `order:${orders[0].id}`]
+    ]);
+  });
+
+  it('marks disputed payments without touching stock', async () => {
+    const session = await checkout([{ price: 'price_mug', quantity: 1 }]);
+    await fake.complete(session.id);
+    const delivery = await fake.dispute(session.id);
+    assert.equal(delivery.status, 200);
+    assert.deepEqual((await getReservations()).map(r => r.status), ['disputed']);
+    const { orders } = await db.listOrders();
+    assert.equal(orders[0].status, 'disputed');
+    assert.equal(orders[0].disputeStatus, 'needs_response');
+    assert.equal(await getStock('price_mug'), 1);
+  });
+
+  it('keeps a dispute on record when the charge is refunded afterwards', async () => {
+    const session = await checkout([{ price: 'price_mug', quantity: 1 }]);
+    await fake.complete(session.id);
+    await fake.dispute(session.id);
+    assert.equal((await fake.refund(session.id)).status, 200);
+    assert.deepEqual((await getReservations()).map(r => r.status), ['disputed']);
+    const { orders } = await db.listOrders();
+    assert.deepEqual([orders[0].status, orders[0].disputeStatus, orders[0].amountRefunded], ['disputed', 'needs_response', 1200]);
+    const refundEmail = (await db.listEmails()).find(e => e.template === 'order_refunded');
+    assert.equal(refundEmail.data.refunded, true);
+  });
+
+  it('refuses events with a bad signature', async () => {
+    const session = await checkout([{ price: 'price_shirt', quantity: 1 }]);
+    fake.webhookSecret = 'whsec_wrong';
+    try {
+      const delivery = await fake.expire(session.id);
+      assert.equal(delivery.status, 400);
+    } finally {
+      fake.webhookSecret = WEBHOOK_SECRET;
+    }
+    assert.deepEqual((await getReservations()).map(r => r.status), ['reserved']);
+  });
+
+  it('rejects a checkout for a price Stripe does not know and returns the stock', async () => {
+    await db.upsertInventory('price_gone', 1);
+    const res = await fetch(`${baseUrl}/create-checkout-session`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ line_items: [{ price: 'price_gone', quantity: 1 }] })
+    });
+    assert.equal(res.status, 400);
+    assert.equal(await getStock('price_gone'), 1);
+  });
+});
@@ -0,0 +1,487 @@
+// Local stand-in for the Stripe API endpoints this app calls, for tests and offline development.
+//
+// Serves over plain HTTP:
+//   GET  /v1/prices                           active, limit, starting_after, expand[]=data.product
+//   GET  /v1/prices/:id                       expand[]=product
+//   POST /v1/coupons, /v1/promotion_codes, /v1/promotion_codes/:id
+//   POST /v1/checkout/sessions                discounts[0][promotion_code] is applied to the totals;
+//                                             shipping_options[][shipping_rate_data] become shipping rates
+//   GET  /v1/checkout/sessions/:id
+//   POST /v1/checkout/sessions/:id/expire
+//   GET  /v1/checkout/sessions/:id/line_items
+//   GET  /v1/shipping_rates/:id
+//   GET  /pay/:id                             stand-in for the hosted Checkout page
+// and signs checkout.session.* events with the webhook secret and POSTs them to the app's /webhook.
+//
+// In tests: `const fake = await startFakeStripe({ prices, webhookUrl, webhookSecret })`, then run the
+// app with STRIPE_API_BASE=fake.url. From a shell: `npm run fake-stripe`, start the app with
+// STRIPE_API_BASE=http://localhost:12111, and send events with
+// POST /_fake/sessions/:id/complete | expire | async_payment_succeeded | async_payment_failed | refund | dispute, or POST /_fake/events/:id/replay.
+const http = require('http');
+const crypto = require('crypto');
+const Stripe = require('stripe');
+
+const signer = new Stripe('sk_test_fake').webhooks;
+
+function randomId(prefix) {
+  return `${prefix}_test_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+// Prices made earlier count as newer, so a list of fakePrice()s is already in Stripe's newest-first order
+let nextCreated = 2000000000;
+
+// Stripe-shaped price with an embedded product
+function fakePrice(id, { productId = `prod_${id}`, name = `Product ${id}`, description = '', unitAmount = 1000, currency = 'usd', active = true, metadata = {}, nickname = null, productMetadata = {}, images = [] } = {}) {
+  return {
+    id,
+    object: 'price',
+    active,
+    created: nextCreated--,
+    currency,
+    unit_amount: unitAmount,
+    type: 'one_time',
+    recurring: null,
+    nickname,
+    metadata,
+    product: { id: productId, object: 'product', name, description, active: true, images, metadata: productMetadata }
+  };
+}
+
+// Decode Stripe's form encoding (a[b][0][c]=v) into nested objects and arrays
+function parseForm(text) {
+  const out = {};
+  for (const [rawKey, value] of new URLSearchParams(text)) {
+    const path = rawKey.replace(/\]/g, '').split('[');
+    let node = out;
+    path.forEach((key, i) => {
+      const isLast = i === path.length - 1;
+      if (Array.isArray(node) && key === '') key = String(node.length);
+      if (isLast) {
+        node[key] = value;
+        return;
+      }
+      if (node[key] == null) node[key] = /^\d*$/.test(path[i + 1]) ? [] : {};
+      node = node[key];
+    });
+  }
+  return out;
+}
+
+function listOf(values) {
+  return Array.isArray(values) ? values : Object.values(values || {});
+}
+
+function stripeError(res, status, message, param) {
+  sendJson(res, status, { error: { type: 'invalid_request_error', message, param } });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+}
+
+async function startFakeStripe({ prices = [], webhookUrl = null, webhookSecret = '', port = 0 } = {}) {
+  const sessions = new Map();
+  const lineItems = new Map();
+  const coupons = new Map();
+  const promotionCodes = new Map();
+  const shippingRates = new Map();
+  const events = [];
+  const server = http.createServer((req, res) => {
+    route(req, res).catch(err => {
+      console.error(err);
+      sendJson(res, 500, { error: { type: 'api_error', message: err.message } });
+    });
+  });
+
+  const fake = {
+    url: null,
+    webhookUrl,
+    webhookSecret,
+    prices,
+    sessions,
+    events,
+    fakePrice,
+    close: () => new Promise(resolve => server.close(resolve)),
+    // Latest session created by the app
+    lastSession: () => Array.from(sessions.values()).pop() || null,
+    // The shopper picks the first shipping option, if the session offers any
+    complete: (sessionId, { paymentStatus = 'paid', email = 'shopper@example.com', name = 'Test Shopper' } = {}) => {
+      const session = requireSession(sessionId);
+      Object.assign(session, {
+        status: 'complete',
+        payment_status: paymentStatus,
+        customer_details: { email, name },
+        payment_intent: session.payment_intent || randomId('pi')
+      });
+      if (session.shipping_options.length > 0 && !session.shipping_cost) {
+        const rate = shippingRates.get(session.shipping_options[0].shipping_rate);
+        session.shipping_cost = { amount_total: rate.fixed_amount.amount, shipping_rate: rate.id };
+        session.shipping_details = {
+          name,
+          address: { line1: '1 Test Street', line2: null, city: 'Testville', postal_code: '12345', state: null, country: session.shipping_address_collection.allowed_countries[0] }
+        };
+        session.total_details.amount_shipping = rate.fixed_amount.amount;
+        session.amount_total += rate.fixed_amount.amount;
+      }
+      return sendEvent('checkout.session.completed', session);
+    },
+    expire: (sessionId) => {
+      const session = requireSession(sessionId);
+      session.status = 'expired';
+      return sendEvent('checkout.session.expired', session);
+    },
+    failAsyncPayment: (sessionId) => {
+      const session = requireSession(sessionId);
+      session.payment_status = 'unpaid';
+      return sendEvent('checkout.session.async_payment_failed', session);
+    },
+    succeedAsyncPayment: (sessionId) => {
+      const session = requireSession(sessionId);
+      session.payment_status = 'paid';
+      return sendEvent('checkout.session.async_payment_succeeded', session);
+    },
+    // Refund `amount` (default: whatever is left) of the session's charge
+    refund: (sessionId, { amount } = {}) => {
+      const session = requireSession(sessionId);
+      const refunded = Math.min(session.amount_total, (session.amount_refunded || 0) + (amount || session.amount_total));
+      session.amount_refunded = refunded;
+      return sendEvent('charge.refunded', chargeFor(session));
+    },
+    dispute: (sessionId) => {
+      const session = requireSession(sessionId);
+      return sendEvent('charge.dispute.created', {
+        id: randomId('dp'),
+        object: 'dispute',
+        amount: session.amount_total,
+        currency: session.currency,
+        charge: 'ch_' + session.payment_intent,
+        payment_intent: session.payment_intent,
+        reason: 'fraudulent',
+        status: 'needs_response'
+      });
+    },
+    sendEvent: (type, object) => sendEvent(type, object),
+    // Deliver an already-sent event again, unchanged, as Stripe does on retries
+    replay: (eventId) => {
+      const event = events.find(e => e.id === eventId);
+      if (!event) throw new Error(`No such event: ${eventId}`);
+      return deliver(event);
+    }
+  };
+
+  function chargeFor(session) {
+    const refunded = session.amount_refunded || 0;
+    return {
+      id: 'ch_' + session.payment_intent,
+      object: 'charge',
+      amount: session.amount_total,
+      amount_refunded: refunded,
+      currency: session.currency,
+      payment_intent: session.payment_intent,
+      refunded: refunded >= session.amount_total
+    };
+  }
+
+  function requireSession(sessionId) {
+    const session = sessions.get(sessionId);
+    if (!session) throw new Error(`No such checkout session: ${sessionId}`);
+    return session;
+  }
+
+  async function sendEvent(type, object) {
+    const event = {
+      id: randomId('evt'),
+      object: 'event',
+      type,
+      created: Math.floor(Date.now() / 1000),
+      livemode: false,
+      data: { object: JSON.parse(JSON.stringify(object)) }
+    };
+    events.push(event);
+    return deliver(event);
+  }
+
+  // POST the event to the app, signed like Stripe does; resolves to { status, body }
+  async function deliver(event) {
+    if (!fake.webhookUrl) throw new Error('No webhookUrl configured');
+    const payload = JSON.stringify(event);
+    const headers = { 'Content-Type': 'application/json' };
+    if (fake.webhookSecret) {
+      headers['Stripe-Signature'] = signer.generateTestHeaderString({ payload, secret: fake.webhookSecret });
+    }
+    const res = await fetch(fake.webhookUrl, { method: 'POST', headers, body: payload });
+    const text = await res.text();
+    let body = text;
+    try { body = JSON.parse(text); } catch (_) {}
+    return { status: res.status, body };
+  }
+
+  function findPrice(id) {
+    return fake.prices.find(p => p.id === id) || null;
+  }
+
+  function listPrices(query) {
+    const expandProduct = listOf(query.expand).includes('data.product');
+    let data = fake.prices.filter(p => query.active == null || String(p.active) === String(query.active));
+    if (query.starting_after) {
+      const idx = data.findIndex(p => p.id === query.starting_after);
+      data = idx >= 0 ? data.slice(idx + 1) : [];
+    }
+    const limit = Math.min(100, Number(query.limit) || 10);
+    const page = data.slice(0, limit).map(p => (expandProduct ? p : Object.assign({}, p, { product: p.product.id })));
+    return { object: 'list', url: '/v1/prices', has_more: data.length > limit, data: page };
+  }
+
+  // Amount a coupon takes off the line items it applies to
+  function discountFor(coupon, sessionItems) {
+    const products = coupon.applies_to ? listOf(coupon.applies_to.products) : null;
+    const eligible = sessionItems
+      .filter(li => !products || products.includes(li.price.product))
+      .reduce((sum, li) => sum + li.amount_subtotal, 0);
+    if (coupon.percent_off) return Math.round(eligible * Number(coupon.percent_off) / 100);
+    return Math.min(eligible, Number(coupon.amount_off));
+  }
+
+  function createCoupon(res, params) {
+    const coupon = Object.assign({ id: randomId('coupon'), object: 'coupon', valid: true }, params);
+    coupons.set(coupon.id, coupon);
+    return sendJson(res, 200, coupon);
+  }
+
+  function createPromotionCode(res, params) {
+    const coupon = coupons.get(params.coupon);
+    if (!coupon) return stripeError(res, 400, `No such coupon: '${params.coupon}'`, 'coupon');
+    const promo = { id: randomId('promo'), object: 'promotion_code', code: params.code, coupon, active: true };
+    promotionCodes.set(promo.id, promo);
+    return sendJson(res, 200, promo);
+  }
+
+  function createSession(res, params) {
+    const items = listOf(params.line_items);
+    if (items.length === 0) return stripeError(res, 400, 'line_items is required', 'line_items');
+    const sessionItems = [];
+    for (const [i, item] of items.entries()) {
+      const price = findPrice(item.price);
+      if (!price) return stripeError(res, 400, `No such price: '${item.price}'`, `line_items[${i}][price]`);
+      const quantity = Number(item.quantity);
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        return stripeError(res, 400, 'Invalid quantity', `line_items[${i}][quantity]`);
+      }
+      const amount = price.unit_amount * quantity;
+      sessionItems.push({
+        id: randomId('li'),
+        object: 'item',
+        description: price.product.name,
+        price: Object.assign({}, price, { product: price.product.id }),
+        quantity,
+        currency: price.currency,
+        amount_subtotal: amount,
+        amount_total: amount
+      });
+    }
+    const promotionCodeId = listOf(params.discounts).map(d => d.promotion_code).find(Boolean);
+    let amountDiscount = 0;
+    if (promotionCodeId) {
+      const promo = promotionCodes.get(promotionCodeId);
+      if (!promo || !promo.active) return stripeError(res, 400, `No such promotion code: '${promotionCodeId}'`, 'discounts');
+      amountDiscount = discountFor(promo.coupon, sessionItems);
+    }
+    // Inline shipping_rate_data becomes a stored shipping rate, as in Stripe
+    const shippingOptions = listOf(params.shipping_options).map((option) => {
+      const data = option.shipping_rate_data;
+      const rate = {
+        id: randomId('shr'),
+        object: 'shipping_rate',
+        type: data.type,
+        display_name: data.display_name,
+        fixed_amount: { amount: Number(data.fixed_amount.amount), currency: data.fixed_amount.currency },
+        metadata: data.metadata || {}
+      };
+      shippingRates.set(rate.id, rate);
+      return { shipping_amount: rate.fixed_amount.amount, shipping_rate: rate.id };
+    });
+    if (shippingOptions.length > 0 && !params.shipping_address_collection) {
+      return stripeError(res, 400, 'shipping_options requires shipping_address_collection', 'shipping_options');
+    }
+    const id = randomId('cs');
+    const subtotal = sessionItems.reduce((sum, li) => sum + li.amount_total, 0);
+    const total = subtotal - amountDiscount;
+    const session = {
+      id,
+      object: 'checkout.session',
+      url: `${fake.url}/pay/${id}`,
+      mode: params.mode || 'payment',
+      status: 'open',
+      payment_status: 'unpaid',
+      currency: sessionItems[0].currency,
+      amount_subtotal: subtotal,
+      amount_total: total,
+      total_details: { amount_discount: amountDiscount, amount_shipping: 0, amount_tax: 0 },
+      metadata: params.metadata || {},
+      success_url: params.success_url,
+      cancel_url: params.cancel_url,
+      created: Math.floor(Date.now() / 1000),
+      expires_at: params.expires_at ? Number(params.expires_at) : Math.floor(Date.now() / 1000) + 24 * 3600,
+      customer_details: null,
+      customer_email: params.customer_email || null,
+      payment_intent: null,
+      shipping_address_collection: params.shipping_address_collection
+        ? { allowed_countries: listOf(params.shipping_address_collection.allowed_countries) }
+        : null,
+      shipping_options: shippingOptions,
+      shipping_cost: null,
+      shipping_details: null
+    };
+    sessions.set(id, session);
+    lineItems.set(id, sessionItems);
+    return sendJson(res, 200, session);
+  }
+
+  // Hosted Checkout stand-in: pay or cancel, then go back to the app like Stripe would
+  function checkoutPage(res, session) {
+    const rows = lineItems.get(session.id)
+      .map(li => `<li>${li.quantity} x ${escapeHtml(li.description)}</li>`)
+      .join('');
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(`<!doctype html><title>Fake Checkout</title><h1>Fake Checkout</h1><ul>${rows}</ul>
+<form method="post" action="/_fake/sessions/${session.id}/complete?redirect=1"><button>Pay</button></form>
+<form method="post" action="/_fake/sessions/${session.id}/expire?redirect=1"><button>Cancel</button></form>`);
+  }
+
+  async function route(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const query = parseForm(url.search.slice(1));
+    const parts = url.pathname.split('/').filter(Boolean);
+
+    if (parts[0] === 'v1' && !/^Bearer \S+/.test(req.headers.authorization || '')) {
+      return sendJson(res, 401, { error: { type: 'invalid_request_error', message: 'No API key provided' } });
+    }
+    if (req.method === 'GET' && url.pathname === '/v1/prices') {
+      return sendJson(res, 200, listPrices(query));
+    }
+    if (req.method === 'GET' && parts[0] === 'v1' && parts[1] === 'prices' && parts[2] && !parts[3]) {
+      const price = findPrice(parts[2]);
+      if (!price) return stripeError(res, 404, `No such price: '${parts[2]}'`, 'price');
+      const expandProduct = listOf(query.expand).includes('product');
+      return sendJson(res, 200, expandProduct ? price : Object.assign({}, price, { product: price.product.id }));
+    }
+    if (req.method === 'GET' && parts[0] === 'v1' && parts[1] === 'shipping_rates' && parts[2]) {
+      const rate = shippingRates.get(parts[2]);
+      if (!rate) return stripeError(res, 404, `No such shipping rate: '${parts[2]}'`, 'shipping_rate');
+      return sendJson(res, 200, rate);
+    }
+    if (req.method === 'POST' && url.pathname === '/v1/coupons') {
+      return createCoupon(res, parseForm(await readBody(req)));
+    }
+    if (req.method === 'POST' && url.pathname === '/v1/promotion_codes') {
+      return createPromotionCode(res, parseForm(await readBody(req)));
+    }
+    if (req.method === 'POST' && parts[0] === 'v1' && parts[1] === 'promotion_codes' && parts[2]) {
+      const promo = promotionCodes.get(parts[2]);
+      if (!promo) return stripeError(res, 404, `No such promotion code: '${parts[2]}'`, 'promotion_code');
+      const params = parseForm(await readBody(req));
+      if (params.active != null) promo.active = String(params.active) === 'true';
+      return sendJson(res, 200, promo);
+    }
+    if (req.method === 'POST' && url.pathname === '/v1/checkout/sessions') {
+      return createSession(res, parseForm(await readBody(req)));
+    }
+    if (req.method === 'POST' && parts[0] === 'v1' && parts[1] === 'checkout' && parts[2] === 'sessions' && parts[4] === 'expire') {
+      const session = sessions.get(parts[3]);
+      if (!session) return stripeError(res, 404, `No such checkout.session: '${parts[3]}'`, 'session');
+      if (session.status !== 'open') return stripeError(res, 400, 'Only Checkout Sessions with a status of open can be expired.');
+      await fake.expire(session.id);
+      return sendJson(res, 200, session);
+    }
+    if (parts[0] === 'v1' && parts[1] === 'checkout' && parts[2] === 'sessions' && parts[3] && req.method === 'GET') {
+      const session = sessions.get(parts[3]);
+      if (!session) return stripeError(res, 404, `No such checkout.session: '${parts[3]}'`, 'session');
+      if (!parts[4]) return sendJson(res, 200, session);
+      if (parts[4] === 'line_items') {
+        return sendJson(res, 200, { object: 'list', url: url.pathname, has_more: false, data: lineItems.get(session.id) });
+      }
+    }
+    if (req.method === 'GET' && parts[0] === 'pay' && sessions.has(parts[1])) {
+      return checkoutPage(res, sessions.get(parts[1]));
+    }
+    if (req.method === 'GET' && url.pathname === '/_fake/sessions') {
+      return sendJson(res, 200, Array.from(sessions.values()));
+    }
+    if (req.method === 'POST' && parts[0] === '_fake' && parts[1] === 'sessions' && sessions.has(parts[2])) {
+      const actions = {
+        complete: fake.complete,
+        expire: fake.expire,
+        async_payment_succeeded: fake.succeedAsyncPayment,
+        async_payment_failed: fake.failAsyncPayment,
+        refund: fake.refund,
+        dispute: fake.dispute
+      };
+      const action = actions[parts[3]];
+      if (!action) return sendJson(res, 404, { error: { message: 'Unknown action' } });
+      const result = await action(parts[2]);
+      if (query.redirect) {
+        const session = sessions.get(parts[2]);
+        const target = parts[3] === 'complete' ? session.success_url : session.cancel_url;
+        res.writeHead(303, { Location: String(target || '/').replace('{CHECKOUT_SESSION_ID}', session.id) });
+        return res.end();
+      }
+      return sendJson(res, 200, result);
+    }
+    if (req.method === 'POST' && parts[0] === '_fake' && parts[1] === 'events' && parts[3] === 'replay') {
+      return sendJson(res, 200, await fake.replay(parts[2]));
+    }
+    return sendJson(res, 404, { error: { type: 'invalid_request_error', message: `Unrecognized request URL (${req.method}: ${url.pathname})` } });
+  }
+
+  await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+  fake.url = `http://127.0.0.1:${server.address().port}`;
+  return fake;
+}
+
+module.exports = {
+  startFakeStripe,
+  fakePrice,
+  parseForm
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  const port = Number(process.env.FAKE_STRIPE_PORT) || 12111;
+  const webhookUrl = process.env.FAKE_STRIPE_WEBHOOK_URL || 'http://localhost:4242/webhook';
+  const prices = [
+    // Newest first, so the sizes come out S, M, L
+    ...['L', 'M', 'S'].map(size => fakePrice(`price_fake_tshirt_${size.toLowerCase()}`, {
+      productId: 'prod_fake_tshirt',
+      name: 'T-Shirt',
+      description: 'Soft cotton tee',
+      unitAmount: 2000,
+      metadata: { size },
+      productMetadata: { variant_attributes: 'size' }
+    })),
+    fakePrice('price_fake_mug', { name: 'Mug', description: 'Holds coffee', unitAmount: 1200 }),
+    fakePrice('price_fake_sticker', { name: 'Sticker', unitAmount: 300 })
+  ];
+  startFakeStripe({ port, prices, webhookUrl, webhookSecret: process.env.STRIPE_WEBHOOK_SECRET || '' })
+    .then(fake => {
+      console.log(`Fake Stripe listening at ${fake.url}, sending webhooks to ${webhookUrl}`);
+      console.log(`Start the app with STRIPE_API_BASE=${fake.url}`);
+    })
+    .catch(err => {
+      console.error(err);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,94 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, skipWithoutDb, resetDb, makeRequest, adminLogin } = require('./helpers');
+const adminFulfillment = require('../lib/handlers/admin-fulfillment');
+const { parseFulfillmentInput } = require('../lib/fulfillment');
+
+async function saveOrder(sessionId, status = 'paid') {
+  return db.saveOrder(
+    { sessionId, currency: 'usd', amountSubtotal: 1000, amountTotal: 1000, paymentStatus: status === 'pending' ? 'unpaid' : 'paid', status },
+    [{ lineItemId: `li_${sessionId}`, priceId: 'price_mug', description: 'Mug', quantity: 1, currency: 'usd', amountSubtotal: 1000, amountTotal: 1000 }]
+  );
+}
+
+describe('parseFulfillmentInput', () => {
+  it('checks the order, states and tracking fields', () => {
+    assert.deepEqual(parseFulfillmentInput({ orderId: 3, status: 'shipped', carrier: ' DHL ', trackingNumber: '' }).change, {
+      orderId: 3, status: 'shipped', carrier: 'DHL', trackingNumber: null, expectedStatus: null
+    });
+    assert.equal(parseFulfillmentInput({ orderId: 3, trackingNumber: 'JD0001' }).change.status, undefined);
+    assert.equal(parseFulfillmentInput({ orderId: '3', status: 'packed' }).error, 'orderId must be a positive integer');
+    assert.equal(parseFulfillmentInput({ orderId: 3, status: 'lost' }).error, 'status must be one of: unfulfilled, packed, shipped, delivered, cancelled');
+    assert.equal(parseFulfillmentInput({ orderId: 3 }).error, 'Provide a status, carrier or trackingNumber');
+    assert.equal(parseFulfillmentInput({ orderId: 3, carrier: 'x'.repeat(101) }).error, 'carrier can be at most 100 characters');
+  });
+});
+
+describe('admin fulfillment', { skip: skipWithoutDb }, () => {
+  let headers;
+
+  beforeEach(async () => {
+    await resetDb();
+    headers = await adminLogin('inventory-manager', 'ian');
+  });
+  after(() => db.pool.end());
+
+  const move = body => adminFulfillment(makeRequest({ method: 'POST', headers, body }));
+  const queue = query => adminFulfillment(makeRequest({ headers, query }));
+
+  it('takes a paid order from the queue through packing and shipping, logging each change', async () => {
+    const first = await saveOrder('cs_1');
+    const second = await saveOrder('cs_2');
+    await saveOrder('cs_pending', 'pending');
+    assert.deepEqual((await queue({})).body.orders.map(o => o.id), [first, second]);
+
+    assert.equal((await move({ orderId: first, status: 'packed', expectedStatus: 'unfulfilled' })).status, 200);
+    const shipped = await move({ orderId: first, status: 'shipped', carrier: 'DHL', trackingNumber: 'JD0001' });
+    assert.equal(shipped.status, 200);
+    assert.deepEqual([shipped.body.order.fulfillmentStatus, shipped.body.order.carrier, shipped.body.order.trackingNumber], ['shipped', 'DHL', 'JD0001']);
+    // A corrected tracking number is a change of its own; sending the same one again is not
+    assert.equal((await move({ orderId: first, trackingNumber: 'JD0002' })).body.changed, true);
+    assert.equal((await move({ orderId: first, trackingNumber: 'JD0002' })).body.changed, false);
+
+    assert.deepEqual((await queue({})).body.orders.map(o => o.id), [second]);
+    assert.equal((await queue({ status: 'packed' })).body.total, 0);
+
+    const history = await adminFulfillment(makeRequest({ headers, query: { orderId: String(first) } }));
+    assert.equal(history.status, 200);
+    assert.deepEqual(history.body.events.map(e => [e.fromStatus, e.toStatus, e.carrier, e.trackingNumber, e.actor]), [
+      ['unfulfilled', 'packed', null, null, 'ian'],
+      ['packed', 'shipped', 'DHL', 'JD0001', 'ian'],
+      ['shipped', 'shipped', 'DHL', 'JD0002', 'ian']
+    ]);
+    assert.ok(history.body.events.every(e => e.createdAt > 0));
+  });
+
+  it('refuses moves the state machine does not allow', async () => {
+    const orderId = await saveOrder('cs_1');
+    const skipped = await move({ orderId, status: 'shipped' });
+    assert.equal(skipped.status, 409);
+    assert.deepEqual(skipped.body, { error: `Order ${orderId} cannot go from unfulfilled to shipped`, currentStatus: 'unfulfilled' });
+    assert.equal((await move({ orderId, status: 'packed', expectedStatus: 'shipped' })).status, 409);
+
+    assert.equal((await move({ orderId, status: 'cancelled' })).status, 200);
+    assert.equal((await move({ orderId, status: 'packed' })).status, 409);
+
+    // Unpaid orders cannot be packed, but can be cancelled
+    const pending = await saveOrder('cs_pending', 'pending');
+    const unpaid = await move({ orderId: pending, status: 'packed' });
+    assert.equal(unpaid.status, 409);
+    assert.equal(unpaid.body.error, `Order ${pending} is pending and cannot be fulfilled`);
+    assert.equal((await move({ orderId: pending, status: 'cancelled' })).status, 200);
+
+    assert.equal((await move({ orderId: 999, status: 'packed' })).status, 404);
+  });
+
+  it('lets viewers look but not change anything', async () => {
+    const orderId = await saveOrder('cs_1');
+    const viewer = await adminLogin('viewer', 'vic');
+    assert.equal((await adminFulfillment(makeRequest({ headers: viewer }))).status, 200);
+    assert.equal((await adminFulfillment(makeRequest({ method: 'POST', headers: viewer, body: { orderId, status: 'packed' } }))).status, 403);
+    assert.equal((await adminFulfillment(makeRequest())).status, 401);
+    assert.equal((await queue({ status: 'delivered' })).status, 400);
+  });
+});
@@ -0,0 +1,165 @@
+// Shared setup for the handler tests. They run against the Postgres database in TEST_DATABASE_URL,
+// whose tables are emptied before every test, and a mocked Stripe client. Require this file before
+// anything from lib/ so the pool connects to the test database.
+const Stripe = require('stripe');
+
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+if (TEST_DATABASE_URL) process.env.DATABASE_URL = TEST_DATABASE_URL;
+// Lets the cron handlers run without CRON_SECRET
+if (!process.env.NODE_ENV) process.env.NODE_ENV = 'test';
+
+const db = require('../lib/db');
+
+// Pass as the `skip` option of describe() so suites are skipped, not failed, without a database
+const skipWithoutDb = TEST_DATABASE_URL ? false : 'TEST_DATABASE_URL is not set';
+
+const TABLES = ['inventory', 'inventory_movements', 'reservations', 'orders', 'order_items', 'fulfillment_events', 'webhook_events', 'rate_limits', 'admin_users', 'admin_sessions', 'catalog_prices', 'catalog_state', 'discount_codes', 'discount_redemptions', 'shipping_zones', 'shipping_rates', 'tax_rates', 'subscriptions', 'email_templates', 'email_outbox', 'carts', 'cart_items', 'waitlist'];
+
+async function resetDb() {
+  await db.ensureInit();
+  await db.pool.query(`TRUNCATE ${TABLES.join(', ')} RESTART IDENTITY CASCADE`);
+}
+
+// Request in the shape lib/http.js hands to handlers
+function makeRequest({ method = 'GET', headers = {}, query = {}, body, rawBody, ip = '127.0.0.1' } = {}) {
+  return { method, headers: Object.assign({ host: 'shop.test' }, headers), query, body, rawBody, ip, protocol: 'http' };
+}
+
+// Stand-in for the parts of the Stripe client the app calls. Webhook signing is the real
+// implementation, which needs no network access.
+function createStripeMock({ prices = [], lineItems = {}, shippingRates = {} } = {}) {
+  let sessionCount = 0;
+  const mock = {
+    calls: { sessionsCreate: [], couponsCreate: [], promotionCodesCreate: [], promotionCodesUpdate: [], taxRatesCreate: [], taxRatesUpdate: [] },
+    failSessionCreate: null,
+    sessions: {},
+    webhooks: new Stripe('sk_test_mock').webhooks,
+    prices: {
+      // Like the real client, list() can be awaited for one page or paged with autoPagingToArray()
+      list: () => Object.assign(Promise.resolve({ object: 'list', data: prices, has_more: false }), {
+        autoPagingToArray: async () => prices
+      }),
+      retrieve: async (id) => {
+        const found = prices.find(p => p.id === id);
+        if (!found) throw new Error(`No such price: '${id}'`);
+        return found;
+      }
+    },
+    coupons: {
+      create: async (params) => {
+        mock.calls.couponsCreate.push(params);
+        return Object.assign({ id: `coupon_${mock.calls.couponsCreate.length}`, object: 'coupon' }, params);
+      }
+    },
+    promotionCodes: {
+      create: async (params) => {
+        mock.calls.promotionCodesCreate.push(params);
+        return Object.assign({ id: `promo_${mock.calls.promotionCodesCreate.length}`, object: 'promotion_code', active: true }, params);
+      },
+      update: async (id, params) => {
+        mock.calls.promotionCodesUpdate.push([id, params]);
+        return Object.assign({ id, object: 'promotion_code' }, params);
+      }
+    },
+    taxRates: {
+      create: async (params) => {
+        mock.calls.taxRatesCreate.push(params);
+        return Object.assign({ id: `txr_${mock.calls.taxRatesCreate.length}`, object: 'tax_rate', active: true }, params);
+      },
+      update: async (id, params) => {
+        mock.calls.taxRatesUpdate.push([id, params]);
+        return Object.assign({ id, object: 'tax_rate' }, params);
+      }
+    },
+    shippingRates: {
+      retrieve: async (id) => {
+        if (!shippingRates[id]) throw new Error(`No such shipping rate: ${id}`);
+        return Object.assign({ id, object: 'shipping_rate' }, shippingRates[id]);
+      }
+    },
+    checkout: {
+      sessions: {
+        create: async (params) => {
+          mock.calls.sessionsCreate.push(params);
+          if (mock.failSessionCreate) throw mock.failSessionCreate;
+          sessionCount += 1;
+          const id = `cs_test_${sessionCount}`;
+          const session = { id, object: 'checkout.session', mode: params.mode, status: 'open', url: `https://checkout.stripe.test/${id}`, metadata: params.metadata };
+          mock.sessions[id] = session;
+          return session;
+        },
+        // Tests change mock.sessions[id].status to act out payment or expiry
+        retrieve: async (id) => {
+          if (mock.sessions[id]) return mock.sessions[id];
+          throw Object.assign(new Error(`No such checkout.session: '${id}'`), { statusCode: 404, code: 'resource_missing' });
+        },
+        expire: async (id) => {
+          const session = mock.sessions[id];
+          if (!session) throw Object.assign(new Error(`No such checkout.session: '${id}'`), { statusCode: 404, code: 'resource_missing' });
+          if (session.status !== 'open') throw Object.assign(new Error(`Only open sessions can be expired`), { statusCode: 400 });
+          session.status = 'expired';
+          return session;
+        },
+        listLineItems: (sessionId) => ({
+          autoPagingToArray: async () => lineItems[sessionId] || []
+        })
+      }
+    }
+  };
+  return mock;
+}
+
+// currencyOptions ({ eur: 900 }) are the other currencies it is sold in
+// recurring ({ interval: 'month', interval_count: 1 }) makes it a subscription price
+function price(id, { productId = `prod_${id}`, name = `Product ${id}`, unitAmount = 1000, currency = 'usd', currencyOptions = {}, nickname = null, metadata = {}, productMetadata = {}, images = [], recurring = null } = {}) {
+  const options = Object.assign({ [currency]: unitAmount }, currencyOptions);
+  return {
+    id,
+    active: true,
+    currency,
+    unit_amount: unitAmount,
+    currency_options: Object.fromEntries(Object.entries(options).map(([c, amount]) => [c, { unit_amount: amount }])),
+    nickname,
+    metadata,
+    recurring,
+    product: { id: productId, name, description: '', metadata: productMetadata, images }
+  };
+}
+
+// Signed raw body and headers for a webhook request
+function signedEvent(stripe, event, secret) {
+  const payload = JSON.stringify(event);
+  const signature = stripe.webhooks.generateTestHeaderString({ payload, secret });
+  return { rawBody: Buffer.from(payload), headers: { 'stripe-signature': signature } };
+}
+
+// Create an admin user with `role`, log them in, and return the headers an admin request needs
+async function adminLogin(role = 'inventory-manager', username = role) {
+  const auth = require('../lib/auth');
+  await db.saveAdminUser(username, await auth.hashPassword('correct horse battery'), role);
+  const { session, cookie } = await auth.startSession(makeRequest(), { username, role });
+  return { cookie: cookie.split(';')[0], 'x-csrf-token': session.csrfToken };
+}
+
+async function getStock(priceId) {
+  const stocks = await db.getStocksMap([priceId]);
+  return stocks[priceId];
+}
+
+async function getReservations() {
+  const res = await db.pool.query('SELECT reservation_id, session_id, price_id, quantity, status FROM reservations ORDER BY price_id');
+  return res.rows;
+}
+
+module.exports = {
+  db,
+  skipWithoutDb,
+  resetDb,
+  makeRequest,
+  createStripeMock,
+  price,
+  signedEvent,
+  adminLogin,
+  getStock,
+  getReservations
+};
@@ -0,0 +1,73 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, skipWithoutDb, resetDb, adminLogin, getStock } = require('./helpers');
+const app = require('../server');
+
+// Runs requests through the Express adapter to check routing and body handling end to end
+describe('server.js routes', { skip: skipWithoutDb }, () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    await resetDb();
+    delete process.env.STRIPE_WEBHOOK_SECRET;
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await db.pool.end();
+  });
+
+  it('passes the raw body through to the webhook handler', async () => {
+    const res = await fetch(`${baseUrl}/webhook`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ id: 'evt_http', type: 'customer.created', data: { object: {} } })
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { received: true, duplicate: false });
+  });
+
+  it('passes CSV through to the inventory import', async () => {
+    await db.replaceCatalog([{ priceId: 'price_http', productId: 'prod_http', name: 'Mug', description: '', currency: 'usd', unitAmount: 500, active: true, productActive: true, created: null }]);
+    const headers = await adminLogin();
+    const res = await fetch(`${baseUrl}/admin/inventory/import`, {
+      method: 'POST',
+      headers: Object.assign({ 'Content-Type': 'text/csv' }, headers),
+      body: 'price_id,stock\nprice_http,6\n'
+    });
+    assert.equal(res.status, 200);
+    assert.equal(await getStock('price_http'), 6);
+  });
+
+  it('streams stock events and lets the client hang up', async () => {
+    await db.upsertInventory('price_http', 2);
+    const aborter = new AbortController();
+    const res = await fetch(`${baseUrl}/stream/inventory`, { signal: aborter.signal });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'text/event-stream; charset=utf-8');
+    const reader = res.body.getReader();
+    let text = '';
+    while (!text.includes('event: snapshot')) text += Buffer.from((await reader.read()).value).toString();
+    assert.match(text, /^retry: 2000\n\n/);
+    aborter.abort();
+    await reader.read().catch(() => {});
+  });
+
+  it('answers 405 for the wrong method like the Vercel functions do', async () => {
+    const res = await fetch(`${baseUrl}/create-checkout-session`);
+    assert.equal(res.status, 405);
+  });
+
+  it('parses JSON bodies for the other routes', async () => {
+    const res = await fetch(`${baseUrl}/create-checkout-session`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ line_items: [] })
+    });
+    assert.equal(res.status, 400);
+    assert.equal(await res.text(), 'No line items provided');
+  });
+});
@@ -0,0 +1,131 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, skipWithoutDb, resetDb, makeRequest, createStripeMock, adminLogin, getStock } = require('./helpers');
+const adminInventoryExport = require('../lib/handlers/admin-inventory-export');
+const adminInventoryImport = require('../lib/handlers/admin-inventory-import');
+const adminInventoryHistory = require('../lib/handlers/admin-inventory-history');
+const { parseCsv } = require('../lib/inventory-csv');
+
+function catalogRow(priceId, name, { productId = `prod_${priceId}`, nickname = null } = {}) {
+  return {
+    priceId,
+    productId,
+    name,
+    description: '',
+    currency: 'usd',
+    unitAmount: 1000,
+    nickname,
+    active: true,
+    productActive: true,
+    created: null
+  };
+}
+
+describe('parseCsv', () => {
+  it('handles quotes, escaped quotes, CRLF and blank lines', () => {
+    const records = parseCsv('﻿price_id,product_name,stock\r\nprice_a,"Mug, ""large""",3\r\n\r\nprice_b,"Two\nlines",4');
+    assert.deepEqual(records, [
+      { line: 1, fields: ['price_id', 'product_name', 'stock'] },
+      { line: 2, fields: ['price_a', 'Mug, "large"', '3'] },
+      { line: 4, fields: ['price_b', 'Two\nlines', '4'] }
+    ]);
+    assert.throws(() => parseCsv('a,"b\n'), /Unterminated quoted field starting on line 1/);
+  });
+});
+
+describe('inventory import and export', { skip: skipWithoutDb }, () => {
+  let stripe;
+  let headers;
+
+  beforeEach(async () => {
+    await resetDb();
+    stripe = createStripeMock();
+    headers = await adminLogin();
+    await db.replaceCatalog([
+      catalogRow('price_mug', 'Mug, large'),
+      catalogRow('price_tee_s', 'T-shirt', { productId: 'prod_tee', nickname: 'S' }),
+      catalogRow('price_tee_m', 'T-shirt', { productId: 'prod_tee', nickname: 'M' })
+    ]);
+    await db.upsertInventory('price_mug', 4);
+    await db.upsertInventory('price_tee_s', 2);
+  });
+  after(() => db.pool.end());
+
+  const exportCsv = (as = headers) => adminInventoryExport(makeRequest({ headers: as }), { stripe });
+  const importCsv = (csv, { dryRun = false, as = headers } = {}) => adminInventoryImport(makeRequest({
+    method: 'POST',
+    headers: Object.assign({ 'content-type': 'text/csv' }, as),
+    query: dryRun ? { dryRun: 'true' } : {},
+    rawBody: Buffer.from(csv)
+  }), { stripe });
+
+  it('exports every sellable price with its stock', async () => {
+    const res = await exportCsv(await adminLogin('viewer', 'vic'));
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['Content-Type'], 'text/csv; charset=utf-8');
+    assert.match(res.headers['Content-Disposition'], /^attachment; filename="inventory-\d{4}-\d{2}-\d{2}\.csv"$/);
+    assert.equal(res.body, 'price_id,product_name,stock\r\nprice_mug,"Mug, large",4\r\nprice_tee_m,T-shirt (M),0\r\nprice_tee_s,T-shirt (S),2\r\n');
+    assert.equal((await exportCsv({})).status, 401);
+  });
+
+  it('previews an edited export without writing, then applies it in one go', async () => {
+    const csv = (await exportCsv()).body.replace('price_tee_m,T-shirt (M),0', 'price_tee_m,T-shirt (M),10').replace(',4\r\n', ',1\r\n');
+    const preview = await importCsv(csv, { dryRun: true });
+    assert.equal(preview.status, 200);
+    assert.deepEqual(preview.body, {
+      dryRun: true,
+      changes: [
+        { priceId: 'price_mug', name: 'Mug, large', from: 4, to: 1 },
+        { priceId: 'price_tee_m', name: 'T-shirt (M)', from: 0, to: 10 }
+      ],
+      unchanged: 1
+    });
+    assert.equal(await getStock('price_mug'), 4);
+
+    const applied = await importCsv(csv);
+    assert.equal(applied.status, 200);
+    assert.equal(applied.body.dryRun, false);
+    assert.deepEqual(applied.body.changes, preview.body.changes);
+    assert.equal(await getStock('price_mug'), 1);
+    assert.equal(await getStock('price_tee_m'), 10);
+
+    const history = await adminInventoryHistory(makeRequest({ headers, query: { priceId: 'price_mug' } }));
+    assert.deepEqual(
+      [history.body.movements[0].delta, history.body.movements[0].reason, history.body.movements[0].actor, history.body.movements[0].reference],
+      [-3, 'admin_set', 'inventory-manager', 'import']
+    );
+  });
+
+  it('accepts JSON rows', async () => {
+    const res = await adminInventoryImport(makeRequest({
+      method: 'POST',
+      headers: Object.assign({ 'content-type': 'application/json' }, headers),
+      rawBody: Buffer.from(JSON.stringify({ rows: [{ priceId: 'price_tee_s', stock: 7 }] }))
+    }), { stripe });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.changes, [{ priceId: 'price_tee_s', name: 'T-shirt (S)', from: 2, to: 7 }]);
+    assert.equal(await getStock('price_tee_s'), 7);
+  });
+
+  it('reports every bad row and changes nothing', async () => {
+    const res = await importCsv('price_id,stock\nprice_mug,9\nprice_gone,1\nprice_tee_s,-1\nprice_mug,3\n,2\nprice_tee_m,lots\n');
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.errors, [
+      { line: 3, priceId: 'price_gone', error: 'Unknown price price_gone' },
+      { line: 4, priceId: 'price_tee_s', error: 'stock must be a non-negative whole number' },
+      { line: 5, priceId: 'price_mug', error: 'price_mug is listed more than once' },
+      { line: 6, priceId: null, error: 'Missing price_id' },
+      { line: 7, priceId: 'price_tee_m', error: 'stock must be a non-negative whole number' }
+    ]);
+    assert.equal(await getStock('price_mug'), 4);
+
+    assert.deepEqual((await importCsv('sku,qty\nprice_mug,1\n')).body.errors, [{ line: null, priceId: null, error: 'The header row needs price_id and stock columns' }]);
+    assert.equal((await importCsv('price_id,stock\n')).status, 400);
+  });
+
+  it('refuses imports from viewers', async () => {
+    const res = await importCsv('price_id,stock\nprice_mug,9\n', { as: await adminLogin('viewer', 'vic') });
+    assert.equal(res.status, 403);
+    assert.equal(await getStock('price_mug'), 4);
+  });
+});
@@ -0,0 +1,197 @@
+// Read by lib/config.js on load
+process.env.ADMIN_EMAILS = 'ops@shop.test';
+
+const { describe, it, beforeEach, afterEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, skipWithoutDb, resetDb, makeRequest, createStripeMock, signedEvent, adminLogin } = require('./helpers');
+const webhook = require('../lib/handlers/webhook');
+const adminInventory = require('../lib/handlers/admin-inventory');
+const adminEmailTemplates = require('../lib/handlers/admin-email-templates');
+const sendEmails = require('../lib/handlers/send-emails');
+const sweepReservations = require('../lib/handlers/sweep-reservations');
+const pruneRateLimits = require('../lib/handlers/prune-rate-limits');
+const config = require('../lib/config');
+const { setTransport } = require('../lib/mail');
+const { sendQueuedEmails } = require('../lib/notifications');
+
+const SECRET = 'whsec_test';
+
+function completedEvent(id, paymentStatus) {
+  return {
+    id,
+    object: 'event',
+    type: 'checkout.session.completed',
+    data: {
+      object: {
+        object: 'checkout.session',
+        id: 'cs_mail',
+        metadata: {},
+        payment_intent: 'pi_mail',
+        payment_status: paymentStatus,
+        currency: 'usd',
+        amount_subtotal: 2000,
+        amount_total: 2000,
+        customer_details: { email: 'sam@example.com', name: 'Sam' }
+      }
+    }
+  };
+}
+
+describe('email notifications', { skip: skipWithoutDb }, () => {
+  let stripe;
+  let sent;
+  let headers;
+
+  beforeEach(async () => {
+    await resetDb();
+    process.env.STRIPE_WEBHOOK_SECRET = SECRET;
+    sent = [];
+    setTransport({ async send(message) { sent.push(message); } });
+    stripe = createStripeMock({
+      lineItems: {
+        cs_mail: [{ id: 'li_1', price: { id: 'price_a', product: 'prod_a' }, description: 'Shirt', quantity: 2, currency: 'usd', amount_subtotal: 2000, amount_total: 2000 }]
+      }
+    });
+    headers = await adminLogin();
+  });
+  afterEach(() => { delete process.env.STRIPE_WEBHOOK_SECRET; });
+  after(() => db.pool.end());
+
+  const deliver = (event) => webhook(makeRequest(Object.assign({ method: 'POST' }, signedEvent(stripe, event, SECRET))), { stripe });
+  const templates = (method, { body, query, as = headers } = {}) => adminEmailTemplates(makeRequest({ method, headers: as, body, query }));
+  const outbox = async () => (await db.listEmails()).reverse();
+
+  it('sends the confirmation and admin alert once per paid order', async () => {
+    await deliver(completedEvent('evt_1', 'paid'));
+    await deliver(completedEvent('evt_1_again', 'paid'));
+    assert.deepEqual((await outbox()).map(e => [e.template, e.recipient, e.status]), [
+      ['order_confirmation', 'sam@example.com', 'pending'],
+      ['admin_order_received', 'ops@shop.test', 'pending']
+    ]);
+
+    assert.deepEqual(await sendQueuedEmails(), { sent: 2, failed: 0 });
+    assert.deepEqual(sent.map(m => [m.to, m.subject]), [
+      ['sam@example.com', 'Your order #1'],
+      ['ops@shop.test', 'New order #1: 20.00 USD']
+    ]);
+    assert.match(sent[0].text, /^Hi Sam,/);
+    assert.match(sent[0].text, /2 x Shirt {2}20\.00 USD/);
+    assert.deepEqual((await outbox()).map(e => e.status), ['sent', 'sent']);
+    assert.deepEqual(await sendQueuedEmails(), { sent: 0, failed: 0 });
+  });
+
+  it('waits for delayed payments to succeed before confirming', async () => {
+    await deliver(completedEvent('evt_unpaid', 'unpaid'));
+    assert.deepEqual(await outbox(), []);
+    const succeeded = completedEvent('evt_succeeded', 'paid');
+    succeeded.type = 'checkout.session.async_payment_succeeded';
+    await deliver(succeeded);
+    assert.deepEqual((await outbox()).map(e => e.template), ['order_confirmation', 'admin_order_received']);
+  });
+
+  it('tells the customer about each refund', async () => {
+    await deliver(completedEvent('evt_paid', 'paid'));
+    const refund = (id, amountRefunded, refunded) => deliver({
+      id,
+      object: 'event',
+      type: 'charge.refunded',
+      data: { object: { object: 'charge', id: 'ch_1', payment_intent: 'pi_mail', amount_refunded: amountRefunded, refunded } }
+    });
+    await refund('evt_partial', 500, false);
+    await refund('evt_full', 2000, true);
+    await sendQueuedEmails();
+    const refunds = sent.filter(m => m.subject === 'Refund for order #1');
+    assert.equal(refunds.length, 2);
+    assert.match(refunds[0].text, /refunded 5\.00 USD .*\(partial refund\)/);
+    assert.match(refunds[1].text, /refunded 20\.00 USD .*\(full refund\)/);
+  });
+
+  it('alerts admins when stock drops below the threshold, once until it recovers', async () => {
+    const post = (body) => adminInventory(makeRequest({ method: 'POST', headers, body: Object.assign({ priceId: 'price_a' }, body) }));
+    assert.equal((await post({ stock: 5, lowStockThreshold: 3 })).status, 200);
+    assert.equal((await post({ stock: 5, lowStockThreshold: 0 })).status, 400);
+    await post({ adjust: -2 });
+    assert.deepEqual(await outbox(), []);
+    await post({ adjust: -1 });
+    await post({ adjust: -1 });
+    const alerts = await outbox();
+    assert.deepEqual(alerts.map(e => [e.template, e.recipient, e.data.stock, e.data.threshold]), [['admin_low_stock', 'ops@shop.test', 2, 3]]);
+
+    await post({ stock: 10 });
+    await post({ stock: 1 });
+    assert.equal((await outbox()).length, 2);
+
+    const list = await adminInventory(makeRequest({ headers: await adminLogin('viewer', 'vic') }));
+    assert.deepEqual(list.body.inventory, [{
+      priceId: 'price_a', stock: 1, maxPerOrder: null, lowStockThreshold: 3, stockPolicy: 'deny', backorderLimit: null, expectedShipDate: null, waitlist: 0
+    }]);
+  });
+
+  it('retries failed sends with backoff and gives up after the last attempt', async () => {
+    await deliver(completedEvent('evt_paid', 'paid'));
+    setTransport({ async send() { throw new Error('SMTP down'); } });
+    assert.deepEqual(await sendQueuedEmails(), { sent: 0, failed: 2 });
+    let [email] = await outbox();
+    assert.equal(email.status, 'pending');
+    assert.equal(email.attempts, 1);
+    assert.equal(email.lastError, 'SMTP down');
+    assert.ok(email.nextAttemptAt > Date.now() + 50_000);
+    // Not due yet
+    assert.deepEqual(await sendQueuedEmails(), { sent: 0, failed: 0 });
+
+    for (let i = 0; i < 5; i++) {
+      await db.pool.query('UPDATE email_outbox SET next_attempt_at = 0');
+      await sendQueuedEmails();
+    }
+    [email] = await outbox();
+    assert.equal(email.status, 'failed');
+    assert.equal(email.attempts, 6);
+  });
+
+  it('renders edited templates when sending and resets them to the default', async () => {
+    const saved = await templates('PUT', { body: { name: 'order_confirmation', subject: 'Order {{orderId}} for {{customerName}}', body: 'Total {{total}}{{nope}}' } });
+    assert.equal(saved.status, 200);
+    const list = (await templates('GET')).body.templates;
+    assert.deepEqual(list.map(t => [t.name, t.customized]), [
+      ['order_confirmation', true],
+      ['order_refunded', false],
+      ['admin_order_received', false],
+      ['admin_low_stock', false],
+      ['back_in_stock', false]
+    ]);
+    assert.equal(list[0].updatedBy, 'inventory-manager');
+
+    await deliver(completedEvent('evt_paid', 'paid'));
+    await sendEmails(makeRequest());
+    assert.deepEqual([sent[0].subject, sent[0].text], ['Order 1 for Sam', 'Total 20.00 USD']);
+
+    assert.equal((await templates('DELETE', { query: { name: 'order_confirmation' } })).status, 200);
+    assert.equal((await templates('GET')).body.templates[0].subject, 'Your order #{{orderId}}');
+  });
+
+  it('refuses cron calls without CRON_SECRET outside test and development, and calls without the secret', async () => {
+    const saved = { cronSecret: config.cronSecret, cronSecretOptional: config.cronSecretOptional };
+    try {
+      config.cronSecretOptional = false;
+      for (const handler of [sendEmails, sweepReservations, pruneRateLimits]) {
+        assert.equal((await handler(makeRequest())).status, 503);
+      }
+      config.cronSecret = 'cron_test';
+      for (const handler of [sendEmails, sweepReservations, pruneRateLimits]) {
+        assert.equal((await handler(makeRequest())).status, 401);
+        assert.equal((await handler(makeRequest({ headers: { authorization: 'Bearer nope' } }))).status, 401);
+      }
+      assert.equal((await sendEmails(makeRequest({ headers: { authorization: 'Bearer cron_test' } }))).status, 200);
+    } finally {
+      Object.assign(config, saved);
+    }
+  });
+
+  it('validates template edits and refuses viewers', async () => {
+    assert.equal((await templates('PUT', { body: { name: 'welcome', subject: 'Hi', body: 'Hi' } })).status, 404);
+    assert.equal((await templates('PUT', { body: { name: 'order_refunded', subject: ' ', body: 'Hi' } })).status, 400);
+    const viewer = await adminLogin('viewer', 'vic');
+    assert.equal((await templates('PUT', { body: { name: 'order_refunded', subject: 'Hi', body: 'Hi' }, as: viewer })).status, 403);
+    assert.equal((await templates('GET', { as: viewer })).status, 200);
+  });
+});
@@ -0,0 +1,88 @@
+const { describe, it, beforeEach, afterEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, skipWithoutDb, resetDb, makeRequest, createStripeMock, signedEvent } = require('./helpers');
+const createCheckoutSession = require('../lib/handlers/create-checkout-session');
+const orderStatus = require('../lib/handlers/order-status');
+const webhook = require('../lib/handlers/webhook');
+
+const SECRET = 'whsec_test';
+
+describe('GET /order-status', { skip: skipWithoutDb }, () => {
+  let stripe;
+
+  beforeEach(async () => {
+    await resetDb();
+    process.env.STRIPE_WEBHOOK_SECRET = SECRET;
+    stripe = createStripeMock({
+      lineItems: {
+        cs_test_1: [{ id: 'li_1', price: { id: 'price_a', product: 'prod_a' }, description: 'Shirt', quantity: 2, currency: 'usd', amount_subtotal: 2000, amount_total: 2000 }]
+      }
+    });
+    await db.upsertInventory('price_a', 5);
+  });
+  afterEach(() => { delete process.env.STRIPE_WEBHOOK_SECRET; });
+  after(() => db.pool.end());
+
+  const status = (sessionId) => orderStatus(makeRequest({ query: { session_id: sessionId } }), { stripe });
+
+  it('follows a session from open through processing to the stored order', async () => {
+    const created = await createCheckoutSession(makeRequest({ method: 'POST', body: { line_items: [{ price: 'price_a', quantity: 2 }] } }), { stripe });
+    assert.equal(created.status, 200);
+    const session = stripe.sessions.cs_test_1;
+
+    const open = await status('cs_test_1');
+    assert.equal(open.status, 200);
+    assert.deepEqual(open.body, { state: 'open', order: null });
+    assert.equal(open.headers['Cache-Control'], 'no-store');
+
+    session.status = 'complete';
+    assert.deepEqual((await status('cs_test_1')).body, { state: 'processing', order: null });
+
+    const event = {
+      id: 'evt_completed',
+      object: 'event',
+      type: 'checkout.session.completed',
+      data: {
+        object: {
+          object: 'checkout.session',
+          id: 'cs_test_1',
+          metadata: session.metadata,
+          payment_status: 'paid',
+          currency: 'usd',
+          amount_subtotal: 2000,
+          amount_total: 2000,
+          customer_details: { email: 'shopper@example.com', name: 'Sam' }
+        }
+      }
+    };
+    await webhook(makeRequest(Object.assign({ method: 'POST' }, signedEvent(stripe, event, SECRET))), { stripe });
+    const done = await status('cs_test_1');
+    assert.equal(done.body.state, 'complete');
+    assert.deepEqual(done.body.order, {
+      status: 'paid',
+      paymentStatus: 'paid',
+      fulfillmentStatus: 'unfulfilled',
+      carrier: null,
+      trackingNumber: null,
+      currency: 'usd',
+      amountSubtotal: 2000,
+      amountDiscount: 0,
+      amountShipping: 0,
+      amountTax: 0,
+      amountTotal: 2000,
+      shippingRateName: null,
+      items: [{ description: 'Shirt', quantity: 2, currency: 'usd', amountTotal: 2000, backordered: 0 }]
+    });
+  });
+
+  it('rejects malformed and unknown session ids', async () => {
+    assert.equal((await status('')).status, 400);
+    assert.equal((await status('cs_<script>')).status, 400);
+    assert.equal((await status('cs_test_missing')).status, 404);
+  });
+
+  it('only accepts GET', async () => {
+    const res = await orderStatus(makeRequest({ method: 'POST', query: { session_id: 'cs_test_1' } }), { stripe });
+    assert.equal(res.status, 405);
+  });
+});
@@ -0,0 +1,126 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, skipWithoutDb, resetDb, makeRequest, createStripeMock, price, adminLogin } = require('./helpers');
+const products = require('../lib/handlers/products');
+const adminCatalogSync = require('../lib/handlers/admin-catalog-sync');
+
+describe('GET /products', { skip: skipWithoutDb }, () => {
+  beforeEach(resetDb);
+  after(() => db.pool.end());
+
+  it('lists active prices with their stock and per-order cap', async () => {
+    await db.upsertInventory('price_a', 4, 2);
+    const stripe = createStripeMock({
+      prices: [price('price_a', { name: 'Shirt', unitAmount: 2500 }), price('price_b'), Object.assign(price('price_c'), { unit_amount: null })]
+    });
+    const res = await products(makeRequest(), { stripe });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.products.map(p => [p.variants[0].priceId, p.name, p.variants[0].unitAmount, p.variants[0].stock, p.variants[0].maxPerOrder]), [
+      ['price_a', 'Shirt', 2500, 4, 2],
+      ['price_b', 'Product price_b', 1000, 0, null]
+    ]);
+  });
+
+  it('groups prices of one product into variants with their own stock', async () => {
+    await db.upsertInventory('price_shirt_s', 3);
+    await db.upsertInventory('price_shirt_m', 0);
+    const shirt = { productId: 'prod_shirt', name: 'Shirt', images: ['https://img.test/shirt.png'], productMetadata: { variant_attributes: 'size,colour' } };
+    const stripe = createStripeMock({
+      // Stripe lists newest first; the small size was created first
+      prices: [
+        price('price_mug', { name: 'Mug', metadata: { internal_sku: 'MUG-1' } }),
+        price('price_shirt_m', Object.assign({ metadata: { size: 'M', colour: 'Red', warehouse: 'B' } }, shirt)),
+        price('price_shirt_s', Object.assign({ metadata: { size: 'S', colour: 'Red' }, nickname: 'Small red' }, shirt))
+      ]
+    });
+    const res = await products(makeRequest(), { stripe });
+    assert.equal(res.status, 200);
+    const [mug, shirtProduct] = res.body.products;
+    assert.deepEqual(
+      { id: shirtProduct.id, images: shirtProduct.images, attributes: shirtProduct.attributes },
+      { id: 'prod_shirt', images: ['https://img.test/shirt.png'], attributes: ['size', 'colour'] }
+    );
+    assert.deepEqual(shirtProduct.variants.map(v => [v.priceId, v.label, v.attributes, v.stock]), [
+      ['price_shirt_s', 'Small red', { size: 'S', colour: 'Red' }, 3],
+      ['price_shirt_m', 'M / Red', { size: 'M', colour: 'Red' }, 0]
+    ]);
+    // Without variant_attributes every price metadata key is an attribute
+    assert.deepEqual(mug.attributes, ['internal_sku']);
+    assert.deepEqual(mug.variants[0].attributes, { internal_sku: 'MUG-1' });
+  });
+
+  it('serves from the catalog cache once it has been filled', async () => {
+    const stripe = createStripeMock({ prices: [price('price_a')] });
+    await products(makeRequest(), { stripe });
+    stripe.prices.list = () => { throw new Error('Stripe is down'); };
+    const res = await products(makeRequest(), { stripe });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.products.map(p => p.variants[0].priceId), ['price_a']);
+  });
+
+  it('answers 503 when the cache is empty and Stripe is down', async () => {
+    const stripe = createStripeMock();
+    stripe.prices.list = () => { throw new Error('Stripe is down'); };
+    const res = await products(makeRequest(), { stripe });
+    assert.equal(res.status, 503);
+  });
+
+  it('sends an ETag and answers 304 while nothing has changed', async () => {
+    const stripe = createStripeMock({ prices: [price('price_a')] });
+    const first = await products(makeRequest(), { stripe });
+    assert.equal(first.headers['Cache-Control'], 'private, no-cache');
+    const etag = first.headers.ETag;
+    assert.ok(etag);
+    const again = await products(makeRequest({ headers: { 'if-none-match': etag } }), { stripe });
+    assert.equal(again.status, 304);
+    assert.equal(again.body, undefined);
+    await db.upsertInventory('price_a', 3);
+    const changed = await products(makeRequest({ headers: { 'if-none-match': etag } }), { stripe });
+    assert.equal(changed.status, 200);
+    assert.notEqual(changed.headers.ETag, etag);
+  });
+
+  it('drops prices that disappear from Stripe on an admin resync', async () => {
+    const stripe = createStripeMock({ prices: [price('price_a'), price('price_b')] });
+    await products(makeRequest(), { stripe });
+    const headers = await adminLogin();
+    const resync = (mock) => adminCatalogSync(makeRequest({ method: 'POST', headers }), { stripe: mock });
+    const res = await resync(createStripeMock({ prices: [price('price_b')] }));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.prices, 1);
+    assert.deepEqual((await products(makeRequest(), { stripe })).body.products.map(p => p.variants[0].priceId), ['price_b']);
+    const viewer = await adminLogin('viewer', 'vic');
+    assert.equal((await adminCatalogSync(makeRequest({ method: 'POST', headers: viewer }), { stripe })).status, 403);
+  });
+
+  it('prices variants in the requested or Accept-Language currency where they are sold in it', async () => {
+    const stripe = createStripeMock({
+      prices: [
+        price('price_a', { unitAmount: 2000, currencyOptions: { eur: 1800, jpy: 3000 } }),
+        price('price_b', { unitAmount: 500 })
+      ]
+    });
+    const prices = res => res.body.products.map(p => [p.variants[0].priceId, p.variants[0].currency, p.variants[0].unitAmount]);
+    const plain = await products(makeRequest(), { stripe });
+    assert.equal(plain.body.currency, 'usd');
+    assert.deepEqual(plain.body.currencies, ['eur', 'jpy', 'usd']);
+    assert.deepEqual(plain.body.products[0].variants[0].currencyOptions, { usd: 2000, eur: 1800, jpy: 3000 });
+    assert.equal(plain.headers.Vary, 'Accept-Language');
+
+    const german = await products(makeRequest({ headers: { 'accept-language': 'de-CH, de;q=0.9, en;q=0.5' } }), { stripe });
+    assert.equal(german.body.currency, 'eur');
+    assert.deepEqual(prices(german), [['price_a', 'eur', 1800], ['price_b', 'usd', 500]]);
+    assert.notEqual(german.headers.ETag, plain.headers.ETag);
+
+    const picked = await products(makeRequest({ headers: { 'accept-language': 'de' }, query: { currency: 'JPY' } }), { stripe });
+    assert.deepEqual(prices(picked), [['price_a', 'jpy', 3000], ['price_b', 'usd', 500]]);
+    const unknown = await products(makeRequest({ query: { currency: 'gbp' } }), { stripe });
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body, 'Prices are not available in GBP');
+  });
+
+  it('only accepts GET', async () => {
+    const res = await products(makeRequest({ method: 'POST' }), { stripe: createStripeMock() });
+    assert.equal(res.status, 405);
+  });
+});
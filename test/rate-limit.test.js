@@ -0,0 +1,117 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, skipWithoutDb, resetDb, makeRequest } = require('./helpers');
+const config = require('../lib/config');
+const { clientIp } = require('../lib/http');
+const {
+  createMemoryStore,
+  createPostgresStore,
+  setStore,
+  withRateLimit,
+  pruneRateLimitBuckets
+} = require('../lib/rate-limit');
+
+const ok = async () => ({ status: 200, body: 'ok', headers: { 'X-Handler': '1' } });
+
+describe('withRateLimit (memory store)', () => {
+  const saved = config.rateLimits.products;
+  beforeEach(() => {
+    setStore(createMemoryStore());
+    config.rateLimits.products = 2;
+  });
+  after(() => {
+    config.rateLimits.products = saved;
+    setStore(null);
+  });
+
+  it('adds RateLimit headers and answers 429 with Retry-After once the limit is used up', async () => {
+    const handler = withRateLimit('products', ok);
+    const first = await handler(makeRequest());
+    assert.equal(first.status, 200);
+    assert.equal(first.headers['X-Handler'], '1');
+    assert.equal(first.headers['RateLimit-Limit'], '2');
+    assert.equal(first.headers['RateLimit-Remaining'], '1');
+    assert.equal(first.headers['RateLimit-Policy'], '2;w=60');
+    const second = await handler(makeRequest());
+    assert.equal(second.headers['RateLimit-Remaining'], '0');
+    const third = await handler(makeRequest());
+    assert.equal(third.status, 429);
+    assert.equal(third.headers['RateLimit-Remaining'], '0');
+    assert.ok(Number(third.headers['Retry-After']) > 0 && Number(third.headers['Retry-After']) <= 60);
+  });
+
+  it('counts each client separately', async () => {
+    const handler = withRateLimit('products', ok);
+    await handler(makeRequest({ ip: '10.0.0.1' }));
+    await handler(makeRequest({ ip: '10.0.0.1' }));
+    assert.equal((await handler(makeRequest({ ip: '10.0.0.1' }))).status, 429);
+    assert.equal((await handler(makeRequest({ ip: '10.0.0.2' }))).status, 200);
+  });
+
+  it('prunes idle buckets', async () => {
+    await withRateLimit('products', ok)(makeRequest());
+    assert.equal(await pruneRateLimitBuckets(60 * 60_000), 0);
+    assert.equal(await pruneRateLimitBuckets(-1), 1);
+  });
+});
+
+describe('withRateLimit (postgres store)', { skip: skipWithoutDb }, () => {
+  beforeEach(async () => {
+    await resetDb();
+    setStore(createPostgresStore());
+  });
+  after(async () => {
+    setStore(null);
+    await db.pool.end();
+  });
+
+  it('limits through the rate_limits table and prunes idle rows', async () => {
+    const saved = config.rateLimits['admin-catalog-sync'];
+    config.rateLimits['admin-catalog-sync'] = 1;
+    try {
+      const handler = withRateLimit('admin-catalog-sync', ok);
+      assert.equal((await handler(makeRequest())).status, 200);
+      const limited = await handler(makeRequest());
+      assert.equal(limited.status, 429);
+      assert.ok(limited.headers['Retry-After']);
+    } finally {
+      config.rateLimits['admin-catalog-sync'] = saved;
+    }
+    assert.equal(await pruneRateLimitBuckets(), 0);
+    assert.equal(await pruneRateLimitBuckets(-1), 1);
+    const { rows } = await db.pool.query('SELECT count(*)::int AS n FROM rate_limits');
+    assert.equal(rows[0].n, 0);
+  });
+
+  it('takes one token each for two first requests that arrive together', async () => {
+    const saved = config.rateLimits['admin-catalog-sync'];
+    config.rateLimits['admin-catalog-sync'] = 2;
+    try {
+      const handler = withRateLimit('admin-catalog-sync', ok);
+      // Open the connections up front so that neither request waits for one
+      const clients = await Promise.all([db.pool.connect(), db.pool.connect()]);
+      clients.forEach(c => c.release());
+      const results = await Promise.all([handler(makeRequest()), handler(makeRequest())]);
+      assert.deepEqual(results.map(r => r.status), [200, 200]);
+      assert.deepEqual(results.map(r => r.headers['RateLimit-Remaining']).sort(), ['0', '1']);
+      assert.equal((await handler(makeRequest())).status, 429);
+    } finally {
+      config.rateLimits['admin-catalog-sync'] = saved;
+    }
+  });
+});
+
+describe('clientIp', () => {
+  const req = { headers: { 'x-forwarded-for': '1.1.1.1, 2.2.2.2, 3.3.3.3' }, socket: { remoteAddress: '4.4.4.4' } };
+
+  it('ignores X-Forwarded-For unless proxies are trusted', () => {
+    assert.equal(clientIp(req, 0), '4.4.4.4');
+  });
+
+  it('takes the address the outermost trusted proxy saw', () => {
+    assert.equal(clientIp(req, 1), '3.3.3.3');
+    assert.equal(clientIp(req, 2), '2.2.2.2');
+    assert.equal(clientIp(req, 10), '1.1.1.1');
+    assert.equal(clientIp({ headers: {}, socket: { remoteAddress: '4.4.4.4' } }, 1), '4.4.4.4');
+  });
+});
@@ -0,0 +1,127 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, skipWithoutDb, resetDb, makeRequest, adminLogin } = require('./helpers');
+const adminReports = require('../lib/handlers/admin-reports');
+const adminReportsExport = require('../lib/handlers/admin-reports-export');
+const { parseReportQuery } = require('../lib/reports');
+
+const at = day => Date.parse(`2026-03-${day}T12:00:00Z`);
+
+async function saveOrder(sessionId, { day, status = 'paid', currency = 'usd', refunded = 0, items }) {
+  const amountTotal = items.reduce((sum, i) => sum + i.amount, 0);
+  const id = await db.saveOrder(
+    { sessionId, currency, amountSubtotal: amountTotal, amountTotal, paymentStatus: 'paid', status },
+    items.map((i, n) => ({ lineItemId: `li_${sessionId}_${n}`, priceId: i.priceId, description: 'Line', quantity: i.quantity, currency, amountSubtotal: i.amount, amountTotal: i.amount }))
+  );
+  await db.pool.query('UPDATE orders SET created_at = $1, amount_refunded = $2 WHERE id = $3', [at(day), refunded, id]);
+}
+
+async function addReservation(reservationId, sessionId, status, priceIds = ['price_mug']) {
+  for (const priceId of priceIds) {
+    await db.pool.query(
+      'INSERT INTO reservations (reservation_id, session_id, price_id, quantity, status, created_at) VALUES ($1, $2, $3, 1, $4, $5)',
+      [reservationId, sessionId, priceId, status, at('05')]
+    );
+  }
+}
+
+describe('parseReportQuery', () => {
+  it('defaults to the last 30 days by day and checks the range', () => {
+    const now = Date.parse('2026-03-31T00:00:00Z');
+    assert.deepEqual(parseReportQuery({}, now).options, { fromMs: Date.parse('2026-03-01T00:00:00Z'), toMs: now, interval: 'day' });
+    assert.deepEqual(parseReportQuery({ from: '2026-03-02', to: '2026-03-02', interval: 'week' }).options, {
+      fromMs: Date.parse('2026-03-02T00:00:00Z'),
+      toMs: Date.parse('2026-03-03T00:00:00Z'),
+      interval: 'week'
+    });
+    assert.equal(parseReportQuery({ from: '2026-03-05', to: '2026-03-01' }).error, 'from must be before to');
+    assert.equal(parseReportQuery({ from: '2024-01-01', to: '2026-01-01' }).error, 'The range can be at most 366 days');
+    assert.equal(parseReportQuery({ interval: 'hour' }).error, 'interval must be one of: day, week');
+    assert.equal(parseReportQuery({ from: 'soon' }).error, 'Invalid from date');
+  });
+});
+
+describe('admin reports', { skip: skipWithoutDb }, () => {
+  let headers;
+
+  beforeEach(async () => {
+    await resetDb();
+    headers = await adminLogin('viewer', 'vic');
+    await db.replaceCatalog([
+      { priceId: 'price_mug', productId: 'prod_mug', name: 'Mug', description: '', currency: 'usd', unitAmount: 1000, nickname: null, active: true, productActive: true, created: null },
+      { priceId: 'price_tee_s', productId: 'prod_tee', name: 'T-shirt', description: '', currency: 'usd', unitAmount: 1000, nickname: 'S', active: true, productActive: true, created: null }
+    ]);
+    // Stocked before the range; four mugs leave during it
+    await db.upsertInventory('price_mug', 10);
+    await db.upsertInventory('price_tee_s', 2);
+    await db.pool.query('UPDATE inventory_movements SET created_at = $1', [at('01')]);
+    await db.reserveStock('res_stock', [{ price: 'price_mug', quantity: 4 }]);
+    await db.pool.query('UPDATE inventory_movements SET created_at = $1 WHERE reference = $2', [at('03'), 'res_stock']);
+
+    await saveOrder('cs_1', { day: '02', items: [{ priceId: 'price_mug', quantity: 2, amount: 2000 }] });
+    await saveOrder('cs_2', { day: '03', status: 'partially_refunded', refunded: 500, items: [{ priceId: 'price_mug', quantity: 2, amount: 2000 }, { priceId: 'price_tee_s', quantity: 1, amount: 1000 }] });
+    await saveOrder('cs_3', { day: '04', status: 'pending', items: [{ priceId: 'price_mug', quantity: 5, amount: 5000 }] });
+    await saveOrder('cs_4', { day: '10', currency: 'eur', items: [{ priceId: 'price_tee_s', quantity: 1, amount: 1500 }] });
+    await saveOrder('cs_5', { day: '20', items: [{ priceId: 'price_mug', quantity: 1, amount: 1000 }] });
+
+    await addReservation('res_a', 'cs_a', 'committed');
+    await addReservation('res_b', 'cs_b', 'released');
+    await addReservation('res_c', 'cs_c', 'reserved');
+    await addReservation('res_d', 'cs_d', 'pending_payment');
+    await addReservation('res_e', 'cs_e', 'released', ['price_mug', 'price_tee_s']);
+  });
+  after(() => db.pool.end());
+
+  const report = query => adminReports(makeRequest({ headers, query: Object.assign({ from: '2026-03-02', to: '2026-03-15' }, query) }));
+
+  it('reports revenue, units, conversion and turnover for the range', async () => {
+    const res = await report({});
+    assert.equal(res.status, 200);
+    const body = res.body;
+    assert.deepEqual([body.from, body.to, body.interval], ['2026-03-02T00:00:00.000Z', '2026-03-16T00:00:00.000Z', 'day']);
+    assert.deepEqual(body.revenue, [
+      { period: '2026-03-02', currency: 'usd', orders: 1, gross: 2000, refunded: 0, net: 2000 },
+      { period: '2026-03-03', currency: 'usd', orders: 1, gross: 3000, refunded: 500, net: 2500 },
+      { period: '2026-03-10', currency: 'eur', orders: 1, gross: 1500, refunded: 0, net: 1500 }
+    ]);
+    assert.deepEqual(body.totals, [
+      { currency: 'eur', orders: 1, gross: 1500, refunded: 0, net: 1500, averageOrderValue: 1500 },
+      { currency: 'usd', orders: 2, gross: 5000, refunded: 500, net: 4500, averageOrderValue: 2500 }
+    ]);
+    assert.deepEqual(body.units, [
+      { priceId: 'price_mug', name: 'Mug', currency: 'usd', orders: 2, units: 4, restocked: 0, revenue: 4000 },
+      { priceId: 'price_tee_s', name: 'T-shirt (S)', currency: 'eur', orders: 1, units: 1, restocked: 0, revenue: 1500 },
+      { priceId: 'price_tee_s', name: 'T-shirt (S)', currency: 'usd', orders: 1, units: 1, restocked: 0, revenue: 1000 }
+    ]);
+    assert.deepEqual(body.conversion, { sessions: 5, completed: 1, awaitingPayment: 1, open: 1, released: 2, conversionRate: 0.2 });
+    assert.deepEqual(body.turnover, [
+      { priceId: 'price_mug', name: 'Mug', unitsSold: 4, openingStock: 10, closingStock: 6, averageStock: 8, turnover: 0.5 },
+      { priceId: 'price_tee_s', name: 'T-shirt (S)', unitsSold: 2, openingStock: 2, closingStock: 2, averageStock: 2, turnover: 1 }
+    ]);
+  });
+
+  it('groups revenue by ISO week', async () => {
+    const res = await report({ interval: 'week' });
+    assert.deepEqual(res.body.revenue.map(r => [r.period, r.currency, r.orders, r.net]), [
+      ['2026-03-02', 'usd', 2, 4500],
+      ['2026-03-09', 'eur', 1, 1500]
+    ]);
+  });
+
+  it('exports each report as CSV', async () => {
+    const res = await adminReportsExport(makeRequest({ headers, query: { report: 'revenue', from: '2026-03-02', to: '2026-03-15' } }));
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['Content-Type'], 'text/csv; charset=utf-8');
+    assert.equal(res.headers['Content-Disposition'], 'attachment; filename="revenue-2026-03-02-to-2026-03-15.csv"');
+    assert.equal(res.body, 'period,currency,orders,gross,refunded,net\r\n2026-03-02,usd,1,2000,0,2000\r\n2026-03-03,usd,1,3000,500,2500\r\n2026-03-10,eur,1,1500,0,1500\r\n');
+    const conversion = await adminReportsExport(makeRequest({ headers, query: { report: 'conversion', from: '2026-03-02', to: '2026-03-15' } }));
+    assert.equal(conversion.body, 'sessions,completed,awaiting_payment,open,released,conversion_rate\r\n5,1,1,1,2,0.2\r\n');
+    assert.equal((await adminReportsExport(makeRequest({ headers, query: { report: 'profit' } }))).status, 400);
+  });
+
+  it('needs an admin session and a valid range', async () => {
+    assert.equal((await adminReports(makeRequest())).status, 401);
+    assert.equal((await report({ interval: 'month' })).status, 400);
+    assert.equal((await adminReports(makeRequest({ method: 'POST', headers }))).status, 405);
+  });
+});
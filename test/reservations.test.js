@@ -0,0 +1,72 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, skipWithoutDb, resetDb, getStock, getReservations } = require('./helpers');
+const { reservationTtlMs, reservationSweepGraceMs } = require('../lib/config');
+
+describe('reservations', { skip: skipWithoutDb }, () => {
+  beforeEach(async () => {
+    await resetDb();
+    await db.upsertInventory('price_a', 5);
+  });
+  after(() => db.pool.end());
+
+  it('refuses to reserve more than is in stock', async () => {
+    await assert.rejects(db.reserveStock('res_1', [{ price: 'price_a', quantity: 6 }]), { code: 'INSUFFICIENT_STOCK', available: 5 });
+    assert.equal(await getStock('price_a'), 5);
+  });
+
+  it('sweeps reservations older than the TTL and reports the units reclaimed', async () => {
+    await db.reserveStock('res_old', [{ price: 'price_a', quantity: 2 }]);
+    await db.pool.query('UPDATE reservations SET created_at = created_at - 3600000');
+    await db.reserveStock('res_new', [{ price: 'price_a', quantity: 1 }]);
+    const result = await db.sweepExpiredReservations({ olderThanMs: 60_000 });
+    assert.deepEqual(result, { reservations: 1, units: 2 });
+    assert.equal(await getStock('price_a'), 4);
+    assert.deepEqual((await getReservations()).map(r => [r.reservation_id, r.status]).sort(), [['res_new', 'reserved'], ['res_old', 'released']]);
+  });
+
+  it('gives back stock only once the TTL and grace have passed, and never for a payment in flight', async () => {
+    await db.reserveStock('res_lapsed', [{ price: 'price_a', quantity: 2 }]);
+    await db.reserveStock('res_paying', [{ price: 'price_a', quantity: 1 }]);
+    await db.linkReservationToSession('cs_paying', 'res_paying');
+    assert.equal(await db.setReservationStatusBySession('cs_paying', 'pending_payment'), 1);
+    await db.reserveStock('res_recent', [{ price: 'price_a', quantity: 1 }]);
+    await db.pool.query('UPDATE reservations SET created_at = $1 WHERE reservation_id <> $2',
+      [Date.now() - reservationTtlMs - reservationSweepGraceMs - 1000, 'res_recent']);
+    await db.pool.query('UPDATE reservations SET created_at = $1 WHERE reservation_id = $2', [Date.now() - reservationTtlMs, 'res_recent']);
+    assert.equal(await getStock('price_a'), 1);
+
+    assert.deepEqual(await db.sweepExpiredReservations(), { reservations: 1, units: 2 });
+    assert.equal(await getStock('price_a'), 3);
+    assert.deepEqual((await getReservations()).map(r => [r.reservation_id, r.status]).sort(), [
+      ['res_lapsed', 'released'],
+      ['res_paying', 'pending_payment'],
+      ['res_recent', 'reserved']
+    ]);
+  });
+
+  it('logs reservation, release and sale movements', async () => {
+    await db.reserveStock('res_1', [{ price: 'price_a', quantity: 2 }]);
+    await db.releaseReservation('res_1');
+    await db.reserveStock('res_2', [{ price: 'price_a', quantity: 1 }]);
+    await db.linkReservationToSession('cs_2', 'res_2');
+    await db.commitReservationBySession('cs_2');
+    const movements = await db.listInventoryMovements('price_a');
+    assert.deepEqual(movements.map(m => [m.reason, m.delta, m.stockAfter, m.reference]), [
+      ['sale', 0, 4, 'cs_2'],
+      ['reservation', -1, 4, 'res_2'],
+      ['release', 2, 5, 'res_1'],
+      ['reservation', -2, 3, 'res_1'],
+      ['admin_set', 5, 5, null]
+    ]);
+  });
+
+  it('never releases a committed reservation', async () => {
+    await db.reserveStock('res_1', [{ price: 'price_a', quantity: 2 }]);
+    await db.linkReservationToSession('cs_1', 'res_1');
+    assert.equal(await db.commitReservationBySession('cs_1'), 1);
+    assert.equal(await db.releaseReservation('res_1'), 0);
+    assert.equal(await getStock('price_a'), 3);
+    assert.equal(await db.commitReservationBySession('cs_1'), 0);
+  });
+});
@@ -0,0 +1,161 @@
+const { describe, it, beforeEach, afterEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, skipWithoutDb, resetDb, makeRequest, createStripeMock, signedEvent, adminLogin, getReservations } = require('./helpers');
+const adminShipping = require('../lib/handlers/admin-shipping');
+const shippingCountries = require('../lib/handlers/shipping-countries');
+const createCheckoutSession = require('../lib/handlers/create-checkout-session');
+const webhook = require('../lib/handlers/webhook');
+
+const SECRET = 'whsec_test';
+
+function catalogRow(priceId, { unitAmount = 1000, currency = 'usd', weightGrams } = {}) {
+  return {
+    priceId,
+    productId: `prod_${priceId}`,
+    name: priceId,
+    description: '',
+    currency,
+    unitAmount,
+    active: true,
+    productActive: true,
+    created: null,
+    priceMetadata: weightGrams ? { weight_grams: String(weightGrams) } : {}
+  };
+}
+
+const EUROPE = {
+  name: 'Europe',
+  countries: ['de', 'AT'],
+  rates: [
+    { name: 'Standard', type: 'flat', currency: 'usd', amount: 500 },
+    { name: 'Heavy goods', type: 'weight', currency: 'usd', amount: 300, amountPerKg: 200 },
+    { name: 'Free over 50', type: 'free', currency: 'usd', freeOver: 5000 },
+    { name: 'Euro rate', type: 'flat', currency: 'eur', amount: 400 }
+  ]
+};
+
+describe('shipping', { skip: skipWithoutDb }, () => {
+  let stripe;
+  let headers;
+
+  beforeEach(async () => {
+    await resetDb();
+    stripe = createStripeMock({ shippingRates: { shr_1: { display_name: 'Standard' } } });
+    headers = await adminLogin();
+    await db.replaceCatalog([catalogRow('price_light', { weightGrams: 400 }), catalogRow('price_big', { unitAmount: 3000, weightGrams: 1500 })]);
+    await db.upsertInventory('price_light', 10);
+    await db.upsertInventory('price_big', 10);
+    process.env.STRIPE_WEBHOOK_SECRET = SECRET;
+  });
+  afterEach(() => { delete process.env.STRIPE_WEBHOOK_SECRET; });
+  after(() => db.pool.end());
+
+  const admin = (method, body, { as = headers, query } = {}) => adminShipping(makeRequest({ method, headers: as, body, query }), { stripe });
+  const checkout = (lineItems, country) => createCheckoutSession(
+    makeRequest({ method: 'POST', body: { line_items: lineItems, shipping_country: country } }),
+    { stripe }
+  );
+
+  it('lets inventory managers create, replace and delete zones', async () => {
+    const created = await admin('POST', EUROPE);
+    assert.equal(created.status, 201);
+    assert.deepEqual(created.body.countries, ['AT', 'DE']);
+    assert.deepEqual(created.body.rates.map(r => [r.name, r.type, r.amount, r.amountPerKg, r.freeOver]), [
+      ['Standard', 'flat', 500, null, null],
+      ['Heavy goods', 'weight', 300, 200, null],
+      ['Free over 50', 'free', 0, null, 5000],
+      ['Euro rate', 'flat', 400, null, null]
+    ]);
+    assert.equal(created.body.updatedBy, 'inventory-manager');
+
+    const replaced = await admin('PUT', { id: created.body.id, name: 'DACH', countries: ['DE', 'AT', 'CH'], rates: [EUROPE.rates[0]] });
+    assert.equal(replaced.status, 200);
+    const list = await admin('GET');
+    assert.deepEqual(list.body.zones.map(z => [z.name, z.countries, z.rates.length]), [['DACH', ['AT', 'CH', 'DE'], 1]]);
+    assert.deepEqual((await shippingCountries(makeRequest(), { stripe })).body, { countries: ['AT', 'CH', 'DE'] });
+
+    assert.equal((await admin('DELETE', undefined, { query: { id: String(created.body.id) } })).status, 200);
+    assert.equal((await admin('DELETE', undefined, { query: { id: String(created.body.id) } })).status, 404);
+    assert.deepEqual((await admin('GET')).body.zones, []);
+  });
+
+  it('validates zones, keeps each country in one zone and refuses viewers', async () => {
+    assert.equal((await admin('POST', Object.assign({}, EUROPE, { countries: ['Germany'] }))).status, 400);
+    assert.equal((await admin('POST', Object.assign({}, EUROPE, { rates: [] }))).status, 400);
+    assert.equal((await admin('POST', Object.assign({}, EUROPE, { rates: [{ name: 'Odd', type: 'weight', currency: 'usd', amount: 100 }] }))).status, 400);
+    assert.equal((await admin('POST', EUROPE)).status, 201);
+    const clash = await admin('POST', { name: 'Germany again', countries: ['DE'], rates: [EUROPE.rates[0]] });
+    assert.equal(clash.status, 409);
+    assert.match(clash.body, /DE already in zone Europe/);
+    assert.equal((await admin('PUT', Object.assign({}, EUROPE, { id: 999, countries: ['FR'] }))).status, 404);
+    const viewer = await adminLogin('viewer', 'vic');
+    assert.equal((await admin('POST', { name: 'US', countries: ['US'], rates: [EUROPE.rates[0]] }, { as: viewer })).status, 403);
+    assert.equal((await admin('GET', undefined, { as: viewer })).status, 200);
+  });
+
+  it('creates sessions without shipping while no zones exist', async () => {
+    const res = await checkout([{ price: 'price_light', quantity: 1 }], 'DE');
+    assert.equal(res.status, 200);
+    const params = stripe.calls.sessionsCreate[0];
+    assert.equal(params.shipping_address_collection, undefined);
+    assert.equal(params.shipping_options, undefined);
+  });
+
+  it('passes the country and the rates that fit the cart to Stripe', async () => {
+    await admin('POST', EUROPE);
+    const res = await checkout([{ price: 'price_light', quantity: 2 }, { price: 'price_big', quantity: 1 }], 'de');
+    assert.equal(res.status, 200);
+    const params = stripe.calls.sessionsCreate[0];
+    assert.deepEqual(params.shipping_address_collection, { allowed_countries: ['DE'] });
+    // 2.3 kg starts three kilograms; the 50.00 subtotal reaches the free rate; the EUR rate does not match
+    assert.deepEqual(params.shipping_options.map(o => [o.shipping_rate_data.display_name, o.shipping_rate_data.fixed_amount]), [
+      ['Standard', { amount: 500, currency: 'usd' }],
+      ['Heavy goods', { amount: 900, currency: 'usd' }],
+      ['Free over 50', { amount: 0, currency: 'usd' }]
+    ]);
+
+    await checkout([{ price: 'price_light', quantity: 1 }], 'AT');
+    assert.deepEqual(stripe.calls.sessionsCreate[1].shipping_options.map(o => o.shipping_rate_data.display_name), ['Standard', 'Heavy goods']);
+  });
+
+  it('refuses carts without a country or going where the shop does not ship', async () => {
+    await admin('POST', EUROPE);
+    const missing = await checkout([{ price: 'price_light', quantity: 1 }]);
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body, 'Choose a shipping country');
+    const elsewhere = await checkout([{ price: 'price_light', quantity: 1 }], 'US');
+    assert.equal(elsewhere.status, 400);
+    assert.equal(elsewhere.body, 'We do not ship to US');
+    assert.equal(stripe.calls.sessionsCreate.length, 0);
+    assert.deepEqual(await getReservations(), []);
+  });
+
+  it('stores the shipping address and chosen rate with the order', async () => {
+    const address = { line1: 'Hauptstr. 1', line2: null, city: 'Berlin', postal_code: '10115', state: null, country: 'DE' };
+    const event = {
+      id: 'evt_completed',
+      object: 'event',
+      type: 'checkout.session.completed',
+      data: {
+        object: {
+          object: 'checkout.session',
+          id: 'cs_ship',
+          metadata: {},
+          payment_status: 'paid',
+          currency: 'usd',
+          amount_subtotal: 1000,
+          amount_total: 1500,
+          shipping_cost: { amount_total: 500, shipping_rate: 'shr_1' },
+          shipping_details: { name: 'Erika Mustermann', address }
+        }
+      }
+    };
+    const res = await webhook(makeRequest(Object.assign({ method: 'POST' }, signedEvent(stripe, event, SECRET))), { stripe });
+    assert.equal(res.status, 200);
+    const [order] = (await db.listOrders()).orders;
+    assert.deepEqual(
+      [order.shippingName, order.shippingAddress, order.shippingRateName, order.amountShipping],
+      ['Erika Mustermann', address, 'Standard', 500]
+    );
+  });
+});
@@ -0,0 +1,90 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, skipWithoutDb, resetDb, makeRequest } = require('./helpers');
+const streamInventory = require('../lib/handlers/stream-inventory');
+
+// Opens a stream and collects its events; next(event) waits for the next event of that name
+async function openStream() {
+  const res = await streamInventory(makeRequest());
+  const events = [];
+  const waiting = [];
+  let buffer = '';
+  let ended = false;
+  const stop = res.stream((chunk) => {
+    buffer += chunk;
+    let split;
+    while ((split = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, split);
+      buffer = buffer.slice(split + 2);
+      const event = /^event: (.*)$/m.exec(block);
+      if (!event) continue;
+      events.push({ event: event[1], data: JSON.parse(/^data: (.*)$/m.exec(block)[1]) });
+      waiting.splice(0).forEach(check => check());
+    }
+  }, () => { ended = true; });
+  let read = 0;
+  const next = (name) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`No ${name} event`)), 2000);
+    const check = () => {
+      while (read < events.length) {
+        const e = events[read++];
+        if (e.event === name) {
+          clearTimeout(timer);
+          return resolve(e.data);
+        }
+      }
+      waiting.push(check);
+    };
+    check();
+  });
+  return { res, stop, next, events, isEnded: () => ended };
+}
+
+describe('GET /stream/inventory', { skip: skipWithoutDb }, () => {
+  beforeEach(() => resetDb());
+  after(() => db.pool.end());
+
+  it('sends a snapshot, then every committed stock change', async () => {
+    await db.upsertInventory('price_a', 5);
+    const stream = await openStream();
+    assert.equal(stream.res.status, 200);
+    assert.equal(stream.res.headers['Content-Type'], 'text/event-stream; charset=utf-8');
+    try {
+      assert.deepEqual(await stream.next('snapshot'), { stock: { price_a: 5 } });
+
+      await db.upsertInventory('price_b', 3);
+      assert.deepEqual(await stream.next('stock'), { priceId: 'price_b', stock: 3 });
+      await db.reserveStock('res_1', [{ price: 'price_a', quantity: 2 }]);
+      assert.deepEqual(await stream.next('stock'), { priceId: 'price_a', stock: 3 });
+      await db.releaseReservation('res_1');
+      assert.deepEqual(await stream.next('stock'), { priceId: 'price_a', stock: 5 });
+
+      // A rolled back change is never announced
+      await assert.rejects(db.withTransaction(async (client) => {
+        await db.adjustInventory({ priceId: 'price_a', delta: 1 }, client);
+        throw new Error('rolled back');
+      }));
+      await db.upsertInventory('price_b', 4);
+      assert.deepEqual(await stream.next('stock'), { priceId: 'price_b', stock: 4 });
+      assert.deepEqual(stream.events.filter(e => e.event === 'stock').map(e => e.data.stock), [3, 3, 5, 4]);
+    } finally {
+      stream.stop();
+    }
+  });
+
+  it('shares one listener between streams and stops sending once closed', async () => {
+    const first = await openStream();
+    const second = await openStream();
+    await Promise.all([first.next('snapshot'), second.next('snapshot')]);
+    first.stop();
+    await db.upsertInventory('price_a', 1);
+    assert.deepEqual(await second.next('stock'), { priceId: 'price_a', stock: 1 });
+    assert.equal(first.events.length, 1);
+    assert.equal(first.isEnded(), false);
+    second.stop();
+  });
+
+  it('only answers GET', async () => {
+    assert.equal((await streamInventory(makeRequest({ method: 'POST' }))).status, 405);
+  });
+});
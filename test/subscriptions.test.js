@@ -0,0 +1,194 @@
+const { describe, it, beforeEach, afterEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, skipWithoutDb, resetDb, makeRequest, createStripeMock, price, signedEvent, adminLogin, getStock, getReservations } = require('./helpers');
+const { catalogRow } = require('../lib/catalog');
+const products = require('../lib/handlers/products');
+const cartItems = require('../lib/handlers/cart-items');
+const createCheckoutSession = require('../lib/handlers/create-checkout-session');
+const webhook = require('../lib/handlers/webhook');
+const adminSubscriptions = require('../lib/handlers/admin-subscriptions');
+
+const SECRET = 'whsec_test';
+const MONTHLY = { interval: 'month', interval_count: 1 };
+
+const PRICES = [
+  price('price_mug', { name: 'Mug' }),
+  // A coffee box ships every month; the newsletter is only an email
+  price('price_coffee', { name: 'Coffee box', unitAmount: 2500, recurring: MONTHLY, productMetadata: { physical: 'true' } }),
+  price('price_news', { name: 'Newsletter', unitAmount: 500, recurring: MONTHLY }),
+  price('price_news_yearly', { name: 'Newsletter', productId: 'prod_price_news', unitAmount: 5000, recurring: { interval: 'year', interval_count: 1 } })
+];
+
+describe('subscriptions', { skip: skipWithoutDb }, () => {
+  let stripe;
+
+  beforeEach(async () => {
+    await resetDb();
+    process.env.STRIPE_WEBHOOK_SECRET = SECRET;
+    stripe = createStripeMock({ prices: PRICES });
+    await db.replaceCatalog(PRICES.map(p => catalogRow(p)));
+    await db.upsertInventory('price_mug', 5);
+    await db.upsertInventory('price_coffee', 3);
+  });
+  afterEach(() => { delete process.env.STRIPE_WEBHOOK_SECRET; });
+  after(() => db.pool.end());
+
+  const checkout = (body, headers = {}) => createCheckoutSession(makeRequest({ method: 'POST', headers, body }), { stripe });
+  const send = event => webhook(makeRequest(Object.assign({ method: 'POST' }, signedEvent(stripe, event, SECRET))), { stripe });
+
+  function subscriptionEvent(id, type, created, fields = {}) {
+    return {
+      id,
+      type,
+      created,
+      data: {
+        object: Object.assign({
+          id: 'sub_1',
+          object: 'subscription',
+          customer: 'cus_1',
+          status: 'active',
+          cancel_at_period_end: false,
+          canceled_at: null,
+          items: { data: [{ price: { id: 'price_coffee' }, quantity: 2, current_period_end: 1790000000 }] }
+        }, fields)
+      }
+    };
+  }
+
+  function invoiceEvent(id, type, billingReason) {
+    return {
+      id: `evt_${id}`,
+      type,
+      created: 1790000000,
+      data: {
+        object: {
+          id,
+          object: 'invoice',
+          billing_reason: billingReason,
+          parent: { type: 'subscription_details', subscription_details: { subscription: 'sub_1' } },
+          lines: { data: [
+            { pricing: { price_details: { price: 'price_coffee' } }, quantity: 2 },
+            { pricing: { price_details: { price: 'price_news' } }, quantity: 1 }
+          ] }
+        }
+      }
+    };
+  }
+
+  it('lists subscription prices with their interval, without stock for ones that ship nothing', async () => {
+    const res = await products(makeRequest(), { stripe });
+    const variants = Object.fromEntries(res.body.products.flatMap(p => p.variants).map(v => [v.priceId, [v.recurring, v.stock]]));
+    assert.deepEqual(variants, {
+      price_mug: [null, 5],
+      price_coffee: [{ interval: 'month', intervalCount: 1 }, 3],
+      price_news: [{ interval: 'month', intervalCount: 1 }, null],
+      price_news_yearly: [{ interval: 'year', intervalCount: 1 }, null]
+    });
+  });
+
+  it('checks subscriptions out in subscription mode, reserving only what ships', async () => {
+    const res = await checkout({ line_items: [{ price: 'price_coffee', quantity: 1 }, { price: 'price_news', quantity: 1 }] });
+    assert.equal(res.status, 200);
+    assert.equal(stripe.calls.sessionsCreate[0].mode, 'subscription');
+    assert.deepEqual((await getReservations()).map(r => [r.price_id, r.quantity]), [['price_coffee', 1]]);
+    assert.equal(await getStock('price_coffee'), 2);
+
+    const mixed = await checkout({ line_items: [{ price: 'price_mug', quantity: 1 }, { price: 'price_news', quantity: 1 }] });
+    assert.equal(mixed.status, 400);
+    assert.equal(mixed.body, 'Subscriptions are checked out separately from one-time items');
+    const intervals = await checkout({ line_items: [{ price: 'price_news', quantity: 1 }, { price: 'price_news_yearly', quantity: 1 }] });
+    assert.equal(intervals.status, 400);
+    assert.equal(stripe.calls.sessionsCreate.length, 1);
+    assert.equal((await checkout({ line_items: [{ price: 'price_mug', quantity: 1 }] })).status, 200);
+    assert.equal(stripe.calls.sessionsCreate[1].mode, 'payment');
+  });
+
+  it('keeps subscriptions apart in the cart and checks each part out on its own', async () => {
+    let cookie = null;
+    const call = async (handler, body) => {
+      const res = await handler(makeRequest({ method: 'POST', headers: cookie ? { cookie } : {}, body }), { stripe });
+      if (res.headers && res.headers['Set-Cookie']) cookie = res.headers['Set-Cookie'].split(';')[0];
+      return res;
+    };
+    await call(cartItems, { price: 'price_mug', quantity: 2 });
+    await call(cartItems, { price: 'price_news', quantity: 1 });
+    const cart = (await call(cartItems, { price: 'price_coffee', quantity: 1 })).body;
+    assert.deepEqual(cart.items.map(i => i.priceId), ['price_mug']);
+    assert.deepEqual(cart.totals, { usd: 2000 });
+    assert.deepEqual(cart.subscriptions.items.map(i => [i.priceId, i.recurring.interval, i.available]), [['price_news', 'month', null], ['price_coffee', 'month', 3]]);
+    assert.deepEqual(cart.subscriptions.totals, { usd: 3000 });
+    assert.equal(cart.subscriptions.checkoutReady, true);
+
+    const res = await call(createCheckoutSession, { cart: true, subscriptions: true });
+    assert.equal(res.status, 200);
+    const params = stripe.calls.sessionsCreate[0];
+    assert.equal(params.mode, 'subscription');
+    assert.deepEqual(params.line_items, [{ price: 'price_news', quantity: 1 }, { price: 'price_coffee', quantity: 1 }]);
+
+    await send({
+      id: 'evt_done',
+      type: 'checkout.session.completed',
+      data: { object: { object: 'checkout.session', id: 'cs_test_1', mode: 'subscription', subscription: 'sub_1', metadata: params.metadata, payment_status: 'paid', currency: 'usd', amount_subtotal: 3000, amount_total: 3000 } }
+    });
+    const left = await db.getCartLines(params.metadata.cart_id);
+    assert.deepEqual(left.map(l => l.priceId), ['price_mug']);
+    assert.equal((await db.getOrderBySession('cs_test_1')).subscriptionId, 'sub_1');
+  });
+
+  it('stores subscription status from events, ignoring ones that arrive late', async () => {
+    await send(subscriptionEvent('evt_1', 'customer.subscription.created', 1780000000, { status: 'incomplete' }));
+    await send(subscriptionEvent('evt_3', 'customer.subscription.updated', 1780000300, { cancel_at_period_end: true }));
+    await send(subscriptionEvent('evt_2', 'customer.subscription.updated', 1780000100));
+    await send(invoiceEvent('in_1', 'invoice.payment_failed', 'subscription_cycle'));
+
+    const headers = await adminLogin('viewer', 'vic');
+    const res = await adminSubscriptions(makeRequest({ headers }));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.total, 1);
+    const [sub] = res.body.subscriptions;
+    assert.deepEqual(
+      [sub.id, sub.customerId, sub.status, sub.cancelAtPeriodEnd, sub.currentPeriodEnd, sub.latestInvoiceStatus, sub.items],
+      ['sub_1', 'cus_1', 'active', true, 1790000000000, 'payment_failed', [{ priceId: 'price_coffee', quantity: 2 }]]
+    );
+
+    await send(subscriptionEvent('evt_4', 'customer.subscription.deleted', 1780000400, { status: 'canceled', canceled_at: 1780000400 }));
+    assert.equal((await adminSubscriptions(makeRequest({ headers, query: { status: 'active' } }))).body.total, 0);
+    assert.equal((await adminSubscriptions(makeRequest({ headers, query: { status: 'gone' } }))).status, 400);
+  });
+
+  it('takes stock for each paid renewal of a physical subscription, once per invoice', async () => {
+    await send(subscriptionEvent('evt_sub', 'customer.subscription.created', 1780000000));
+    // The first invoice is paid through Checkout, whose reservation already took the stock
+    await send(invoiceEvent('in_first', 'invoice.paid', 'subscription_create'));
+    assert.equal(await getStock('price_coffee'), 3);
+
+    await send(invoiceEvent('in_renewal', 'invoice.paid', 'subscription_cycle'));
+    assert.equal(await getStock('price_coffee'), 1);
+    const [movement] = await db.listInventoryMovements('price_coffee', { limit: 1 });
+    assert.deepEqual([movement.delta, movement.reason, movement.reference], [-2, 'subscription_renewal', 'invoice:in_renewal']);
+
+    // Only one unit is left for the next renewal of two
+    await send(invoiceEvent('in_short', 'invoice.paid', 'subscription_cycle'));
+    assert.equal(await getStock('price_coffee'), 0);
+    const ledger = await db.pool.query(`SELECT result FROM webhook_events WHERE event_id = 'evt_in_short'`);
+    assert.equal(ledger.rows[0].result, 'renewal_short');
+  });
+
+  it('sells renewals of a backorder price past zero like a one-time purchase', async () => {
+    await db.adjustInventory({ priceId: 'price_coffee', stock: 1, stockPolicy: 'backorder', backorderLimit: 2 });
+    assert.deepEqual(await db.shipSubscriptionRenewal('in_back', [{ priceId: 'price_coffee', quantity: 2 }]), [
+      { priceId: 'price_coffee', quantity: 2, shipped: 2, backordered: 1, stock: -1 }
+    ]);
+    // One unit of backorder room is left
+    assert.deepEqual(await db.shipSubscriptionRenewal('in_more', [{ priceId: 'price_coffee', quantity: 2 }]), [
+      { priceId: 'price_coffee', quantity: 2, shipped: 1, backordered: 1, stock: -2 }
+    ]);
+
+    await db.adjustInventory({ priceId: 'price_coffee', backorderLimit: null });
+    await send(subscriptionEvent('evt_sub', 'customer.subscription.created', 1780000000));
+    await send(invoiceEvent('in_renewal', 'invoice.paid', 'subscription_cycle'));
+    assert.equal(await getStock('price_coffee'), -4);
+    const ledger = await db.pool.query(`SELECT result FROM webhook_events WHERE event_id = 'evt_in_renewal'`);
+    assert.equal(ledger.rows[0].result, 'renewal_shipped');
+  });
+});
@@ -0,0 +1,117 @@
+// Read by lib/config.js on load
+process.env.TAX_MODE = 'rates';
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, skipWithoutDb, resetDb, makeRequest, createStripeMock, adminLogin } = require('./helpers');
+const config = require('../lib/config');
+const { parseTaxRateInput, taxOn } = require('../lib/tax');
+const adminTaxRates = require('../lib/handlers/admin-tax-rates');
+const taxSettings = require('../lib/handlers/tax-settings');
+const cartItems = require('../lib/handlers/cart-items');
+const createCheckoutSession = require('../lib/handlers/create-checkout-session');
+
+const BOOKS = 'txcd_35010000';
+
+function catalogRow(priceId, { unitAmount = 1000, taxCode = null } = {}) {
+  return { priceId, productId: `prod_${priceId}`, name: priceId, description: '', currency: 'usd', unitAmount, active: true, productActive: true, created: null, taxCode };
+}
+
+describe('tax rates', () => {
+  it('checks new rates', () => {
+    assert.deepEqual(parseTaxRateInput({ country: 'de', displayName: ' VAT ', percentage: 19 }).rate, { country: 'DE', taxCode: null, displayName: 'VAT', percentage: 19 });
+    assert.equal(parseTaxRateInput({ country: 'DE', displayName: 'VAT', percentage: 7, taxCode: BOOKS }).rate.taxCode, BOOKS);
+    assert.match(parseTaxRateInput({ country: 'Germany', displayName: 'VAT', percentage: 19 }).error, /two-letter/);
+    assert.match(parseTaxRateInput({ country: 'DE', displayName: 'VAT', percentage: 0 }).error, /more than 0/);
+    assert.match(parseTaxRateInput({ country: 'DE', displayName: 'VAT', percentage: 8.12345 }).error, /4 decimals/);
+    assert.match(parseTaxRateInput({ country: 'DE', displayName: 'VAT', percentage: 7, taxCode: 'books' }).error, /txcd_/);
+  });
+
+  it('works out exclusive and inclusive tax', () => {
+    assert.equal(taxOn(1000, { percentage: 19, inclusive: false }), 190);
+    assert.equal(taxOn(1190, { percentage: 19, inclusive: true }), 190);
+  });
+});
+
+describe('tax with the shop\'s own rates', { skip: skipWithoutDb }, () => {
+  let stripe;
+  let headers;
+
+  beforeEach(async () => {
+    await resetDb();
+    stripe = createStripeMock();
+    headers = await adminLogin();
+    await db.replaceCatalog([catalogRow('price_mug'), catalogRow('price_book', { unitAmount: 2000, taxCode: BOOKS })]);
+    await db.upsertInventory('price_mug', 5);
+    await db.upsertInventory('price_book', 5);
+    const add = body => adminTaxRates(makeRequest({ method: 'POST', headers, body }), { stripe });
+    assert.equal((await add({ country: 'DE', displayName: 'VAT', percentage: 19 })).status, 201);
+    assert.equal((await add({ country: 'DE', displayName: 'VAT', percentage: 7, taxCode: BOOKS })).status, 201);
+  });
+  after(() => db.pool.end());
+
+  it('creates rates in Stripe, refuses a second one for the same products, and archives deleted ones', async () => {
+    assert.deepEqual(stripe.calls.taxRatesCreate[1], { display_name: 'VAT', percentage: 7, inclusive: false, country: 'DE', metadata: { tax_code: BOOKS } });
+    const again = await adminTaxRates(makeRequest({ method: 'POST', headers, body: { country: 'de', displayName: 'MwSt', percentage: 16 } }), { stripe });
+    assert.equal(again.status, 409);
+    assert.equal(again.body, 'DE already has a rate for everything else');
+
+    const { body } = await adminTaxRates(makeRequest({ headers }), { stripe });
+    assert.equal(body.mode, 'rates');
+    assert.deepEqual(body.rates.map(r => [r.country, r.taxCode, r.percentage, r.stripeTaxRateId]), [['DE', null, 19, 'txr_1'], ['DE', BOOKS, 7, 'txr_2']]);
+    assert.deepEqual((await taxSettings(makeRequest())).body, { mode: 'rates', inclusive: false, countries: ['DE'] });
+
+    const removed = await adminTaxRates(makeRequest({ method: 'DELETE', headers, query: { id: String(body.rates[0].id) } }), { stripe });
+    assert.equal(removed.status, 200);
+    assert.deepEqual(stripe.calls.taxRatesUpdate, [['txr_1', { active: false }]]);
+    assert.equal((await db.listTaxRates()).length, 1);
+
+    const viewer = await adminLogin('viewer', 'vic');
+    assert.equal((await adminTaxRates(makeRequest({ method: 'POST', headers: viewer, body: {} }), { stripe })).status, 403);
+  });
+
+  it('estimates the cart\'s tax for the chosen country', async () => {
+    const first = await cartItems(makeRequest({ method: 'POST', body: { price: 'price_mug', quantity: 2 } }), { stripe });
+    const cookie = first.headers['Set-Cookie'].split(';')[0];
+    assert.deepEqual(first.body.tax, { mode: 'rates', inclusive: false, country: null, amounts: null, estimatedTotals: null });
+    const res = await cartItems(makeRequest({ method: 'POST', headers: { cookie }, query: { country: 'de' }, body: { price: 'price_book' } }), { stripe });
+    // 19% of 20.00 on the mugs, 7% of 20.00 on the book
+    assert.deepEqual(res.body.tax, { mode: 'rates', inclusive: false, country: 'DE', amounts: { usd: 520 }, estimatedTotals: { usd: 4520 } });
+    const elsewhere = await cartItems(makeRequest({ method: 'PUT', headers: { cookie }, query: { country: 'FR' }, body: { price: 'price_book', quantity: 1 } }), { stripe });
+    assert.deepEqual(elsewhere.body.tax.amounts, { usd: 0 });
+  });
+
+  it('sends each line\'s rate with the checkout, or turns on Stripe Tax', async () => {
+    const checkout = body => createCheckoutSession(makeRequest({ method: 'POST', body }), { stripe });
+    const items = [{ price: 'price_mug', quantity: 1 }, { price: 'price_book', quantity: 1 }];
+    assert.equal((await checkout({ line_items: items, shipping_country: 'DE' })).status, 200);
+    assert.deepEqual(stripe.calls.sessionsCreate[0].line_items, [
+      { price: 'price_mug', quantity: 1, tax_rates: ['txr_1'] },
+      { price: 'price_book', quantity: 1, tax_rates: ['txr_2'] }
+    ]);
+    const noCountry = await checkout({ line_items: items });
+    assert.equal(noCountry.status, 400);
+    assert.equal(noCountry.body, 'Choose a country so tax can be worked out');
+
+    config.taxMode = 'stripe';
+    try {
+      assert.equal((await checkout({ line_items: items })).status, 200);
+    } finally {
+      config.taxMode = 'rates';
+    }
+    const automatic = stripe.calls.sessionsCreate[1];
+    assert.deepEqual(automatic.automatic_tax, { enabled: true });
+    assert.deepEqual(automatic.line_items, items);
+  });
+
+  it('only takes an address in the country whose rates were applied, even without shipping zones', async () => {
+    const checkout = body => createCheckoutSession(makeRequest({ method: 'POST', body }), { stripe });
+    // FR has no rates, so nothing is taxed; the shopper must then also be in FR
+    assert.equal((await checkout({ line_items: [{ price: 'price_mug', quantity: 1 }], shipping_country: 'fr' })).status, 200);
+    const untaxed = stripe.calls.sessionsCreate[0];
+    assert.deepEqual(untaxed.line_items, [{ price: 'price_mug', quantity: 1 }]);
+    assert.deepEqual(untaxed.shipping_address_collection, { allowed_countries: ['FR'] });
+    assert.equal((await checkout({ line_items: [{ price: 'price_mug', quantity: 1 }], shipping_country: 'DE' })).status, 200);
+    assert.deepEqual(stripe.calls.sessionsCreate[1].shipping_address_collection, { allowed_countries: ['DE'] });
+  });
+});
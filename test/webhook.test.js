@@ -0,0 +1,124 @@
+const { describe, it, beforeEach, afterEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, skipWithoutDb, resetDb, makeRequest, createStripeMock, price, signedEvent, getStock, getReservations } = require('./helpers');
+const webhook = require('../lib/handlers/webhook');
+
+const SECRET = 'whsec_test';
+
+function sessionEvent(id, type, session) {
+  return { id, object: 'event', type, data: { object: Object.assign({ object: 'checkout.session' }, session) } };
+}
+
+async function deliver(stripe, event) {
+  return webhook(makeRequest(Object.assign({ method: 'POST' }, signedEvent(stripe, event, SECRET))), { stripe });
+}
+
+describe('POST /webhook', { skip: skipWithoutDb }, () => {
+  let stripe;
+
+  beforeEach(async () => {
+    await resetDb();
+    process.env.STRIPE_WEBHOOK_SECRET = SECRET;
+    stripe = createStripeMock({
+      lineItems: {
+        cs_1: [{ id: 'li_1', price: { id: 'price_a', product: 'prod_a' }, description: 'Shirt', quantity: 2, currency: 'usd', amount_subtotal: 2000, amount_total: 2000 }]
+      }
+    });
+    await db.upsertInventory('price_a', 5);
+    await db.reserveStock('res_1', [{ price: 'price_a', quantity: 2 }]);
+    await db.linkReservationToSession('cs_1', 'res_1');
+  });
+  afterEach(() => { delete process.env.STRIPE_WEBHOOK_SECRET; });
+  after(() => db.pool.end());
+
+  const completed = sessionEvent('evt_completed', 'checkout.session.completed', {
+    id: 'cs_1',
+    metadata: { reservation_id: 'res_1' },
+    payment_status: 'paid',
+    currency: 'usd',
+    amount_subtotal: 2000,
+    amount_total: 2000,
+    total_details: { amount_discount: 0, amount_shipping: 0, amount_tax: 319 },
+    customer_details: { email: 'shopper@example.com', name: 'Sam' }
+  });
+
+  it('commits the reservation and records the order', async () => {
+    const res = await deliver(stripe, completed);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { received: true, duplicate: false });
+    assert.deepEqual((await getReservations()).map(r => r.status), ['committed']);
+    assert.equal(await getStock('price_a'), 3);
+    const { orders } = await db.listOrders();
+    assert.equal(orders.length, 1);
+    assert.equal(orders[0].customerEmail, 'shopper@example.com');
+    assert.equal(orders[0].status, 'paid');
+    assert.equal(orders[0].amountTax, 319);
+    assert.deepEqual(orders[0].items.map(i => [i.priceId, i.quantity]), [['price_a', 2]]);
+  });
+
+  it('skips repeat deliveries of the same event', async () => {
+    await deliver(stripe, completed);
+    const res = await deliver(stripe, completed);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.duplicate, true);
+    const ledger = await db.pool.query('SELECT result, processed_at FROM webhook_events WHERE event_id = $1', ['evt_completed']);
+    assert.equal(ledger.rows[0].result, 'committed');
+    assert.ok(ledger.rows[0].processed_at);
+  });
+
+  it('does not release a committed reservation on a late expired event', async () => {
+    await deliver(stripe, completed);
+    await deliver(stripe, sessionEvent('evt_expired', 'checkout.session.expired', { id: 'cs_1' }));
+    assert.deepEqual((await getReservations()).map(r => r.status), ['committed']);
+    assert.equal(await getStock('price_a'), 3);
+  });
+
+  it('returns stock when the session expires', async () => {
+    await deliver(stripe, sessionEvent('evt_expired', 'checkout.session.expired', { id: 'cs_1' }));
+    assert.deepEqual((await getReservations()).map(r => r.status), ['released']);
+    assert.equal(await getStock('price_a'), 5);
+  });
+
+  it('rejects a bad signature without touching reservations', async () => {
+    const req = makeRequest({
+      method: 'POST',
+      rawBody: Buffer.from(JSON.stringify(completed)),
+      headers: { 'stripe-signature': 't=1,v1=bad' }
+    });
+    const res = await webhook(req, { stripe });
+    assert.equal(res.status, 400);
+    assert.deepEqual((await getReservations()).map(r => r.status), ['reserved']);
+  });
+
+  it('leaves the event unprocessed when handling fails, so a retry can succeed', async () => {
+    const listLineItems = stripe.checkout.sessions.listLineItems;
+    stripe.checkout.sessions.listLineItems = () => ({ autoPagingToArray: async () => { throw new Error('Stripe timeout'); } });
+    assert.equal((await deliver(stripe, completed)).status, 400);
+    assert.deepEqual((await getReservations()).map(r => r.status), ['reserved']);
+    stripe.checkout.sessions.listLineItems = listLineItems;
+    const res = await deliver(stripe, completed);
+    assert.equal(res.body.duplicate, false);
+    assert.deepEqual((await getReservations()).map(r => r.status), ['committed']);
+  });
+
+  it('keeps the catalog cache up to date from price and product events', async () => {
+    const catalogNames = async () => (await db.listCatalog()).map(p => [p.priceId, p.name, p.unitAmount]);
+    await db.replaceCatalog([]);
+    stripe.prices.retrieve = async (id) => Object.assign(price(id, { name: 'Hat', productId: 'prod_hat' }), { unit_amount: 900 });
+    const event = (id, type, object) => ({ id, object: 'event', type, data: { object } });
+
+    await deliver(stripe, event('evt_price', 'price.created', { id: 'price_hat', object: 'price', product: 'prod_hat' }));
+    assert.deepEqual(await catalogNames(), [['price_hat', 'Hat', 900]]);
+    await deliver(stripe, event('evt_product', 'product.updated', {
+      id: 'prod_hat', object: 'product', name: 'Sun hat', active: true, images: ['https://img.test/hat.png'], metadata: { variant_attributes: 'size' }
+    }));
+    assert.deepEqual(await catalogNames(), [['price_hat', 'Sun hat', 900]]);
+    const [hat] = await db.listCatalog();
+    assert.deepEqual([hat.images, hat.productMetadata], [['https://img.test/hat.png'], { variant_attributes: 'size' }]);
+    await deliver(stripe, event('evt_archived', 'product.updated', { id: 'prod_hat', object: 'product', name: 'Sun hat', active: false }));
+    assert.deepEqual(await catalogNames(), []);
+    await deliver(stripe, event('evt_restored', 'product.updated', { id: 'prod_hat', object: 'product', name: 'Sun hat', active: true }));
+    await deliver(stripe, event('evt_price_gone', 'price.deleted', { id: 'price_hat', object: 'price' }));
+    assert.deepEqual(await catalogNames(), []);
+  });
+});